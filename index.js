@@ -5,9 +5,33 @@
  * Orchestrates the entire scraping process with CLI interface and progress reporting
  */
 
+const fs = require('fs');
 const SmartUrlScraper = require('./src/smartUrlScraper');
 const config = require('./src/config');
 const utils = require('./src/utils');
+const UrlBuilder = require('./src/urlBuilder');
+const RunDiff = require('./src/runDiff');
+const SnapshotStore = require('./src/snapshotStore');
+const PriceHistoryStore = require('./src/priceHistoryStore');
+const QualityReport = require('./src/qualityReport');
+const BatterySchema = require('./src/batterySchema');
+const ConfigLoader = require('./src/configLoader');
+const CombinationFilter = require('./src/combinationFilter');
+const { LEVELS, LOG_FORMATS } = require('./src/logger');
+const { ProgressBar, ProgressReport, ProgressFile, PROGRESS_BAR_MODES } = require('./src/progressRenderers');
+
+const { OUTPUT_FORMATS, OUTPUT_MODES } = ConfigLoader;
+
+// Supported CLI commands
+const COMMANDS = ['scrape', 'discover', 'diff', 'price-history', 'retry-failed'];
+
+// Filter options and the dropdown level they filter (--exclude-<name> for exclude patterns)
+const FILTER_OPTIONS = {
+  '--vehicle-type': 'vehicleType',
+  '--make': 'brand',
+  '--model': 'model',
+  '--fuel': 'fuelType'
+};
 
 /**
  * Display help information
@@ -17,21 +41,115 @@ function displayHelp() {
 Amaron Battery Scraper v1.0.0
 
 USAGE:
-  node index.js [options]
+  node index.js [command] [options]
+
+COMMANDS:
+  scrape              Discover combinations and scrape battery data (default)
+  discover            Only discover combinations and save them to the
+                      combinations file (default: combinations.json in the
+                      output directory)
+  diff [old new]      Compare two runs: two CSV/JSON/NDJSON outputs, or the
+                      last two run snapshots when no files are given; writes
+                      run-diff.txt and run-diff.json to the output directory
+  price-history <item code>
+                      Print the price timeline of a battery and the dates its
+                      promotions started and ended, from the price history
+                      every run appends to (default: price-history.sqlite)
+  retry-failed [file] Scrape again only the combinations that failed in the
+                      last run and append them to its output files (default
+                      report: failed-combinations.json in the output directory)
 
 OPTIONS:
   --help, -h          Show this help message
-  --verbose, -v       Enable verbose logging
+  --config <file>     JSON or JS file with settings deep-merged over the
+                      defaults in src/config.js (or AMARON_CONFIG); any
+                      setting can also be set with an AMARON_<SECTION>_<SETTING>
+                      environment variable, e.g. AMARON_TIMEOUTS_NAVIGATION
+  --verbose, -v       Enable verbose logging (same as --log-level debug)
+  --log-level <level> error, warn, info or debug (default: info)
+  --log-format <format>
+                      text or json: one JSON object per line with timestamp,
+                      level, run id, combination and message (default: text)
+  --log-file <file>   Also append log lines to a file, rotated by size
+  --progress-bar <mode>
+                      auto, always or never: a one line progress bar on the
+                      terminal (default: auto, shown when stderr is a terminal)
+  --progress-interval <seconds>
+                      Print the progress report every N seconds, 0 to turn it
+                      off (default: 60)
+  --progress-file <file>
+                      Append progress events (combination start and finish,
+                      batteries found, failures) as JSON lines for monitoring
   --output, -o <file> Specify output CSV file name (default: battery-data.csv)
-  --headless <bool>   Run browser in headless mode (default: true)
+  --headless <bool>   Run browser in headless mode (default: true, or
+                      browser.launchOptions.headless from the config file
+                      or AMARON_BROWSER_LAUNCH_OPTIONS_HEADLESS)
   --timeout <ms>      Set navigation timeout in milliseconds (default: 30000)
+  --format <formats>  Output formats, comma separated or repeated:
+                      csv, json, ndjson, sqlite (default: csv)
+  --output-mode <mode>
+                      dedupe:  one CSV, each battery only for its first vehicle
+                               (default)
+                      all:     one CSV with every vehicle/battery pair
+                      fitment: unique battery catalogue plus a separate
+                               vehicle -> battery fitment table
+  --resume            Resume the last interrupted run from its checkpoint and
+                      append to the existing CSV file
+  --concurrency <n>   Number of pages scraping in parallel (default: 1)
+  --from-combinations <file>
+                      Scrape the combinations saved by the discover command
+                      instead of running discovery
+  --combinations-file <file>
+                      File the discover command writes combinations to
+  --pincodes <list|file>
+                      Delivery pincodes to collect prices for, comma separated
+                      or a file with one pincode per line; prices are written
+                      to a separate table (default: battery-prices.csv)
+  --pincode <pincode> price-history: only the timeline at this pincode
+  --export <file>     price-history: also write the timeline to a .json file
+                      or its observations to a .csv file
+  --vehicle-type, --make, --model, --fuel <patterns>
+                      Only discover and scrape matching dropdown options:
+                      comma separated globs (MARUTI*, Two?Wheeler) or one
+                      /regex/; repeat to add patterns. Also applied to
+                      --from-combinations lists
+  --exclude-vehicle-type, --exclude-make, --exclude-model, --exclude-fuel <patterns>
+                      Skip matching dropdown options and everything below them
+  --schema <file>     JSON or JS file adding, changing or removing battery
+                      fields (columns, types and page labels)
+  --base-url <url>    Site origin to scrape, e.g. a staging mirror or local
+                      stand-in (default: https://www.amaron.com, or
+                      AMARON_BASE_URL)
 
 EXAMPLES:
   node index.js                           # Run with default settings
+  node index.js --config production.json  # Run with settings from a file
   node index.js --verbose                 # Run with verbose logging
+  node index.js --log-format json --log-file output/scraper.log
+                                          # JSON lines on the console and in a log file
+  node index.js --progress-file output/progress.jsonl
+                                          # Progress events for monitoring to tail
   node index.js --output my-data.csv      # Save to custom file
   node index.js --headless false          # Run with visible browser
   node index.js --timeout 60000           # Set 60 second timeout
+  node index.js --output-mode fitment     # Write catalogue + fitment tables
+  node index.js --format csv,ndjson       # Write CSV and NDJSON output
+  node index.js --format csv,sqlite       # Also upsert into a SQLite database
+  node index.js --resume                  # Continue an interrupted run
+  node index.js --concurrency 4           # Scrape with 4 pages in parallel
+  node index.js discover                  # Refresh the cached combinations
+  node index.js scrape --from-combinations output/combinations.json
+  node index.js --base-url http://localhost:8080 # Scrape a local mirror
+  node index.js --pincodes 560001,110001  # Prices for two delivery locations
+  node index.js --pincodes pincodes.txt   # Prices for pincodes listed in a file
+  node index.js --vehicle-type "two*" --make HERO,HONDA
+                                          # Only Hero and Honda two-wheelers
+  node index.js --make "/^(tata|mahindra)/" --exclude-fuel CNG
+  node index.js --schema my-fields.json   # Add or remove output columns
+  node index.js diff                      # Compare with the previous run
+  node index.js diff old.csv new.csv      # Compare two saved outputs
+  node index.js price-history AAM-FL-0BH90D23L --export flo-prices.csv
+  node index.js retry-failed              # Re-scrape the last run's failures
 
 DESCRIPTION:
   This script scrapes battery data from the Amaron website by systematically
@@ -48,12 +166,35 @@ DESCRIPTION:
  */
 function parseArguments(args) {
   const options = {
+    command: 'scrape',
     verbose: false,
     outputFile: null,
-    headless: true,
+    headless: null, // Only set by --headless, so config file and environment values apply otherwise
     timeout: null,
+    formats: null,
+    outputMode: null,
+    resume: false,
+    concurrency: null,
+    fromCombinations: null,
+    combinationsFile: null,
+    baseUrl: null,
+    pincodes: null,
+    diffFiles: [],
+    itemCode: null,
+    pincode: null,
+    exportFile: null,
+    schemaFile: null,
+    configFile: null,
+    logLevel: null,
+    logFormat: null,
+    logFile: null,
+    progressBar: null,
+    progressInterval: null,
+    progressFile: null,
+    filters: null,
     showHelp: false
   };
+  let commandSeen = false;
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -102,33 +243,370 @@ function parseArguments(args) {
         }
         break;
         
+      case '--format':
+        if (i + 1 < args.length) {
+          const formats = args[i + 1].split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+          const unsupported = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+          if (formats.length === 0 || unsupported.length > 0) {
+            throw new Error(`--format must be one or more of: ${OUTPUT_FORMATS.join(', ')}`);
+          }
+          options.formats = Array.from(new Set([...(options.formats || []), ...formats]));
+          i++; // Skip next argument
+        } else {
+          throw new Error('--format requires a format argument');
+        }
+        break;
+        
+      case '--output-mode':
+        if (i + 1 < args.length) {
+          const mode = args[i + 1].toLowerCase();
+          if (!OUTPUT_MODES.includes(mode)) {
+            throw new Error(`--output-mode must be one of: ${OUTPUT_MODES.join(', ')}`);
+          }
+          options.outputMode = mode;
+          i++; // Skip next argument
+        } else {
+          throw new Error('--output-mode requires a mode argument');
+        }
+        break;
+        
+      case '--resume':
+        options.resume = true;
+        break;
+        
+      case '--concurrency':
+        if (i + 1 < args.length) {
+          const concurrency = parseInt(args[i + 1]);
+          if (isNaN(concurrency) || concurrency <= 0) {
+            throw new Error('--concurrency requires a positive number');
+          }
+          options.concurrency = concurrency;
+          i++; // Skip next argument
+        } else {
+          throw new Error('--concurrency requires a number argument');
+        }
+        break;
+        
+      case '--from-combinations':
+        if (i + 1 < args.length) {
+          options.fromCombinations = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--from-combinations requires a file argument');
+        }
+        break;
+        
+      case '--combinations-file':
+        if (i + 1 < args.length) {
+          options.combinationsFile = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--combinations-file requires a file argument');
+        }
+        break;
+        
+      case '--pincodes':
+        if (i + 1 < args.length) {
+          options.pincodes = parsePincodes(args[i + 1]);
+          i++; // Skip next argument
+        } else {
+          throw new Error('--pincodes requires a comma separated list or a file argument');
+        }
+        break;
+        
+      case '--pincode':
+        if (i + 1 < args.length) {
+          [options.pincode] = parsePincodes(args[i + 1]);
+          i++; // Skip next argument
+        } else {
+          throw new Error('--pincode requires a pincode argument');
+        }
+        break;
+        
+      case '--export':
+        if (i + 1 < args.length) {
+          options.exportFile = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--export requires a file argument');
+        }
+        break;
+        
+      case '--vehicle-type':
+      case '--make':
+      case '--model':
+      case '--fuel':
+      case '--exclude-vehicle-type':
+      case '--exclude-make':
+      case '--exclude-model':
+      case '--exclude-fuel':
+        if (i + 1 < args.length) {
+          addFilterPatterns(options, arg, args[i + 1]);
+          i++; // Skip next argument
+        } else {
+          throw new Error(`${arg} requires a pattern argument`);
+        }
+        break;
+        
+      case '--config':
+        if (i + 1 < args.length) {
+          options.configFile = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--config requires a file argument');
+        }
+        break;
+        
+      case '--log-level':
+        if (i + 1 < args.length && LEVELS.includes(args[i + 1])) {
+          options.logLevel = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error(`--log-level requires one of: ${LEVELS.join(', ')}`);
+        }
+        break;
+        
+      case '--log-format':
+        if (i + 1 < args.length && LOG_FORMATS.includes(args[i + 1])) {
+          options.logFormat = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error(`--log-format requires one of: ${LOG_FORMATS.join(', ')}`);
+        }
+        break;
+        
+      case '--log-file':
+        if (i + 1 < args.length) {
+          options.logFile = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--log-file requires a file argument');
+        }
+        break;
+        
+      case '--progress-bar':
+        if (i + 1 < args.length && PROGRESS_BAR_MODES.includes(args[i + 1])) {
+          options.progressBar = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error(`--progress-bar requires one of: ${PROGRESS_BAR_MODES.join(', ')}`);
+        }
+        break;
+        
+      case '--progress-interval':
+        if (i + 1 < args.length) {
+          const interval = Number(args[i + 1]);
+          if (args[i + 1].trim() === '' || !Number.isFinite(interval) || interval < 0) {
+            throw new Error('--progress-interval requires a number of seconds (0 turns the report off)');
+          }
+          options.progressInterval = interval;
+          i++; // Skip next argument
+        } else {
+          throw new Error('--progress-interval requires a number argument');
+        }
+        break;
+        
+      case '--progress-file':
+        if (i + 1 < args.length) {
+          options.progressFile = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--progress-file requires a file argument');
+        }
+        break;
+        
+      case '--schema':
+        if (i + 1 < args.length) {
+          options.schemaFile = args[i + 1];
+          i++; // Skip next argument
+        } else {
+          throw new Error('--schema requires a file argument');
+        }
+        break;
+        
+      case '--base-url':
+        if (i + 1 < args.length) {
+          options.baseUrl = UrlBuilder.normalizeBaseUrl(args[i + 1]);
+          i++; // Skip next argument
+        } else {
+          throw new Error('--base-url requires a URL argument');
+        }
+        break;
+        
       default:
         if (arg.startsWith('-')) {
           throw new Error(`Unknown option: ${arg}. Use --help for usage information.`);
         }
+        if (commandSeen && options.command === 'diff') {
+          options.diffFiles.push(arg);
+          break;
+        }
+        if (commandSeen && options.command === 'price-history' && !options.itemCode) {
+          options.itemCode = arg;
+          break;
+        }
+        if (commandSeen && options.command === 'retry-failed' && !options.fromCombinations) {
+          options.fromCombinations = arg;
+          break;
+        }
+        if (commandSeen || !COMMANDS.includes(arg)) {
+          throw new Error(`Unknown command: ${arg}. Use --help for usage information.`);
+        }
+        options.command = arg;
+        commandSeen = true;
         break;
     }
   }
 
+  if (options.command === 'diff' && options.diffFiles.length !== 0 && options.diffFiles.length !== 2) {
+    throw new Error('diff requires two run outputs to compare, or none to compare the last two snapshots');
+  }
+  if (options.command === 'price-history' && !options.itemCode) {
+    throw new Error('price-history requires an item code');
+  }
+
   return options;
 }
 
 /**
- * Apply configuration overrides based on command line options
+ * Parse the --pincodes argument: a comma separated list or a file of pincodes
+ * @param {string} value - Argument value
+ * @returns {Array<string>} Unique six digit pincodes in the given order
+ */
+function parsePincodes(value) {
+  let source = value;
+  if (fs.existsSync(value)) {
+    try {
+      source = fs.readFileSync(value, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read pincodes file ${value}: ${error.message}`);
+    }
+  }
+
+  const pincodes = source.split(/[\s,;]+/).map(pincode => pincode.trim()).filter(Boolean);
+  const invalid = pincodes.filter(pincode => !/^[1-9]\d{5}$/.test(pincode));
+  if (pincodes.length === 0) {
+    throw new Error(`--pincodes found no pincodes in ${value}`);
+  }
+  if (invalid.length > 0) {
+    throw new Error(`--pincodes requires six digit pincodes, got: ${invalid.join(', ')}`);
+  }
+
+  return Array.from(new Set(pincodes));
+}
+
+/**
+ * Add the patterns of a filter option to the parsed options
+ * @param {Object} options - Parsed options
+ * @param {string} arg - Filter option, e.g. '--make' or '--exclude-fuel'
+ * @param {string} value - A /regex/, or comma separated globs
+ */
+function addFilterPatterns(options, arg, value) {
+  const exclude = arg.startsWith('--exclude-');
+  const level = FILTER_OPTIONS[exclude ? `--${arg.slice('--exclude-'.length)}` : arg];
+  const trimmed = value.trim();
+
+  // A regular expression may contain commas, so it is taken whole
+  const patterns = /^\/.+\/[a-z]*$/.test(trimmed)
+    ? [trimmed]
+    : trimmed.split(',').map(pattern => pattern.trim()).filter(Boolean);
+  if (patterns.length === 0) {
+    throw new Error(`${arg} requires a pattern argument`);
+  }
+
+  for (const pattern of patterns) {
+    try {
+      CombinationFilter.compilePattern(pattern);
+    } catch (error) {
+      throw new Error(`${arg}: ${error.message}`);
+    }
+  }
+
+  options.filters = options.filters || {};
+  options.filters[level] = options.filters[level] || { include: [], exclude: [] };
+  options.filters[level][exclude ? 'exclude' : 'include'].push(...patterns);
+}
+
+/**
+ * Build the scraper options for a command
+ * retry-failed scrapes the failed combinations report (the default one unless a file is given)
+ * and appends to the output of the run the combinations failed in
+ * @param {Object} options - Parsed command line options (after applyConfigOverrides)
+ * @returns {Object} SmartUrlScraper options
+ */
+function getScraperOptions(options) {
+  if (options.command !== 'retry-failed') {
+    return { resume: options.resume, combinationsFile: options.fromCombinations };
+  }
+
+  const combinationsFile = options.fromCombinations || config.output.failedCombinationsFile;
+  if (!fs.existsSync(combinationsFile)) {
+    throw new Error(`No failed combinations report at ${combinationsFile} (the last run had no failures?)`);
+  }
+  return { resume: false, combinationsFile, append: true };
+}
+
+/**
+ * Apply configuration overrides: the config file and AMARON_* environment variables,
+ * then command line options, and validate the result
  * @param {Object} options - Parsed command line options
  */
 function applyConfigOverrides(options) {
+  const loaded = ConfigLoader.load({ file: options.configFile });
+  if (loaded.file) {
+    utils.logProgress(`Config file applied: ${loaded.file}`);
+  }
+  if (loaded.variables.length > 0) {
+    utils.logProgress(`Environment overrides: ${loaded.variables.join(', ')}`);
+  }
+
   if (options.verbose) {
     config.logging.level = 'debug';
     config.logging.showProgress = true;
     utils.logProgress('Verbose logging enabled');
   }
 
+  if (options.logLevel) {
+    config.logging.level = options.logLevel;
+  }
+
+  if (options.logFormat) {
+    config.logging.format = options.logFormat;
+  }
+
+  if (options.logFile) {
+    config.logging.logFile = options.logFile;
+    utils.logProgress(`Log file set to: ${options.logFile}`);
+  }
+
+  if (options.progressBar) {
+    config.progress.bar = options.progressBar;
+  }
+
+  if (options.progressInterval !== null && options.progressInterval !== undefined) {
+    config.progress.reportInterval = options.progressInterval;
+  }
+
+  if (options.progressFile) {
+    config.progress.file = options.progressFile;
+    utils.logProgress(`Progress file set to: ${options.progressFile}`);
+  }
+
   if (options.outputFile) {
     config.output.csvFileName = options.outputFile;
     utils.logProgress(`Output file set to: ${options.outputFile}`);
   }
 
+  if (options.formats) {
+    config.output.formats = options.formats;
+    utils.logProgress(`Output formats set to: ${options.formats.join(', ')}`);
+  }
+
+  if (options.outputMode) {
+    config.output.mode = options.outputMode;
+    utils.logProgress(`Output mode set to: ${options.outputMode}`);
+  }
+
   if (options.headless !== null) {
     config.browser.launchOptions.headless = options.headless;
     utils.logProgress(`Browser headless mode: ${options.headless}`);
@@ -138,6 +616,46 @@ function applyConfigOverrides(options) {
     config.timeouts.navigation = options.timeout;
     utils.logProgress(`Navigation timeout set to: ${options.timeout}ms`);
   }
+
+  if (options.concurrency) {
+    config.concurrency.workers = options.concurrency;
+    utils.logProgress(`Concurrency set to: ${options.concurrency} page(s)`);
+  }
+
+  if (options.combinationsFile) {
+    config.output.combinationsFile = options.combinationsFile;
+    utils.logProgress(`Combinations file set to: ${options.combinationsFile}`);
+  }
+
+  if (options.pincodes) {
+    config.pricing.pincodes = options.pincodes;
+    utils.logProgress(`Pincodes set to: ${options.pincodes.join(', ')}`);
+  }
+
+  if (options.filters) {
+    // Patterns given on the command line replace the configured list of the same level
+    for (const [level, patterns] of Object.entries(options.filters)) {
+      for (const list of ['include', 'exclude']) {
+        if (patterns[list].length > 0) {
+          config.filters[level][list] = patterns[list];
+        }
+      }
+    }
+    utils.logProgress(`Filters set to: ${new CombinationFilter().describe()}`);
+  }
+
+  if (options.baseUrl) {
+    config.site.baseUrl = options.baseUrl;
+    utils.logProgress(`Base URL set to: ${options.baseUrl}`);
+  }
+
+  const schemaFile = options.schemaFile || config.schema.file;
+  if (schemaFile) {
+    BatterySchema.useFile(schemaFile);
+    utils.logProgress(`Battery schema ${schemaFile} applied: ${config.schema.fields.length} fields`);
+  }
+
+  ConfigLoader.validate();
 }
 
 /**
@@ -155,20 +673,35 @@ function displayStartupBanner() {
   utils.logProgress('='.repeat(60));
   utils.logProgress('SCRAPING CONFIGURATION');
   utils.logProgress('='.repeat(60));
-  utils.logProgress(`Target URL: ${config.baseUrl}`);
-  utils.logProgress(`Output File: ${config.output.csvFileName}`);
+  const urlBuilder = new UrlBuilder();
+  utils.logProgress(`Target URL: ${urlBuilder.getDiscoveryUrl()}`);
+  utils.logProgress(`Battery Pages: ${urlBuilder.resolve(config.site.batteryPathTemplate)}`);
+  utils.logProgress(`Output Formats: ${config.output.formats.join(', ')}`);
+  utils.logProgress(`Output Mode: ${config.output.mode}`);
+  if (config.output.mode === 'fitment') {
+    utils.logProgress(`Catalogue File: ${config.output.catalogueFileName}`);
+    utils.logProgress(`Fitment File: ${config.output.fitmentFileName}`);
+  } else {
+    utils.logProgress(`Output File: ${config.output.csvFileName}`);
+  }
+  if (config.pricing.pincodes.length > 0) {
+    utils.logProgress(`Pincodes: ${config.pricing.pincodes.join(', ')} (prices in ${config.pricing.priceFileName})`);
+  }
   utils.logProgress(`Output Directory: ${config.output.outputDirectory}`);
   utils.logProgress(`Browser Headless: ${config.browser.launchOptions.headless}`);
   utils.logProgress(`Navigation Timeout: ${config.timeouts.navigation}ms`);
   utils.logProgress(`Element Wait Timeout: ${config.timeouts.elementWait}ms`);
+  utils.logProgress(`Concurrency: ${config.concurrency.workers} page(s), ${config.concurrency.minRequestInterval}ms between requests`);
   utils.logProgress(`Max Retries: ${config.retry.maxRetries}`);
   utils.logProgress(`Continue on Error: ${config.errorHandling.continueOnError}`);
+  utils.logProgress(`Checkpoint File: ${config.checkpoint.enabled ? config.checkpoint.file : 'disabled'}`);
   utils.logProgress('='.repeat(60));
 }
 
 /**
  * Display progress statistics during scraping
- * @param {Object} stats - Current statistics
+ * Printed by the progress report every config.progress.reportInterval seconds
+ * @param {Object} stats - Current statistics (ProgressTracker.getStats)
  */
 function displayProgressStats(stats) {
   const {
@@ -177,14 +710,16 @@ function displayProgressStats(stats) {
     successfulCombinations = 0,
     failedCombinations = 0,
     totalBatteriesFound = 0,
-    elapsedTime = 0
+    elapsedTime = 0,
+    estimatedTimeRemaining: trackedTimeRemaining = null
   } = stats;
 
   const percentage = totalCombinations > 0 ? ((currentCombination / totalCombinations) * 100).toFixed(1) : '0.0';
   const successRate = currentCombination > 0 ? ((successfulCombinations / currentCombination) * 100).toFixed(1) : '0.0';
   const avgBatteriesPerCombination = successfulCombinations > 0 ? (totalBatteriesFound / successfulCombinations).toFixed(1) : '0.0';
-  const estimatedTimeRemaining = currentCombination > 0 && elapsedTime > 0 ? 
-    Math.round(((totalCombinations - currentCombination) * elapsedTime) / currentCombination) : 0;
+  // The tracker's estimate leaves out combinations completed before a resume
+  const estimatedTimeRemaining = trackedTimeRemaining !== null ? trackedTimeRemaining : (currentCombination > 0 && elapsedTime > 0 ? 
+    Math.round(((totalCombinations - currentCombination) * elapsedTime) / currentCombination) : 0);
 
   console.log(`
 ┌─────────────────────────────────────────────────────────────┐
@@ -202,6 +737,38 @@ function displayProgressStats(stats) {
   `);
 }
 
+/**
+ * Attach the configured progress renderers to a scraper's progress events
+ * @param {ProgressTracker} progress - Scraper's progress tracker
+ * @param {Object} stream - Stream the progress bar is drawn on
+ * @returns {Array<Object>} Attached renderers, to detach when the run ends
+ */
+function attachProgressRenderers(progress, stream = process.stderr) {
+  const { bar, reportInterval, file } = config.progress;
+  const renderers = [];
+
+  if (bar === 'always' || (bar === 'auto' && stream.isTTY)) {
+    renderers.push(new ProgressBar(progress, { stream }));
+  }
+  if (reportInterval > 0) {
+    renderers.push(new ProgressReport(progress, { display: displayProgressStats, interval: reportInterval }));
+  }
+  if (file) {
+    renderers.push(new ProgressFile(progress, { filePath: file }));
+  }
+
+  renderers.forEach(renderer => renderer.attach());
+  return renderers;
+}
+
+/**
+ * Detach progress renderers, removing the progress bar before the summary is printed
+ * @param {Array<Object>} renderers - Attached renderers
+ */
+function detachProgressRenderers(renderers) {
+  renderers.forEach(renderer => renderer.detach());
+}
+
 /**
  * Display final summary of scraping results
  * @param {Object} summary - Scraping summary object
@@ -214,6 +781,25 @@ function displayFinalSummary(summary) {
     failedCombinations,
     totalBatteriesFound,
     csvFilePath,
+    outputFiles = [],
+    fitmentFilePath,
+    totalFitments = 0,
+    priceFilePath,
+    totalPriceRows = 0,
+    urlMismatches = [],
+    urlMismatchFilePath,
+    failedCombinationsFilePath,
+    errorLogFilePath,
+    parseIssueCount = 0,
+    noDataCombinations = 0,
+    retry,
+    snapshotFilePath,
+    priceHistoryFilePath,
+    quality,
+    qualityPassed,
+    qualityReportFilePath,
+    qualityHtmlFilePath,
+    recovery,
     duration,
     errors = []
   } = summary;
@@ -234,7 +820,12 @@ function displayFinalSummary(summary) {
    • Success Rate: ${successRate}%
    • Total Batteries Found: ${totalBatteriesFound}
    • Average Batteries per Combination: ${avgBatteriesPerCombination}
-   • Processing Rate: ${batteriesPerSecond} batteries/second
+   • Processing Rate: ${batteriesPerSecond} batteries/second${parseIssueCount > 0 ? `
+   • Unparseable Values: ${parseIssueCount} (see the Parse Issues column)` : ''}${noDataCombinations > 0 ? `
+   • Combinations Without Batteries: ${noDataCombinations}` : ''}${retry && retry.retriedOperations > 0 ? `
+   • Retried Operations: ${retry.retriedOperations}` : ''}${retry && retry.queued > 0 ? `
+   • Re-attempted at End of Run: ${retry.queued} (${retry.recovered} recovered)` : ''}${retry && retry.failed > 0 ? `
+   • Failed After All Retries: ${retry.failed}` : ''}
 
 ⏱️  TIMING:
    • Total Duration: ${duration} seconds
@@ -242,9 +833,16 @@ function displayFinalSummary(summary) {
 
 📁 OUTPUT:
    • CSV File: ${csvFilePath || 'Not created'}
-   • File Status: ${csvFilePath ? '✅ Created successfully' : '❌ Failed to create'}
+   • File Status: ${csvFilePath ? '✅ Created successfully' : '❌ Failed to create'}${outputFiles.length > 1 ? `
+   • All Output Files: ${outputFiles.join(', ')}` : ''}${fitmentFilePath ? `
+   • Fitment File: ${fitmentFilePath} (${totalFitments} vehicle/battery pairs)` : ''}${priceFilePath ? `
+   • Price File: ${priceFilePath} (${totalPriceRows} item code/pincode prices)` : ''}${snapshotFilePath ? `
+   • Run Snapshot: ${snapshotFilePath}` : ''}${priceHistoryFilePath ? `
+   • Price History: ${priceHistoryFilePath}` : ''}${failedCombinationsFilePath ? `
+   • Failed Combinations: ${failedCombinationsFilePath} (retry with: node index.js retry-failed)` : ''}${errorLogFilePath ? `
+   • Error Log: ${errorLogFilePath}` : ''}
 
-${success ? '✅ SCRAPING COMPLETED SUCCESSFULLY!' : '❌ SCRAPING COMPLETED WITH ERRORS'}
+${!success ? '❌ SCRAPING COMPLETED WITH ERRORS' : qualityPassed === false ? '❌ SCRAPING COMPLETED, DATA QUALITY CHECKS FAILED' : '✅ SCRAPING COMPLETED SUCCESSFULLY!'}
   `);
 
   if (errors.length > 0) {
@@ -254,19 +852,161 @@ ${errors.map((error, index) => `   ${index + 1}. ${error}`).join('\n')}
     `);
   }
 
+  if (recovery && Object.values(recovery.counts).some(count => count > 0)) {
+    const { counts, skippedCombinations } = recovery;
+    console.log(`
+🛠️  RECOVERY ACTIONS:
+   • Page Refreshes: ${counts['refresh-page']}
+   • Browser Restarts: ${counts['restart-browser']}
+   • Skipped Combinations: ${counts['skip-combination']}${counts.abort > 0 ? `
+   • Run Aborted: yes (see errors above)` : ''}${skippedCombinations.slice(0, 10).map(skipped => `
+   • Skipped ${skipped.vehicleType} → ${skipped.brand} → ${skipped.model} → ${skipped.fuelType} after ${skipped.attempts} attempts: ${skipped.error}`).join('')}${skippedCombinations.length > 10 ? `
+   ... and ${skippedCombinations.length - 10} more` : ''}
+    `);
+  }
+
+  if (quality) {
+    const qualitySummary = new QualityReport().formatSummary(quality);
+    console.log(`
+🔎 DATA QUALITY:
+${qualitySummary.split('\n').map(line => `   ${line}`).join('\n')}${qualityReportFilePath ? `
+   • Full report: ${qualityReportFilePath}${qualityHtmlFilePath ? ` (HTML: ${qualityHtmlFilePath})` : ''}` : ''}
+    `);
+  }
+
+  if (urlMismatches.length > 0) {
+    const shown = urlMismatches.slice(0, 10);
+    console.log(`
+🔗 URL MISMATCHES (${urlMismatches.length} battery page URLs returned 404):
+${shown.map(mismatch => `   • ${mismatch.vehicleType} → ${mismatch.brand} → ${mismatch.model} → ${mismatch.fuelType}: ${mismatch.url}`).join('\n')}${urlMismatches.length > shown.length ? `
+   • ... and ${urlMismatches.length - shown.length} more` : ''}${urlMismatchFilePath ? `
+   • Full report: ${urlMismatchFilePath}` : ''}
+    `);
+  }
+
   if (csvFilePath) {
     console.log(`
 📋 NEXT STEPS:
    • Open the CSV file: ${csvFilePath}
    • Import into Excel, Google Sheets, or your preferred data analysis tool
    • Review the data for completeness and accuracy
-   • Use the terminal layout image URLs to view battery diagrams
+   • Use the terminal layout image URLs to view battery diagrams${snapshotFilePath ? `
+   • Compare with the previous run: node index.js diff` : ''}
     `);
   }
 
   console.log('='.repeat(60));
 }
 
+/**
+ * Display summary of a discovery-only run
+ * @param {Object} summary - Discovery summary object
+ */
+function displayDiscoverySummary(summary) {
+  const { success, totalCombinations, combinationsFilePath, duration } = summary;
+
+  console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                      DISCOVERY SUMMARY                       ║
+╚══════════════════════════════════════════════════════════════╝
+
+📊 Combinations Discovered: ${totalCombinations}
+⏱️  Total Duration: ${duration} seconds
+📁 Combinations File: ${combinationsFilePath || 'Not created'}
+
+${success ? '✅ DISCOVERY COMPLETED SUCCESSFULLY!' : '❌ DISCOVERY COMPLETED WITH ERRORS'}
+  `);
+
+  if (combinationsFilePath) {
+    console.log(`📋 NEXT STEP: node index.js scrape --from-combinations ${combinationsFilePath}`);
+  }
+
+  console.log('='.repeat(60));
+}
+
+/**
+ * Compare two runs, print the report and save it with the JSON change set
+ * @param {Array<string>} files - Old and new run outputs; empty to compare the last two snapshots
+ * @returns {Object} Change set
+ */
+async function runDiffCommand(files) {
+  let [oldFile, newFile] = files;
+  if (files.length === 0) {
+    const { previous, latest } = await new SnapshotStore().getLatestPair();
+    oldFile = previous;
+    newFile = latest;
+  }
+
+  const runDiff = new RunDiff();
+  const changeset = await runDiff.compareFiles(oldFile, newFile);
+  const { reportFilePath, changesetFilePath } = await runDiff.save(changeset);
+
+  console.log(`\n${runDiff.formatReport(changeset)}\n`);
+  utils.logProgress(`📁 Diff report: ${reportFilePath}`);
+  utils.logProgress(`📁 Change set: ${changesetFilePath}`);
+  return changeset;
+}
+
+/**
+ * Print a battery's price timeline, optionally exporting it
+ * @param {string} itemCode - Battery item code
+ * @param {Object} options - { pincode, exportFile }
+ * @returns {Object} Timeline
+ */
+async function runPriceHistoryCommand(itemCode, options = {}) {
+  const history = new PriceHistoryStore();
+  await history.initialize({ readOnly: true });
+
+  let timeline;
+  try {
+    timeline = history.getTimeline(itemCode, options.pincode || null);
+  } finally {
+    history.close();
+  }
+
+  if (timeline.locations.length === 0) {
+    throw new Error(`No price observations for ${itemCode}${options.pincode ? ` at pincode ${options.pincode}` : ''} in ${history.filePath}`);
+  }
+
+  displayPriceTimeline(timeline);
+
+  if (options.exportFile) {
+    await history.exportTimeline(timeline, options.exportFile);
+    utils.logProgress(`📁 Price history exported to ${options.exportFile}`);
+  }
+
+  return timeline;
+}
+
+/**
+ * Display a battery's price periods and promotions per location
+ * @param {Object} timeline - Timeline from PriceHistoryStore.getTimeline()
+ */
+function displayPriceTimeline(timeline) {
+  const price = value => (value === null || value === undefined ? '—' : `₹${value}`);
+  const date = timestamp => (timestamp ? timestamp.slice(0, 10) : 'still running');
+
+  console.log(`
+╔══════════════════════════════════════════════════════════════╗
+║                        PRICE HISTORY                         ║
+╚══════════════════════════════════════════════════════════════╝
+
+🔋 ${timeline.itemCode}${timeline.batteryTitle ? ` - ${timeline.batteryTitle}` : ''}`);
+
+  for (const location of timeline.locations) {
+    console.log(`
+📍 ${location.pincode ? `Pincode ${location.pincode}` : 'Default location'} (${location.observations.length} observations)
+${location.periods.map(period => `   • ${date(period.from)} → ${date(period.to)}: Base ${price(period.basePrice)}, Discount ${price(period.specialDiscount)}${period.promotionPeriod ? ` (${period.promotionPeriod})` : ''}, Total ${price(period.totalPrice)}, Rebate ${price(period.rebate)}`).join('\n')}`);
+
+    if (location.promotions.length > 0) {
+      console.log(`   Promotions:
+${location.promotions.map(promotion => `   • Discount ${price(promotion.specialDiscount)}${promotion.promotionPeriod ? ` (${promotion.promotionPeriod})` : ''}: started ${date(promotion.startedAt)}, ${promotion.endedAt ? `ended ${date(promotion.endedAt)}` : `still running (last seen ${date(promotion.lastSeenAt)})`}`).join('\n')}`);
+    }
+  }
+
+  console.log('='.repeat(60));
+}
+
 /**
  * Handle process termination gracefully
  * @param {AmaronScraper} scraper - Scraper instance to clean up
@@ -277,6 +1017,8 @@ function setupGracefulShutdown(scraper) {
     
     try {
       if (scraper) {
+        await scraper.flushExports();
+        await scraper.saveCheckpoint();
         await scraper.closeBrowser();
         utils.logProgress('Browser closed successfully');
       }
@@ -298,6 +1040,7 @@ function setupGracefulShutdown(scraper) {
  */
 async function main() {
   let scraper = null;
+  let progressRenderers = [];
   let startTime = Date.now();
 
   try {
@@ -314,31 +1057,65 @@ async function main() {
     // Apply configuration overrides
     applyConfigOverrides(options);
 
+    // Diff mode compares finished runs and needs no browser
+    if (options.command === 'diff') {
+      try {
+        await runDiffCommand(options.diffFiles);
+      } catch (error) {
+        utils.logProgress(`Diff failed: ${error.message}`, 'error');
+        process.exit(1);
+      }
+      process.exit(0);
+    }
+
+    // Price history mode only reads the history database
+    if (options.command === 'price-history') {
+      try {
+        await runPriceHistoryCommand(options.itemCode, options);
+      } catch (error) {
+        utils.logProgress(`Price history failed: ${error.message}`, 'error');
+        process.exit(1);
+      }
+      process.exit(0);
+    }
+
     // Display startup information
     displayStartupBanner();
 
     // Initialize scraper (use smart URL scraper for efficient valid combination discovery)
     utils.logProgress('Initializing Smart URL Amaron Battery Scraper...');
-    scraper = new SmartUrlScraper();
+    scraper = new SmartUrlScraper(getScraperOptions(options));
+    progressRenderers = attachProgressRenderers(scraper.progress);
 
     // Setup graceful shutdown handling
     setupGracefulShutdown(scraper);
 
+    // Discovery-only mode refreshes the cached combinations file
+    if (options.command === 'discover') {
+      utils.logProgress('Starting discovery...');
+      const discoverySummary = await scraper.discover();
+      detachProgressRenderers(progressRenderers);
+      displayDiscoverySummary(discoverySummary);
+      process.exit(discoverySummary.success ? 0 : 1);
+    }
+
     // Start the scraping process
     utils.logProgress('Starting scraping process...');
     const summary = await scraper.scrape();
+    detachProgressRenderers(progressRenderers);
 
     // Display final summary
     displayFinalSummary(summary);
 
-    // Exit with appropriate code
-    process.exit(summary.success ? 0 : 1);
+    // Exit with appropriate code; failed quality thresholds fail the run as well
+    process.exit(summary.success && summary.qualityPassed !== false ? 0 : 1);
 
   } catch (error) {
+    detachProgressRenderers(progressRenderers);
     utils.logProgress(`Fatal error: ${error.message}`, 'error');
     
-    // Display error summary
-    const errorSummary = {
+    // Display error summary (scrape failures carry their partial summary)
+    const errorSummary = error.summary || {
       success: false,
       totalCombinations: 0,
       successfulCombinations: 0,
@@ -354,6 +1131,7 @@ async function main() {
     // Cleanup
     if (scraper) {
       try {
+        await scraper.saveCheckpoint();
         await scraper.closeBrowser();
       } catch (cleanupError) {
         utils.logProgress(`Cleanup error: ${cleanupError.message}`, 'error');
@@ -381,4 +1159,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main, parseArguments, displayFinalSummary };
\ No newline at end of file
+module.exports = { main, parseArguments, applyConfigOverrides, getScraperOptions, parsePincodes, attachProgressRenderers, displayProgressStats, displayFinalSummary, runDiffCommand, runPriceHistoryCommand };
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * Base Exporter Module for Amaron Battery Scraper
+ * Shared lifecycle for all output formats: initialize, appendBatteryRecord, finalize
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+const BatterySchema = require('./batterySchema');
+
+class BaseExporter {
+  constructor(fileName, headers = null) {
+    this.fileName = fileName;
+    this.schema = new BatterySchema();
+    this.headers = headers || this.schema.getHeaders('battery');
+    this.outputDirectory = config.output.outputDirectory;
+    this.filePath = null;
+    this.recordCount = 0;
+    this.isInitialized = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Prepare the output file
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.append - Append to an existing file instead of overwriting it
+   */
+  async initialize(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Append a battery record
+   * Writes are queued so concurrent callers never interleave their records
+   * @param {Object} batteryData - Raw battery data object
+   * @returns {Promise<boolean>} Resolves once this record has been written
+   */
+  appendBatteryRecord(batteryData) {
+    return this.enqueueWrite(() => this.writeBatteryRecord(batteryData));
+  }
+
+  /**
+   * Run a write after every previously queued write has finished
+   * @param {Function} task - Async write function
+   * @returns {Promise<*>} Resolves with the task result
+   */
+  enqueueWrite(task) {
+    const write = this.writeQueue.then(task);
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write a single battery record (implemented by each format)
+   * @param {Object} batteryData - Raw battery data object
+   */
+  async writeBatteryRecord(batteryData) {
+    throw new Error(`${this.constructor.name} does not implement writeBatteryRecord()`);
+  }
+
+  /**
+   * Write records held in memory to disk once the queued writes are done
+   * Formats that write each record straight away hold nothing back
+   */
+  async flushPending() {
+    return this.writeQueue;
+  }
+
+  /**
+   * Finish writing and return a summary of the export
+   * @returns {Object} Export summary
+   */
+  async finalize() {
+    throw new Error(`${this.constructor.name} does not implement finalize()`);
+  }
+
+  /**
+   * Ensure output directory exists, create if necessary
+   */
+  async ensureOutputDirectory() {
+    try {
+      await fs.access(this.outputDirectory);
+    } catch (error) {
+      // Directory doesn't exist, create it
+      await fs.mkdir(this.outputDirectory, { recursive: true });
+      utils.logProgress(`Created output directory: ${this.outputDirectory}`);
+    }
+  }
+
+  /**
+   * Resolve the output file path inside the output directory
+   * @returns {string} Full file path
+   */
+  resolveFilePath() {
+    if (!this.fileName || typeof this.fileName !== 'string') {
+      throw new Error('Invalid output file name provided');
+    }
+
+    const filePath = path.join(this.outputDirectory, this.fileName);
+    if (filePath === this.outputDirectory) {
+      throw new Error('Invalid file path generated');
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Convert header string to valid field ID
+   * @param {string} header - Header string
+   * @returns {string} Field ID
+   */
+  convertHeaderToId(header) {
+    return header
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '_')
+      .replace(/_+/g, '_')
+      .replace(/^_|_$/g, '');
+  }
+
+  /**
+   * Convert header string to a camelCase record key (e.g. 'Pro-rata Warranty' -> 'proRataWarranty')
+   * @param {string} header - Header string
+   * @returns {string} Record key
+   */
+  convertHeaderToKey(header) {
+    return header
+      .replace(/[^A-Za-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .map((word, index) => {
+        const lower = word.toLowerCase();
+        return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+      })
+      .join('');
+  }
+
+  /**
+   * Get the record key of a column: its schema field id, or the camelCase header for other columns
+   * @param {string} header - Column header
+   * @returns {string} Record key
+   */
+  getFieldKey(header) {
+    const field = this.schema.getFieldByHeader(header);
+    return field ? field.id : this.convertHeaderToKey(header);
+  }
+
+  /**
+   * Check whether a column holds a number field
+   * @param {string} header - Column header
+   * @returns {boolean} True for schema fields of type 'number'
+   */
+  isNumericHeader(header) {
+    const field = this.schema.getFieldByHeader(header);
+    return Boolean(field) && field.type === 'number';
+  }
+
+  /**
+   * Format raw battery data as a typed record keyed by schema field ids
+   * Numeric fields become numbers, empty values become null, lists (e.g. parse issues) are kept
+   * @param {Object} rawData - Raw battery data from scraper
+   * @returns {Object} Typed record
+   */
+  formatTypedRecord(rawData) {
+    const record = {};
+
+    this.headers.forEach(header => {
+      const key = this.getFieldKey(header);
+      const value = rawData[key];
+
+      if (this.isNumericHeader(header)) {
+        record[key] = this.parseNumber(value);
+      } else if (Array.isArray(value)) {
+        record[key] = value;
+      } else if (value === null || value === undefined || value.toString().trim() === '') {
+        record[key] = null;
+      } else {
+        record[key] = value.toString().replace(/\s+/g, ' ').trim();
+      }
+    });
+
+    return record;
+  }
+
+  /**
+   * Parse the first number in a value, ignoring units, currency symbols and thousands separators
+   * @param {*} value - Value to parse (e.g. '12', '35 AH', '₹4,599')
+   * @returns {number|null} Parsed number or null if none found
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const match = value.toString().match(/-?\d[\d,]*(?:\.\d+)?/);
+    if (!match) {
+      return null;
+    }
+
+    const number = parseFloat(match[0].replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+  }
+
+  /**
+   * Get current record count
+   * @returns {number} Number of records written
+   */
+  getRecordCount() {
+    return this.recordCount;
+  }
+
+  /**
+   * Get file path
+   * @returns {string} Full file path
+   */
+  getFilePath() {
+    return this.filePath;
+  }
+
+  /**
+   * Check if exporter is initialized
+   * @returns {boolean} Initialization status
+   */
+  isReady() {
+    return this.isInitialized;
+  }
+}
+
+module.exports = BaseExporter;
@@ -0,0 +1,239 @@
+/**
+ * Battery Normalizer Module for Amaron Battery Scraper
+ * Turns extracted battery text into typed values with fixed units before export:
+ * prices as numbers plus a currency, dimensions in mm, warranties in months and capacity in Ah
+ */
+
+const config = require('./config');
+
+// Field groups and the unit each one is normalized to
+const PRICE_FIELDS = ['basePrice', 'specialDiscount', 'totalPrice', 'rebate'];
+const WARRANTY_FIELDS = ['totalWarranty', 'freeWarranty', 'proRataWarranty'];
+
+const NUMBER = '(\\d+(?:[.,]\\d+)*)';
+const DIMENSION_SEPARATOR = '\\s*(?:mm|cm)?\\s*[x×*]\\s*';
+
+class BatteryNormalizer {
+  /**
+   * @param {Object} options - Overrides for config.normalization
+   */
+  constructor(options = {}) {
+    this.options = { ...config.normalization, ...options };
+  }
+
+  /**
+   * Normalize one extracted battery
+   * Values that cannot be parsed become null and are listed in parseIssues with their original text
+   * @param {Object} battery - Battery as extracted from the page
+   * @returns {Object} Battery with typed fields, currency, dimensions in mm and parseIssues
+   */
+  normalize(battery) {
+    const normalized = { ...battery };
+    const parseIssues = [];
+
+    const apply = (field, parser, expected) => {
+      if (!(field in battery)) {
+        return;
+      }
+
+      const value = battery[field];
+      if (this.isBlank(value)) {
+        normalized[field] = null;
+        return;
+      }
+
+      const parsed = parser(value);
+      if (parsed === null) {
+        normalized[field] = null;
+        parseIssues.push({ field, value: value.toString().trim(), expected });
+      } else {
+        normalized[field] = parsed;
+      }
+    };
+
+    apply('voltage', value => this.parseVoltage(value), 'voltage in V');
+    apply('ampereHour', value => this.parseCapacity(value), 'capacity in Ah');
+    apply('cca', value => this.parseCca(value), 'cold cranking amps');
+    WARRANTY_FIELDS.forEach(field => apply(field, value => this.parseMonths(value), 'duration in months or years'));
+
+    const currencies = new Set();
+    PRICE_FIELDS.forEach(field => apply(field, value => {
+      const price = this.parsePrice(value);
+      if (price) {
+        currencies.add(price.currency);
+      }
+      return price ? price.amount : null;
+    }, 'price'));
+
+    if (currencies.size > 1) {
+      parseIssues.push({ field: 'currency', value: Array.from(currencies).join(', '), expected: 'a single currency' });
+    }
+    normalized.currency = currencies.size > 0 ? Array.from(currencies)[0] : null;
+
+    normalized.lengthMm = null;
+    normalized.widthMm = null;
+    normalized.heightMm = null;
+    if (!this.isBlank(battery.dimensions)) {
+      const dimensions = this.parseDimensions(battery.dimensions);
+      if (dimensions) {
+        Object.assign(normalized, dimensions);
+      } else {
+        parseIssues.push({ field: 'dimensions', value: battery.dimensions.toString().trim(), expected: 'length x width x height' });
+      }
+    }
+
+    normalized.parseIssues = parseIssues;
+    return normalized;
+  }
+
+  /**
+   * Normalize a list of extracted batteries
+   * @param {Array<Object>} batteries - Batteries as extracted from a page
+   * @returns {Array<Object>} Normalized batteries
+   */
+  normalizeAll(batteries) {
+    return batteries.map(battery => this.normalize(battery));
+  }
+
+  /**
+   * Check whether a value is missing rather than unparseable
+   * @param {*} value - Field value
+   * @returns {boolean} True for null, undefined and empty text
+   */
+  isBlank(value) {
+    return value === null || value === undefined || value.toString().trim() === '';
+  }
+
+  /**
+   * Parse a plain number, accepting thousands separators
+   * @param {string} text - Number text (e.g. '4,599' or '2.5')
+   * @returns {number|null} Parsed number
+   */
+  toNumber(text) {
+    const number = parseFloat(/^\d{1,3}(,\d{2,3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Parse a value that is a single number with an optional unit
+   * @param {*} value - Value to parse
+   * @param {string} unitPattern - Regular expression source of the accepted units
+   * @returns {Object|null} { number, unit } or null if the value has another shape
+   */
+  matchQuantity(value, unitPattern) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { number: value, unit: '' } : null;
+    }
+
+    const match = value.toString().trim().match(new RegExp(`^${NUMBER}\\s*(${unitPattern})?\\.?$`, 'i'));
+    if (!match) {
+      return null;
+    }
+
+    const number = this.toNumber(match[1]);
+    return number === null ? null : { number, unit: (match[2] || '').toLowerCase() };
+  }
+
+  /**
+   * Parse a voltage ('12', '12V', '12 Volts')
+   * @param {*} value - Voltage text
+   * @returns {number|null} Volts
+   */
+  parseVoltage(value) {
+    const quantity = this.matchQuantity(value, 'v|volts?');
+    return quantity ? quantity.number : null;
+  }
+
+  /**
+   * Parse a capacity ('35', '35 AH', '35Ah', '2500 mAh')
+   * @param {*} value - Capacity text
+   * @returns {number|null} Ampere hours
+   */
+  parseCapacity(value) {
+    const quantity = this.matchQuantity(value, 'mah|ah|amp(?:ere)?[\\s-]?hours?');
+    if (!quantity) {
+      return null;
+    }
+    return quantity.unit === 'mah' ? quantity.number / 1000 : quantity.number;
+  }
+
+  /**
+   * Parse cold cranking amps ('550', '550 A', '550 CCA')
+   * @param {*} value - CCA text
+   * @returns {number|null} Amps
+   */
+  parseCca(value) {
+    const quantity = this.matchQuantity(value, 'a|amps?|cca');
+    return quantity ? quantity.number : null;
+  }
+
+  /**
+   * Parse a warranty duration; bare numbers are months, as in the site's "(Months)" labels
+   * @param {*} value - Duration text ('72', '72 Months', '6 Years')
+   * @returns {number|null} Months
+   */
+  parseMonths(value) {
+    const quantity = this.matchQuantity(value, 'months?|mths?|mos?|m|years?|yrs?|y');
+    if (!quantity) {
+      return null;
+    }
+    return quantity.unit.startsWith('y') ? quantity.number * 12 : quantity.number;
+  }
+
+  /**
+   * Parse a price with an optional currency symbol or code
+   * Discounts shown as '- ₹750' are returned as their positive amount
+   * @param {*} value - Price text ('₹4,599', 'Rs. 4599', '- ₹750')
+   * @returns {Object|null} { amount, currency }
+   */
+  parsePrice(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { amount: Math.abs(value), currency: this.options.defaultCurrency } : null;
+    }
+
+    let text = value.toString().trim().replace(/^[-–]\s*/, '');
+    let currency = null;
+
+    for (const [symbol, code] of Object.entries(this.options.currencySymbols)) {
+      const escaped = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`^${escaped}\\.?\\s*|\\s*${escaped}\\.?$`, 'i');
+      if (pattern.test(text)) {
+        currency = code;
+        text = text.replace(pattern, '');
+        break;
+      }
+    }
+
+    const amount = /^\d+(?:,\d+)*(?:\.\d+)?(?:\/-)?$/.test(text) ? parseFloat(text.replace(/,|\/-$/g, '')) : null;
+    if (amount === null || !Number.isFinite(amount)) {
+      return null;
+    }
+
+    return { amount, currency: currency || this.options.defaultCurrency };
+  }
+
+  /**
+   * Parse 'L x B x H' dimensions, with optional L/B/W/H prefixes and a mm, cm or inch unit
+   * @param {*} value - Dimensions text ('238 x 129 x 227', 'L 23.8 x W 12.9 x H 22.7 cm')
+   * @returns {Object|null} { lengthMm, widthMm, heightMm }
+   */
+  parseDimensions(value) {
+    const text = value.toString().trim().replace(/\b[LBWH]\s*[:=]?\s*(?=\d)/gi, '');
+    const match = text.match(new RegExp(`^${NUMBER}${DIMENSION_SEPARATOR}${NUMBER}${DIMENSION_SEPARATOR}${NUMBER}\\s*(mm|cm|inch(?:es)?|in|")?$`, 'i'));
+    if (!match) {
+      return null;
+    }
+
+    const unit = (match[4] || this.options.defaultDimensionUnit).toLowerCase();
+    const factor = unit === 'cm' ? 10 : unit === 'mm' ? 1 : 25.4;
+    const [length, width, height] = match.slice(1, 4).map(part => this.toNumber(part));
+    if ([length, width, height].some(part => part === null)) {
+      return null;
+    }
+
+    const toMm = number => Math.round(number * factor * 10) / 10;
+    return { lengthMm: toMm(length), widthMm: toMm(width), heightMm: toMm(height) };
+  }
+}
+
+module.exports = BatteryNormalizer;
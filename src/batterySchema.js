@@ -0,0 +1,254 @@
+/**
+ * Battery Schema Module for Amaron Battery Scraper
+ * Single definition of the battery record fields (config.schema.fields): table columns,
+ * numeric and required fields, extraction labels and CSV formatters all derive from it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const TYPES = ['text', 'number', 'list'];
+const FORMATS = ['text', 'number', 'list', 'issues'];
+const SOURCES = ['page', 'vehicle', 'pricing', 'normalizer'];
+const GROUPS = ['battery', 'price'];
+const TABLES = ['battery', 'catalogue', 'fitment', 'price'];
+
+// Fields the scraper itself relies on (combinations, deduplication and price keys)
+const PROTECTED_FIELDS = ['vehicleType', 'brand', 'model', 'fuelType', 'itemCode', 'pincode', 'batteryTitle'];
+
+class BatterySchema {
+  /**
+   * @param {Array<Object>} fields - Field definitions (defaults to config.schema.fields)
+   */
+  constructor(fields = null) {
+    this.fields = (fields || config.schema.fields).map(field => this.resolveField(field));
+  }
+
+  /**
+   * Fill in the defaults of a field definition
+   * @param {Object} field - Field definition
+   * @returns {Object} Field with type, format, labels, source, group, tables and required set
+   */
+  resolveField(field) {
+    const type = field.type || 'text';
+    const source = field.source || 'page';
+    const group = field.group || 'battery';
+
+    let tables = field.tables;
+    if (!tables) {
+      tables = source === 'vehicle' ? ['battery', 'fitment'] : ['battery', 'catalogue'];
+      if (group === 'price') {
+        tables = [...tables, 'price'];
+      }
+    }
+
+    return {
+      ...field,
+      type,
+      format: field.format || type,
+      labels: field.labels || [],
+      source,
+      group,
+      tables,
+      required: Boolean(field.required)
+    };
+  }
+
+  /**
+   * Get the fields of a table in column order
+   * @param {string|null} table - 'battery', 'catalogue', 'fitment' or 'price'; null for every field
+   * @returns {Array<Object>} Fields
+   */
+  getFields(table = null) {
+    return table ? this.fields.filter(field => field.tables.includes(table)) : this.fields;
+  }
+
+  /**
+   * Get the column headers of a table
+   * @param {string} table - Table name
+   * @returns {Array<string>} Headers in column order
+   */
+  getHeaders(table) {
+    return this.getFields(table).map(field => field.header);
+  }
+
+  /**
+   * Find a field by record key
+   * @param {string} id - Field id
+   * @returns {Object|null} Field
+   */
+  getField(id) {
+    return this.fields.find(field => field.id === id) || null;
+  }
+
+  /**
+   * Find the field behind a column header
+   * @param {string} header - Column header
+   * @returns {Object|null} Field
+   */
+  getFieldByHeader(header) {
+    return this.fields.find(field => field.header === header) || null;
+  }
+
+  /**
+   * Get the fields stored as numbers
+   * @returns {Array<Object>} Numeric fields
+   */
+  getNumericFields() {
+    return this.fields.filter(field => field.type === 'number');
+  }
+
+  /**
+   * Get the fields every record must have
+   * @returns {Array<Object>} Required fields
+   */
+  getRequiredFields() {
+    return this.fields.filter(field => field.required);
+  }
+
+  /**
+   * Get the page fields in the serializable form passed into the browser for extraction
+   * @returns {Array<Object>} { id, labels, default }
+   */
+  getExtractionFields() {
+    return this.fields
+      .filter(field => field.source === 'page')
+      .map(field => ({ id: field.id, labels: field.labels, default: field.default || '' }));
+  }
+
+  /**
+   * Check a list of field definitions
+   * @param {Array<Object>} fields - Field definitions
+   * @throws {Error} Describing the first invalid field
+   */
+  static validateFields(fields) {
+    const ids = new Set();
+    const headers = new Set();
+
+    fields.forEach((field, index) => {
+      const name = field && field.id ? field.id : `#${index + 1}`;
+      const fail = message => {
+        throw new Error(`Invalid battery schema field ${name}: ${message}`);
+      };
+
+      if (!field || typeof field.id !== 'string' || !/^[a-z][A-Za-z0-9]*$/.test(field.id)) {
+        fail('id must be a camelCase name');
+      }
+      if (typeof field.header !== 'string' || field.header.trim() === '') {
+        fail('header is required');
+      }
+      if (ids.has(field.id)) {
+        fail('duplicate id');
+      }
+      if (headers.has(field.header)) {
+        fail(`duplicate header "${field.header}"`);
+      }
+      ids.add(field.id);
+      headers.add(field.header);
+
+      const checkOption = (key, allowed) => {
+        if (field[key] !== undefined && !allowed.includes(field[key])) {
+          fail(`${key} must be one of ${allowed.join(', ')}`);
+        }
+      };
+      checkOption('type', TYPES);
+      checkOption('format', FORMATS);
+      checkOption('source', SOURCES);
+      checkOption('group', GROUPS);
+
+      if (field.labels !== undefined && (!Array.isArray(field.labels) || field.labels.some(label => typeof label !== 'string'))) {
+        fail('labels must be a list of strings');
+      }
+      if (field.tables !== undefined && (!Array.isArray(field.tables) || field.tables.some(table => !TABLES.includes(table)))) {
+        fail(`tables must be a list of ${TABLES.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Apply schema overrides to a field list
+   * Entries of overrides.fields with a known id change that field, others add a new field;
+   * 'after' places a field behind another one (new fields go last otherwise)
+   * @param {Object} overrides - { fields: [...], remove: [ids] }
+   * @param {Array<Object>} fields - Field list to start from
+   * @returns {Array<Object>} New field list
+   */
+  static applyOverrides(overrides, fields = config.schema.fields) {
+    let result = fields.map(field => ({ ...field }));
+
+    for (const id of overrides.remove || []) {
+      if (PROTECTED_FIELDS.includes(id)) {
+        throw new Error(`Field ${id} cannot be removed: the scraper depends on it`);
+      }
+      if (!result.some(field => field.id === id)) {
+        throw new Error(`Cannot remove unknown field ${id}`);
+      }
+      result = result.filter(field => field.id !== id);
+    }
+
+    for (const { after, ...change } of overrides.fields || []) {
+      const index = result.findIndex(field => field.id === change.id);
+      const field = index >= 0 ? { ...result[index], ...change } : change;
+
+      if (index >= 0) {
+        result.splice(index, 1);
+      }
+
+      if (after) {
+        const afterIndex = result.findIndex(candidate => candidate.id === after);
+        if (afterIndex < 0) {
+          throw new Error(`Field ${change.id} is placed after unknown field ${after}`);
+        }
+        result.splice(afterIndex + 1, 0, field);
+      } else if (index >= 0) {
+        result.splice(index, 0, field);
+      } else {
+        result.push(field);
+      }
+    }
+
+    BatterySchema.validateFields(result);
+    return result;
+  }
+
+  /**
+   * Read schema overrides from a JSON or JS file
+   * @param {string} filePath - .json file, or .js module exporting the overrides
+   * @returns {Object} Overrides
+   */
+  static loadFile(filePath) {
+    const resolved = path.resolve(filePath);
+    const extension = path.extname(resolved).toLowerCase();
+
+    try {
+      if (extension === '.json') {
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      }
+      if (extension === '.js' || extension === '.cjs') {
+        return require(resolved);
+      }
+    } catch (error) {
+      throw new Error(`Failed to load battery schema ${filePath}: ${error.message}`);
+    }
+
+    throw new Error(`Unsupported battery schema file: ${filePath} (expected .json or .js)`);
+  }
+
+  /**
+   * Apply a schema file to the configuration, so every module built afterwards uses it
+   * @param {string} filePath - Schema overrides file
+   * @returns {Array<Object>} Resulting field list
+   */
+  static useFile(filePath) {
+    const overrides = BatterySchema.loadFile(filePath);
+    try {
+      config.schema.fields = BatterySchema.applyOverrides(overrides);
+    } catch (error) {
+      throw new Error(`Failed to apply battery schema ${filePath}: ${error.message}`);
+    }
+    return config.schema.fields;
+  }
+}
+
+module.exports = BatterySchema;
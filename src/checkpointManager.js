@@ -0,0 +1,197 @@
+/**
+ * Checkpoint Manager Module for Amaron Battery Scraper
+ * Persists discovered combinations and processing progress so interrupted runs can be resumed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+
+const CHECKPOINT_VERSION = 1;
+
+class CheckpointManager {
+  constructor(filePath = null) {
+    this.filePath = filePath || config.checkpoint.file;
+    this.state = null;
+    this.processedKeys = new Set();
+    this.unsavedChanges = 0;
+    this.saveQueue = Promise.resolve();
+    // Called before each write, e.g. to flush output buffered in memory
+    this.beforeSave = null;
+  }
+
+  /**
+   * Load an existing checkpoint from disk
+   * @returns {Object|null} Checkpoint state or null if none exists
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read checkpoint file ${this.filePath}: ${error.message}`);
+    }
+
+    let state;
+    try {
+      state = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Checkpoint file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (state.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version ${state.version} in ${this.filePath}`);
+    }
+
+    this.state = state;
+    this.processedKeys = new Set(state.processedKeys || []);
+    utils.logProgress(`Loaded checkpoint: ${this.processedKeys.size}/${state.combinations.length} combinations already processed`);
+    return state;
+  }
+
+  /**
+   * Start a new checkpoint for a freshly discovered set of combinations
+   * @param {Array<Object>} combinations - Combinations to be processed
+   * @param {string} outputFile - CSV file the run writes to
+   * @param {Object} metadata - Additional run metadata (e.g. the run's snapshot file)
+   */
+  async start(combinations, outputFile, metadata = {}) {
+    const now = new Date().toISOString();
+    this.state = {
+      version: CHECKPOINT_VERSION,
+      startedAt: now,
+      updatedAt: now,
+      outputFile,
+      ...metadata,
+      combinations,
+      processedKeys: [],
+      seenBatteries: [],
+      seenPrices: [],
+      stats: {
+        scrapedCount: 0,
+        successfulCombinations: 0,
+        duplicateCount: 0
+      }
+    };
+    this.processedKeys = new Set();
+    await this.save();
+  }
+
+  /**
+   * Check whether a combination was already processed in a previous run
+   * @param {Object} combination - Combination to check
+   * @returns {boolean} True if already processed
+   */
+  isProcessed(combination) {
+    return this.processedKeys.has(utils.getCombinationKey(combination));
+  }
+
+  /**
+   * Record a processed combination together with the current scraper state
+   * @param {Object} combination - Combination that was processed
+   * @param {Object} progress - Current stats and seen battery/price identifiers
+   */
+  async markProcessed(combination, progress) {
+    if (!this.state) {
+      throw new Error('Checkpoint not started. Call start() or load() first.');
+    }
+
+    this.processedKeys.add(utils.getCombinationKey(combination));
+    this.update(progress);
+    this.unsavedChanges++;
+
+    if (this.unsavedChanges >= config.checkpoint.saveInterval) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Update stats and seen batteries without marking a combination
+   * @param {Object} progress - Current stats and seen battery/price identifiers
+   */
+  update(progress = {}) {
+    if (!this.state) {
+      return;
+    }
+
+    if (progress.stats) {
+      this.state.stats = { ...this.state.stats, ...progress.stats };
+    }
+    if (progress.seenBatteries) {
+      this.state.seenBatteries = Array.from(progress.seenBatteries);
+    }
+    if (progress.seenPrices) {
+      this.state.seenPrices = Array.from(progress.seenPrices);
+    }
+  }
+
+  /**
+   * Write the checkpoint to disk atomically
+   * Saves are queued so concurrent workers never write the temp file at the same time
+   * @returns {Promise<void>}
+   */
+  save() {
+    const pending = this.saveQueue.then(() => this.writeState());
+    this.saveQueue = pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Write the current state through a temp file and rename
+   */
+  async writeState() {
+    if (!this.state) {
+      return;
+    }
+
+    this.state.updatedAt = new Date().toISOString();
+    this.state.processedKeys = Array.from(this.processedKeys);
+    const content = JSON.stringify(this.state, null, 2);
+
+    // The state is taken first: combinations processed while beforeSave runs are
+    // left for the next save, so every combination saved has its output on disk
+    if (this.beforeSave) {
+      await this.beforeSave();
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, content, 'utf8');
+      await fs.rename(tempPath, this.filePath);
+      this.unsavedChanges = 0;
+    } catch (error) {
+      throw new Error(`Failed to save checkpoint to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the checkpoint file after a completed run
+   */
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+      utils.logProgress(`Checkpoint cleared: ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        utils.logProgress(`Failed to remove checkpoint ${this.filePath}: ${error.message}`, 'warn');
+      }
+    }
+    this.state = null;
+    this.processedKeys = new Set();
+  }
+
+  /**
+   * Get the number of combinations already processed
+   * @returns {number} Processed combination count
+   */
+  getProcessedCount() {
+    return this.processedKeys.size;
+  }
+}
+
+module.exports = CheckpointManager;
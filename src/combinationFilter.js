@@ -0,0 +1,151 @@
+/**
+ * Combination Filter Module for Amaron Battery Scraper
+ * Limits discovery and scraping to the vehicle types, makes, models and fuels matching config.filters
+ */
+
+const config = require('./config');
+
+// Filtered dropdown levels, from vehicle type down to fuel type
+const LEVELS = ['vehicleType', 'brand', 'model', 'fuelType'];
+
+// Names of the levels in messages and CLI options
+const LEVEL_NAMES = {
+  vehicleType: 'vehicle type',
+  brand: 'make',
+  model: 'model',
+  fuelType: 'fuel'
+};
+
+class CombinationFilter {
+  /**
+   * @param {Object} filters - Include/exclude patterns per level (defaults to config.filters)
+   */
+  constructor(filters = null) {
+    const settings = filters || config.filters;
+
+    this.levels = {};
+    for (const level of LEVELS) {
+      const { include = [], exclude = [] } = settings[level] || {};
+      this.levels[level] = {
+        include: include.map(pattern => CombinationFilter.compilePattern(pattern)),
+        exclude: exclude.map(pattern => CombinationFilter.compilePattern(pattern))
+      };
+    }
+  }
+
+  /**
+   * Compile a filter pattern: /regex/flags, or a glob where * matches any run of characters
+   * and ? a single character. Matching is case-insensitive; the g and y flags are dropped, since
+   * they would make test() carry its position from one option to the next
+   * @param {string} pattern - Pattern
+   * @returns {Object} { pattern, regex }
+   */
+  static compilePattern(pattern) {
+    const source = String(pattern).trim();
+    const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (regexMatch) {
+      const stateless = regexMatch[2].replace(/[gy]/g, '');
+      const flags = stateless.includes('i') ? stateless : `${stateless}i`;
+      try {
+        return { pattern: source, regex: new RegExp(regexMatch[1], flags) };
+      } catch (error) {
+        throw new Error(`Invalid filter pattern ${source}: ${error.message}`);
+      }
+    }
+
+    if (source === '') {
+      throw new Error('Filter patterns must not be empty');
+    }
+
+    const glob = source
+      .split('')
+      .map(character => {
+        if (character === '*') return '.*';
+        if (character === '?') return '.';
+        return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return { pattern: source, regex: new RegExp(`^${glob}$`, 'i') };
+  }
+
+  /**
+   * Check whether any level has a pattern
+   * @returns {boolean} True when the filter removes anything
+   */
+  isActive() {
+    return LEVELS.some(level => this.levels[level].include.length > 0 || this.levels[level].exclude.length > 0);
+  }
+
+  /**
+   * Check one dropdown option against the patterns of its level
+   * An option matches a pattern when its display text or its option value does
+   * @param {string} level - 'vehicleType', 'brand', 'model' or 'fuelType'
+   * @param {Object} option - { value, text }
+   * @returns {boolean} True when the option is kept
+   */
+  matchesOption(level, option) {
+    const { include, exclude } = this.levels[level];
+    const candidates = [option.text, option.value].filter(Boolean);
+    const matches = compiled => candidates.some(candidate => compiled.regex.test(candidate));
+
+    if (include.length > 0 && !include.some(matches)) {
+      return false;
+    }
+    return !exclude.some(matches);
+  }
+
+  /**
+   * Keep the options of a dropdown level that match the filters
+   * @param {string} level - Dropdown level
+   * @param {Array<Object>} options - Dropdown options
+   * @returns {Array<Object>} Kept options
+   */
+  filterOptions(level, options) {
+    return options.filter(option => this.matchesOption(level, option));
+  }
+
+  /**
+   * Check a complete combination (e.g. from a cached combinations file)
+   * @param {Object} combination - Combination with text fields and optional values
+   * @returns {boolean} True when every level matches
+   */
+  matches(combination) {
+    const values = combination.values || {};
+    return LEVELS.every(level => this.matchesOption(level, { text: combination[level], value: values[level] }));
+  }
+
+  /**
+   * Describe the active patterns for logs and combination file metadata
+   * @returns {Object} { level: { include, exclude } } for levels with patterns
+   */
+  toJSON() {
+    const description = {};
+    for (const level of LEVELS) {
+      const { include, exclude } = this.levels[level];
+      if (include.length > 0 || exclude.length > 0) {
+        description[level] = {
+          include: include.map(compiled => compiled.pattern),
+          exclude: exclude.map(compiled => compiled.pattern)
+        };
+      }
+    }
+    return description;
+  }
+
+  /**
+   * Summarize the active patterns in one line
+   * @returns {string} e.g. 'make: MARUTI*, HERO; fuel: not CNG'
+   */
+  describe() {
+    return Object.entries(this.toJSON())
+      .map(([level, { include, exclude }]) => {
+        const patterns = [...include, ...exclude.map(pattern => `not ${pattern}`)];
+        return `${LEVEL_NAMES[level]}: ${patterns.join(', ')}`;
+      })
+      .join('; ');
+  }
+}
+
+module.exports = CombinationFilter;
+module.exports.LEVELS = LEVELS;
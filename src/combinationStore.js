@@ -0,0 +1,134 @@
+/**
+ * Combination Store Module for Amaron Battery Scraper
+ * Persists discovered vehicle combinations to a versioned JSON file so discovery can be skipped
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+
+const COMBINATIONS_VERSION = 1;
+const LEVELS = ['vehicleType', 'brand', 'model', 'fuelType'];
+
+class CombinationStore {
+  constructor(filePath = null) {
+    this.filePath = filePath || config.output.combinationsFile;
+  }
+
+  /**
+   * Save discovered combinations with their dropdown value/text pairs and canonical URLs
+   * @param {Array<Object>} combinations - Combinations from discovery
+   * @param {Object} metadata - Additional metadata (e.g. discovery source URL)
+   * @returns {string} Path of the written file
+   */
+  async save(combinations, metadata = {}) {
+    const document = {
+      version: COMBINATIONS_VERSION,
+      generatedAt: new Date().toISOString(),
+      ...metadata,
+      count: combinations.length,
+      combinations: combinations.map(combination => this.toStoredCombination(combination))
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(document, null, 2), 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to save combinations to ${this.filePath}: ${error.message}`);
+    }
+
+    utils.logProgress(`💾 Saved ${combinations.length} combinations to ${this.filePath}`);
+    return this.filePath;
+  }
+
+  /**
+   * Load combinations from a previously saved file
+   * @returns {Object} Stored metadata and combinations in scraper format
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read combinations file ${this.filePath}: ${error.message}`);
+    }
+
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Combinations file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (document.version !== COMBINATIONS_VERSION) {
+      throw new Error(`Unsupported combinations file version ${document.version} in ${this.filePath}`);
+    }
+
+    if (!Array.isArray(document.combinations)) {
+      throw new Error(`Combinations file ${this.filePath} has no combinations list`);
+    }
+
+    const combinations = document.combinations.map((stored, index) => this.fromStoredCombination(stored, index));
+    utils.logProgress(`📂 Loaded ${combinations.length} combinations from ${this.filePath} (generated ${document.generatedAt})`);
+
+    return {
+      generatedAt: document.generatedAt,
+      source: document.source,
+      combinations
+    };
+  }
+
+  /**
+   * Convert a scraper combination into value/text pairs for storage
+   * @param {Object} combination - Combination with text fields and optional values
+   * @returns {Object} Stored combination
+   */
+  toStoredCombination(combination) {
+    const values = combination.values || {};
+    const stored = {};
+
+    for (const level of LEVELS) {
+      stored[level] = {
+        value: values[level] || '',
+        text: combination[level]
+      };
+    }
+
+    if (combination.url) {
+      stored.url = combination.url;
+    }
+
+    // Why the combination failed, in the failed combinations report
+    if (combination.failure) {
+      stored.failure = combination.failure;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Convert a stored combination back into the scraper format
+   * @param {Object} stored - Stored combination
+   * @param {number} index - Position in the file (for error messages)
+   * @returns {Object} Combination with text fields and values
+   */
+  fromStoredCombination(stored, index) {
+    const combination = { values: {} };
+
+    for (const level of LEVELS) {
+      const entry = stored[level];
+      if (!entry || !entry.text) {
+        throw new Error(`Combination ${index + 1} in ${this.filePath} is missing ${level}`);
+      }
+      combination[level] = entry.text;
+      combination.values[level] = entry.value || '';
+    }
+
+    combination.url = stored.url || null;
+
+    return combination;
+  }
+}
+
+module.exports = CombinationStore;
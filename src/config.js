@@ -1,11 +1,33 @@
 /**
  * Configuration module for Amaron Battery Scraper
  * Contains all CSS selectors, timeout values, URLs, and CSV settings
+ * These are the defaults: a --config file and AMARON_* environment variables override them (see configLoader.js)
  */
 
 const config = {
-  // Base URL for the Amaron battery selection page
-  baseUrl: 'https://www.amaron.com/battery/passengers/ashok-leyland/stile/diesel',
+  // Amaron site location and URL rules
+  // AMARON_BASE_URL, AMARON_DISCOVERY_PATH and AMARON_BATTERY_PATH_TEMPLATE are short names for their overrides
+  site: {
+    // Origin of the site, optionally with a path prefix (staging mirrors, regional sites, local stand-ins)
+    baseUrl: 'https://www.amaron.com',
+    // Page holding the vehicle dropdowns used for discovery
+    discoveryPath: '/battery/passengers/ashok-leyland/stile/diesel',
+    // Battery result page; {vehicleType}, {brand}, {model} and {fuelType} are replaced by slugs
+    batteryPathTemplate: '/battery/{vehicleType}/{brand}/{model}/{fuelType}',
+    // Fill the template with the dropdown option values captured during discovery;
+    // option text is slugified only for combinations without values
+    useOptionValues: true,
+    // Rules turning dropdown option text into URL slugs, applied in order
+    slug: {
+      lowercase: true,
+      replacements: [
+        { pattern: '[^a-z0-9\\s-]', replacement: '' }, // Remove special characters except spaces and hyphens
+        { pattern: '\\s+', replacement: '-' }, // Replace spaces with hyphens
+        { pattern: '-+', replacement: '-' }, // Replace multiple hyphens with single
+        { pattern: '^-|-$', replacement: '' } // Remove leading/trailing hyphens
+      ]
+    }
+  },
 
   // CSS selectors for page elements
   selectors: {
@@ -19,6 +41,10 @@ const config = {
     findButton: 'button[type="submit"]',
     searchButton: '.search-button',
     
+    // Delivery location (pincode) form on battery pages
+    pincodeInput: '#edit-pincode, input[name="pincode"], input[name="postal_code"]',
+    pincodeSubmit: '#edit-pincode-submit, .pincode-submit, button[name="check-pincode"]',
+    
     // Results and data extraction
     resultsTable: '.battery-results-table',
     resultsContainer: '.results-container',
@@ -52,6 +78,30 @@ const config = {
     errorMessage: '.error-message'
   },
 
+  // Combination discovery settings
+  discovery: {
+    // 'ajax' - capture the AJAX request behind the cascading selects once and replay it per option
+    // 'dom'  - select every option in the page and wait for the dependent dropdowns to refill
+    strategy: 'ajax',
+    
+    // Fall back to the DOM strategy when the AJAX request cannot be captured or replayed
+    fallbackToDom: true,
+    
+    // Requests treated as dropdown AJAX calls (Drupal 7 and 8+ endpoints)
+    ajaxUrlPattern: 'system/ajax|ajax_form=1|_wrapper_format=drupal_ajax'
+  },
+
+  // Limit discovery and scraping to matching dropdown options (empty = everything)
+  // Patterns are globs ('MARUTI*', 'Two?Wheeler') or regular expressions ('/^(hero|tvs)/'),
+  // matched case-insensitively against the option text and value.
+  // An option is kept when it matches an include pattern (or there are none) and no exclude pattern
+  filters: {
+    vehicleType: { include: [], exclude: [] },
+    brand: { include: [], exclude: [] },
+    model: { include: [], exclude: [] },
+    fuelType: { include: [], exclude: [] }
+  },
+
   // Timeout configurations (in milliseconds)
   timeouts: {
     // Page navigation timeout
@@ -75,35 +125,40 @@ const config = {
 
   // Output file configurations
   output: {
+    // Output mode:
+    // 'dedupe'  - one CSV, each battery written only for the first vehicle it fits
+    // 'all'     - one CSV, every vehicle/battery pair written
+    // 'fitment' - unique battery catalogue plus a vehicle -> battery fitment table
+    mode: 'dedupe',
+    
+    // Output formats to write: 'csv', 'json' (pretty array), 'ndjson' (one record per line),
+    // 'sqlite' (normalized database). JSON formats use the CSV file name with their own extension
+    formats: ['csv'],
+    
+    // SQLite database file (normalized tables, upserted on re-runs)
+    sqliteFileName: 'battery-data.sqlite',
+    
+    // Rewrite the JSON array to disk after every N records
+    jsonFlushInterval: 50,
+    
     // CSV file name and path
     csvFileName: 'battery-data.csv',
+    // Default './output/...' paths left unset move with it (ConfigLoader.applyOutputDirectory)
     outputDirectory: './output',
     
-    // CSV headers in order
-    csvHeaders: [
-      'Vehicle Type',
-      'Brand', 
-      'Model',
-      'Fuel Type',
-      'Battery Brand',
-      'Series',
-      'Item Code',
-      'Battery Model',
-      'Battery Title',
-      'Dimensions',
-      'Voltage',
-      'Ampere Hour',
-      'CCA',
-      'Total Warranty',
-      'Free Warranty',
-      'Pro-rata Warranty',
-      'Terminal Layout Image URL',
-      'Country of Origin',
-      'Base Price',
-      'Special Discount',
-      'Total Price',
-      'Rebate'
-    ],
+    // Cached combination list written by the discover command
+    combinationsFile: './output/combinations.json',
+    
+    // Report of combinations whose battery page URL returned 404
+    urlMismatchFileName: 'url-mismatches.json',
+    
+    // Combinations that still failed after every retry, read by the retry-failed command
+    failedCombinationsFile: './output/failed-combinations.json',
+    
+    // Fitment mode: unique battery catalogue and many-to-many vehicle -> battery fitment table
+    // (columns of every table come from the battery schema below)
+    catalogueFileName: 'battery-catalogue.csv',
+    fitmentFileName: 'battery-fitment.csv',
     
     // CSV formatting options
     csvOptions: {
@@ -114,6 +169,191 @@ const config = {
     }
   },
 
+  // Battery schema: every record field once, in column order
+  // id       - record key
+  // header   - column label in CSV output (SQLite columns and JSON keys follow the field id)
+  // type     - 'text', 'number' or 'list'; numbers are parsed and stored as numbers
+  // format   - CSV formatter ('text', 'number', 'list' or 'issues'), defaults to the type
+  // labels   - comparison table row labels to extract the value from, first match wins
+  // source   - 'page' (default), 'vehicle' (the combination), 'pricing' (the delivery location)
+  //            or 'normalizer' (derived from other fields)
+  // group    - 'battery' (default) or 'price' (stored with prices, written to the price table)
+  // tables   - tables the column appears in: 'battery', 'catalogue', 'fitment', 'price'
+  //            (defaults: vehicle fields battery + fitment, others battery + catalogue, prices also price)
+  // required - missing values are reported by the quality report
+  // default  - value used when the page has none
+  // Fields without labels are filled by dedicated extraction code (title, image, promotion period)
+  schema: {
+    // JSON or JS file adding, changing or removing fields (see README), applied at startup
+    file: null,
+    
+    fields: [
+      { id: 'vehicleType', header: 'Vehicle Type', type: 'text', source: 'vehicle', required: true },
+      { id: 'brand', header: 'Brand', type: 'text', source: 'vehicle', required: true },
+      { id: 'model', header: 'Model', type: 'text', source: 'vehicle', required: true },
+      { id: 'fuelType', header: 'Fuel Type', type: 'text', source: 'vehicle', required: true },
+      { id: 'batteryBrand', header: 'Battery Brand', type: 'text', default: 'Amaron' },
+      { id: 'series', header: 'Series', type: 'text', labels: ['Series', 'Battery Series', 'Product Series'] },
+      {
+        id: 'itemCode',
+        header: 'Item Code',
+        type: 'text',
+        labels: ['Item Code', 'Model Code', 'Product Code', 'Battery Code', 'Part Number', 'SKU'],
+        tables: ['battery', 'catalogue', 'fitment', 'price']
+      },
+      { id: 'pincode', header: 'Pincode', type: 'text', source: 'pricing', tables: ['price'] },
+      { id: 'batteryModel', header: 'Battery Model', type: 'text', labels: ['Model', 'Battery Model', 'Product Model'] },
+      { id: 'batteryTitle', header: 'Battery Title', type: 'text', tables: ['battery', 'catalogue', 'fitment', 'price'] },
+      {
+        id: 'dimensions',
+        header: 'Dimensions',
+        type: 'text',
+        labels: [
+          'Product Dimensions (LxBxH) (mm)',
+          'Dimensions (L x W x H)',
+          'Dimensions',
+          'Size',
+          'Battery Dimensions',
+          'Product Dimensions',
+          'Overall Dimensions',
+          'External Dimensions'
+        ]
+      },
+      { id: 'lengthMm', header: 'Length (mm)', type: 'number', source: 'normalizer' },
+      { id: 'widthMm', header: 'Width (mm)', type: 'number', source: 'normalizer' },
+      { id: 'heightMm', header: 'Height (mm)', type: 'number', source: 'normalizer' },
+      { id: 'voltage', header: 'Voltage', type: 'number', labels: ['Voltage (V)', 'Voltage', 'Nominal Voltage'] },
+      {
+        id: 'ampereHour',
+        header: 'Ampere Hour',
+        type: 'number',
+        labels: ['Ref. Amphere Hour (AH)', 'Ampere Hour', 'AH', 'Capacity (AH)', 'Amp Hour']
+      },
+      {
+        id: 'cca',
+        header: 'CCA',
+        type: 'number',
+        labels: ['Cold Cranking Ability (CCA)', 'CCA', 'Cold Cranking Amps', 'Cranking Amps']
+      },
+      {
+        id: 'totalWarranty',
+        header: 'Total Warranty',
+        type: 'number',
+        labels: ['Total Warranty (Months)', 'Total Warranty', 'Warranty Period']
+      },
+      {
+        id: 'freeWarranty',
+        header: 'Free Warranty',
+        type: 'number',
+        labels: ['Free Warranty (Months)', 'Free Warranty', 'Free Service Period']
+      },
+      {
+        id: 'proRataWarranty',
+        header: 'Pro-rata Warranty',
+        type: 'number',
+        labels: ['Pro-rata Warranty (Months)', 'Pro-rata Warranty', 'Prorata Warranty']
+      },
+      { id: 'terminalLayoutImageUrl', header: 'Terminal Layout Image URL', type: 'text' },
+      { id: 'countryOfOrigin', header: 'Country of Origin', type: 'text', labels: ['Country of Origin', 'Made in', 'Origin'] },
+      {
+        id: 'basePrice',
+        header: 'Base Price',
+        type: 'number',
+        group: 'price',
+        labels: ['Base Price (Inclusive of GST)', 'Base Price', 'Original Price', 'MRP']
+      },
+      {
+        id: 'specialDiscount',
+        header: 'Special Discount',
+        type: 'number',
+        group: 'price',
+        labels: ['Special Discount (Till 18th Sep)', 'Special Discount', 'Discount', 'Offer Price']
+      },
+      // Dated promotion of the special discount, kept for the price history rather than exported
+      { id: 'promotionPeriod', header: 'Promotion Period', type: 'text', tables: [] },
+      {
+        id: 'totalPrice',
+        header: 'Total Price',
+        type: 'number',
+        group: 'price',
+        labels: ['Total Price (Inclusive of GST)', 'Total Price', 'Final Price', 'Selling Price']
+      },
+      {
+        id: 'rebate',
+        header: 'Rebate',
+        type: 'number',
+        group: 'price',
+        labels: ['Rebate on Return of old battery', 'Rebate', 'Exchange Value', 'Old Battery Value']
+      },
+      { id: 'currency', header: 'Currency', type: 'text', source: 'normalizer', group: 'price' },
+      { id: 'parseIssues', header: 'Parse Issues', type: 'list', format: 'issues', source: 'normalizer' }
+    ]
+  },
+
+  // Location pricing configuration
+  pricing: {
+    // Delivery pincodes to collect location-dependent prices for (empty = catalogue prices only)
+    pincodes: [],
+    
+    // Price table: one row per battery item code and pincode
+    priceFileName: 'battery-prices.csv'
+  },
+
+  // Price history: every run appends timestamped price observations per item code and pincode
+  priceHistory: {
+    enabled: true,
+    
+    // SQLite database in the output directory (kept across runs)
+    fileName: 'price-history.sqlite'
+  },
+
+  // Concurrency configuration for processing combinations
+  concurrency: {
+    // Number of browser pages processing combinations in parallel
+    workers: 1,
+    
+    // Minimum delay between page requests across all workers (ms)
+    minRequestInterval: 500
+  },
+
+  // Checkpoint configuration for resuming interrupted runs
+  checkpoint: {
+    // Persist progress while processing combinations
+    enabled: true,
+    
+    // Checkpoint file path
+    file: './output/checkpoint.json',
+    
+    // Save the checkpoint after every N processed combinations
+    saveInterval: 1,
+    
+    // Remove the checkpoint file once a run completes successfully
+    clearOnComplete: true
+  },
+
+  // Run snapshots compared by the diff command
+  snapshots: {
+    // Keep a copy of every vehicle/battery pair of each run, whatever the output mode
+    enabled: true,
+    
+    // Directory holding one NDJSON file per run (relative paths are inside the output directory)
+    directory: 'snapshots',
+    
+    // Number of completed snapshots to keep (0 = keep all)
+    keep: 10
+  },
+
+  // Run comparison configuration (diff command)
+  diff: {
+    // Record fields compared per item code
+    priceFields: ['basePrice', 'specialDiscount', 'totalPrice', 'rebate'],
+    warrantyFields: ['totalWarranty', 'freeWarranty', 'proRataWarranty'],
+    
+    // Human-readable report and machine-readable change set, written to the output directory
+    reportFileName: 'run-diff.txt',
+    changesetFileName: 'run-diff.json'
+  },
+
   // Browser configuration
   browser: {
     // Puppeteer launch options
@@ -142,12 +382,15 @@ const config = {
 
   // Retry and error handling configuration
   retry: {
-    // Maximum number of retries for failed operations
+    // Maximum number of attempts for a failed navigation, dropdown selection or extraction
     maxRetries: 3,
     
-    // Retry delay multiplier for exponential backoff
+    // Retry delay multiplier for exponential backoff (the first retry waits timeouts.retryDelay)
     backoffMultiplier: 2,
     
+    // Re-attempt combinations that failed with transient errors once more at the end of the run
+    retryFailedCombinations: true,
+    
     // Operations that should be retried
     retryableOperations: [
       'navigation',
@@ -174,7 +417,9 @@ const config = {
       'net::ERR_NAME_NOT_RESOLVED',
       'net::ERR_INTERNET_DISCONNECTED',
       'Navigation timeout',
-      'Protocol error'
+      'TimeoutError',
+      'Protocol error',
+      'Failed to fetch'
     ],
     
     // Element error patterns that should trigger retries
@@ -191,24 +436,26 @@ const config = {
 
   // Error handling configuration
   errorHandling: {
-    // Maximum consecutive errors before aborting
+    // Maximum consecutive errors (across all combinations and workers) before aborting the run
     maxConsecutiveErrors: 10,
     
-    // Whether to continue processing after errors
+    // Whether to continue processing after a combination is skipped (false aborts the run)
     continueOnError: true,
     
     // Whether to save partial results on error
     savePartialResults: true,
     
-    // Error recovery strategies
+    // Error recovery strategies (0 disables a strategy)
+    // A failed combination is retried until it is skipped; the consecutive error count is reset by any success.
+    // Every failed attempt counts, so the thresholds must stay in the order page refresh < browser restart < abort
     recoveryStrategies: {
-      // Refresh page after N consecutive errors
-      pageRefreshThreshold: 5,
+      // Replace the failing worker's page with a fresh one every N consecutive errors
+      pageRefreshThreshold: 3,
       
-      // Restart browser after N consecutive errors
-      browserRestartThreshold: 15,
+      // Restart the browser and every page every N consecutive errors
+      browserRestartThreshold: 6,
       
-      // Skip combination after N consecutive errors
+      // Skip a combination after N failed attempts (an interrupted run tries it again on --resume)
       skipCombinationThreshold: 3
     },
     
@@ -220,53 +467,102 @@ const config = {
       // Include stack traces in error logs
       includeStackTrace: false,
       
-      // Save error logs to file
+      // Save every failure to the error log as a JSON line (phase, combination, URL, error class, attempts)
       saveErrorLogs: false,
       
       // Error log file path
-      errorLogFile: './output/error-log.txt'
+      errorLogFile: './output/error-log.jsonl',
+      
+      // Save the page HTML and/or a screenshot with each logged failure
+      captureHtml: false,
+      captureScreenshot: false,
+      snapshotDirectory: './output/error-snapshots'
     }
   },
 
   // Logging configuration
   logging: {
-    // Log levels: 'error', 'warn', 'info', 'debug'
+    // Log levels: 'error', 'warn', 'info', 'debug' (lines below the level are dropped; --verbose sets debug)
     level: 'info',
     
+    // 'text' or 'json' (one object per line with timestamp, level, runId, combination and message)
+    format: 'text',
+    
     // Enable progress logging
     showProgress: true,
     
-    // Log file path (optional)
+    // Log file path (optional); every line shown on the console is also appended here
     logFile: null,
     
+    // Rotate the log file when it would grow past this many bytes (0 disables rotation),
+    // keeping this many older files (.1 is the newest)
+    maxFileSize: 10 * 1024 * 1024,
+    maxFiles: 5,
+    
     // Enable timestamp in logs
     timestamp: true
   },
 
-  // Data validation rules
-  validation: {
-    // Required fields that must be present
-    requiredFields: [
-      'vehicleType',
-      'brand',
-      'model',
-      'fuelType'
-    ],
+  // Live progress while combinations are processed
+  progress: {
+    // Compact progress bar on the terminal: 'auto' (when stderr is a terminal), 'always' or 'never'
+    bar: 'auto',
     
-    // Fields that should be numeric
-    numericFields: [
-      'voltage',
-      'ampereHour',
-      'cca',
-      'totalWarranty',
-      'freeWarranty',
-      'proRataWarranty',
-      'basePrice',
-      'totalPrice'
-    ],
+    // Print the progress report box every this many seconds (0 disables it)
+    reportInterval: 60,
     
+    // Progress events, one JSON object per line for monitoring to tail (null disables)
+    file: null
+  },
+
+  // Data validation rules
+  validation: {
+    // Required and numeric fields are marked per field in the battery schema
     // Maximum length for text fields
     maxFieldLength: 500
+  },
+
+  // End-of-run data quality report
+  quality: {
+    enabled: true,
+
+    // Report files in the output directory
+    reportFileName: 'quality-report.json',
+    htmlFileName: 'quality-report.html',
+
+    // Limits that fail the run (exit code 1); null disables a check
+    thresholds: {
+      // Minimum share of records with a value per field, e.g. { itemCode: 1, totalPrice: 0.9 }
+      minFillRate: {},
+
+      // Values the normalizer could not parse
+      maxParseIssues: null,
+
+      // Records without an item code
+      maxMissingItemCodes: null,
+
+      // Records missing a required schema field
+      maxMissingRequiredFields: 0,
+
+      // Battery pages that loaded but listed no battery
+      maxEmptyPages: null
+    }
+  },
+
+  // Unit parsing applied between extraction and export
+  normalization: {
+    // Currency assumed for prices without a symbol or code
+    defaultCurrency: 'INR',
+    
+    // Currency symbols and codes recognized before or after a price
+    currencySymbols: {
+      '₹': 'INR',
+      'Rs': 'INR',
+      'INR': 'INR'
+    },
+    
+    // Unit assumed for dimensions without one ('mm', 'cm' or 'inch')
+    defaultDimensionUnit: 'mm'
   }
 };
 
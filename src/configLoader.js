@@ -0,0 +1,463 @@
+/**
+ * Configuration Loader Module for Amaron Battery Scraper
+ * Layers a configuration file (--config) and AMARON_* environment variables over the defaults
+ * in config.js, and validates the merged configuration before a run starts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+const UrlBuilder = require('./urlBuilder');
+const BatterySchema = require('./batterySchema');
+const CombinationFilter = require('./combinationFilter');
+const { LEVELS, LOG_FORMATS } = require('./logger');
+const { PROGRESS_BAR_MODES } = require('./progressRenderers');
+
+// Supported output formats
+const OUTPUT_FORMATS = ['csv', 'json', 'ndjson', 'sqlite'];
+
+// Supported output modes
+const OUTPUT_MODES = ['dedupe', 'all', 'fitment'];
+
+// Environment variable naming the configuration file (same as --config)
+const CONFIG_FILE_VARIABLE = 'AMARON_CONFIG';
+
+// Short names kept for the site settings, next to AMARON_SITE_BASE_URL and friends
+const ENV_ALIASES = {
+  AMARON_BASE_URL: 'site.baseUrl',
+  AMARON_DISCOVERY_PATH: 'site.discoveryPath',
+  AMARON_BATTERY_PATH_TEMPLATE: 'site.batteryPathTemplate'
+};
+
+// File paths that default to a location in ./output: left at their defaults, they move with output.outputDirectory
+const OUTPUT_PATHS = [
+  'output.combinationsFile',
+  'output.failedCombinationsFile',
+  'checkpoint.file',
+  'errorHandling.reporting.errorLogFile',
+  'errorHandling.reporting.snapshotDirectory'
+];
+
+// Maps whose keys are chosen by the user; every other object only accepts the keys it defines
+const OPEN_SETTINGS = ['normalization.currencySymbols', 'quality.thresholds.minFillRate'];
+
+/**
+ * Copy a JSON-compatible setting value
+ * @param {*} value - Setting value
+ * @returns {*} Independent copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe the kind of a setting value for type checks and messages
+ * @param {*} value - Setting value
+ * @returns {string} 'null', 'array', 'object', 'number', 'string' or 'boolean'
+ */
+function kindOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Read a dotted setting path
+ * @param {Object} target - Configuration object
+ * @param {string} settingPath - e.g. 'timeouts.navigation'
+ * @returns {*} Value, or undefined when the path does not exist
+ */
+function getSetting(target, settingPath) {
+  return settingPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), target);
+}
+
+/**
+ * Write a dotted setting path
+ * @param {Object} target - Configuration object
+ * @param {string} settingPath - e.g. 'timeouts.navigation'
+ * @param {*} value - New value
+ */
+function setSetting(target, settingPath, value) {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  keys.reduce((object, key) => object[key], target)[last] = value;
+}
+
+/**
+ * Convert a camelCase setting name to an environment variable segment
+ * @param {string} key - Setting name, e.g. 'outputDirectory'
+ * @returns {string} e.g. 'OUTPUT_DIRECTORY'
+ */
+function toEnvSegment(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * List the settings that take a single value: scalars, lists and open maps
+ * @param {Object} object - Configuration (sub)object
+ * @param {string} prefix - Path of the object
+ * @returns {Array<string>} Setting paths
+ */
+function listSettings(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const settingPath = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) && !OPEN_SETTINGS.includes(settingPath)
+      ? listSettings(value, settingPath)
+      : [settingPath];
+  });
+}
+
+/**
+ * Build a rule accepting one of a fixed set of values
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {Function} Rule
+ */
+function oneOf(allowed) {
+  return value => (allowed.includes(value) ? null : `must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+}
+
+/**
+ * Build a rule accepting null or a non-negative whole number
+ * @returns {Function} Rule
+ */
+function optionalCount() {
+  return value => (value === null || (Number.isInteger(value) && value >= 0) ? null : 'must be null or a whole number of 0 or more');
+}
+
+/**
+ * Build a rule accepting null or a non-empty string
+ * @returns {Function} Rule
+ */
+function optionalPath() {
+  return value => (value === null || (typeof value === 'string' && value.trim() !== '') ? null : 'must be null or a file path');
+}
+
+/**
+ * Run a validation that throws, turning its error into a rule message
+ * @param {Function} check - Throws on invalid values
+ * @returns {Function} Rule
+ */
+function throwsNot(check) {
+  return value => {
+    try {
+      check(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+}
+
+// Checks beyond the type of the default value, by setting path; a rule returns an error message or null
+const RULES = {
+  site: throwsNot(site => new UrlBuilder(site)),
+  'site.discoveryPath': value => (value.startsWith('/') ? null : 'must start with /'),
+  'site.batteryPathTemplate': value => (value.startsWith('/') ? null : 'must start with /'),
+  selectors: selectors => {
+    const empty = Object.keys(selectors).filter(name => selectors[name].trim() === '');
+    return empty.length > 0 ? `must not be empty: ${empty.join(', ')}` : null;
+  },
+  'discovery.strategy': oneOf(['ajax', 'dom']),
+  'discovery.ajaxUrlPattern': throwsNot(pattern => new RegExp(pattern)),
+  filters: throwsNot(filters => new CombinationFilter(filters)),
+  'output.mode': oneOf(OUTPUT_MODES),
+  'output.formats': formats => {
+    const unsupported = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (formats.length === 0 || unsupported.length > 0) {
+      return `must list one or more of ${OUTPUT_FORMATS.join(', ')}${unsupported.length > 0 ? ` (got ${unsupported.join(', ')})` : ''}`;
+    }
+    return null;
+  },
+  'output.csvFileName': value => (value.trim() !== '' ? null : 'must not be empty'),
+  'output.outputDirectory': value => (value.trim() !== '' ? null : 'must not be empty'),
+  'output.jsonFlushInterval': value => (Number.isInteger(value) && value >= 1 ? null : 'must be a whole number of 1 or more'),
+  'schema.file': optionalPath(),
+  'schema.fields': throwsNot(fields => BatterySchema.validateFields(fields)),
+  'pricing.pincodes': pincodes => {
+    const invalid = pincodes.filter(pincode => !/^[1-9]\d{5}$/.test(String(pincode)));
+    return invalid.length > 0 ? `must be six digit pincodes (got ${invalid.join(', ')})` : null;
+  },
+  'concurrency.workers': value => (Number.isInteger(value) && value >= 1 ? null : 'must be a whole number of 1 or more'),
+  'checkpoint.saveInterval': value => (Number.isInteger(value) && value >= 1 ? null : 'must be a whole number of 1 or more'),
+  errorHandling: ({ maxConsecutiveErrors, recoveryStrategies: { pageRefreshThreshold, browserRestartThreshold } }) => {
+    // Disabled (0) steps drop out; the remaining ones must escalate
+    const steps = [
+      ['recoveryStrategies.pageRefreshThreshold', pageRefreshThreshold],
+      ['recoveryStrategies.browserRestartThreshold', browserRestartThreshold],
+      ['maxConsecutiveErrors', maxConsecutiveErrors]
+    ].filter(([, value]) => value > 0);
+    const misordered = steps.find(([, value], index) => index > 0 && value <= steps[index - 1][1]);
+    return misordered
+      ? `thresholds must escalate: pageRefreshThreshold < browserRestartThreshold < maxConsecutiveErrors (got ${steps.map(([name, value]) => `${name} ${value}`).join(', ')})`
+      : null;
+  },
+  'errorHandling.maxConsecutiveErrors': value => (Number.isInteger(value) ? null : 'must be a whole number (0 disables the limit)'),
+  'errorHandling.recoveryStrategies': strategies => {
+    const invalid = Object.keys(strategies).filter(name => !Number.isInteger(strategies[name]));
+    return invalid.length > 0 ? `must be whole numbers (0 disables a strategy): ${invalid.join(', ')}` : null;
+  },
+  'retry.maxRetries': value => (Number.isInteger(value) && value >= 1 ? null : `must be a whole number of attempts, 1 or more (got ${value})`),
+  'retry.backoffMultiplier': value => (value >= 1 ? null : 'must be 1 or more'),
+  'logging.level': oneOf(LEVELS),
+  'logging.format': oneOf(LOG_FORMATS),
+  'logging.logFile': optionalPath(),
+  'logging.maxFileSize': value => (Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of bytes (0 disables rotation)'),
+  'logging.maxFiles': value => (Number.isInteger(value) && value >= 0 ? null : 'must be a whole number'),
+  'progress.bar': oneOf(PROGRESS_BAR_MODES),
+  'progress.reportInterval': value => (value >= 0 ? null : 'must be a number of seconds (0 disables the report)'),
+  'progress.file': optionalPath(),
+  'quality.thresholds.minFillRate': rates => {
+    const invalid = Object.keys(rates).filter(field => typeof rates[field] !== 'number' || rates[field] < 0 || rates[field] > 1);
+    return invalid.length > 0 ? `must map fields to shares between 0 and 1 (invalid: ${invalid.join(', ')})` : null;
+  },
+  'quality.thresholds.maxParseIssues': optionalCount(),
+  'quality.thresholds.maxMissingItemCodes': optionalCount(),
+  'quality.thresholds.maxMissingRequiredFields': optionalCount(),
+  'quality.thresholds.maxEmptyPages': optionalCount(),
+  'normalization.currencySymbols': symbols => {
+    const invalid = Object.keys(symbols).filter(symbol => typeof symbols[symbol] !== 'string' || !/^[A-Z]{3}$/.test(symbols[symbol]));
+    return invalid.length > 0 ? `must map symbols to three letter currency codes (invalid: ${invalid.join(', ')})` : null;
+  },
+  'normalization.defaultDimensionUnit': oneOf(['mm', 'cm', 'inch'])
+};
+
+// Defaults as shipped, before any file, environment or CLI override
+const DEFAULTS = clone(config);
+
+class ConfigLoader {
+  /**
+   * Read a configuration file
+   * @param {string} filePath - .json file, or .js module exporting the settings
+   * @returns {Object} Settings to merge over the defaults
+   */
+  static loadFile(filePath) {
+    const resolved = path.resolve(filePath);
+    const extension = path.extname(resolved).toLowerCase();
+    let settings;
+
+    try {
+      if (extension === '.json') {
+        settings = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      } else if (extension === '.js' || extension === '.cjs') {
+        settings = require(resolved);
+      }
+    } catch (error) {
+      throw new Error(`Failed to load config file ${filePath}: ${error.message}`);
+    }
+
+    if (settings === undefined) {
+      throw new Error(`Unsupported config file: ${filePath} (expected .json or .js)`);
+    }
+    if (!isPlainObject(settings)) {
+      throw new Error(`Config file ${filePath} must contain an object of settings`);
+    }
+    return settings;
+  }
+
+  /**
+   * Deep-merge settings into a configuration: objects are merged key by key,
+   * lists and other values replace the default
+   * @param {Object} target - Configuration to change
+   * @param {Object} settings - Settings to merge
+   * @param {Array<string>} unknown - Collects setting paths that do not exist
+   * @param {string} prefix - Path of target
+   * @returns {Array<string>} Unknown setting paths
+   */
+  static merge(target, settings, unknown = [], prefix = '') {
+    for (const [key, value] of Object.entries(settings)) {
+      const settingPath = prefix ? `${prefix}.${key}` : key;
+
+      if (!(key in target) && !OPEN_SETTINGS.includes(prefix)) {
+        unknown.push(settingPath);
+      } else if (isPlainObject(target[key]) && isPlainObject(value)) {
+        ConfigLoader.merge(target[key], value, unknown, settingPath);
+      } else {
+        target[key] = clone(value);
+      }
+    }
+    return unknown;
+  }
+
+  /**
+   * Map every environment variable name to the setting it overrides
+   * Names are AMARON_ plus the setting path in upper snake case, e.g.
+   * timeouts.navigation -> AMARON_TIMEOUTS_NAVIGATION
+   * @returns {Object} { AMARON_...: settingPath }
+   */
+  static getEnvironmentVariables() {
+    const variables = { ...ENV_ALIASES };
+    for (const settingPath of listSettings(DEFAULTS)) {
+      variables[`AMARON_${settingPath.split('.').map(toEnvSegment).join('_')}`] = settingPath;
+    }
+    return variables;
+  }
+
+  /**
+   * Parse an environment variable into the type of the setting's default
+   * @param {string} name - Variable name (for messages)
+   * @param {string} raw - Variable value
+   * @param {*} defaultValue - Default of the setting
+   * @returns {*} Parsed value
+   */
+  static parseEnvironmentValue(name, raw, defaultValue) {
+    const text = raw.trim();
+    const parseJson = () => {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`${name} must be JSON: ${error.message}`);
+      }
+    };
+
+    switch (kindOf(defaultValue)) {
+      case 'number': {
+        const number = Number(text);
+        if (text === '' || !Number.isFinite(number)) {
+          throw new Error(`${name} must be a number (got "${raw}")`);
+        }
+        return number;
+      }
+      case 'boolean':
+        if (/^(true|1|yes)$/i.test(text)) {
+          return true;
+        }
+        if (/^(false|0|no)$/i.test(text)) {
+          return false;
+        }
+        throw new Error(`${name} must be true or false (got "${raw}")`);
+      case 'array':
+        // JSON for lists of objects, otherwise a comma separated list
+        return text.startsWith('[') ? parseJson() : text.split(',').map(item => item.trim()).filter(Boolean);
+      case 'object':
+        return parseJson();
+      case 'null':
+        if (text === '' || text === 'null') {
+          return null;
+        }
+        return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : raw;
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Apply AMARON_* environment variables to a configuration
+   * @param {Object} env - Environment (process.env)
+   * @param {Object} target - Configuration to change
+   * @returns {Array<string>} Names of the variables applied
+   */
+  static applyEnvironment(env = process.env, target = config) {
+    const variables = ConfigLoader.getEnvironmentVariables();
+    // Short aliases first, so the full names win when both are set
+    const names = Object.keys(env)
+      .filter(name => name.startsWith('AMARON_') && name !== CONFIG_FILE_VARIABLE)
+      .sort((a, b) => Number(!(a in ENV_ALIASES)) - Number(!(b in ENV_ALIASES)));
+
+    // Variables of other tools or other versions sharing the prefix are reported, not fatal
+    const unknown = names.filter(name => !variables[name]);
+    if (unknown.length > 0) {
+      utils.logProgress(`Ignoring unknown environment variable(s): ${unknown.join(', ')} (AMARON_<SECTION>_<SETTING>, e.g. AMARON_TIMEOUTS_NAVIGATION)`, 'warn');
+    }
+
+    const known = names.filter(name => variables[name]);
+    for (const name of known) {
+      const settingPath = variables[name];
+      setSetting(target, settingPath, ConfigLoader.parseEnvironmentValue(name, env[name], getSetting(DEFAULTS, settingPath)));
+    }
+    return known;
+  }
+
+  /**
+   * Move the output paths still at their defaults into the configured output directory
+   * A path set by the config file or environment is kept as given
+   * @param {Object} target - Configuration to change
+   * @returns {Array<string>} Setting paths moved
+   */
+  static applyOutputDirectory(target = config) {
+    const defaultDirectory = DEFAULTS.output.outputDirectory;
+    const directory = target.output.outputDirectory;
+    if (typeof directory !== 'string' || path.normalize(directory) === path.normalize(defaultDirectory)) {
+      return [];
+    }
+
+    const moved = OUTPUT_PATHS.filter(settingPath => getSetting(target, settingPath) === getSetting(DEFAULTS, settingPath));
+    for (const settingPath of moved) {
+      setSetting(target, settingPath, path.join(directory, path.relative(defaultDirectory, getSetting(DEFAULTS, settingPath))));
+    }
+    return moved;
+  }
+
+  /**
+   * Layer the configuration file and environment variables over a configuration,
+   * then move the default output paths into the resulting output directory
+   * @param {Object} options - { file: config file path (default AMARON_CONFIG), env: environment }
+   * @param {Object} target - Configuration to change
+   * @returns {Object} { file: applied file or null, variables: applied variable names }
+   */
+  static load({ file = null, env = process.env } = {}, target = config) {
+    const configFile = file || env[CONFIG_FILE_VARIABLE] || null;
+
+    if (configFile) {
+      const unknown = ConfigLoader.merge(target, ConfigLoader.loadFile(configFile));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown setting(s) in config file ${configFile}: ${unknown.join(', ')}`);
+      }
+    }
+
+    const variables = ConfigLoader.applyEnvironment(env, target);
+    ConfigLoader.applyOutputDirectory(target);
+    return { file: configFile, variables };
+  }
+
+  /**
+   * Check every setting against the type of its default and the rules above
+   * @param {Object} target - Configuration to check
+   * @throws {Error} Listing every invalid setting
+   */
+  static validate(target = config) {
+    const errors = [];
+
+    for (const settingPath of listSettings(DEFAULTS)) {
+      const value = getSetting(target, settingPath);
+      const expected = kindOf(getSetting(DEFAULTS, settingPath));
+
+      if (expected !== 'null' && kindOf(value) !== expected) {
+        errors.push(`${settingPath} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected} (got ${JSON.stringify(value)})`);
+      } else if (expected === 'number' && (!Number.isFinite(value) || value < 0)) {
+        errors.push(`${settingPath} must be a number of 0 or more (got ${value})`);
+      }
+    }
+
+    // Rules only run on settings of the right type
+    for (const [settingPath, rule] of Object.entries(RULES)) {
+      if (errors.some(error => error.startsWith(`${settingPath} `) || error.startsWith(`${settingPath}.`))) {
+        continue;
+      }
+      const message = rule(getSetting(target, settingPath));
+      if (message) {
+        errors.push(`${settingPath} ${message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+  }
+}
+
+module.exports = ConfigLoader;
+module.exports.OUTPUT_FORMATS = OUTPUT_FORMATS;
+module.exports.OUTPUT_MODES = OUTPUT_MODES;
+module.exports.CONFIG_FILE_VARIABLE = CONFIG_FILE_VARIABLE;
+module.exports.OUTPUT_PATHS = OUTPUT_PATHS;
@@ -7,29 +7,44 @@ const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
+const utils = require('./utils');
+const BaseExporter = require('./baseExporter');
 
-class CSVExporter {
+class CSVExporter extends BaseExporter {
   constructor(fileName = null, headers = null) {
-    this.fileName = fileName || config.output.csvFileName;
-    this.headers = headers || config.output.csvHeaders;
-    this.outputDirectory = config.output.outputDirectory;
+    super(fileName || config.output.csvFileName, headers);
     this.csvWriter = null;
-    this.filePath = null;
-    this.recordCount = 0;
-    this.isInitialized = false;
+  }
+
+  /**
+   * Exporter lifecycle entry point
+   * @param {Object} options - Initialization options
+   */
+  async initialize(options = {}) {
+    return this.initializeCSV(options);
+  }
+
+  /**
+   * Exporter lifecycle exit point
+   * @returns {Object} Summary of CSV export
+   */
+  async finalize() {
+    return this.finalizeCSV();
   }
 
   /**
    * Initialize CSV file with headers
    * Creates output directory if it doesn't exist and sets up CSV writer
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.append - Append to an existing file instead of overwriting it
    */
-  async initializeCSV() {
+  async initializeCSV(options = {}) {
     const maxRetries = 3;
     let lastError = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        console.log(`Initializing CSV file (attempt ${attempt}/${maxRetries})...`);
+        utils.logProgress(`Initializing CSV file (attempt ${attempt}/${maxRetries})...`, 'debug');
         
         // Validate configuration
         if (!this.fileName || typeof this.fileName !== 'string') {
@@ -52,9 +67,15 @@ class CSVExporter {
         }
 
         // Check if file already exists and handle appropriately
+        let appendToExisting = false;
         try {
-          await fs.access(this.filePath);
-          console.log(`Warning: CSV file already exists and will be overwritten: ${this.filePath}`);
+          const existingStats = await fs.stat(this.filePath);
+          if (options.append && existingStats.size > 0) {
+            appendToExisting = true;
+            utils.logProgress(`Appending to existing CSV file: ${this.filePath}`);
+          } else {
+            utils.logProgress(`CSV file already exists and will be overwritten: ${this.filePath}`, 'warn');
+          }
         } catch (accessError) {
           // File doesn't exist, which is fine
         }
@@ -90,7 +111,8 @@ class CSVExporter {
           this.csvWriter = createCsvWriter({
             path: this.filePath,
             header: headerConfig,
-            encoding: 'utf8'
+            encoding: 'utf8',
+            append: appendToExisting
           });
         } catch (writerError) {
           throw new Error(`Failed to create CSV writer: ${writerError.message}`);
@@ -100,9 +122,13 @@ class CSVExporter {
           throw new Error('CSV writer is null after initialization');
         }
 
-        // Test write permissions by creating an empty file
+        // Test write permissions by creating an empty file (or opening the existing one for append)
         try {
-          await fs.writeFile(this.filePath, '', 'utf8');
+          if (appendToExisting) {
+            await fs.access(this.filePath, fs.constants.W_OK);
+          } else {
+            await fs.writeFile(this.filePath, '', 'utf8');
+          }
         } catch (writeError) {
           throw new Error(`Cannot write to CSV file path: ${writeError.message}`);
         }
@@ -110,13 +136,13 @@ class CSVExporter {
         this.isInitialized = true;
         this.recordCount = 0;
         
-        console.log(`CSV file initialized successfully: ${this.filePath}`);
-        console.log(`Headers configured: ${this.headers.length} columns`);
+        utils.logProgress(`CSV file initialized successfully: ${this.filePath}`);
+        utils.logProgress(`Headers configured: ${this.headers.length} columns`, 'debug');
         return true;
         
       } catch (error) {
         lastError = error;
-        console.error(`CSV initialization attempt ${attempt} failed: ${error.message}`);
+        utils.logProgress(`CSV initialization attempt ${attempt} failed: ${error.message}`, 'warn');
         
         // Clean up on failure
         this.isInitialized = false;
@@ -134,10 +160,10 @@ class CSVExporter {
   }
 
   /**
-   * Append a battery record to the CSV file with comprehensive error handling
+   * Write a single battery record to the CSV file with comprehensive error handling
    * @param {Object} batteryData - Raw battery data object
    */
-  async appendBatteryRecord(batteryData) {
+  async writeBatteryRecord(batteryData) {
     const maxRetries = 3;
     let lastError = null;
 
@@ -172,7 +198,7 @@ class CSVExporter {
         try {
           this.validateBatteryData(formattedData);
         } catch (validationError) {
-          console.warn(`Data validation warning: ${validationError.message}`);
+          utils.logProgress(`Data validation warning: ${validationError.message}`, 'warn');
           // Continue with warning, don't fail completely
         }
         
@@ -198,7 +224,7 @@ class CSVExporter {
         this.recordCount++;
         
         if (config.logging.showProgress && this.recordCount % 10 === 0) {
-          console.log(`Records written: ${this.recordCount}`);
+          utils.logProgress(`Records written: ${this.recordCount}`);
         }
         
         // Verify the write was successful by checking file size
@@ -209,7 +235,7 @@ class CSVExporter {
               throw new Error('CSV file is empty after write operations');
             }
           } catch (statError) {
-            console.warn(`Could not verify CSV file: ${statError.message}`);
+            utils.logProgress(`Could not verify CSV file: ${statError.message}`, 'warn');
           }
         }
         
@@ -217,11 +243,11 @@ class CSVExporter {
         
       } catch (error) {
         lastError = error;
-        console.error(`CSV append attempt ${attempt} failed: ${error.message}`);
+        utils.logProgress(`CSV append attempt ${attempt} failed: ${error.message}`, 'warn');
         
         // Log problematic data for debugging
         if (batteryData) {
-          console.error(`Problematic data: ${JSON.stringify(batteryData, null, 2).substring(0, 500)}...`);
+          utils.logProgress(`Problematic data: ${JSON.stringify(batteryData, null, 2).substring(0, 500)}...`, 'debug');
         }
         
         // Check for non-retryable errors
@@ -237,7 +263,7 @@ class CSVExporter {
         
         // Wait before retry with exponential backoff
         const delay = 1000 * Math.pow(2, attempt - 1);
-        console.warn(`Retrying CSV append in ${delay}ms...`);
+        utils.logProgress(`Retrying CSV append in ${delay}ms...`, 'warn');
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -245,6 +271,7 @@ class CSVExporter {
 
   /**
    * Format raw battery data for CSV output
+   * Each column is looked up in the battery schema and written with the field's formatter
    * @param {Object} rawData - Raw battery data from scraper
    * @returns {Object} Formatted data object matching CSV headers
    */
@@ -254,78 +281,8 @@ class CSVExporter {
     // Map each header to corresponding data field
     this.headers.forEach(header => {
       const fieldId = this.convertHeaderToId(header);
-      let value = '';
-      
-      switch (header) {
-        case 'Vehicle Type':
-          value = rawData.vehicleType || '';
-          break;
-        case 'Brand':
-          value = rawData.brand || '';
-          break;
-        case 'Model':
-          value = rawData.model || '';
-          break;
-        case 'Fuel Type':
-          value = rawData.fuelType || '';
-          break;
-        case 'Battery Brand':
-          value = rawData.batteryBrand || '';
-          break;
-        case 'Series':
-          value = rawData.series || '';
-          break;
-        case 'Item Code':
-          value = rawData.itemCode || '';
-          break;
-        case 'Battery Model':
-          value = rawData.batteryModel || '';
-          break;
-        case 'Battery Title':
-          value = rawData.batteryTitle || '';
-          break;
-        case 'Dimensions':
-          value = rawData.dimensions || '';
-          break;
-        case 'Voltage':
-          value = this.formatNumericValue(rawData.voltage);
-          break;
-        case 'Ampere Hour':
-          value = this.formatNumericValue(rawData.ampereHour);
-          break;
-        case 'CCA':
-          value = this.formatNumericValue(rawData.cca);
-          break;
-        case 'Total Warranty':
-          value = this.formatNumericValue(rawData.totalWarranty);
-          break;
-        case 'Free Warranty':
-          value = this.formatNumericValue(rawData.freeWarranty);
-          break;
-        case 'Pro-rata Warranty':
-          value = this.formatNumericValue(rawData.proRataWarranty);
-          break;
-        case 'Terminal Layout Image URL':
-          value = rawData.terminalLayoutImageUrl || '';
-          break;
-        case 'Country of Origin':
-          value = rawData.countryOfOrigin || '';
-          break;
-        case 'Base Price':
-          value = rawData.basePrice || '';
-          break;
-        case 'Special Discount':
-          value = rawData.specialDiscount || '';
-          break;
-        case 'Total Price':
-          value = rawData.totalPrice || '';
-          break;
-        case 'Rebate':
-          value = rawData.rebate || '';
-          break;
-        default:
-          value = '';
-      }
+      const field = this.schema.getFieldByHeader(header);
+      const value = field ? this.formatFieldValue(field, rawData[field.id]) : '';
       
       formatted[fieldId] = this.sanitizeValue(value);
     });
@@ -333,6 +290,25 @@ class CSVExporter {
     return formatted;
   }
 
+  /**
+   * Format one field value with the formatter named in the schema
+   * @param {Object} field - Schema field
+   * @param {*} value - Raw value
+   * @returns {string} Formatted value
+   */
+  formatFieldValue(field, value) {
+    switch (field.format) {
+      case 'number':
+        return this.formatNumericValue(value);
+      case 'issues':
+        return this.formatParseIssues(value);
+      case 'list':
+        return Array.isArray(value) ? value.join('; ') : (value || '');
+      default:
+        return value === null || value === undefined ? '' : value;
+    }
+  }
+
   /**
    * Finalize CSV file and perform cleanup
    * @returns {Object} Summary of CSV export
@@ -342,6 +318,9 @@ class CSVExporter {
       throw new Error('CSV exporter not initialized.');
     }
 
+    // Wait for queued writes to finish
+    await this.writeQueue;
+
     try {
       // Verify file exists and get stats
       const stats = await fs.stat(this.filePath);
@@ -351,47 +330,23 @@ class CSVExporter {
         recordCount: this.recordCount,
         fileSize: stats.size,
         fileName: this.fileName,
+        format: 'csv',
         completed: true
       };
       
-      console.log(`CSV export completed: ${this.recordCount} records written to ${this.filePath}`);
-      console.log(`File size: ${(stats.size / 1024).toFixed(2)} KB`);
+      utils.logProgress(`CSV export completed: ${this.recordCount} records written to ${this.filePath}`);
+      utils.logProgress(`File size: ${(stats.size / 1024).toFixed(2)} KB`, 'debug');
       
       return summary;
     } catch (error) {
-      console.error('Error finalizing CSV file:', error);
+      utils.logProgress(`Error finalizing CSV file: ${error.message}`, 'error');
       throw new Error(`Failed to finalize CSV file: ${error.message}`);
     }
   }
 
-  /**
-   * Ensure output directory exists, create if necessary
-   */
-  async ensureOutputDirectory() {
-    try {
-      await fs.access(this.outputDirectory);
-    } catch (error) {
-      // Directory doesn't exist, create it
-      await fs.mkdir(this.outputDirectory, { recursive: true });
-      console.log(`Created output directory: ${this.outputDirectory}`);
-    }
-  }
-
-  /**
-   * Convert header string to valid field ID
-   * @param {string} header - Header string
-   * @returns {string} Field ID
-   */
-  convertHeaderToId(header) {
-    return header
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '_')
-      .replace(/_+/g, '_')
-      .replace(/^_|_$/g, '');
-  }
-
   /**
    * Format numeric values for CSV output
+   * Normalized records already hold numbers; raw text such as '35 AH' or '₹4,599' is parsed as a fallback
    * @param {*} value - Value to format
    * @returns {string} Formatted numeric value or empty string
    */
@@ -400,8 +355,20 @@ class CSVExporter {
       return '';
     }
     
-    const numValue = parseFloat(value);
-    return isNaN(numValue) ? '' : numValue.toString();
+    const numValue = this.parseNumber(value);
+    return numValue === null ? '' : numValue.toString();
+  }
+
+  /**
+   * Format the normalizer's parse issues as one CSV cell
+   * @param {Array<Object>} parseIssues - Issues with field and original value
+   * @returns {string} e.g. 'ampereHour: N/A; dimensions: see chart'
+   */
+  formatParseIssues(parseIssues) {
+    if (!Array.isArray(parseIssues)) {
+      return '';
+    }
+    return parseIssues.map(issue => `${issue.field}: ${issue.value}`).join('; ');
   }
 
   /**
@@ -433,50 +400,30 @@ class CSVExporter {
    */
   validateBatteryData(data) {
     // Check for required fields
-    const requiredFields = ['vehicle_type', 'brand', 'model', 'fuel_type'];
-    
-    for (const field of requiredFields) {
-      if (!data[field] || data[field].trim() === '') {
-        console.warn(`Missing required field: ${field}`);
+    for (const field of this.schema.getRequiredFields()) {
+      const column = this.convertHeaderToId(field.header);
+      
+      // Only check fields that are part of this file's headers
+      if (!(column in data)) {
+        continue;
+      }
+      
+      if (!data[column] || data[column].trim() === '') {
+        utils.logProgress(`Missing required field: ${column}`, 'warn');
       }
     }
     
     // Validate numeric fields
-    const numericFields = ['voltage', 'ampere_hour', 'cca', 'total_warranty', 'free_warranty', 'pro_rata_warranty'];
-    
-    for (const field of numericFields) {
-      if (data[field] && data[field] !== '') {
-        const numValue = parseFloat(data[field]);
+    for (const field of this.schema.getNumericFields()) {
+      const column = this.convertHeaderToId(field.header);
+      if (data[column] && data[column] !== '') {
+        const numValue = parseFloat(data[column]);
         if (isNaN(numValue)) {
-          console.warn(`Invalid numeric value for field ${field}: ${data[field]}`);
+          utils.logProgress(`Invalid numeric value for field ${column}: ${data[column]}`, 'warn');
         }
       }
     }
   }
-
-  /**
-   * Get current record count
-   * @returns {number} Number of records written
-   */
-  getRecordCount() {
-    return this.recordCount;
-  }
-
-  /**
-   * Get file path
-   * @returns {string} Full file path
-   */
-  getFilePath() {
-    return this.filePath;
-  }
-
-  /**
-   * Check if CSV exporter is initialized
-   * @returns {boolean} Initialization status
-   */
-  isReady() {
-    return this.isInitialized;
-  }
 }
 
 module.exports = CSVExporter;
\ No newline at end of file
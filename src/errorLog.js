@@ -0,0 +1,167 @@
+/**
+ * Error Log Module for Amaron Battery Scraper
+ * Appends every failure to a JSON lines file (config.errorHandling.reporting) with the combination,
+ * URL, phase, error class and attempt count, optionally with an HTML snapshot and a screenshot of the page
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+
+// Stages of a run a failure is attributed to
+const PHASES = ['discovery', 'navigation', 'extraction', 'export'];
+
+const VEHICLE_FIELDS = ['vehicleType', 'brand', 'model', 'fuelType'];
+
+class ErrorLog {
+  /**
+   * @param {Object} options - Overrides for config.errorHandling.reporting (saveErrorLogs, errorLogFile, snapshots)
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...config.errorHandling.reporting,
+      ...options
+    };
+    this.enabled = Boolean(this.options.saveErrorLogs);
+    this.filePath = this.options.errorLogFile;
+    this.runId = null;
+    this.entryCount = 0;
+    this.writeQueue = Promise.resolve(); // Workers fail concurrently; lines are appended one at a time
+  }
+
+  /**
+   * Append a structured entry for a failure when error logs are saved
+   * Logging must never fail the run, so write errors are only reported
+   * @param {Error} error - Failure
+   * @param {Object} context - { phase, combination, url, page } (page is used for snapshots)
+   * @returns {Promise<Object|null>} Written entry, or null when error logs are off
+   */
+  async record(error, { phase, combination = null, url = null, page = null } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      runId: this.runId,
+      phase,
+      errorClass: utils.classifyError(error),
+      attempts: error.attempts || 1,
+      message: error.message,
+      combination: combination ? ErrorLog.describe(combination) : null,
+      url: url || (page ? ErrorLog.getPageUrl(page) : null)
+    };
+    if (this.options.includeStackTrace) {
+      entry.stack = error.stack;
+    }
+
+    const sequence = ++this.entryCount;
+    if (page) {
+      Object.assign(entry, await this.captureSnapshots(page, `${phase}-${sequence}`));
+    }
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+      } catch (writeError) {
+        utils.logProgress(`Failed to write error log ${this.filePath}: ${writeError.message}`, 'warn');
+      }
+    });
+    await this.writeQueue;
+
+    return entry;
+  }
+
+  /**
+   * Save the page's HTML and a screenshot, as configured
+   * @param {Page} page - Page the failure happened on
+   * @param {string} name - File name without extension
+   * @returns {Promise<Object>} { htmlSnapshot, screenshot } paths of the files written
+   */
+  async captureSnapshots(page, name) {
+    const snapshots = {};
+    if (!this.options.captureHtml && !this.options.captureScreenshot) {
+      return snapshots;
+    }
+
+    const directory = this.options.snapshotDirectory;
+    const prefix = `${this.runId || 'run'}-${name}`.replace(/[^\w.-]+/g, '-');
+    try {
+      await fs.mkdir(directory, { recursive: true });
+    } catch (error) {
+      utils.logProgress(`Failed to create error snapshot directory ${directory}: ${error.message}`, 'warn');
+      return snapshots;
+    }
+
+    if (this.options.captureHtml) {
+      const filePath = path.join(directory, `${prefix}.html`);
+      try {
+        await fs.writeFile(filePath, await page.content(), 'utf8');
+        snapshots.htmlSnapshot = filePath;
+      } catch (error) {
+        utils.logProgress(`Failed to save HTML snapshot: ${error.message}`, 'warn');
+      }
+    }
+
+    if (this.options.captureScreenshot) {
+      const filePath = path.join(directory, `${prefix}.png`);
+      try {
+        await page.screenshot({ path: filePath, fullPage: true });
+        snapshots.screenshot = filePath;
+      } catch (error) {
+        utils.logProgress(`Failed to save screenshot: ${error.message}`, 'warn');
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Read the entries of an error log
+   * @param {string} filePath - Log file (defaults to the configured one)
+   * @returns {Promise<Array<Object>>} Entries in the order they were written
+   */
+  async read(filePath = this.filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read error log ${filePath}: ${error.message}`);
+    }
+
+    return content.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1} of error log ${filePath} is not valid JSON: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Current URL of a page, if it can still be read
+   * @param {Page} page - Page
+   * @returns {string|null} URL
+   */
+  static getPageUrl(page) {
+    try {
+      return page.url() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Vehicle fields of a combination (or of a battery record)
+   * @param {Object} combination - Combination
+   * @returns {Object} { vehicleType, brand, model, fuelType }
+   */
+  static describe(combination) {
+    return Object.fromEntries(VEHICLE_FIELDS.map(field => [field, combination[field] || '']));
+  }
+}
+
+module.exports = ErrorLog;
+module.exports.PHASES = PHASES;
@@ -0,0 +1,103 @@
+/**
+ * Export Manager Module for Amaron Battery Scraper
+ * Fans battery records out to one exporter per configured output format
+ */
+
+const path = require('path');
+const config = require('./config');
+const CSVExporter = require('./csvExporter');
+const JSONExporter = require('./jsonExporter');
+const NDJSONExporter = require('./ndjsonExporter');
+
+// Exporter class for each supported output format
+const EXPORTERS = {
+  csv: CSVExporter,
+  json: JSONExporter,
+  ndjson: NDJSONExporter
+};
+
+/**
+ * Derive the file name for a format from the base (CSV) file name
+ * @param {string} fileName - Base file name, e.g. 'battery-data.csv'
+ * @param {string} format - Output format
+ * @returns {string} File name with the format's extension, e.g. 'battery-data.json'
+ */
+function getFileNameForFormat(fileName, format) {
+  const extension = path.extname(fileName);
+  const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
+  return `${baseName}.${format}`;
+}
+
+/**
+ * Create an exporter for a single format
+ * @param {string} format - Output format (csv, json, ndjson)
+ * @param {string} fileName - Base file name
+ * @param {Array<string>} headers - Field headers in order
+ * @returns {BaseExporter} Exporter instance
+ */
+function createExporter(format, fileName, headers) {
+  const Exporter = EXPORTERS[format];
+  if (!Exporter) {
+    throw new Error(`Unsupported output format: ${format}. Supported formats: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+  // The configured file name is used as-is for CSV, other formats swap the extension
+  const formatFileName = format === 'csv' ? fileName : getFileNameForFormat(fileName, format);
+  return new Exporter(formatFileName, headers);
+}
+
+class ExportManager {
+  constructor(fileName = null, headers = null, formats = null) {
+    this.fileName = fileName || config.output.csvFileName;
+    this.formats = formats || config.output.formats;
+    this.exporters = this.formats.map(format => createExporter(format, this.fileName, headers));
+  }
+
+  /**
+   * Initialize every exporter
+   * @param {Object} options - Initialization options passed to each exporter
+   */
+  async initialize(options = {}) {
+    for (const exporter of this.exporters) {
+      await exporter.initialize(options);
+    }
+    return true;
+  }
+
+  /**
+   * Append a battery record to every exporter
+   * @param {Object} batteryData - Raw battery data object
+   */
+  async appendBatteryRecord(batteryData) {
+    await Promise.all(this.exporters.map(exporter => exporter.appendBatteryRecord(batteryData)));
+    return true;
+  }
+
+  /**
+   * Write the records every exporter still holds in memory, without finishing the export
+   */
+  async flush() {
+    await Promise.all(this.exporters.map(exporter => exporter.flushPending()));
+  }
+
+  /**
+   * Finalize every exporter
+   * @returns {Object} Summary with the primary file path and per-format summaries
+   */
+  async finalize() {
+    const files = [];
+    for (const exporter of this.exporters) {
+      files.push(await exporter.finalize());
+    }
+
+    return {
+      filePath: files.length > 0 ? files[0].filePath : null,
+      recordCount: files.length > 0 ? files[0].recordCount : 0,
+      files
+    };
+  }
+}
+
+module.exports = ExportManager;
+module.exports.EXPORTERS = EXPORTERS;
+module.exports.createExporter = createExporter;
+module.exports.getFileNameForFormat = getFileNameForFormat;
@@ -0,0 +1,121 @@
+/**
+ * JSON Exporter Module for Amaron Battery Scraper
+ * Writes battery records as a pretty-printed JSON array with typed fields
+ */
+
+const fs = require('fs').promises;
+const config = require('./config');
+const utils = require('./utils');
+const BaseExporter = require('./baseExporter');
+
+class JSONExporter extends BaseExporter {
+  constructor(fileName = null, headers = null) {
+    super(fileName || config.output.csvFileName.replace(/\.csv$/i, '.json'), headers);
+    this.records = [];
+    this.unflushedCount = 0;
+  }
+
+  /**
+   * Prepare the JSON file, loading existing records when appending
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.append - Keep records already in the file
+   */
+  async initialize(options = {}) {
+    await this.ensureOutputDirectory();
+    this.filePath = this.resolveFilePath();
+    this.records = [];
+
+    if (options.append) {
+      try {
+        const existing = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        if (!Array.isArray(existing)) {
+          throw new Error('file does not contain a JSON array');
+        }
+        this.records = existing;
+        utils.logProgress(`Appending to existing JSON file: ${this.filePath} (${existing.length} records)`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Cannot append to JSON file ${this.filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    await this.flush();
+    this.isInitialized = true;
+    this.recordCount = 0;
+    utils.logProgress(`JSON file initialized successfully: ${this.filePath}`);
+    return true;
+  }
+
+  /**
+   * Add a typed record and periodically flush the array to disk
+   * @param {Object} batteryData - Raw battery data object
+   */
+  async writeBatteryRecord(batteryData) {
+    if (!this.isInitialized) {
+      throw new Error('JSON exporter not initialized. Call initialize() first.');
+    }
+
+    if (!batteryData || typeof batteryData !== 'object') {
+      throw new Error('Invalid battery data provided - must be an object');
+    }
+
+    this.records.push(this.formatTypedRecord(batteryData));
+    this.recordCount++;
+    this.unflushedCount++;
+
+    if (this.unflushedCount >= config.output.jsonFlushInterval) {
+      await this.flush();
+    }
+
+    return true;
+  }
+
+  /**
+   * Rewrite the JSON array on disk through a temp file
+   */
+  async flush() {
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.writeFile(tempPath, `${JSON.stringify(this.records, null, 2)}\n`, 'utf8');
+      await fs.rename(tempPath, this.filePath);
+      this.unflushedCount = 0;
+    } catch (error) {
+      throw new Error(`JSON write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the records added since the last flush, after the queued writes
+   */
+  flushPending() {
+    return this.enqueueWrite(() => (this.unflushedCount > 0 ? this.flush() : null));
+  }
+
+  /**
+   * Flush remaining records and return a summary
+   * @returns {Object} Summary of JSON export
+   */
+  async finalize() {
+    if (!this.isInitialized) {
+      throw new Error('JSON exporter not initialized.');
+    }
+
+    await this.writeQueue;
+    await this.flush();
+
+    const stats = await fs.stat(this.filePath);
+    utils.logProgress(`JSON export completed: ${this.recordCount} records written to ${this.filePath}`);
+
+    return {
+      filePath: this.filePath,
+      recordCount: this.recordCount,
+      fileSize: stats.size,
+      fileName: this.fileName,
+      format: 'json',
+      completed: true
+    };
+  }
+}
+
+module.exports = JSONExporter;
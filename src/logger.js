@@ -0,0 +1,259 @@
+/**
+ * Logger Module for Amaron Battery Scraper
+ * Leveled logging behind utils.logProgress: filters by config.logging.level, writes text or
+ * JSON lines to the console and the optional log file (rotated by size), and tags each line
+ * with the run id and the combination being processed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+// Levels from most to least severe; a configured level shows itself and everything above it
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const LOG_FORMATS = ['text', 'json'];
+
+class Logger {
+  /**
+   * @param {Object} options - Overrides for config.logging (level, format, logFile, maxFileSize, maxFiles, timestamp)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.runId = null;
+    this.context = new AsyncLocalStorage(); // Combination of the worker a line is logged from
+    this.filePath = null; // Log file the size below belongs to
+    this.fileSize = 0;
+    this.statusLine = null; // Progress bar kept below the console lines
+  }
+
+  /**
+   * Current settings; read on every line, so --verbose and config files apply to loaded modules
+   * @returns {Object} Logging settings
+   */
+  get settings() {
+    return { ...config.logging, ...this.options };
+  }
+
+  /**
+   * Check whether lines of a level are written
+   * @param {string} level - 'error', 'warn', 'info' or 'debug'
+   * @returns {boolean} True when the configured level includes it
+   */
+  isEnabled(level) {
+    const configured = LEVELS.indexOf(this.settings.level);
+    return LEVELS.indexOf(level) <= (configured === -1 ? LEVELS.indexOf('info') : configured);
+  }
+
+  /**
+   * Tag the lines logged from here on with a run id
+   * @param {string|null} runId - Run id (the run's start time)
+   */
+  setRunId(runId) {
+    this.runId = runId;
+  }
+
+  /**
+   * Keep a status line (the progress bar) below the console lines: it is cleared before
+   * every line is printed and drawn again after it
+   * @param {Object|null} statusLine - Object with clear() and redraw(), or null to remove it
+   */
+  setStatusLine(statusLine) {
+    this.statusLine = statusLine;
+  }
+
+  /**
+   * Print to the console around the status line
+   * @param {Function} print - Writes to the console
+   */
+  suspendStatusLine(print) {
+    if (this.statusLine) {
+      this.statusLine.clear();
+    }
+    try {
+      print();
+    } finally {
+      if (this.statusLine) {
+        this.statusLine.redraw();
+      }
+    }
+  }
+
+  /**
+   * Run a function with extra fields tagged on every line it logs, including from awaited calls
+   * Concurrent workers each keep their own context
+   * @param {Object} context - Fields, e.g. { combination: 'Passengers → TATA → Nexon → Petrol' }
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of fn
+   */
+  withContext(context, fn) {
+    return this.context.run({ ...this.context.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Log a line
+   * @param {string} level - 'error', 'warn', 'info' or 'debug'
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields for JSON lines
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const settings = this.settings;
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      runId: this.runId,
+      ...this.context.getStore(),
+      ...fields,
+      message
+    };
+
+    // The console shows a single run, so only file lines repeat its id
+    const consoleLine = this.format(entry, settings, false);
+    this.suspendStatusLine(() => {
+      if (level === 'error') {
+        console.error(consoleLine);
+      } else if (level === 'warn') {
+        console.warn(consoleLine);
+      } else {
+        console.log(consoleLine);
+      }
+    });
+
+    if (settings.logFile) {
+      this.writeToFile(settings, this.format(entry, settings, true));
+    }
+  }
+
+  /**
+   * Log an error line
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields for JSON lines
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Log a warning line
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields for JSON lines
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Log an info line
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields for JSON lines
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Log a debug line (shown with --verbose)
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields for JSON lines
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Format an entry as a text or JSON line
+   * @param {Object} entry - Entry with timestamp, level, runId, context fields and message
+   * @param {Object} settings - Logging settings
+   * @param {boolean} includeRunId - Whether text lines show the run id
+   * @returns {string} Line without the trailing newline
+   */
+  format(entry, settings, includeRunId) {
+    if (settings.format === 'json') {
+      const { timestamp, ...rest } = entry;
+      const json = settings.timestamp === false ? rest : entry;
+      return JSON.stringify(Object.fromEntries(Object.entries(json).filter(([, value]) => value !== null && value !== undefined)));
+    }
+
+    const tags = [];
+    if (settings.timestamp !== false) {
+      tags.push(entry.timestamp);
+    }
+    tags.push(entry.level.toUpperCase());
+    if (includeRunId && entry.runId) {
+      tags.push(`run ${entry.runId}`);
+    }
+    if (entry.combination) {
+      tags.push(entry.combination);
+    }
+    return `${tags.map(tag => `[${tag}]`).join(' ')} ${entry.message}`;
+  }
+
+  /**
+   * Append a line to the log file, rotating it first when it would grow past maxFileSize
+   * Writes are synchronous so lines keep their order and survive a crash
+   * @param {Object} settings - Logging settings
+   * @param {string} line - Formatted line
+   */
+  writeToFile(settings, line) {
+    const filePath = settings.logFile;
+    const data = `${line}\n`;
+
+    try {
+      if (this.filePath !== filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.filePath = filePath;
+        this.fileSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      }
+
+      const size = Buffer.byteLength(data);
+      if (settings.maxFileSize > 0 && this.fileSize > 0 && this.fileSize + size > settings.maxFileSize) {
+        this.rotate(filePath, settings.maxFiles);
+        this.fileSize = 0;
+      }
+
+      fs.appendFileSync(filePath, data, 'utf8');
+      this.fileSize += size;
+    } catch (error) {
+      // Logging must never stop a run; stop writing the file and say why once
+      console.error(`Failed to write log file ${filePath}: ${error.message}`);
+      this.options = { ...this.options, logFile: null };
+    }
+  }
+
+  /**
+   * Shift log.1 → log.2 … and log → log.1, dropping files beyond maxFiles
+   * @param {string} filePath - Current log file
+   * @param {number} maxFiles - Number of rotated files kept (0 keeps none)
+   */
+  rotate(filePath, maxFiles) {
+    const rotated = index => `${filePath}.${index}`;
+
+    if (maxFiles > 0 && fs.existsSync(rotated(maxFiles))) {
+      fs.unlinkSync(rotated(maxFiles));
+    }
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotated(index))) {
+        fs.renameSync(rotated(index), rotated(index + 1));
+      }
+    }
+
+    if (maxFiles > 0) {
+      fs.renameSync(filePath, rotated(1));
+    } else {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+// Shared by every module (through utils.logProgress)
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.LOG_FORMATS = LOG_FORMATS;
@@ -0,0 +1,90 @@
+/**
+ * NDJSON Exporter Module for Amaron Battery Scraper
+ * Streams battery records to disk as one typed JSON object per line
+ */
+
+const fs = require('fs').promises;
+const config = require('./config');
+const utils = require('./utils');
+const BaseExporter = require('./baseExporter');
+
+class NDJSONExporter extends BaseExporter {
+  constructor(fileName = null, headers = null) {
+    super(fileName || config.output.csvFileName.replace(/\.csv$/i, '.ndjson'), headers);
+  }
+
+  /**
+   * Prepare the NDJSON file
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.append - Keep lines already in the file
+   */
+  async initialize(options = {}) {
+    await this.ensureOutputDirectory();
+    this.filePath = this.resolveFilePath();
+
+    try {
+      if (options.append) {
+        await fs.appendFile(this.filePath, '', 'utf8');
+        utils.logProgress(`Appending to NDJSON file: ${this.filePath}`);
+      } else {
+        await fs.writeFile(this.filePath, '', 'utf8');
+      }
+    } catch (error) {
+      throw new Error(`Cannot write to NDJSON file path: ${error.message}`);
+    }
+
+    this.isInitialized = true;
+    this.recordCount = 0;
+    utils.logProgress(`NDJSON file initialized successfully: ${this.filePath}`);
+    return true;
+  }
+
+  /**
+   * Append one typed record as a single line
+   * @param {Object} batteryData - Raw battery data object
+   */
+  async writeBatteryRecord(batteryData) {
+    if (!this.isInitialized) {
+      throw new Error('NDJSON exporter not initialized. Call initialize() first.');
+    }
+
+    if (!batteryData || typeof batteryData !== 'object') {
+      throw new Error('Invalid battery data provided - must be an object');
+    }
+
+    try {
+      await fs.appendFile(this.filePath, `${JSON.stringify(this.formatTypedRecord(batteryData))}\n`, 'utf8');
+    } catch (error) {
+      throw new Error(`NDJSON write failed: ${error.message}`);
+    }
+
+    this.recordCount++;
+    return true;
+  }
+
+  /**
+   * Wait for pending writes and return a summary
+   * @returns {Object} Summary of NDJSON export
+   */
+  async finalize() {
+    if (!this.isInitialized) {
+      throw new Error('NDJSON exporter not initialized.');
+    }
+
+    await this.writeQueue;
+
+    const stats = await fs.stat(this.filePath);
+    utils.logProgress(`NDJSON export completed: ${this.recordCount} records written to ${this.filePath}`);
+
+    return {
+      filePath: this.filePath,
+      recordCount: this.recordCount,
+      fileSize: stats.size,
+      fileName: this.fileName,
+      format: 'ndjson',
+      completed: true
+    };
+  }
+}
+
+module.exports = NDJSONExporter;
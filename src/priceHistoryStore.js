@@ -0,0 +1,378 @@
+/**
+ * Price History Store Module for Amaron Battery Scraper
+ * Appends timestamped price observations of every run to a SQLite database and
+ * rebuilds per-battery price timelines and promotion periods from them
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const config = require('./config');
+const utils = require('./utils');
+const BaseExporter = require('./baseExporter');
+const BatterySchema = require('./batterySchema');
+
+// Price fields stored with every observation
+const PRICE_FIELDS = ['basePrice', 'specialDiscount', 'totalPrice', 'rebate'];
+
+// Pincode stored for prices shown without a delivery location
+const DEFAULT_LOCATION = '';
+
+// Columns of an exported timeline CSV
+const EXPORT_COLUMNS = [
+  { id: 'itemCode', title: 'Item Code' },
+  { id: 'pincode', title: 'Pincode' },
+  { id: 'observedAt', title: 'Observed At' },
+  { id: 'basePrice', title: 'Base Price' },
+  { id: 'specialDiscount', title: 'Special Discount' },
+  { id: 'promotionPeriod', title: 'Promotion Period' },
+  { id: 'totalPrice', title: 'Total Price' },
+  { id: 'rebate', title: 'Rebate' }
+];
+
+class PriceHistoryStore extends BaseExporter {
+  /**
+   * @param {string} fileName - Database file name in the output directory
+   * @param {string} runId - Identifier of the run recording observations (its start time)
+   */
+  constructor(fileName = null, runId = null) {
+    super(fileName || config.priceHistory.fileName, new BatterySchema().getHeaders('price'));
+    this.runId = runId || new Date().toISOString();
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Open (or create) the history database
+   * Observations of earlier runs are always kept
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.readOnly - Open an existing history for queries only
+   */
+  async initialize(options = {}) {
+    this.filePath = this.resolveFilePath();
+
+    try {
+      if (options.readOnly) {
+        await fs.access(this.filePath).catch(() => {
+          throw new Error('no price history recorded yet, run a scrape first');
+        });
+        this.db = new Database(this.filePath, { readonly: true, fileMustExist: true });
+      } else {
+        await this.ensureOutputDirectory();
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.createSchema();
+      }
+      this.prepareStatements(options.readOnly);
+    } catch (error) {
+      this.close();
+      throw new Error(`Failed to open price history ${this.filePath}: ${error.message}`);
+    }
+
+    this.isInitialized = true;
+    this.recordCount = 0;
+    return true;
+  }
+
+  /**
+   * Create the observations table if it does not exist yet
+   * A run records each item code once per location, so resumed runs never duplicate observations
+   */
+  createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS price_observations (
+        id INTEGER PRIMARY KEY,
+        run_id TEXT NOT NULL,
+        observed_at TEXT NOT NULL,
+        item_code TEXT NOT NULL,
+        pincode TEXT NOT NULL,
+        battery_title TEXT,
+        base_price REAL,
+        special_discount REAL,
+        total_price REAL,
+        rebate REAL,
+        promotion_period TEXT,
+        UNIQUE (run_id, item_code, pincode)
+      );
+
+      CREATE INDEX IF NOT EXISTS price_observations_item ON price_observations (item_code, pincode, observed_at);
+    `);
+  }
+
+  /**
+   * Prepare the insert and timeline statements
+   * @param {boolean} readOnly - Skip the insert statement
+   */
+  prepareStatements(readOnly = false) {
+    this.statements = {
+      selectObservations: this.db.prepare(`
+        SELECT observed_at, pincode, battery_title, base_price, special_discount, total_price, rebate, promotion_period
+        FROM price_observations
+        WHERE item_code = @item_code COLLATE NOCASE AND (@pincode IS NULL OR pincode = @pincode)
+        ORDER BY pincode, observed_at`)
+    };
+
+    if (!readOnly) {
+      this.statements.insertObservation = this.db.prepare(`
+        INSERT INTO price_observations (run_id, observed_at, item_code, pincode, battery_title,
+          base_price, special_discount, total_price, rebate, promotion_period)
+        VALUES (@run_id, @observed_at, @item_code, @pincode, @battery_title,
+          @base_price, @special_discount, @total_price, @rebate, @promotion_period)
+        ON CONFLICT (run_id, item_code, pincode) DO NOTHING`);
+    }
+  }
+
+  /**
+   * Record the default-location price of a battery record
+   * @param {Object} batteryData - Raw battery data object
+   */
+  async writeBatteryRecord(batteryData) {
+    return this.writeObservation(batteryData, DEFAULT_LOCATION);
+  }
+
+  /**
+   * Record the price of a battery at a delivery pincode
+   * @param {Object} priceData - Item code, pincode and price fields
+   * @returns {Promise<boolean>} Resolves once the observation has been written
+   */
+  appendPriceRecord(priceData) {
+    return this.enqueueWrite(() => this.writeObservation(priceData, (priceData.pincode || '').toString()));
+  }
+
+  /**
+   * Insert one observation; records without an item code or without any price are skipped
+   * @param {Object} data - Battery or price row
+   * @param {string} pincode - Delivery pincode ('' for the default location)
+   * @returns {boolean} True if a new observation was stored
+   */
+  async writeObservation(data, pincode) {
+    if (!this.isInitialized || !this.statements.insertObservation) {
+      throw new Error('Price history not initialized for writing. Call initialize() first.');
+    }
+
+    const itemCode = (data.itemCode || '').toString().trim();
+    const prices = {};
+    PRICE_FIELDS.forEach(field => {
+      prices[field] = this.parseNumber(data[field]);
+    });
+    if (!itemCode || PRICE_FIELDS.every(field => prices[field] === null)) {
+      return false;
+    }
+
+    let result;
+    try {
+      result = this.statements.insertObservation.run({
+        run_id: this.runId,
+        observed_at: new Date().toISOString(),
+        item_code: itemCode,
+        pincode,
+        battery_title: data.batteryTitle ? data.batteryTitle.toString().replace(/\s+/g, ' ').trim() : null,
+        base_price: prices.basePrice,
+        special_discount: prices.specialDiscount,
+        total_price: prices.totalPrice,
+        rebate: prices.rebate,
+        promotion_period: data.promotionPeriod || null
+      });
+    } catch (error) {
+      throw new Error(`Price history write failed: ${error.message}`);
+    }
+
+    if (result.changes > 0) {
+      this.recordCount++;
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the raw observations of a battery, oldest first per location
+   * @param {string} itemCode - Battery item code (case insensitive)
+   * @param {string|null} pincode - Only this location ('' for the default location), or null for all
+   * @returns {Array<Object>} Observations with camelCase fields
+   */
+  getObservations(itemCode, pincode = null) {
+    if (!this.isInitialized) {
+      throw new Error('Price history not initialized. Call initialize() first.');
+    }
+
+    return this.statements.selectObservations
+      .all({ item_code: itemCode, pincode })
+      .map(row => ({
+        observedAt: row.observed_at,
+        pincode: row.pincode,
+        batteryTitle: row.battery_title,
+        basePrice: row.base_price,
+        specialDiscount: row.special_discount,
+        totalPrice: row.total_price,
+        rebate: row.rebate,
+        promotionPeriod: row.promotion_period
+      }));
+  }
+
+  /**
+   * Build the price timeline of a battery for each location it was observed at
+   * Consecutive observations with identical prices are merged into one period; a promotion
+   * starts with the first observation showing its discount and ends with the first one without it
+   * @param {string} itemCode - Battery item code
+   * @param {string|null} pincode - Only this location, or null for all
+   * @returns {Object} { itemCode, batteryTitle, locations: [{ pincode, observations, periods, promotions }] }
+   */
+  getTimeline(itemCode, pincode = null) {
+    const observations = this.getObservations(itemCode, pincode);
+    const byLocation = new Map();
+    for (const observation of observations) {
+      if (!byLocation.has(observation.pincode)) {
+        byLocation.set(observation.pincode, []);
+      }
+      byLocation.get(observation.pincode).push(observation);
+    }
+
+    const locations = Array.from(byLocation, ([location, locationObservations]) => ({
+      pincode: location,
+      observations: locationObservations,
+      periods: this.buildPeriods(locationObservations),
+      promotions: this.buildPromotions(locationObservations)
+    }));
+
+    const latest = observations.filter(observation => observation.batteryTitle).pop();
+    return {
+      itemCode,
+      batteryTitle: latest ? latest.batteryTitle : null,
+      locations
+    };
+  }
+
+  /**
+   * Merge consecutive observations with the same prices
+   * @param {Array<Object>} observations - Observations of one location, oldest first
+   * @returns {Array<Object>} Price periods with from/to timestamps
+   */
+  buildPeriods(observations) {
+    const periods = [];
+    const fields = [...PRICE_FIELDS, 'promotionPeriod'];
+
+    for (const observation of observations) {
+      const current = periods[periods.length - 1];
+      if (current && fields.every(field => current[field] === observation[field])) {
+        current.to = observation.observedAt;
+        current.observationCount++;
+        continue;
+      }
+
+      const period = { from: observation.observedAt, to: observation.observedAt, observationCount: 1 };
+      fields.forEach(field => {
+        period[field] = observation[field];
+      });
+      periods.push(period);
+    }
+
+    return periods;
+  }
+
+  /**
+   * Find promotions: runs of observations with the same special discount and promotion label
+   * @param {Array<Object>} observations - Observations of one location, oldest first
+   * @returns {Array<Object>} Promotions with startedAt, lastSeenAt and endedAt (null while still running)
+   */
+  buildPromotions(observations) {
+    const promotions = [];
+    let current = null;
+
+    for (const observation of observations) {
+      const onPromotion = observation.specialDiscount || observation.promotionPeriod;
+      const samePromotion = current && onPromotion &&
+        current.specialDiscount === observation.specialDiscount &&
+        current.promotionPeriod === observation.promotionPeriod;
+
+      if (samePromotion) {
+        current.lastSeenAt = observation.observedAt;
+        continue;
+      }
+
+      if (current) {
+        current.endedAt = observation.observedAt;
+        current = null;
+      }
+
+      if (onPromotion) {
+        current = {
+          specialDiscount: observation.specialDiscount,
+          promotionPeriod: observation.promotionPeriod,
+          startedAt: observation.observedAt,
+          lastSeenAt: observation.observedAt,
+          endedAt: null
+        };
+        promotions.push(current);
+      }
+    }
+
+    return promotions;
+  }
+
+  /**
+   * Export a timeline: the full timeline as JSON, or one row per observation as CSV
+   * @param {Object} timeline - Timeline from getTimeline()
+   * @param {string} filePath - Target .json or .csv file
+   */
+  async exportTimeline(timeline, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension !== '.json' && extension !== '.csv') {
+      throw new Error(`Unsupported price history export format: ${filePath} (expected .json or .csv)`);
+    }
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (extension === '.json') {
+        await fs.writeFile(filePath, JSON.stringify(timeline, null, 2), 'utf8');
+        return;
+      }
+
+      const rows = timeline.locations.flatMap(location => location.observations.map(observation => ({
+        ...observation,
+        itemCode: timeline.itemCode
+      })));
+      await createCsvWriter({ path: filePath, header: EXPORT_COLUMNS }).writeRecords(rows);
+    } catch (error) {
+      throw new Error(`Failed to export price history to ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the database and return a summary
+   * @returns {Object} Summary of recorded observations
+   */
+  async finalize() {
+    if (!this.isInitialized) {
+      throw new Error('Price history not initialized.');
+    }
+
+    await this.writeQueue;
+
+    const total = this.db.prepare('SELECT COUNT(*) AS count FROM price_observations').get().count;
+    this.close();
+    utils.logProgress(`Price history updated: ${this.recordCount} observations recorded in ${this.filePath} (${total} in total)`);
+
+    return {
+      filePath: this.filePath,
+      recordCount: this.recordCount,
+      totalObservations: total,
+      fileName: this.fileName,
+      format: 'sqlite',
+      completed: true
+    };
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.isInitialized = false;
+  }
+}
+
+module.exports = PriceHistoryStore;
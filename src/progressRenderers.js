@@ -0,0 +1,233 @@
+/**
+ * Progress Renderers for Amaron Battery Scraper
+ * Consume the events of a ProgressTracker: a compact progress bar on the terminal, the periodic
+ * progress report box, and a JSON lines progress file for monitoring to tail
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+const logger = require('./logger');
+
+// Ways to show the progress bar: only on a terminal, always, or never
+const PROGRESS_BAR_MODES = ['auto', 'always', 'never'];
+
+// Clears the current terminal line
+const CLEAR_LINE = '\r\x1b[K';
+
+/**
+ * Format a number of seconds as a short duration
+ * @param {number|null} seconds - Seconds
+ * @returns {string} e.g. '45s', '3m 12s' or '1h 05m', '--' when unknown
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) {
+    return '--';
+  }
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${String(total % 60).padStart(2, '0')}s`;
+  }
+  return `${total}s`;
+}
+
+class ProgressBar {
+  /**
+   * @param {ProgressTracker} tracker - Progress events to show
+   * @param {Object} options - { stream (default stderr), width of the bar in characters }
+   */
+  constructor(tracker, { stream = process.stderr, width = 24 } = {}) {
+    this.tracker = tracker;
+    this.stream = stream;
+    this.width = width;
+    this.line = null; // Line currently drawn, null when nothing is shown
+    this.onProgress = () => this.render();
+  }
+
+  /**
+   * Start drawing on every progress event, below the lines the logger prints
+   */
+  attach() {
+    this.tracker.on('progress', this.onProgress);
+    logger.setStatusLine(this);
+  }
+
+  /**
+   * Stop drawing and remove the bar from the terminal
+   */
+  detach() {
+    this.tracker.off('progress', this.onProgress);
+    if (logger.statusLine === this) {
+      logger.setStatusLine(null);
+    }
+    this.clear();
+    this.line = null;
+  }
+
+  /**
+   * Build the bar for the current statistics
+   * @param {Object} stats - ProgressTracker statistics
+   * @returns {string} One line, e.g. '[██████░░░░] 45/120 37.5% | ✓ 30 ∅ 5 ✗ 2 | 🔋 210 | ETA 3m 12s'
+   */
+  format(stats) {
+    if (stats.phase === 'discovery') {
+      return `🔍 Discovering... ${stats.discoveredCombinations} combinations found`;
+    }
+
+    const share = stats.totalCombinations > 0 ? stats.currentCombination / stats.totalCombinations : 0;
+    const filled = Math.min(this.width, Math.round(share * this.width));
+    const bar = `[${'█'.repeat(filled)}${'░'.repeat(this.width - filled)}]`;
+    const counts = `✓ ${stats.successfulCombinations} ∅ ${stats.noDataCombinations} ✗ ${stats.failedCombinations}`;
+    const status = stats.phase === 'retrying' ? ' | retrying failures' : '';
+
+    return `${bar} ${stats.currentCombination}/${stats.totalCombinations} ${(share * 100).toFixed(1)}% | ${counts} | 🔋 ${stats.totalBatteriesFound} | ETA ${formatDuration(stats.estimatedTimeRemaining)}${status}`;
+  }
+
+  /**
+   * Draw the bar for the tracker's current statistics
+   */
+  render() {
+    this.line = this.format(this.tracker.getStats());
+    this.stream.write(`${CLEAR_LINE}${this.line}`);
+  }
+
+  /**
+   * Remove the bar from the terminal line, keeping it to redraw
+   */
+  clear() {
+    if (this.line !== null) {
+      this.stream.write(CLEAR_LINE);
+    }
+  }
+
+  /**
+   * Draw the bar again after a line was printed
+   */
+  redraw() {
+    if (this.line !== null) {
+      this.stream.write(this.line);
+    }
+  }
+}
+
+class ProgressReport {
+  /**
+   * @param {ProgressTracker} tracker - Progress to report
+   * @param {Object} options - { display(stats) printing the report, interval in seconds }
+   */
+  constructor(tracker, { display, interval = config.progress.reportInterval }) {
+    this.tracker = tracker;
+    this.display = display;
+    this.interval = interval;
+    this.timer = null;
+    this.onStart = () => this.startTimer();
+    this.onFinish = () => this.stopTimer();
+  }
+
+  /**
+   * Print the report every interval while combinations are processed
+   */
+  attach() {
+    this.tracker.on('start', this.onStart);
+    this.tracker.on('finish', this.onFinish);
+  }
+
+  /**
+   * Stop reporting
+   */
+  detach() {
+    this.tracker.off('start', this.onStart);
+    this.tracker.off('finish', this.onFinish);
+    this.stopTimer();
+  }
+
+  /**
+   * Start the report timer; the 'finish' event or detach() stops it
+   */
+  startTimer() {
+    this.stopTimer();
+    this.timer = setInterval(() => this.print(), this.interval * 1000);
+  }
+
+  /**
+   * Stop the report timer
+   */
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Print the report for the current statistics, around the progress bar
+   */
+  print() {
+    const stats = this.tracker.getStats();
+    logger.suspendStatusLine(() => this.display(stats));
+  }
+}
+
+class ProgressFile {
+  /**
+   * @param {ProgressTracker} tracker - Progress events to record
+   * @param {Object} options - { filePath } (defaults to config.progress.file)
+   */
+  constructor(tracker, { filePath = config.progress.file } = {}) {
+    this.tracker = tracker;
+    this.filePath = filePath;
+    this.enabled = true;
+    this.onProgress = details => this.write(details);
+  }
+
+  /**
+   * Append a line for every progress event
+   */
+  attach() {
+    this.tracker.on('progress', this.onProgress);
+  }
+
+  /**
+   * Stop recording
+   */
+  detach() {
+    this.tracker.off('progress', this.onProgress);
+  }
+
+  /**
+   * Append an event with the statistics after it
+   * Writes are synchronous so a tailing monitor sees every event as it happens
+   * @param {Object} details - Event fields, with the event name as `event`
+   */
+  write({ event, ...details }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      runId: this.tracker.runId,
+      event,
+      ...details,
+      progress: this.tracker.getStats()
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (error) {
+      // An unwritable progress file is reported once; the run carries on without it
+      this.enabled = false;
+      utils.logProgress(`Failed to write progress file ${this.filePath}: ${error.message}`, 'warn');
+    }
+  }
+}
+
+module.exports = { ProgressBar, ProgressReport, ProgressFile, formatDuration, PROGRESS_BAR_MODES };
@@ -0,0 +1,197 @@
+/**
+ * Progress Tracker Module for Amaron Battery Scraper
+ * Counts a run's progress and emits it as events (discovery progress, combination start and finish,
+ * batteries found, failures) for the renderers in src/progressRenderers.js to show or record
+ */
+
+const EventEmitter = require('events');
+const utils = require('./utils');
+const RecoveryController = require('./recoveryController');
+
+// Events in the order a run emits them; each is also emitted as 'progress' with its name as `event`
+const PROGRESS_EVENTS = ['discovery', 'start', 'combination-start', 'batteries', 'failure', 'combination-finish', 'retry', 'finish'];
+
+// How a combination ended: 'failed' combinations may still be recovered by the end-of-run retry
+const COMBINATION_STATUSES = ['success', 'no-data', 'failed'];
+
+class ProgressTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.runId = null;
+    this.phase = 'discovery'; // 'discovery', 'processing', 'retrying' or 'done'
+    this.discovered = 0;
+    this.totalCombinations = 0;
+    this.completed = 0;
+    this.restored = 0; // Completed in an earlier run; left out of the rate the ETA is based on
+    this.successful = 0;
+    this.noData = 0;
+    this.failed = 0;
+    this.batteries = 0;
+    this.duplicates = 0;
+    this.errors = 0;
+    this.active = new Set(); // Labels of the combinations being processed
+    this.startTime = null;
+  }
+
+  /**
+   * Emit an event and the catch-all 'progress' event
+   * @param {string} event - One of PROGRESS_EVENTS
+   * @param {Object} details - Event fields
+   */
+  report(event, details = {}) {
+    this.emit(event, details);
+    this.emit('progress', { event, ...details });
+  }
+
+  /**
+   * Record the options found for one dropdown during discovery
+   * @param {string} level - Dropdown level the options belong to ('brand', 'model' or 'fuelType')
+   * @param {string} parent - Label of the option they were found under
+   * @param {number} options - Number of options found
+   * @param {number} combinations - Combinations discovered so far
+   */
+  discoveryProgress(level, parent, options, combinations) {
+    this.discovered = combinations;
+    this.report('discovery', { level, parent, options, combinations });
+  }
+
+  /**
+   * Start counting the combinations of a run
+   * @param {number} totalCombinations - Combinations in the run
+   * @param {Object} restored - { completed, successful, batteries } carried over from a checkpoint
+   */
+  start(totalCombinations, { completed = 0, successful = 0, batteries = 0 } = {}) {
+    this.phase = 'processing';
+    this.totalCombinations = totalCombinations;
+    this.completed = completed;
+    this.restored = completed;
+    this.successful = successful;
+    this.batteries = batteries;
+    this.startTime = Date.now();
+    this.report('start', { totalCombinations, completed });
+  }
+
+  /**
+   * Record that a worker started on a combination
+   * @param {Object} combination - Combination
+   * @param {number} position - Position of the combination in the run
+   */
+  startCombination(combination, position) {
+    const label = RecoveryController.getLabel(combination);
+    this.active.add(label);
+    this.report('combination-start', { combination: label, position });
+  }
+
+  /**
+   * Record the batteries found for a combination
+   * @param {Object} combination - Combination
+   * @param {Object} counts - { found, unique, duplicates }
+   */
+  recordBatteries(combination, { found, unique, duplicates }) {
+    this.batteries += unique;
+    this.duplicates += duplicates;
+    this.report('batteries', { combination: RecoveryController.getLabel(combination), found, unique, duplicates });
+  }
+
+  /**
+   * Record a failed attempt at a combination
+   * @param {Object} combination - Combination
+   * @param {Error} error - Failure
+   * @param {string} action - What the recovery controller decided: 'retry' or 'skip'
+   */
+  recordFailure(combination, error, action) {
+    this.errors++;
+    this.report('failure', {
+      combination: RecoveryController.getLabel(combination),
+      errorClass: utils.classifyError(error),
+      action,
+      message: error.message
+    });
+  }
+
+  /**
+   * Record how a combination ended
+   * A combination re-attempted at the end of the run was already counted as failed
+   * @param {Object} combination - Combination
+   * @param {string} status - 'success', 'no-data' or 'failed'
+   * @param {Object} options - { retried: true when the end-of-run retry processed it }
+   */
+  finishCombination(combination, status, { retried = false } = {}) {
+    if (!COMBINATION_STATUSES.includes(status)) {
+      throw new Error(`Unknown combination status "${status}" (expected ${COMBINATION_STATUSES.join(', ')})`);
+    }
+
+    const label = RecoveryController.getLabel(combination);
+    this.active.delete(label);
+
+    if (retried) {
+      if (status === 'failed') {
+        this.report('combination-finish', { combination: label, status, retried });
+        return;
+      }
+      this.failed--;
+    } else {
+      this.completed++;
+    }
+
+    if (status === 'success') {
+      this.successful++;
+    } else if (status === 'no-data') {
+      this.noData++;
+    } else {
+      this.failed++;
+    }
+    this.report('combination-finish', { combination: label, status, retried });
+  }
+
+  /**
+   * Record the start of the end-of-run retry
+   * @param {number} count - Combinations re-attempted
+   */
+  startRetry(count) {
+    this.phase = 'retrying';
+    this.report('retry', { count });
+  }
+
+  /**
+   * Record the end of processing
+   */
+  finish() {
+    this.phase = 'done';
+    this.active.clear();
+    this.report('finish', {});
+  }
+
+  /**
+   * Current counts, with the rate based ETA (the shape displayProgressStats takes)
+   * @returns {Object} Progress statistics; times in seconds
+   */
+  getStats() {
+    const elapsedTime = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
+    const completedThisRun = this.completed - this.restored;
+    const remaining = this.totalCombinations - this.completed;
+    const estimatedTimeRemaining = completedThisRun > 0 && elapsedTime > 0
+      ? Math.round((remaining * elapsedTime) / completedThisRun)
+      : null;
+
+    return {
+      phase: this.phase,
+      discoveredCombinations: this.discovered,
+      currentCombination: this.completed,
+      totalCombinations: this.totalCombinations,
+      successfulCombinations: this.successful,
+      noDataCombinations: this.noData,
+      failedCombinations: this.failed,
+      totalBatteriesFound: this.batteries,
+      duplicates: this.duplicates,
+      errors: this.errors,
+      activeCombinations: Array.from(this.active),
+      elapsedTime,
+      estimatedTimeRemaining
+    };
+  }
+}
+
+module.exports = ProgressTracker;
+module.exports.PROGRESS_EVENTS = PROGRESS_EVENTS;
+module.exports.COMBINATION_STATUSES = COMBINATION_STATUSES;
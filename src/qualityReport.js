@@ -0,0 +1,390 @@
+/**
+ * Quality Report Module for Amaron Battery Scraper
+ * Collects data quality statistics while a run saves batteries and writes an end-of-run
+ * report: per-field fill rates, unparseable values, records without an item code and
+ * battery pages that loaded without any battery; configured thresholds can fail the run
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const BatterySchema = require('./batterySchema');
+
+const REPORT_VERSION = 1;
+const VEHICLE_FIELDS = ['vehicleType', 'brand', 'model', 'fuelType'];
+
+// Count thresholds and the report total each one limits
+const COUNT_THRESHOLDS = {
+  maxParseIssues: 'parseIssues',
+  maxMissingItemCodes: 'missingItemCodes',
+  maxMissingRequiredFields: 'missingRequiredFields',
+  maxEmptyPages: 'emptyPages'
+};
+
+class QualityReport {
+  /**
+   * @param {Object} options - Overrides for config.quality (file names, thresholds) and outputDirectory
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...config.quality,
+      outputDirectory: config.output.outputDirectory,
+      ...options
+    };
+
+    // Every exported column except the parse issue list itself
+    const schema = new BatterySchema();
+    this.fields = schema.getFields('battery')
+      .map(field => field.id)
+      .filter(field => field !== 'parseIssues');
+    this.numericFields = schema.getNumericFields().map(field => field.id);
+    this.requiredFields = schema.getRequiredFields().map(field => field.id);
+
+    this.recordCount = 0;
+    this.combinationsWithBatteries = 0;
+    this.filled = {};
+    this.parseIssues = [];
+    this.missingItemCodes = [];
+    this.missingRequiredFields = [];
+    this.emptyPages = [];
+  }
+
+  /**
+   * Record the normalized batteries found for one combination
+   * Every vehicle/battery pair counts, before deduplication
+   * @param {Object} combination - Combination the batteries were found for
+   * @param {Array<Object>} batteries - Normalized batteries
+   */
+  recordBatteries(combination, batteries) {
+    if (batteries.length === 0) {
+      return;
+    }
+
+    this.combinationsWithBatteries++;
+    const vehicle = this.getVehicle(combination);
+
+    for (const battery of batteries) {
+      this.recordCount++;
+      const itemCode = this.isFilled(battery.itemCode) ? battery.itemCode.toString().trim() : null;
+
+      this.fields.forEach(field => {
+        if (this.isFilled(battery[field])) {
+          this.filled[field] = (this.filled[field] || 0) + 1;
+        }
+      });
+
+      (battery.parseIssues || []).forEach(issue => {
+        this.parseIssues.push({ vehicle, itemCode, ...issue });
+      });
+
+      // Numeric fields the normalizer did not type are unparseable as well
+      this.numericFields.forEach(field => {
+        const value = battery[field];
+        const reported = (battery.parseIssues || []).some(issue => issue.field === field);
+        if (this.isFilled(value) && typeof value !== 'number' && !reported) {
+          this.parseIssues.push({ vehicle, itemCode, field, value: value.toString().trim(), expected: 'number' });
+        }
+      });
+
+      if (!itemCode) {
+        this.missingItemCodes.push({ vehicle, batteryTitle: battery.batteryTitle || null });
+      }
+
+      const missing = this.requiredFields.filter(field => !this.isFilled(battery[field]));
+      if (missing.length > 0) {
+        this.missingRequiredFields.push({ vehicle, itemCode, fields: missing });
+      }
+    }
+  }
+
+  /**
+   * Record a battery page that loaded but listed no battery
+   * @param {Object} combination - Combination of the page
+   * @param {string} url - Battery page URL
+   */
+  recordEmptyPage(combination, url) {
+    this.emptyPages.push({ vehicle: this.getVehicle(combination), url });
+  }
+
+  /**
+   * Get the vehicle fields of a combination or record
+   * @param {Object} source - Combination or battery record
+   * @returns {Object} { vehicleType, brand, model, fuelType }
+   */
+  getVehicle(source) {
+    const vehicle = {};
+    VEHICLE_FIELDS.forEach(field => {
+      vehicle[field] = source[field] || '';
+    });
+    return vehicle;
+  }
+
+  /**
+   * Check whether a field holds a value
+   * @param {*} value - Field value
+   * @returns {boolean} False for null, undefined, empty text and empty lists
+   */
+  isFilled(value) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value.toString().trim() !== '';
+  }
+
+  /**
+   * Get the collected statistics, persisted in checkpoints so resumed runs report on every record
+   * @returns {Object} Serializable state
+   */
+  toJSON() {
+    return {
+      recordCount: this.recordCount,
+      combinationsWithBatteries: this.combinationsWithBatteries,
+      filled: this.filled,
+      parseIssues: this.parseIssues,
+      missingItemCodes: this.missingItemCodes,
+      missingRequiredFields: this.missingRequiredFields,
+      emptyPages: this.emptyPages
+    };
+  }
+
+  /**
+   * Restore statistics saved by toJSON()
+   * @param {Object} state - Saved state (ignored when missing)
+   */
+  restore(state) {
+    if (!state) {
+      return;
+    }
+
+    this.recordCount = state.recordCount || 0;
+    this.combinationsWithBatteries = state.combinationsWithBatteries || 0;
+    this.filled = state.filled || {};
+    this.parseIssues = state.parseIssues || [];
+    this.missingItemCodes = state.missingItemCodes || [];
+    this.missingRequiredFields = state.missingRequiredFields || [];
+    this.emptyPages = state.emptyPages || [];
+  }
+
+  /**
+   * Build the report and evaluate the configured thresholds
+   * @returns {Object} Report with totals, fill rates, issue lists, checks and passed
+   */
+  build() {
+    const fields = this.fields.map(field => {
+      const filled = this.filled[field] || 0;
+      return {
+        field,
+        filled,
+        fillRate: this.recordCount > 0 ? Math.round((filled / this.recordCount) * 10000) / 10000 : 0
+      };
+    });
+
+    const totals = {
+      records: this.recordCount,
+      combinationsWithBatteries: this.combinationsWithBatteries,
+      parseIssues: this.parseIssues.length,
+      missingItemCodes: this.missingItemCodes.length,
+      missingRequiredFields: this.missingRequiredFields.length,
+      emptyPages: this.emptyPages.length
+    };
+
+    const checks = this.evaluateThresholds(fields, totals);
+
+    return {
+      version: REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      passed: checks.every(check => check.passed),
+      totals,
+      fields,
+      checks,
+      parseIssues: this.parseIssues,
+      missingItemCodes: this.missingItemCodes,
+      missingRequiredFields: this.missingRequiredFields,
+      emptyPages: this.emptyPages
+    };
+  }
+
+  /**
+   * Compare fill rates and totals with the configured thresholds
+   * Thresholds set to null are not checked
+   * @param {Array<Object>} fields - Field fill rates
+   * @param {Object} totals - Report totals
+   * @returns {Array<Object>} Checks with name, actual value, limit and passed
+   */
+  evaluateThresholds(fields, totals) {
+    const thresholds = this.options.thresholds || {};
+    const checks = [];
+
+    Object.entries(thresholds.minFillRate || {}).forEach(([field, limit]) => {
+      if (limit === null || limit === undefined) {
+        return;
+      }
+      const entry = fields.find(candidate => candidate.field === field);
+      const actual = entry ? entry.fillRate : 0;
+      checks.push({ name: `minFillRate.${field}`, actual, limit, passed: actual >= limit });
+    });
+
+    Object.entries(COUNT_THRESHOLDS).forEach(([name, total]) => {
+      const limit = thresholds[name];
+      if (limit === null || limit === undefined) {
+        return;
+      }
+      checks.push({ name, actual: totals[total], limit, passed: totals[total] <= limit });
+    });
+
+    return checks;
+  }
+
+  /**
+   * Format a vehicle for display
+   * @param {Object} vehicle - Vehicle fields
+   * @returns {string} 'Type → Brand → Model → Fuel'
+   */
+  describeVehicle(vehicle) {
+    return VEHICLE_FIELDS.map(field => vehicle[field]).join(' → ');
+  }
+
+  /**
+   * Format a fill rate as a percentage
+   * @param {number} rate - Fill rate between 0 and 1
+   * @returns {string} Percentage text
+   */
+  formatRate(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * Format the console summary of a report
+   * @param {Object} report - Report from build()
+   * @param {number} limit - Maximum entries listed per issue type
+   * @returns {string} Summary text
+   */
+  formatSummary(report, limit = 5) {
+    const lines = [];
+    const { totals } = report;
+
+    lines.push(`Records checked: ${totals.records} from ${totals.combinationsWithBatteries} combinations`);
+
+    const incomplete = report.fields.filter(field => field.fillRate < 1);
+    if (totals.records > 0 && incomplete.length > 0) {
+      lines.push('Fields not always filled:');
+      incomplete
+        .sort((a, b) => a.fillRate - b.fillRate)
+        .forEach(field => lines.push(`  • ${field.field}: ${this.formatRate(field.fillRate)} (${field.filled}/${totals.records})`));
+    }
+
+    const section = (title, entries, describe) => {
+      if (entries.length === 0) {
+        return;
+      }
+      lines.push(`${title} (${entries.length}):`);
+      entries.slice(0, limit).forEach(entry => lines.push(`  • ${describe(entry)}`));
+      if (entries.length > limit) {
+        lines.push(`  • ... and ${entries.length - limit} more`);
+      }
+    };
+
+    section('Unparseable values', report.parseIssues, issue =>
+      `${issue.itemCode || this.describeVehicle(issue.vehicle)}: ${issue.field} "${issue.value}" (expected ${issue.expected})`);
+    section('Records without an item code', report.missingItemCodes, entry =>
+      `${this.describeVehicle(entry.vehicle)}: ${entry.batteryTitle || 'untitled battery'}`);
+    section('Records missing required fields', report.missingRequiredFields, entry =>
+      `${this.describeVehicle(entry.vehicle)}: ${entry.fields.join(', ')}`);
+    section('Pages without batteries', report.emptyPages, entry =>
+      `${this.describeVehicle(entry.vehicle)}: ${entry.url}`);
+
+    const failed = report.checks.filter(check => !check.passed);
+    if (report.checks.length > 0) {
+      lines.push(failed.length === 0
+        ? `Thresholds: all ${report.checks.length} checks passed`
+        : `Thresholds: ${failed.length} of ${report.checks.length} checks failed`);
+      failed.forEach(check => {
+        const format = check.name.startsWith('minFillRate.') ? rate => this.formatRate(rate) : value => value;
+        const comparison = check.name.startsWith('minFillRate.') ? 'below' : 'above';
+        lines.push(`  ✗ ${check.name}: ${format(check.actual)} is ${comparison} the limit of ${format(check.limit)}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a report as a standalone HTML page
+   * @param {Object} report - Report from build()
+   * @returns {string} HTML document
+   */
+  formatHtml(report) {
+    const escape = value => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const table = (title, columns, rows) => `
+  <h2>${escape(title)} (${rows.length})</h2>${rows.length === 0 ? '\n  <p>None.</p>' : `
+  <table>
+    <tr>${columns.map(column => `<th>${escape(column)}</th>`).join('')}</tr>
+${rows.map(row => `    <tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n')}
+  </table>`}`;
+
+    const { totals } = report;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Amaron Scraper Data Quality Report</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 1em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    .passed { color: #1a7f37; }
+    .failed { color: #cf222e; }
+  </style>
+</head>
+<body>
+  <h1>Data Quality Report</h1>
+  <p>Generated ${escape(report.generatedAt)}: ${totals.records} records from ${totals.combinationsWithBatteries} combinations.</p>
+  <p class="${report.passed ? 'passed' : 'failed'}">${report.passed ? 'All quality checks passed.' : 'Quality checks failed.'}</p>
+${table('Threshold checks', ['Check', 'Actual', 'Limit', 'Result'],
+    report.checks.map(check => [check.name, check.actual, check.limit, check.passed ? 'passed' : 'failed']))}
+${table('Field fill rates', ['Field', 'Filled', 'Fill rate'],
+    report.fields.map(field => [field.field, `${field.filled}/${totals.records}`, this.formatRate(field.fillRate)]))}
+${table('Unparseable values', ['Vehicle', 'Item code', 'Field', 'Value', 'Expected'],
+    report.parseIssues.map(issue => [this.describeVehicle(issue.vehicle), issue.itemCode, issue.field, issue.value, issue.expected]))}
+${table('Records without an item code', ['Vehicle', 'Battery title'],
+    report.missingItemCodes.map(entry => [this.describeVehicle(entry.vehicle), entry.batteryTitle]))}
+${table('Records missing required fields', ['Vehicle', 'Item code', 'Missing fields'],
+    report.missingRequiredFields.map(entry => [this.describeVehicle(entry.vehicle), entry.itemCode, entry.fields.join(', ')]))}
+${table('Pages without batteries', ['Vehicle', 'URL'],
+    report.emptyPages.map(entry => [this.describeVehicle(entry.vehicle), entry.url]))}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write the report as JSON and HTML to the output directory
+   * @param {Object} report - Report from build()
+   * @returns {Object} { reportFilePath, htmlFilePath }
+   */
+  async save(report) {
+    const reportFilePath = path.join(this.options.outputDirectory, this.options.reportFileName);
+    const htmlFilePath = path.join(this.options.outputDirectory, this.options.htmlFileName);
+
+    try {
+      await fs.mkdir(this.options.outputDirectory, { recursive: true });
+      await fs.writeFile(reportFilePath, JSON.stringify(report, null, 2), 'utf8');
+      await fs.writeFile(htmlFilePath, this.formatHtml(report), 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to write quality report: ${error.message}`);
+    }
+
+    return { reportFilePath, htmlFilePath };
+  }
+}
+
+module.exports = QualityReport;
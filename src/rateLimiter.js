@@ -0,0 +1,34 @@
+/**
+ * Rate Limiter Module for Amaron Battery Scraper
+ * Spaces out requests shared by all concurrent workers so the site is not flooded
+ */
+
+const utils = require('./utils');
+
+class RateLimiter {
+  constructor(minInterval = 500) {
+    this.minInterval = minInterval;
+    this.lastRequestTime = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until the next request slot is free
+   * Calls are granted in order, at least minInterval milliseconds apart
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const slot = this.queue.then(async () => {
+      const waitTime = this.lastRequestTime + this.minInterval - Date.now();
+      if (waitTime > 0) {
+        await utils.delay(waitTime);
+      }
+      this.lastRequestTime = Date.now();
+    });
+
+    this.queue = slot;
+    return slot;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,243 @@
+/**
+ * Recovery Controller Module for Amaron Battery Scraper
+ * Tracks consecutive combination failures across all workers and applies the recovery strategies
+ * in config.errorHandling: retry, refresh the page, restart the browser, skip the combination or abort
+ */
+
+const config = require('./config');
+const utils = require('./utils');
+
+// Recovery actions, in the order they are considered after a failure
+const ACTIONS = ['restart-browser', 'refresh-page', 'skip-combination', 'abort'];
+
+// Actions kept in the run summary (and checkpoint) in full; older ones are only counted
+const MAX_RECORDED_ACTIONS = 200;
+
+class RecoveryController {
+  /**
+   * @param {Object} handlers - { refreshPage(slot), restartBrowser() } applying the recovery to the browser
+   * @param {Object} options - Thresholds (defaults to config.errorHandling)
+   */
+  constructor(handlers, options = {}) {
+    const errorHandling = config.errorHandling;
+    this.handlers = handlers;
+    this.options = {
+      maxConsecutiveErrors: errorHandling.maxConsecutiveErrors,
+      continueOnError: errorHandling.continueOnError,
+      ...errorHandling.recoveryStrategies,
+      ...options
+    };
+
+    this.consecutiveErrors = 0;
+    this.generation = 0; // Incremented by every browser restart
+    this.restarting = null; // Promise of a browser restart in progress
+    this.aborted = null; // Error that ended the run
+    this.attempts = new Map(); // Failed attempts per combination key
+    this.actions = [];
+    this.counts = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    this.skippedCombinations = [];
+  }
+
+  /**
+   * Wait until a browser restart in progress has finished
+   */
+  async ready() {
+    while (this.restarting) {
+      await this.restarting;
+    }
+  }
+
+  /**
+   * Reset the consecutive failure count after a combination succeeded
+   * @param {Object} combination - Processed combination
+   */
+  recordSuccess(combination) {
+    const key = RecoveryController.getKey(combination);
+    this.consecutiveErrors = 0;
+    this.attempts.delete(key);
+    // A combination skipped before an interruption can succeed when the resumed run tries it again
+    this.skippedCombinations = this.skippedCombinations.filter(skipped => RecoveryController.getKey(skipped) !== key);
+  }
+
+  /**
+   * Record a failed attempt and decide what happens next
+   * Failures of work started before the last browser restart are not counted: the restart caused them
+   * Permanent errors (see utils.classifyError) skip the combination straight away
+   * @param {Object} combination - Combination that failed
+   * @param {Error} error - Failure
+   * @param {Object} context - { slot: page pool index, generation: generation the attempt started in }
+   * @returns {Promise<string>} 'retry' or 'skip'
+   * @throws {Error} When maxConsecutiveErrors is reached, or a combination is skipped without continueOnError
+   */
+  async recordFailure(combination, error, { slot = 0, generation = this.generation } = {}) {
+    const key = RecoveryController.getKey(combination);
+    const attempts = (this.attempts.get(key) || 0) + 1;
+    this.attempts.set(key, attempts);
+
+    if (this.aborted) {
+      throw this.aborted;
+    }
+
+    if (generation === this.generation) {
+      this.consecutiveErrors++;
+    }
+    const { maxConsecutiveErrors, browserRestartThreshold, pageRefreshThreshold, skipCombinationThreshold } = this.options;
+
+    if (maxConsecutiveErrors > 0 && this.consecutiveErrors >= maxConsecutiveErrors) {
+      this.record('abort', combination, error);
+      this.aborted = new Error(`Aborting after ${this.consecutiveErrors} consecutive errors (last: ${error.message})`);
+      throw this.aborted;
+    }
+
+    if (generation === this.generation && this.reachedThreshold(browserRestartThreshold)) {
+      await this.restartBrowser(combination, error);
+    } else if (generation === this.generation && this.reachedThreshold(pageRefreshThreshold)) {
+      this.record('refresh-page', combination, error);
+      try {
+        await this.handlers.refreshPage(slot);
+      } catch (refreshError) {
+        utils.logProgress(`Page refresh failed: ${refreshError.message}`, 'warn');
+      }
+    }
+
+    // Permanent errors fail the same way on every attempt, so only transient ones are retried
+    const permanent = !utils.isTransientError(error);
+    if (permanent || (skipCombinationThreshold > 0 && attempts >= skipCombinationThreshold)) {
+      this.attempts.delete(key);
+      this.record('skip-combination', combination, error);
+      // A combination re-attempted at the end of the run is listed once, with its last failure
+      this.skippedCombinations = this.skippedCombinations.filter(skipped => RecoveryController.getKey(skipped) !== key);
+      this.skippedCombinations.push({
+        ...RecoveryController.describe(combination),
+        attempts,
+        phase: error.phase,
+        error: error.message,
+        errorClass: utils.classifyError(error)
+      });
+      if (!this.options.continueOnError) {
+        this.aborted = new Error(`Combination ${RecoveryController.getLabel(combination)} failed ${attempts} times and continueOnError is off`);
+        throw this.aborted;
+      }
+      return 'skip';
+    }
+
+    return 'retry';
+  }
+
+  /**
+   * Check whether the consecutive failure count just reached a multiple of a threshold
+   * @param {number} threshold - Threshold (0 disables the strategy)
+   * @returns {boolean} True when the strategy applies
+   */
+  reachedThreshold(threshold) {
+    return threshold > 0 && this.consecutiveErrors % threshold === 0;
+  }
+
+  /**
+   * Restart the browser once for all workers; workers wait in ready() meanwhile
+   * @param {Object} combination - Combination whose failure triggered the restart
+   * @param {Error} error - Failure
+   */
+  async restartBrowser(combination, error) {
+    if (this.restarting) {
+      return this.ready();
+    }
+
+    this.record('restart-browser', combination, error);
+    this.restarting = (async () => {
+      try {
+        await this.handlers.restartBrowser();
+      } finally {
+        this.generation++;
+        this.restarting = null;
+      }
+    })();
+
+    try {
+      await this.restarting;
+    } catch (restartError) {
+      this.aborted = new Error(`Browser restart failed: ${restartError.message}`);
+      throw this.aborted;
+    }
+  }
+
+  /**
+   * Record and log a recovery action
+   * @param {string} action - One of ACTIONS
+   * @param {Object} combination - Combination whose failure triggered it
+   * @param {Error} error - Failure
+   */
+  record(action, combination, error) {
+    this.counts[action]++;
+    if (this.actions.length < MAX_RECORDED_ACTIONS) {
+      this.actions.push({
+        action,
+        at: new Date().toISOString(),
+        consecutiveErrors: this.consecutiveErrors,
+        combination: RecoveryController.getLabel(combination),
+        error: error.message
+      });
+    }
+
+    const level = action === 'abort' ? 'error' : 'warn';
+    utils.logProgress(`🛠️  Recovery: ${action} after ${this.consecutiveErrors} consecutive error(s) (${RecoveryController.getLabel(combination)}: ${error.message})`, level);
+  }
+
+  /**
+   * Get the recovery statistics for the run summary and checkpoint
+   * @returns {Object} { counts, actions, skippedCombinations, consecutiveErrors }
+   */
+  toJSON() {
+    return {
+      counts: { ...this.counts },
+      actions: this.actions,
+      skippedCombinations: this.skippedCombinations,
+      consecutiveErrors: this.consecutiveErrors
+    };
+  }
+
+  /**
+   * Restore the statistics of a resumed run
+   * @param {Object|null} state - Output of toJSON()
+   */
+  restore(state) {
+    if (!state) {
+      return;
+    }
+    Object.assign(this.counts, state.counts || {});
+    this.actions = state.actions || [];
+    // Skipped combinations are not marked processed, so the resumed run tries them again
+    this.skippedCombinations = state.skippedCombinations || [];
+  }
+
+  /**
+   * Key identifying a combination across attempts
+   * @param {Object} combination - Combination
+   * @returns {string} Key
+   */
+  static getKey(combination) {
+    return [combination.vehicleType, combination.brand, combination.model, combination.fuelType].join('|');
+  }
+
+  /**
+   * Human-readable combination label
+   * @param {Object} combination - Combination
+   * @returns {string} e.g. 'Passengers → MARUTI SUZUKI → Swift → Diesel'
+   */
+  static getLabel(combination) {
+    return [combination.vehicleType, combination.brand, combination.model, combination.fuelType].join(' → ');
+  }
+
+  /**
+   * Vehicle fields of a combination
+   * @param {Object} combination - Combination
+   * @returns {Object} { vehicleType, brand, model, fuelType }
+   */
+  static describe(combination) {
+    const { vehicleType, brand, model, fuelType } = combination;
+    return { vehicleType, brand, model, fuelType };
+  }
+}
+
+module.exports = RecoveryController;
+module.exports.ACTIONS = ACTIONS;
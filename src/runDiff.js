@@ -0,0 +1,430 @@
+/**
+ * Run Diff Module for Amaron Battery Scraper
+ * Compares the output of two runs and reports vehicle, battery, fitment, price and warranty changes
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+const BaseExporter = require('./baseExporter');
+
+const CHANGESET_VERSION = 1;
+const VEHICLE_FIELDS = ['vehicleType', 'brand', 'model', 'fuelType'];
+
+class RunDiff {
+  /**
+   * @param {Object} options - Overrides for config.diff (fields, file names) and outputDirectory
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...config.diff,
+      outputDirectory: config.output.outputDirectory,
+      ...options
+    };
+    // Shared header key and number parsing, so CSV text and typed JSON values compare equal
+    this.formatter = new BaseExporter(null);
+  }
+
+  /**
+   * Compare two run outputs on disk
+   * @param {string} oldFile - Earlier run (CSV, JSON or NDJSON)
+   * @param {string} newFile - Later run (CSV, JSON or NDJSON)
+   * @returns {Object} Change set
+   */
+  async compareFiles(oldFile, newFile) {
+    const oldRecords = await this.loadRecords(oldFile);
+    const newRecords = await this.loadRecords(newFile);
+
+    return {
+      version: CHANGESET_VERSION,
+      generatedAt: new Date().toISOString(),
+      old: { source: oldFile, recordCount: oldRecords.length },
+      new: { source: newFile, recordCount: newRecords.length },
+      ...this.compare(oldRecords, newRecords)
+    };
+  }
+
+  /**
+   * Load the battery records of a run output, keyed by camelCase field names
+   * @param {string} filePath - CSV, JSON array or NDJSON file
+   * @returns {Array<Object>} Records
+   */
+  async loadRecords(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read run output ${filePath}: ${error.message}`);
+    }
+    content = content.replace(/^\uFEFF/, '');
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+      switch (extension) {
+        case '.csv':
+          return this.parseCsvRecords(content);
+        case '.json': {
+          const records = JSON.parse(content);
+          if (!Array.isArray(records)) {
+            throw new Error('file does not contain a JSON array');
+          }
+          return records;
+        }
+        case '.ndjson':
+        case '.jsonl':
+          return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        default:
+          throw new Error('expected a .csv, .json or .ndjson file');
+      }
+    } catch (error) {
+      throw new Error(`Cannot read run output ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse CSV content with a header row into records
+   * @param {string} content - CSV content
+   * @returns {Array<Object>} Records keyed by camelCase header names
+   */
+  parseCsvRecords(content) {
+    const [headerRow, ...rows] = this.parseCsvRows(content);
+    if (!headerRow) {
+      return [];
+    }
+
+    const keys = headerRow.map(header => this.formatter.getFieldKey(header));
+    return rows.map(row => {
+      const record = {};
+      keys.forEach((key, index) => {
+        const value = row[index];
+        record[key] = value === undefined || value === '' ? null : value;
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Split CSV content into rows of fields, honouring quoted fields with delimiters, quotes and newlines
+   * @param {string} content - CSV content
+   * @returns {Array<Array<string>>} Non-empty rows
+   */
+  parseCsvRows(content) {
+    const { delimiter, quote } = config.output.csvOptions;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === quote && content[i + 1] === quote) {
+          field += quote;
+          i++;
+        } else if (char === quote) {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === quote) {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value !== ''));
+  }
+
+  /**
+   * Compare the records of two runs
+   * Fitments are only compared for vehicles present in both runs; batteries of added or
+   * removed vehicles are implied by the vehicle change
+   * @param {Array<Object>} oldRecords - Earlier run
+   * @param {Array<Object>} newRecords - Later run
+   * @returns {Object} Summary counts and changes
+   */
+  compare(oldRecords, newRecords) {
+    const oldRun = this.indexRecords(oldRecords);
+    const newRun = this.indexRecords(newRecords);
+
+    const vehicles = {
+      added: this.missingFrom(oldRun.vehicles, newRun.vehicles),
+      removed: this.missingFrom(newRun.vehicles, oldRun.vehicles)
+    };
+    const batteries = {
+      added: this.missingFrom(oldRun.batteries, newRun.batteries).map(battery => this.describeBattery(battery)),
+      removed: this.missingFrom(newRun.batteries, oldRun.batteries).map(battery => this.describeBattery(battery))
+    };
+
+    const fitments = [];
+    for (const [vehicleKey, vehicle] of newRun.vehicles) {
+      if (!oldRun.vehicles.has(vehicleKey)) {
+        continue;
+      }
+
+      const oldFitted = oldRun.fitments.get(vehicleKey);
+      const newFitted = newRun.fitments.get(vehicleKey);
+      const added = Array.from(newFitted).filter(key => !oldFitted.has(key)).sort();
+      const removed = Array.from(oldFitted).filter(key => !newFitted.has(key)).sort();
+
+      if (added.length > 0 || removed.length > 0) {
+        fitments.push({ vehicle, added, removed });
+      }
+    }
+
+    const priceChanges = [];
+    const warrantyChanges = [];
+    for (const [batteryKey, newBattery] of newRun.batteries) {
+      const oldBattery = oldRun.batteries.get(batteryKey);
+      if (!oldBattery) {
+        continue;
+      }
+
+      const prices = this.diffFields(oldBattery, newBattery, this.options.priceFields);
+      if (prices) {
+        priceChanges.push({ ...this.describeBattery(newBattery), changes: prices });
+      }
+
+      const warranties = this.diffFields(oldBattery, newBattery, this.options.warrantyFields);
+      if (warranties) {
+        warrantyChanges.push({ ...this.describeBattery(newBattery), changes: warranties });
+      }
+    }
+
+    return {
+      summary: {
+        vehiclesAdded: vehicles.added.length,
+        vehiclesRemoved: vehicles.removed.length,
+        batteriesAdded: batteries.added.length,
+        batteriesRemoved: batteries.removed.length,
+        fitmentsChanged: fitments.length,
+        priceChanges: priceChanges.length,
+        warrantyChanges: warrantyChanges.length
+      },
+      vehicles,
+      batteries,
+      fitments,
+      priceChanges,
+      warrantyChanges
+    };
+  }
+
+  /**
+   * Index a run's records by vehicle and battery
+   * The first record of a battery provides its prices and warranties
+   * @param {Array<Object>} records - Run records
+   * @returns {Object} { vehicles, batteries, fitments } maps sorted by key
+   */
+  indexRecords(records) {
+    const vehicles = new Map();
+    const batteries = new Map();
+    const fitments = new Map();
+
+    for (const record of records) {
+      const batteryKey = this.getBatteryKey(record);
+      if (batteryKey && !batteries.has(batteryKey)) {
+        batteries.set(batteryKey, { ...record, batteryKey });
+      }
+
+      // Catalogue files carry no vehicle columns
+      if (!VEHICLE_FIELDS.some(field => this.normalizeText(record[field]))) {
+        continue;
+      }
+
+      const vehicleKey = utils.getCombinationKey(record);
+      if (!vehicles.has(vehicleKey)) {
+        const vehicle = {};
+        VEHICLE_FIELDS.forEach(field => {
+          vehicle[field] = this.normalizeText(record[field]);
+        });
+        vehicles.set(vehicleKey, vehicle);
+        fitments.set(vehicleKey, new Set());
+      }
+      if (batteryKey) {
+        fitments.get(vehicleKey).add(batteryKey);
+      }
+    }
+
+    const sortByKey = map => new Map(Array.from(map).sort(([a], [b]) => a.localeCompare(b)));
+    return { vehicles: sortByKey(vehicles), batteries: sortByKey(batteries), fitments };
+  }
+
+  /**
+   * Get the values of one index that are missing from another
+   * @param {Map} reference - Index to compare against
+   * @param {Map} candidates - Index whose extra entries are returned
+   * @returns {Array} Entries in candidates but not in reference
+   */
+  missingFrom(reference, candidates) {
+    return Array.from(candidates)
+      .filter(([key]) => !reference.has(key))
+      .map(([, value]) => value);
+  }
+
+  /**
+   * Compare numeric fields of a battery between runs
+   * @param {Object} oldBattery - Earlier record
+   * @param {Object} newBattery - Later record
+   * @param {Array<string>} fields - Fields to compare
+   * @returns {Object|null} Changed fields as { field: { old, new } }, or null when unchanged
+   */
+  diffFields(oldBattery, newBattery, fields) {
+    const changes = {};
+
+    for (const field of fields) {
+      const oldValue = this.formatter.parseNumber(oldBattery[field]);
+      const newValue = this.formatter.parseNumber(newBattery[field]);
+      if (oldValue !== newValue) {
+        changes[field] = { old: oldValue, new: newValue };
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Battery identity: item code, or title when the page had no item code
+   * @param {Object} record - Battery record
+   * @returns {string|null} Battery key
+   */
+  getBatteryKey(record) {
+    const itemCode = this.normalizeText(record.itemCode);
+    if (itemCode) {
+      return itemCode;
+    }
+
+    const title = this.normalizeText(record.batteryTitle);
+    return title ? `title:${title}` : null;
+  }
+
+  /**
+   * Identify a battery in the change set
+   * @param {Object} battery - Indexed battery record
+   * @returns {Object} { batteryKey, itemCode, batteryTitle }
+   */
+  describeBattery(battery) {
+    return {
+      batteryKey: battery.batteryKey,
+      itemCode: this.normalizeText(battery.itemCode) || null,
+      batteryTitle: this.normalizeText(battery.batteryTitle || battery.batteryModel) || null
+    };
+  }
+
+  /**
+   * Collapse whitespace in a text value
+   * @param {*} value - Field value
+   * @returns {string} Normalized text ('' for empty values)
+   */
+  normalizeText(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return value.toString().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Check whether a change set contains any change
+   * @param {Object} changeset - Change set from compare()
+   * @returns {boolean} True if anything changed
+   */
+  hasChanges(changeset) {
+    return Object.values(changeset.summary).some(count => count > 0);
+  }
+
+  /**
+   * Render a change set as a human-readable report
+   * @param {Object} changeset - Change set from compareFiles()
+   * @returns {string} Report text
+   */
+  formatReport(changeset) {
+    const vehicleLabel = vehicle => VEHICLE_FIELDS.map(field => vehicle[field]).join(' → ');
+    const batteryLabel = battery => battery.batteryTitle && battery.batteryTitle !== battery.itemCode
+      ? `${battery.itemCode || battery.batteryKey} (${battery.batteryTitle})`
+      : battery.itemCode || battery.batteryKey;
+    const fieldLabel = field => {
+      const schemaField = this.formatter.schema.getField(field);
+      return schemaField ? schemaField.header : field;
+    };
+    const valueLabel = value => (value === null ? '—' : value);
+
+    const lines = [
+      'RUN DIFF',
+      `Old: ${changeset.old.source} (${changeset.old.recordCount} records)`,
+      `New: ${changeset.new.source} (${changeset.new.recordCount} records)`,
+      ''
+    ];
+
+    if (!this.hasChanges(changeset)) {
+      lines.push('No changes.');
+      return lines.join('\n');
+    }
+
+    const section = (title, items, render) => {
+      if (items.length === 0) {
+        return;
+      }
+      lines.push(`${title} (${items.length}):`);
+      items.forEach(item => lines.push(`  ${render(item)}`));
+      lines.push('');
+    };
+
+    const changeLabel = item => Object.entries(item.changes)
+      .map(([field, change]) => `${fieldLabel(field)} ${valueLabel(change.old)} → ${valueLabel(change.new)}`)
+      .join(', ');
+
+    section('Vehicles added', changeset.vehicles.added, vehicle => `+ ${vehicleLabel(vehicle)}`);
+    section('Vehicles removed', changeset.vehicles.removed, vehicle => `- ${vehicleLabel(vehicle)}`);
+    section('Batteries added', changeset.batteries.added, battery => `+ ${batteryLabel(battery)}`);
+    section('Batteries removed', changeset.batteries.removed, battery => `- ${batteryLabel(battery)}`);
+    section('Fitments changed', changeset.fitments, fitment => [
+      `~ ${vehicleLabel(fitment.vehicle)}:`,
+      ...fitment.added.map(key => `+${key}`),
+      ...fitment.removed.map(key => `-${key}`)
+    ].join(' '));
+    section('Price changes', changeset.priceChanges, item => `~ ${batteryLabel(item)}: ${changeLabel(item)}`);
+    section('Warranty changes', changeset.warrantyChanges, item => `~ ${batteryLabel(item)}: ${changeLabel(item)}`);
+
+    return lines.join('\n').trimEnd();
+  }
+
+  /**
+   * Write the report and the JSON change set to the output directory
+   * @param {Object} changeset - Change set from compareFiles()
+   * @returns {Object} { reportFilePath, changesetFilePath }
+   */
+  async save(changeset) {
+    const reportFilePath = path.join(this.options.outputDirectory, this.options.reportFileName);
+    const changesetFilePath = path.join(this.options.outputDirectory, this.options.changesetFileName);
+
+    try {
+      await fs.mkdir(this.options.outputDirectory, { recursive: true });
+      await fs.writeFile(reportFilePath, `${this.formatReport(changeset)}\n`, 'utf8');
+      await fs.writeFile(changesetFilePath, JSON.stringify(changeset, null, 2), 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to write run diff: ${error.message}`);
+    }
+
+    return { reportFilePath, changesetFilePath };
+  }
+}
+
+module.exports = RunDiff;
@@ -3,38 +3,321 @@
  * Discovers valid combinations dynamically, then tests only those URLs
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const puppeteer = require('puppeteer');
 const config = require('./config');
 const utils = require('./utils');
-const CSVExporter = require('./csvExporter');
+const logger = require('./logger');
+const ExportManager = require('./exportManager');
+const SQLiteExporter = require('./sqliteExporter');
+const CheckpointManager = require('./checkpointManager');
+const CombinationStore = require('./combinationStore');
+const RateLimiter = require('./rateLimiter');
+const UrlBuilder = require('./urlBuilder');
+const SnapshotStore = require('./snapshotStore');
+const PriceHistoryStore = require('./priceHistoryStore');
+const BatteryNormalizer = require('./batteryNormalizer');
+const QualityReport = require('./qualityReport');
+const BatterySchema = require('./batterySchema');
+const CombinationFilter = require('./combinationFilter');
+const RecoveryController = require('./recoveryController');
+const ErrorLog = require('./errorLog');
+const RunDiff = require('./runDiff');
+const ProgressTracker = require('./progressTracker');
+
+// HTTP statuses of overloaded or failing servers, retried like network errors
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} status - Response status
+ * @returns {boolean} True for rate limiting and server errors
+ */
+function isTransientStatus(status) {
+  return TRANSIENT_STATUSES.includes(status);
+}
+
+/**
+ * Create an error that utils.classifyError reports as transient
+ * @param {string} message - Error message
+ * @returns {Error} Error marked transient
+ */
+function transientError(message) {
+  const error = new Error(message);
+  error.transient = true;
+  return error;
+}
+
+// Supported combination discovery strategies
+const DISCOVERY_STRATEGIES = ['ajax', 'dom'];
 
 class SmartUrlScraper {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      resume: false,
+      combinationsFile: null,
+      append: false,
+      concurrency: config.concurrency.workers,
+      outputMode: config.output.mode,
+      site: {},
+      pincodes: config.pricing.pincodes,
+      filters: config.filters,
+      ...options
+    };
     this.browser = null;
     this.page = null;
+    this.pagePool = [];
+    this.urlBuilder = new UrlBuilder(this.options.site);
+    this.schema = new BatterySchema();
+    this.filter = new CombinationFilter(this.options.filters);
+    this.normalizer = new BatteryNormalizer();
+    this.rateLimiter = new RateLimiter(config.concurrency.minRequestInterval);
+    this.recovery = new RecoveryController({
+      refreshPage: slot => this.refreshPage(slot),
+      restartBrowser: () => this.restartBrowser()
+    });
+    this.errorLog = new ErrorLog();
+    this.progress = new ProgressTracker(); // Events for the progress bar, report and file
     this.csvExporter = null;
+    this.fitmentExporter = null;
+    this.databaseExporter = null;
+    this.priceExporter = null;
+    this.priceHistory = null;
+    this.runId = null; // Start time of the run, kept when resuming
     this.scrapedCount = 0;
+    this.fitmentCount = 0;
     this.processedCombinations = 0;
     this.successfulCombinations = 0;
     this.validCombinations = [];
     this.seenBatteries = new Set(); // Track duplicates
+    this.completedBatteries = new Set(); // Identifiers from combinations marked processed; only these are checkpointed
     this.duplicateCount = 0;
+    this.urlMismatches = []; // Combinations whose battery page URL returned 404
+    this.seenPrices = new Set(); // Item code/pincode pairs already priced
+    this.pricingContext = null; // Browser context of the pricing page, so its location stays out of the pool
+    this.pricingPage = null;
+    this.pricingQueue = Promise.resolve(); // Pincode lookups share the pricing page, one at a time
+    this.priceCount = 0;
+    this.parseIssueCount = 0; // Extracted values the normalizer could not parse
+    this.noDataCount = 0; // Combinations whose page loaded and reported no batteries
+    this.retryQueue = []; // Combinations skipped after transient failures, re-attempted at the end of the run
+    this.retryStats = { retriedOperations: 0, queued: 0, recovered: 0 };
+    this.qualityReport = config.quality.enabled ? new QualityReport() : null;
+    this.snapshotStore = config.snapshots.enabled ? new SnapshotStore() : null;
+    this.snapshotExporter = null;
+    this.snapshotFileName = null;
+    this.snapshotScope = null; // Filters and combinations file a limited run's snapshot is compared by
+    this.checkpoint = config.checkpoint.enabled ? new CheckpointManager() : null;
+    if (this.checkpoint) {
+      // JSON output is only flushed every few records; a checkpoint must not count records not yet on disk
+      this.checkpoint.beforeSave = () => this.flushExports();
+    }
   }
 
   /**
-   * Initialize CSV exporter for data export
+   * Initialize exporters for data export (one per configured output format)
+   * In fitment mode the main exporter writes the battery catalogue and a second
+   * exporter writes the vehicle -> battery fitment table
+   * @param {Object} options - Exporter initialization options (e.g. append when resuming)
    */
-  async initializeCSVExporter() {
+  async initializeCSVExporter(options = {}) {
     try {
-      utils.logProgress('Initializing CSV exporter...');
-      this.csvExporter = new CSVExporter();
-      await this.csvExporter.initializeCSV();
-      utils.logProgress('CSV exporter initialized successfully');
+      utils.logProgress(`Initializing exporters (${config.output.formats.join(', ')}; ${this.options.outputMode} mode)...`);
+      
+      // The database is normalized on its own, so it receives every vehicle/battery pair
+      // regardless of output mode; the flat file formats follow the output mode
+      const fileFormats = config.output.formats.filter(format => format !== 'sqlite');
+      
+      if (this.options.outputMode === 'fitment') {
+        this.csvExporter = new ExportManager(config.output.catalogueFileName, this.schema.getHeaders('catalogue'), fileFormats);
+        this.fitmentExporter = new ExportManager(config.output.fitmentFileName, this.schema.getHeaders('fitment'), fileFormats);
+        await this.fitmentExporter.initialize(options);
+      } else {
+        this.csvExporter = new ExportManager(null, null, fileFormats);
+      }
+      
+      await this.csvExporter.initialize(options);
+      
+      // A retry-failed run starts with nothing seen, so batteries already written by the
+      // run it retries are read back from its output to keep them from being written twice
+      if (this.options.append && this.options.outputMode !== 'all') {
+        await this.loadExistingBatteries();
+      }
+      
+      // Location-dependent prices go to their own table keyed by item code and pincode
+      if (this.options.pincodes.length > 0) {
+        this.priceExporter = new ExportManager(config.pricing.priceFileName, this.schema.getHeaders('price'), fileFormats);
+        await this.priceExporter.initialize(options);
+      }
+      
+      if (config.output.formats.includes('sqlite')) {
+        this.databaseExporter = new SQLiteExporter();
+        await this.databaseExporter.initialize(options);
+      }
+      
+      this.runId = this.runId || new Date().toISOString();
+      
+      // Every run appends its prices to the history, so price changes survive overwritten CSVs
+      if (config.priceHistory.enabled) {
+        this.priceHistory = new PriceHistoryStore(null, this.runId);
+        await this.priceHistory.initialize();
+      }
+      
+      // The run snapshot compared by the diff command also keeps every vehicle/battery pair.
+      // A retry-failed run only covers the failed combinations, so it would look like a run that
+      // lost almost every battery; it adds to the output of its run but writes no snapshot
+      if (this.snapshotStore && this.options.append) {
+        utils.logProgress('Retrying failed combinations: no run snapshot is written');
+      } else if (this.snapshotStore) {
+        this.snapshotFileName = this.snapshotFileName || this.snapshotStore.createFileName(new Date(this.runId));
+        this.snapshotExporter = this.snapshotStore.createExporter(this.snapshotFileName);
+        await this.snapshotExporter.initialize(options);
+      }
+      
+      utils.logProgress('Exporters initialized successfully');
     } catch (error) {
-      throw new Error(`Failed to initialize CSV exporter: ${error.message}`);
+      throw new Error(`Failed to initialize exporters: ${error.message}`);
     }
   }
 
+  /**
+   * Mark the batteries in the existing primary output file as seen
+   * Read from the first file format; the database-only setup has no file to read
+   * @returns {number} Number of batteries loaded
+   */
+  async loadExistingBatteries() {
+    const primary = this.csvExporter.exporters[0];
+    if (!primary || !primary.filePath) {
+      return 0;
+    }
+
+    try {
+      await fs.access(primary.filePath);
+    } catch (error) {
+      return 0;
+    }
+
+    const records = await new RunDiff().loadRecords(primary.filePath);
+    let loaded = 0;
+    for (const record of records) {
+      if (!record.itemCode && !record.batteryTitle) {
+        continue;
+      }
+      const identifier = this.createBatteryIdentifier(record);
+      if (!this.seenBatteries.has(identifier)) {
+        this.seenBatteries.add(identifier);
+        this.completedBatteries.add(identifier);
+        loaded++;
+      }
+    }
+
+    utils.logProgress(`Loaded ${loaded} batteries already in ${primary.filePath}; they will not be written again`);
+    return loaded;
+  }
+
+  /**
+   * Get the name of the main CSV file for the current output mode
+   * @returns {string} CSV file name
+   */
+  getPrimaryOutputFileName() {
+    return this.options.outputMode === 'fitment' ? config.output.catalogueFileName : config.output.csvFileName;
+  }
+
+  /**
+   * Restore combinations and progress from a previous run's checkpoint
+   * @returns {boolean} True if a checkpoint was found and restored
+   */
+  async restoreFromCheckpoint() {
+    if (!this.checkpoint) {
+      utils.logProgress('Checkpointing is disabled; starting a fresh run', 'warn');
+      return false;
+    }
+
+    const state = await this.checkpoint.load();
+    if (!state) {
+      utils.logProgress(`No checkpoint found at ${this.checkpoint.filePath}; starting a fresh run`, 'warn');
+      return false;
+    }
+
+    const outputFile = this.getPrimaryOutputFileName();
+    if (state.outputFile && state.outputFile !== outputFile) {
+      utils.logProgress(`Checkpoint was written for ${state.outputFile}, resuming into ${outputFile}`, 'warn');
+    }
+
+    this.validCombinations = state.combinations;
+    this.seenBatteries = new Set(state.seenBatteries || []);
+    this.completedBatteries = new Set(this.seenBatteries);
+    this.scrapedCount = state.stats.scrapedCount || 0;
+    this.successfulCombinations = state.stats.successfulCombinations || 0;
+    this.duplicateCount = state.stats.duplicateCount || 0;
+    this.fitmentCount = state.stats.fitmentCount || 0;
+    this.urlMismatches = state.stats.urlMismatches || [];
+    this.priceCount = state.stats.priceCount || 0;
+    this.parseIssueCount = state.stats.parseIssueCount || 0;
+    this.noDataCount = state.stats.noDataCount || 0;
+    if (this.qualityReport) {
+      this.qualityReport.restore(state.stats.quality);
+    }
+    this.recovery.restore(state.stats.recovery);
+    this.seenPrices = new Set(state.seenPrices || []);
+    this.snapshotFileName = state.snapshotFile || null;
+    this.snapshotScope = state.snapshotScope || null;
+    this.runId = state.runId || state.startedAt;
+
+    utils.logProgress(`♻️  Resuming run started at ${state.startedAt}: ${this.checkpoint.getProcessedCount()}/${state.combinations.length} combinations already processed`);
+    return true;
+  }
+
+  /**
+   * Get the progress state persisted in checkpoints
+   * Battery identifiers of combinations still being processed are left out: those combinations
+   * run again on resume and must not find their batteries already seen
+   * @returns {Object} Stats and seen battery/price identifiers
+   */
+  getCheckpointProgress() {
+    return {
+      stats: {
+        scrapedCount: this.scrapedCount,
+        successfulCombinations: this.successfulCombinations,
+        duplicateCount: this.duplicateCount,
+        fitmentCount: this.fitmentCount,
+        urlMismatches: this.urlMismatches,
+        priceCount: this.priceCount,
+        parseIssueCount: this.parseIssueCount,
+        noDataCount: this.noDataCount,
+        quality: this.qualityReport ? this.qualityReport.toJSON() : null,
+        recovery: this.recovery.toJSON()
+      },
+      seenBatteries: this.completedBatteries,
+      seenPrices: this.seenPrices
+    };
+  }
+
+  /**
+   * Write the records the exporters still hold in memory (used before checkpoints and on shutdown)
+   */
+  async flushExports() {
+    for (const exporter of [this.csvExporter, this.fitmentExporter, this.priceExporter]) {
+      if (exporter) {
+        await exporter.flush();
+      }
+    }
+  }
+
+  /**
+   * Flush the current progress to the checkpoint file (used on shutdown)
+   */
+  async saveCheckpoint() {
+    if (!this.checkpoint || !this.checkpoint.state) {
+      return;
+    }
+
+    this.checkpoint.update(this.getCheckpointProgress());
+    await this.checkpoint.save();
+    utils.logProgress(`Checkpoint saved: ${this.checkpoint.getProcessedCount()}/${this.validCombinations.length} combinations processed`);
+  }
+
   /**
    * Initialize browser with error handling
    */
@@ -42,21 +325,8 @@ class SmartUrlScraper {
     try {
       utils.logProgress('Initializing browser...');
       this.browser = await puppeteer.launch(config.browser.launchOptions);
-      this.page = await this.browser.newPage();
-      
-      await this.page.setViewport(config.browser.pageOptions.viewport);
-      await this.page.setUserAgent(config.browser.pageOptions.userAgent);
-      
-      // Set up request interception to block unnecessary resources
-      await this.page.setRequestInterception(true);
-      this.page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if (resourceType === 'stylesheet' || resourceType === 'image') {
-          req.abort();
-        } else {
-          req.continue();
-        }
-      });
+      this.page = await this.createPage();
+      this.pagePool = [this.page];
       
       utils.logProgress('Browser initialized successfully');
     } catch (error) {
@@ -64,13 +334,106 @@ class SmartUrlScraper {
     }
   }
 
+  /**
+   * Create a new browser page with the configured viewport, user agent and resource blocking
+   * @param {Browser|BrowserContext} context - Browser or browser context to open the page in
+   * @returns {Promise<Page>} Configured page
+   */
+  async createPage(context = this.browser) {
+    const page = await context.newPage();
+    
+    await page.setViewport(config.browser.pageOptions.viewport);
+    await page.setUserAgent(config.browser.pageOptions.userAgent);
+    
+    // Set up request interception to block unnecessary resources
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      const resourceType = req.resourceType();
+      if (resourceType === 'stylesheet' || resourceType === 'image') {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+    
+    return page;
+  }
+
+  /**
+   * Grow the page pool to the configured concurrency level
+   */
+  async initializePagePool() {
+    const size = Math.max(1, this.options.concurrency);
+    
+    try {
+      while (this.pagePool.length < size) {
+        this.pagePool.push(await this.createPage());
+      }
+      utils.logProgress(`Page pool ready with ${this.pagePool.length} page(s)`);
+    } catch (error) {
+      throw new Error(`Failed to create page pool: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a page of the pool with a fresh one (recovery after repeated failures)
+   * @param {number} slot - Index of the page in the pool
+   */
+  async refreshPage(slot) {
+    const page = this.pagePool[slot];
+    if (page && !page.isClosed()) {
+      await page.close().catch(() => {});
+    }
+
+    this.pagePool[slot] = await this.createPage();
+    if (slot === 0) {
+      this.page = this.pagePool[0];
+    }
+    utils.logProgress(`Page ${slot + 1} replaced with a fresh page`);
+  }
+
+  /**
+   * Close the browser and launch it again with a full page pool (recovery after repeated failures)
+   */
+  async restartBrowser() {
+    await this.closeBrowser();
+    await this.initializeBrowser();
+    await this.initializePagePool();
+  }
+
+  /**
+   * Run a page operation through utils.executeWithRetry
+   * Operations listed in config.retry.retryableOperations are retried on network, element and
+   * other transient errors with exponential backoff; everything else gets a single attempt
+   * @param {string} operation - Operation type, e.g. 'navigation' or 'dropdownSelection'
+   * @param {string} description - What is being done (for log and error messages)
+   * @param {Function} fn - Operation
+   * @returns {Promise<*>} Operation result
+   */
+  async withRetry(operation, description, fn) {
+    const maxRetries = config.retry.retryableOperations.includes(operation) ? config.retry.maxRetries : 1;
+    let attempts = 0;
+    
+    try {
+      return await utils.executeWithRetry(() => {
+        attempts++;
+        return fn();
+      }, { maxRetries, operationName: description });
+    } finally {
+      if (attempts > 1) {
+        this.retryStats.retriedOperations++;
+      }
+    }
+  }
+
   /**
    * Navigate to the main Amaron page to discover valid combinations
    */
   async navigateToMainPage() {
     try {
       utils.logProgress('Navigating to Amaron main page for discovery...');
-      await this.page.goto(config.baseUrl, { waitUntil: 'networkidle2' });
+      await this.withRetry('navigation', 'navigation to the main page', () =>
+        this.page.goto(this.urlBuilder.getDiscoveryUrl(), { waitUntil: 'networkidle2' }));
       await utils.delay(3000); // Wait for page to fully load
       utils.logProgress('Successfully navigated to main page');
     } catch (error) {
@@ -83,18 +446,23 @@ class SmartUrlScraper {
    */
   async getDropdownOptions(selector) {
     try {
-      await this.page.waitForSelector(selector, { timeout: 10000 });
-      
-      const options = await this.page.evaluate((sel) => {
-        const dropdown = document.querySelector(sel);
-        if (!dropdown) return [];
+      return await this.withRetry('elementWait', `reading ${selector}`, async () => {
+        await this.page.waitForSelector(selector, { timeout: 10000 });
         
-        return Array.from(dropdown.options)
-          .filter(opt => opt.value && opt.value !== '' && opt.value !== 'default')
-          .map(opt => ({ value: opt.value, text: opt.textContent.trim() }));
-      }, selector);
-      
-      return options;
+        return this.page.evaluate((sel) => {
+          const dropdown = document.querySelector(sel);
+          if (!dropdown) return [];
+          
+          return Array.from(dropdown.options)
+            .filter(opt => opt.value && opt.value !== '' && opt.value !== 'default')
+            .map(opt => ({
+              value: opt.value,
+              text: opt.textContent.trim(),
+              // Canonical result page link, when the site exposes one on the option
+              url: opt.getAttribute('data-url') || null
+            }));
+        }, selector);
+      });
     } catch (error) {
       utils.logProgress(`Failed to get dropdown options for ${selector}: ${error.message}`, 'warn');
       return [];
@@ -106,8 +474,8 @@ class SmartUrlScraper {
    */
   async selectDropdownOption(selector, value, optionName) {
     try {
-      utils.logProgress(`Selecting ${optionName}: ${value}`);
-      await this.page.select(selector, value);
+      utils.logProgress(`Selecting ${optionName}: ${value}`, 'debug');
+      await this.withRetry('dropdownSelection', `selecting ${optionName} ${value}`, () => this.page.select(selector, value));
       await utils.delay(2000); // Wait for AJAX to update dependent dropdowns
       return true;
     } catch (error) {
@@ -117,91 +485,34 @@ class SmartUrlScraper {
   }
 
   /**
-   * Discover all valid combinations by navigating through dependent dropdowns
+   * Discover all valid combinations using the configured discovery strategy
    */
   async discoverValidCombinations() {
     try {
-      utils.logProgress('🔍 Starting intelligent combination discovery...');
-      
-      // Navigate to main page
-      await this.navigateToMainPage();
-      
-      // Get initial vehicle types
-      const vehicleTypes = await this.getDropdownOptions('#edit-select-vehicle, select[name="select-vehicle"]');
-      utils.logProgress(`Found ${vehicleTypes.length} vehicle types`);
+      const strategy = config.discovery.strategy;
+      if (!DISCOVERY_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown discovery strategy "${strategy}" (expected ${DISCOVERY_STRATEGIES.join(' or ')})`);
+      }
       
-      const validCombinations = [];
+      utils.logProgress(`🔍 Starting intelligent combination discovery (${strategy} strategy)...`);
+      if (this.filter.isActive()) {
+        utils.logProgress(`Filters: ${this.filter.describe()}`);
+      }
       
-      for (const vehicleType of vehicleTypes) {
-        utils.logProgress(`\n🚗 Discovering combinations for: ${vehicleType.text}`);
-        
-        // Select vehicle type
-        const vehicleSelected = await this.selectDropdownOption(
-          '#edit-select-vehicle, select[name="select-vehicle"]', 
-          vehicleType.value, 
-          'vehicle type'
-        );
-        
-        if (!vehicleSelected) continue;
-        
-        // Get brands available for this vehicle type
-        const brands = await this.getDropdownOptions('#edit-vehicle-make, select[name="vehicle-make"]');
-        utils.logProgress(`  Found ${brands.length} brands for ${vehicleType.text}`);
-        
-        for (const brand of brands) {
-          utils.logProgress(`    🏭 Discovering models for: ${brand.text}`);
-          
-          // Select brand
-          const brandSelected = await this.selectDropdownOption(
-            '#edit-vehicle-make, select[name="vehicle-make"]', 
-            brand.value, 
-            'brand'
-          );
-          
-          if (!brandSelected) continue;
-          
-          // Get models available for this brand
-          const models = await this.getDropdownOptions('#edit-model, select[name="model"]');
-          utils.logProgress(`      Found ${models.length} models for ${brand.text}`);
-          
-          for (const model of models) {
-            // Select model
-            const modelSelected = await this.selectDropdownOption(
-              '#edit-model, select[name="model"]', 
-              model.value, 
-              'model'
-            );
-            
-            if (!modelSelected) continue;
-            
-            // Get fuel types available for this specific model
-            const fuelTypes = await this.getDropdownOptions('#edit-fuel, select[name="fuel"]');
-            
-            if (fuelTypes.length > 0) {
-              utils.logProgress(`        ⛽ Found ${fuelTypes.length} fuel types for ${model.text}: ${fuelTypes.map(f => f.text).join(', ')}`);
-              
-              // Add all valid combinations for this model
-              for (const fuelType of fuelTypes) {
-                validCombinations.push({
-                  vehicleType: vehicleType.text,
-                  brand: brand.text,
-                  model: model.text,
-                  fuelType: fuelType.text
-                });
-              }
-            }
+      let validCombinations;
+      if (strategy === 'ajax') {
+        try {
+          validCombinations = await this.discoverWithAjax();
+        } catch (error) {
+          if (!config.discovery.fallbackToDom) {
+            throw error;
           }
-          
-          // Navigate back to main page to reset dropdowns for next brand
-          await this.navigateToMainPage();
-          
-          // Re-select vehicle type for next brand
-          await this.selectDropdownOption(
-            '#edit-select-vehicle, select[name="select-vehicle"]', 
-            vehicleType.value, 
-            'vehicle type'
-          );
+          utils.logProgress(`AJAX discovery failed (${error.message}); falling back to DOM discovery`, 'warn');
+          await this.errorLog.record(error, { phase: 'discovery', page: this.page });
+          validCombinations = await this.discoverWithDom();
         }
+      } else {
+        validCombinations = await this.discoverWithDom();
       }
       
       this.validCombinations = validCombinations;
@@ -225,109 +536,700 @@ class SmartUrlScraper {
       return validCombinations;
       
     } catch (error) {
-      throw new Error(`Failed to discover valid combinations: ${error.message}`);
+      await this.errorLog.record(error, { phase: 'discovery', page: this.page });
+      throw new Error(`Failed to discover valid combinations: ${error.message}`);
+    }
+  }
+
+  /**
+   * DOM strategy: discover combinations by selecting every option and waiting for dependent dropdowns
+   * @returns {Array<Object>} Discovered combinations
+   */
+  async discoverWithDom() {
+    // Navigate to main page
+    await this.navigateToMainPage();
+    
+    // Get initial vehicle types
+    const vehicleTypes = this.filterDropdownOptions('vehicleType',
+      await this.getDropdownOptions('#edit-select-vehicle, select[name="select-vehicle"]'), 'the site');
+    utils.logProgress(`Found ${vehicleTypes.length} vehicle types`);
+    
+    const validCombinations = [];
+    
+    for (const vehicleType of vehicleTypes) {
+      utils.logProgress(`\n🚗 Discovering combinations for: ${vehicleType.text}`);
+      
+      // Select vehicle type
+      const vehicleSelected = await this.selectDropdownOption(
+        '#edit-select-vehicle, select[name="select-vehicle"]', 
+        vehicleType.value, 
+        'vehicle type'
+      );
+      
+      if (!vehicleSelected) continue;
+      
+      // Get brands available for this vehicle type
+      const brands = this.filterDropdownOptions('brand',
+        await this.getDropdownOptions('#edit-vehicle-make, select[name="vehicle-make"]'), vehicleType.text);
+      utils.logProgress(`  Found ${brands.length} brands for ${vehicleType.text}`);
+      this.progress.discoveryProgress('brand', vehicleType.text, brands.length, validCombinations.length);
+      
+      for (const brand of brands) {
+        utils.logProgress(`    🏭 Discovering models for: ${brand.text}`);
+        
+        // Select brand
+        const brandSelected = await this.selectDropdownOption(
+          '#edit-vehicle-make, select[name="vehicle-make"]', 
+          brand.value, 
+          'brand'
+        );
+        
+        if (!brandSelected) continue;
+        
+        // Get models available for this brand
+        const models = this.filterDropdownOptions('model',
+          await this.getDropdownOptions('#edit-model, select[name="model"]'), brand.text);
+        utils.logProgress(`      Found ${models.length} models for ${brand.text}`);
+        this.progress.discoveryProgress('model', brand.text, models.length, validCombinations.length);
+        
+        for (const model of models) {
+          // Select model
+          const modelSelected = await this.selectDropdownOption(
+            '#edit-model, select[name="model"]', 
+            model.value, 
+            'model'
+          );
+          
+          if (!modelSelected) continue;
+          
+          // Get fuel types available for this specific model
+          const fuelTypes = this.filterDropdownOptions('fuelType',
+            await this.getDropdownOptions('#edit-fuel, select[name="fuel"]'), model.text);
+          
+          if (fuelTypes.length > 0) {
+            utils.logProgress(`        ⛽ Found ${fuelTypes.length} fuel types for ${model.text}: ${fuelTypes.map(f => f.text).join(', ')}`);
+            
+            // Add all valid combinations for this model
+            for (const fuelType of fuelTypes) {
+              validCombinations.push(this.buildCombination(vehicleType, brand, model, fuelType));
+            }
+            this.progress.discoveryProgress('fuelType', model.text, fuelTypes.length, validCombinations.length);
+          }
+        }
+        
+        // Navigate back to main page to reset dropdowns for next brand
+        await this.navigateToMainPage();
+        
+        // Re-select vehicle type for next brand
+        await this.selectDropdownOption(
+          '#edit-select-vehicle, select[name="select-vehicle"]', 
+          vehicleType.value, 
+          'vehicle type'
+        );
+      }
+    }
+    
+    return validCombinations;
+  }
+
+  /**
+   * AJAX strategy: capture the request the site sends when a vehicle type is selected,
+   * then replay it for every option instead of waiting for the dropdowns to refill
+   * @returns {Array<Object>} Discovered combinations
+   */
+  async discoverWithAjax() {
+    await this.navigateToMainPage();
+    
+    const levels = this.getDropdownLevels();
+    const allVehicleTypes = await this.getDropdownOptions(levels[0].selector);
+    if (allVehicleTypes.length === 0) {
+      throw new Error('No vehicle types found on the discovery page');
+    }
+    const vehicleTypes = this.filterDropdownOptions('vehicleType', allVehicleTypes, 'the site');
+    if (vehicleTypes.length === 0) {
+      return [];
+    }
+    utils.logProgress(`Found ${vehicleTypes.length} vehicle types`);
+    
+    const template = await this.captureAjaxRequest(vehicleTypes[0].value);
+    utils.logProgress(`Captured dropdown AJAX request: ${template.method} ${template.url}`);
+    
+    const validCombinations = [];
+    
+    for (const vehicleType of vehicleTypes) {
+      utils.logProgress(`\n🚗 Discovering combinations for: ${vehicleType.text}`);
+      
+      const brands = this.filterDropdownOptions('brand', await this.replayAjaxRequest(template, [vehicleType]), vehicleType.text);
+      utils.logProgress(`  Found ${brands.length} brands for ${vehicleType.text}`);
+      this.progress.discoveryProgress('brand', vehicleType.text, brands.length, validCombinations.length);
+      
+      for (const brand of brands) {
+        const models = this.filterDropdownOptions('model', await this.replayAjaxRequest(template, [vehicleType, brand]), brand.text);
+        utils.logProgress(`    🏭 Found ${models.length} models for ${brand.text}`);
+        this.progress.discoveryProgress('model', brand.text, models.length, validCombinations.length);
+        
+        for (const model of models) {
+          const fuelTypes = this.filterDropdownOptions('fuelType', await this.replayAjaxRequest(template, [vehicleType, brand, model]), model.text);
+          
+          if (fuelTypes.length > 0) {
+            utils.logProgress(`        ⛽ Found ${fuelTypes.length} fuel types for ${model.text}: ${fuelTypes.map(f => f.text).join(', ')}`);
+            
+            for (const fuelType of fuelTypes) {
+              validCombinations.push(this.buildCombination(vehicleType, brand, model, fuelType));
+            }
+            this.progress.discoveryProgress('fuelType', model.text, fuelTypes.length, validCombinations.length);
+          }
+        }
+      }
+    }
+    
+    return validCombinations;
+  }
+
+  /**
+   * Select the first vehicle type and capture the dropdown AJAX request it triggers
+   * @param {string} vehicleTypeValue - Option value to select
+   * @returns {Object} Replayable request template
+   */
+  async captureAjaxRequest(vehicleTypeValue) {
+    const levels = this.getDropdownLevels();
+    const pattern = new RegExp(config.discovery.ajaxUrlPattern, 'i');
+    
+    let request;
+    try {
+      [request] = await Promise.all([
+        this.page.waitForRequest(
+          req => ['xhr', 'fetch'].includes(req.resourceType()) && pattern.test(req.url()),
+          { timeout: config.timeouts.ajaxWait }
+        ),
+        this.page.select(levels[0].selector, vehicleTypeValue)
+      ]);
+    } catch (error) {
+      throw new Error(`No dropdown AJAX request captured: ${error.message}`);
+    }
+    
+    const body = request.postData();
+    if (request.method() !== 'POST' || !body) {
+      throw new Error(`Captured ${request.method()} ${request.url()} has no form body to replay`);
+    }
+    
+    const fieldNames = await this.page.evaluate((selectors) => selectors.map(selector => {
+      const dropdown = document.querySelector(selector);
+      return dropdown ? dropdown.name : null;
+    }), levels.map(level => level.selector));
+    
+    if (fieldNames.some(name => !name)) {
+      throw new Error('Could not read the form field names of the dropdowns');
+    }
+    
+    // Replay only the headers that tell the server this is an AJAX form post
+    const capturedHeaders = request.headers();
+    const headers = {};
+    for (const name of ['content-type', 'accept', 'x-requested-with']) {
+      if (capturedHeaders[name]) {
+        headers[name] = capturedHeaders[name];
+      }
+    }
+    
+    return {
+      url: request.url(),
+      method: request.method(),
+      headers,
+      body,
+      fieldNames,
+      selectors: levels.map(level => level.selector),
+      buildId: null
+    };
+  }
+
+  /**
+   * Replay the captured AJAX request for a partial selection and read the next dropdown's options
+   * @param {Object} template - Request template from captureAjaxRequest
+   * @param {Array<Object>} selectedOptions - Options selected so far, from vehicle type down
+   * @returns {Array<Object>} Options of the next dropdown level
+   */
+  async replayAjaxRequest(template, selectedOptions) {
+    const levelIndex = selectedOptions.length - 1;
+    const form = new URLSearchParams(template.body);
+    
+    template.fieldNames.forEach((name, index) => {
+      form.set(name, index <= levelIndex ? selectedOptions[index].value : '');
+    });
+    if (form.has('_triggering_element_name')) {
+      form.set('_triggering_element_name', template.fieldNames[levelIndex]);
+    }
+    if (form.has('_triggering_element_value')) {
+      form.set('_triggering_element_value', selectedOptions[levelIndex].value);
+    }
+    // Drupal hands out a new form build id with every response
+    if (template.buildId && form.has('form_build_id')) {
+      form.set('form_build_id', template.buildId);
+    }
+    
+    const selection = selectedOptions.map(option => option.text).join(' → ');
+    const result = await this.withRetry('networkRequest', `AJAX replay for ${selection}`, async () => {
+      await this.rateLimiter.acquire();
+      const reply = await this.page.evaluate(async (request, targetSelector) => {
+        const response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body,
+          credentials: 'same-origin'
+        });
+        const text = await response.text();
+        
+        // Drupal answers with a list of commands whose data holds the refreshed form elements;
+        // anything else is treated as an HTML fragment
+        let fragments = [text];
+        let buildId = null;
+        try {
+          const commands = JSON.parse(text);
+          if (Array.isArray(commands)) {
+            fragments = commands.filter(command => typeof command.data === 'string').map(command => command.data);
+            const update = commands.find(command => command.command === 'update_build_id');
+            buildId = update ? update.new : null;
+          }
+        } catch (error) {
+          // Not JSON
+        }
+        
+        for (const fragment of fragments) {
+          const dropdown = new DOMParser().parseFromString(fragment, 'text/html').querySelector(targetSelector);
+          if (dropdown) {
+            const options = Array.from(dropdown.options)
+              .filter(opt => opt.value && opt.value !== '' && opt.value !== 'default')
+              .map(opt => ({
+                value: opt.value,
+                text: opt.textContent.trim(),
+                url: opt.getAttribute('data-url') || null
+              }));
+            return { status: response.status, buildId, options };
+          }
+        }
+        
+        return { status: response.status, buildId, options: null };
+      }, { url: template.url, method: template.method, headers: template.headers, body: form.toString() },
+      template.selectors[levelIndex + 1]);
+      
+      // Server errors are worth another try; any other answer without the dropdown is final
+      if (!reply.options && isTransientStatus(reply.status)) {
+        throw transientError(`AJAX replay for ${selection} returned ${reply.status}`);
+      }
+      return reply;
+    });
+    
+    if (result.buildId) {
+      template.buildId = result.buildId;
+    }
+    
+    if (!result.options) {
+      throw new Error(`AJAX replay for ${selection} returned ${result.status} without the next dropdown`);
+    }
+    
+    return result.options;
+  }
+
+  /**
+   * Drop the dropdown options excluded by the filters, so their branches are never loaded
+   * @param {string} level - Dropdown level ('vehicleType', 'brand', 'model' or 'fuelType')
+   * @param {Array<Object>} options - Options read from the dropdown
+   * @param {string} parent - Text of the selection the options belong to (for logging)
+   * @returns {Array<Object>} Options to walk
+   */
+  filterDropdownOptions(level, options, parent) {
+    const kept = this.filter.filterOptions(level, options);
+    if (kept.length < options.length) {
+      utils.logProgress(`  Filters skip ${options.length - kept.length} of ${options.length} ${level} options for ${parent}`);
+    }
+    return kept;
+  }
+
+  /**
+   * Dropdown levels walked during discovery, from vehicle type down to fuel type
+   * @returns {Array<Object>} Level keys and selectors
+   */
+  getDropdownLevels() {
+    return [
+      { key: 'vehicleType', selector: config.selectors.vehicleTypeDropdown },
+      { key: 'brand', selector: config.selectors.brandDropdown },
+      { key: 'model', selector: config.selectors.modelDropdown },
+      { key: 'fuelType', selector: config.selectors.fuelTypeDropdown }
+    ];
+  }
+
+  /**
+   * Build a combination from the options selected at each dropdown level
+   * @returns {Object} Combination with display text, option values and canonical URL
+   */
+  buildCombination(vehicleType, brand, model, fuelType) {
+    return {
+      vehicleType: vehicleType.text,
+      brand: brand.text,
+      model: model.text,
+      fuelType: fuelType.text,
+      values: {
+        vehicleType: vehicleType.value,
+        brand: brand.value,
+        model: model.value,
+        fuelType: fuelType.value
+      },
+      url: fuelType.url ? this.urlBuilder.resolveUrl(fuelType.url) : null
+    };
+  }
+
+  /**
+   * Get what the run is limited to, recorded with its snapshot so the diff command only
+   * compares it with runs limited the same way
+   * @returns {Object|null} { filters, combinationsFile }, null for a full discovery run
+   */
+  getSnapshotScope() {
+    const scope = {};
+    if (this.options.combinationsFile) {
+      scope.combinationsFile = path.resolve(this.options.combinationsFile);
+    }
+    if (this.filter.isActive()) {
+      scope.filters = this.filter.toJSON();
+    }
+    return Object.keys(scope).length > 0 ? scope : null;
+  }
+
+  /**
+   * Load combinations from a cached combinations file instead of running discovery
+   * @param {string} filePath - Path of the combinations file
+   */
+  async loadCombinationsFromFile(filePath) {
+    const store = new CombinationStore(filePath);
+    const stored = await store.load();
+
+    if (stored.combinations.length === 0) {
+      throw new Error(`Combinations file ${filePath} contains no combinations`);
+    }
+
+    const combinations = stored.combinations.filter(combination => this.filter.matches(combination));
+    if (this.filter.isActive()) {
+      utils.logProgress(`Filters (${this.filter.describe()}) keep ${combinations.length} of ${stored.combinations.length} combinations`);
+    }
+
+    this.validCombinations = combinations;
+    return combinations;
+  }
+
+  /**
+   * Run discovery only and save the combinations for later scrape runs
+   * @returns {Object} Discovery summary
+   */
+  async discover() {
+    const startTime = Date.now();
+    const summary = {
+      success: false,
+      totalCombinations: 0,
+      combinationsFilePath: null,
+      duration: 0,
+      errors: []
+    };
+
+    try {
+      await this.initializeBrowser();
+      await this.discoverValidCombinations();
+
+      const store = new CombinationStore();
+      const metadata = { source: this.urlBuilder.getDiscoveryUrl() };
+      if (this.filter.isActive()) {
+        metadata.filters = this.filter.toJSON();
+      }
+      summary.combinationsFilePath = await store.save(this.validCombinations, metadata);
+      summary.totalCombinations = this.validCombinations.length;
+      summary.success = true;
+      return summary;
+    } catch (error) {
+      summary.errors.push(error.message);
+      utils.logProgress(`❌ Discovery failed: ${error.message}`, 'error');
+      throw error;
+    } finally {
+      await this.closeBrowser();
+      summary.duration = Math.round((Date.now() - startTime) / 1000);
+    }
+  }
+
+  /**
+   * Generate battery page URL for a specific combination
+   */
+  generateBatteryPageUrl(vehicleType, brand, model, fuelType) {
+    return this.urlBuilder.buildBatteryPageUrl({ vehicleType, brand, model, fuelType });
+  }
+
+  /**
+   * Record a combination whose battery page URL does not exist on the site
+   * A wrong URL would otherwise look the same as a vehicle without batteries
+   * @param {string} url - URL that returned 404
+   * @param {Object} combination - Combination the URL was built for
+   */
+  recordUrlMismatch(url, combination) {
+    const hasValues = combination.values && Object.values(combination.values).some(value => value);
+    this.urlMismatches.push({
+      vehicleType: combination.vehicleType,
+      brand: combination.brand,
+      model: combination.model,
+      fuelType: combination.fuelType,
+      url,
+      urlSource: combination.url ? 'canonical' : (hasValues && config.site.useOptionValues ? 'values' : 'text'),
+      status: 404
+    });
+    utils.logProgress(`⚠️  URL mismatch for ${combination.vehicleType} → ${combination.brand} → ${combination.model} → ${combination.fuelType}: ${url}`, 'warn');
+  }
+
+  /**
+   * Write the URL mismatch report next to the other output files
+   * @returns {string|null} Report path, or null when every URL resolved
+   */
+  async writeUrlMismatchReport() {
+    if (this.urlMismatches.length === 0) {
+      return null;
+    }
+
+    const filePath = path.join(config.output.outputDirectory, config.output.urlMismatchFileName);
+    const report = {
+      generatedAt: new Date().toISOString(),
+      count: this.urlMismatches.length,
+      mismatches: this.urlMismatches
+    };
+
+    try {
+      await fs.mkdir(config.output.outputDirectory, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(report, null, 2), 'utf8');
+    } catch (error) {
+      utils.logProgress(`Failed to write URL mismatch report ${filePath}: ${error.message}`, 'warn');
+      return null;
+    }
+
+    utils.logProgress(`⚠️  ${this.urlMismatches.length} battery page URL(s) returned 404, see ${filePath}`, 'warn');
+    return filePath;
+  }
+
+  /**
+   * Write the combinations that still failed after every retry, in the combinations file format,
+   * so the retry-failed command can scrape just them; a report left by an earlier run is removed
+   * @returns {string|null} Report path, or null when every combination succeeded
+   */
+  async writeFailedCombinationsReport() {
+    const filePath = config.output.failedCombinationsFile;
+    const failures = new Map(this.recovery.skippedCombinations.map(skipped => [RecoveryController.getKey(skipped), skipped]));
+    const failed = this.validCombinations
+      .filter(combination => failures.has(RecoveryController.getKey(combination)))
+      .map(combination => {
+        const { phase, error, errorClass, attempts } = failures.get(RecoveryController.getKey(combination));
+        return { ...combination, failure: { phase, errorClass, attempts, error } };
+      });
+
+    if (failed.length === 0) {
+      await fs.unlink(filePath).catch(() => {});
+      return null;
+    }
+
+    try {
+      await new CombinationStore(filePath).save(failed, { runId: this.runId });
+    } catch (error) {
+      utils.logProgress(error.message, 'warn');
+      return null;
     }
+
+    utils.logProgress(`⚠️  ${failed.length} combination(s) failed, see ${filePath} (retry them with: node index.js retry-failed)`, 'warn');
+    return filePath;
   }
 
   /**
-   * Generate battery page URL for a specific combination
+   * Build the data quality report, write it next to the output and add it to the run summary
+   * @param {Object} summary - Run summary to add the report, its files and the threshold result to
    */
-  generateBatteryPageUrl(vehicleType, brand, model, fuelType) {
-    // Convert text to URL-friendly format
-    const urlify = (text) => text.toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters except spaces and hyphens
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
-    
-    const vehicleTypeUrl = urlify(vehicleType);
-    const brandUrl = urlify(brand);
-    const modelUrl = urlify(model);
-    const fuelTypeUrl = urlify(fuelType);
-    
-    return `https://www.amaron.com/battery/${vehicleTypeUrl}/${brandUrl}/${modelUrl}/${fuelTypeUrl}`;
+  async writeQualityReport(summary) {
+    if (!this.qualityReport) {
+      return;
+    }
+
+    const report = this.qualityReport.build();
+    summary.quality = report;
+    summary.qualityPassed = report.passed;
+
+    try {
+      const { reportFilePath, htmlFilePath } = await this.qualityReport.save(report);
+      summary.qualityReportFilePath = reportFilePath;
+      summary.qualityHtmlFilePath = htmlFilePath;
+    } catch (error) {
+      utils.logProgress(error.message, 'warn');
+    }
+
+    if (!report.passed) {
+      const failed = report.checks.filter(check => !check.passed).map(check => check.name);
+      utils.logProgress(`❌ Data quality thresholds failed: ${failed.join(', ')}`, 'error');
+    }
   }
 
   /**
    * Test if a battery page URL exists and has data
    */
-  async testBatteryPageUrl(url, combination) {
+  async testBatteryPageUrl(url, combination, page = this.page) {
+    let phase = 'navigation';
     try {
-      utils.logProgress(`Testing URL: ${url}`);
+      // Share the request budget with every other worker
+      await this.rateLimiter.acquire();
+      utils.logProgress(`Testing URL: ${url}`, 'debug');
       
-      const response = await this.page.goto(url, { 
-        waitUntil: 'networkidle2', 
-        timeout: 10000 
+      const response = await this.withRetry('navigation', `navigation to ${url}`, async () => {
+        const pageResponse = await page.goto(url, { 
+          waitUntil: 'networkidle2', 
+          timeout: 10000 
+        });
+        // goto resolves to null for same-document navigations and about:blank
+        if (pageResponse && isTransientStatus(pageResponse.status())) {
+          throw transientError(`${url} returned ${pageResponse.status()}`);
+        }
+        return pageResponse;
       });
       
-      if (!response.ok()) {
+      // Without a response the page is checked by extraction, which tells empty from incomplete pages
+      if (response && !response.ok()) {
         utils.logProgress(`URL returned ${response.status()}: ${url}`, 'warn');
+        if (response.status() === 404) {
+          this.recordUrlMismatch(url, combination);
+        }
         return null;
       }
       
       await utils.delay(2000); // Wait for page to fully load
       
       // Extract battery data
-      const batteryData = await this.extractBatteryData(combination);
+      phase = 'extraction';
+      const batteryData = await this.extractBatteryData(combination, page);
       
       if (batteryData.length > 0) {
         utils.logProgress(`✅ Found ${batteryData.length} batteries at ${url}`);
         return batteryData;
       } else {
+        // Only a page the site finished rendering counts as "no data"; anything else is retried
+        if (!(await this.isNoDataPage(page))) {
+          throw transientError(`Incomplete page at ${url}: no batteries and no finder or "no results" content`);
+        }
         utils.logProgress(`○ No battery data found at ${url}`);
+        this.noDataCount++;
+        if (this.qualityReport) {
+          this.qualityReport.recordEmptyPage(combination, url);
+        }
         return null;
       }
       
     } catch (error) {
-      utils.logProgress(`Failed to test ${url}: ${error.message}`, 'warn');
-      return null;
+      // Failures are handled by the recovery controller of the processing loop,
+      // which needs the classification of the original error
+      const failure = new Error(`Failed to test ${url}: ${error.message}`);
+      failure.cause = error;
+      failure.transient = utils.isTransientError(error);
+      failure.attempts = error.attempts;
+      failure.phase = phase;
+      failure.url = url;
+      throw failure;
     }
   }
 
+  /**
+   * Check whether a page without batteries is the site's answer rather than a page that failed to load
+   * @param {Page} page - Page showing a battery page URL
+   * @returns {Promise<boolean>} True when the "no results" message or the battery finder is present
+   */
+  async isNoDataPage(page) {
+    return page.evaluate((selectors) => selectors.some(selector => document.querySelector(selector) !== null),
+      [config.selectors.noResults, config.selectors.vehicleTypeDropdown]);
+  }
+
   /**
    * Extract enhanced battery data from the current page state
+   * Each column of the comparison table is extracted as a separate battery record
    */
-  async extractBatteryData(combination) {
+  async extractBatteryData(combination, page = this.page) {
     try {
       // Wait for results to load
       await utils.delay(2000);
       
       // Extract battery data using enhanced page structure analysis
-      const batteryData = await this.page.evaluate((combo) => {
+      const batteryData = await this.withRetry('dataExtraction', 'battery data extraction', () => page.evaluate((combo, fields) => {
         const batteries = [];
         
-        // Helper function to extract text from various selectors
-        const extractText = (selectors) => {
-          for (const selector of selectors) {
-            const element = document.querySelector(selector);
-            if (element) {
-              return element.textContent.trim();
-            }
+        // Helper function to extract price information
+        const extractPrice = (text) => {
+          const priceMatch = text.match(/₹[\d,]+(?:\.\d{2})?/);
+          return priceMatch ? priceMatch[0] : '';
+        };
+        
+        // Helper function to get the label and value cells of a table row
+        const getRowCells = (row) => Array.from(row.querySelectorAll('th, td'));
+        
+        // Build one column accessor per battery in the comparison table.
+        // The first cell of every row holds the field label, each following cell one battery.
+        const buildComparisonColumns = (table) => {
+          const rows = Array.from(table.querySelectorAll('tr'));
+          const columnCount = rows.reduce((max, row) => Math.max(max, getRowCells(row).length - 1), 0);
+          const columns = [];
+          
+          for (let columnIndex = 1; columnIndex <= columnCount; columnIndex++) {
+            const cells = rows
+              .map(row => getRowCells(row)[columnIndex])
+              .filter(cell => cell);
+            
+            columns.push({
+              cells,
+              extractTableData: (searchTexts) => {
+                for (const searchText of searchTexts) {
+                  const row = rows.find(tr => {
+                    const labelCell = getRowCells(tr)[0];
+                    return labelCell && labelCell.textContent.toLowerCase().includes(searchText.toLowerCase());
+                  });
+                  if (row) {
+                    const cell = getRowCells(row)[columnIndex];
+                    if (cell) {
+                      return cell.textContent.trim();
+                    }
+                  }
+                }
+                return '';
+              }
+            });
           }
-          return '';
+          
+          return columns;
         };
         
-        // Helper function to extract table row data
-        const extractTableData = (searchTexts) => {
+        // Dated promotion printed in a price row label, e.g. 'Special Discount (Till 18th Sep)' -> 'Till 18th Sep'
+        const extractRowLabelPeriod = (searchTexts) => {
           for (const searchText of searchTexts) {
-            const row = Array.from(document.querySelectorAll('tr')).find(tr => 
-              tr.textContent.toLowerCase().includes(searchText.toLowerCase())
-            );
+            const row = Array.from(document.querySelectorAll('tr')).find(tr => {
+              const labelCell = getRowCells(tr)[0];
+              return labelCell && labelCell.textContent.toLowerCase().includes(searchText.toLowerCase());
+            });
             if (row) {
-              const cell = row.querySelector('td:last-child') || row.querySelector('td:nth-child(2)');
-              if (cell) {
-                return cell.textContent.trim();
-              }
+              const match = getRowCells(row)[0].textContent.match(/\(([^)]*\d[^)]*)\)/);
+              return match ? match[1].trim() : '';
             }
           }
           return '';
         };
         
-        // Helper function to extract price information
-        const extractPrice = (text) => {
-          const priceMatch = text.match(/₹[\d,]+(?:\.\d{2})?/);
-          return priceMatch ? priceMatch[0] : '';
-        };
+        // Single column accessor for pages without a comparison table
+        const buildPageColumn = () => ({
+          cells: [document.body],
+          extractTableData: (searchTexts) => {
+            for (const searchText of searchTexts) {
+              const row = Array.from(document.querySelectorAll('tr')).find(tr => 
+                tr.textContent.toLowerCase().includes(searchText.toLowerCase())
+              );
+              if (row) {
+                const cell = row.querySelector('td:last-child') || row.querySelector('td:nth-child(2)');
+                if (cell) {
+                  return cell.textContent.trim();
+                }
+              }
+            }
+            return '';
+          }
+        });
         
         // Check if page has battery data
         const pageText = document.body.textContent.toLowerCase();
@@ -337,174 +1239,59 @@ class SmartUrlScraper {
                               pageText.includes('battery') ||
                               pageText.includes('amaron');
         
-        if (hasBatteryData) {
+        if (!hasBatteryData) {
+          return batteries;
+        }
+        
+        const comparisonTable = document.querySelector('table.comparisionTable');
+        let columns = comparisonTable ? buildComparisonColumns(comparisonTable) : [];
+        if (columns.length === 0) {
+          columns = [buildPageColumn()];
+        }
+        
+        for (const column of columns) {
+          const extractTableData = column.extractTableData;
+          const columnText = column.cells.map(cell => cell.textContent).join('\n');
+          
           const battery = {
             vehicleType: combo.vehicleType,
             brand: combo.brand,
             model: combo.model,
-            fuelType: combo.fuelType,
-            batteryBrand: 'Amaron',
-            series: '',
-            itemCode: '',
-            batteryModel: '',
-            batteryTitle: '',
-            dimensions: '',
-            voltage: '',
-            ampereHour: '',
-            cca: '',
-            totalWarranty: '',
-            freeWarranty: '',
-            proRataWarranty: '',
-            terminalLayoutImageUrl: '',
-            countryOfOrigin: '',
-            basePrice: '',
-            specialDiscount: '',
-            totalPrice: '',
-            rebate: ''
+            fuelType: combo.fuelType
           };
           
-          // Extract battery title - look for the specific pattern in table cells
-          const tableCells = document.querySelectorAll('table.comparisionTable td');
-          for (const cell of tableCells) {
-            const text = cell.textContent.trim();
-            // Look for the exact pattern: "AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)"
-            if (text.includes('AMARON') && text.includes('Automotive Battery') && text.includes('(AAM-')) {
-              // Extract just the title line, not the entire cell content
-              const lines = text.split('\n').map(line => line.trim()).filter(line => line);
-              for (const line of lines) {
-                if (line.includes('AMARON') && line.includes('Automotive Battery') && line.includes('(AAM-')) {
-                  battery.batteryTitle = line;
-                  break;
+          // Schema fields come from the first table row matching one of their labels
+          for (const field of fields) {
+            battery[field.id] = (field.labels.length > 0 ? extractTableData(field.labels) : '') || field.default;
+          }
+          
+          // Extract battery title - look for the specific pattern in this column's cells
+          if (!battery.batteryTitle) {
+            for (const cell of column.cells) {
+              const text = cell.textContent.trim();
+              // Look for the exact pattern: "AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)"
+              if (text.includes('AMARON') && text.includes('Automotive Battery') && text.includes('(AAM-')) {
+                // Extract just the title line, not the entire cell content
+                const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+                for (const line of lines) {
+                  if (line.includes('AMARON') && line.includes('Automotive Battery') && line.includes('(AAM-')) {
+                    battery.batteryTitle = line;
+                    break;
+                  }
                 }
+                if (battery.batteryTitle) break;
               }
-              if (battery.batteryTitle) break;
             }
           }
           
-
-          
-          // Extract item code from table
-          battery.itemCode = extractTableData([
-            'Item Code',
-            'Model Code', 
-            'Product Code',
-            'Battery Code',
-            'Part Number',
-            'SKU'
-          ]);
-          
-          // Extract battery series
-          battery.series = extractTableData([
-            'Series',
-            'Battery Series',
-            'Product Series'
-          ]);
-          
-          // Extract battery model
-          battery.batteryModel = extractTableData([
-            'Model',
-            'Battery Model',
-            'Product Model'
-          ]);
-          
-          // Extract voltage
-          battery.voltage = extractTableData([
-            'Voltage (V)',
-            'Voltage',
-            'Nominal Voltage'
-          ]);
-          
-          // Extract ampere hour
-          battery.ampereHour = extractTableData([
-            'Ref. Amphere Hour (AH)',
-            'Ampere Hour',
-            'AH',
-            'Capacity (AH)',
-            'Amp Hour'
-          ]);
-          
-          // Extract CCA (Cold Cranking Amps)
-          battery.cca = extractTableData([
-            'Cold Cranking Ability (CCA)',
-            'CCA',
-            'Cold Cranking Amps',
-            'Cranking Amps'
-          ]);
-          
-          // Extract dimensions with specific format from Amaron
-          battery.dimensions = extractTableData([
-            'Product Dimensions (LxBxH) (mm)',
-            'Dimensions (L x W x H)',
-            'Dimensions',
-            'Size',
-            'Battery Dimensions'
-          ]);
-          
-          // Extract product dimensions (alternative field)
-          battery.productDimensions = extractTableData([
-            'Product Dimensions',
-            'Overall Dimensions',
-            'External Dimensions'
-          ]);
-          
-          // Use whichever dimension field has data
-          if (!battery.dimensions && battery.productDimensions) {
-            battery.dimensions = battery.productDimensions;
+          // Dated promotion printed in the discount row label
+          if (battery.specialDiscount && !battery.promotionPeriod) {
+            battery.promotionPeriod = extractRowLabelPeriod(['Special Discount', 'Discount']);
           }
           
-
-          
-          // Extract warranties
-          battery.totalWarranty = extractTableData([
-            'Total Warranty (Months)',
-            'Total Warranty',
-            'Warranty Period'
-          ]);
-          
-          battery.freeWarranty = extractTableData([
-            'Free Warranty (Months)',
-            'Free Warranty',
-            'Free Service Period'
-          ]);
-          
-          battery.proRataWarranty = extractTableData([
-            'Pro-rata Warranty (Months)',
-            'Pro-rata Warranty',
-            'Prorata Warranty'
-          ]);
-          
-          // Extract country of origin
-          battery.countryOfOrigin = extractTableData([
-            'Country of Origin',
-            'Made in',
-            'Origin'
-          ]);
-          
-          // Extract pricing information using table data and specific selectors
-          battery.basePrice = extractTableData([
-            'Base Price (Inclusive of GST)',
-            'Base Price',
-            'Original Price',
-            'MRP'
-          ]);
-          
-          battery.specialDiscount = extractTableData([
-            'Special Discount (Till 18th Sep)',
-            'Special Discount',
-            'Discount',
-            'Offer Price'
-          ]);
-          
-          battery.totalPrice = extractTableData([
-            'Total Price (Inclusive of GST)',
-            'Total Price',
-            'Final Price',
-            'Selling Price'
-          ]);
-          
-          // If table extraction fails, try specific proPriceInfo elements
+          // If table extraction fails, try specific proPriceInfo elements within this column
           if (!battery.basePrice || !battery.specialDiscount || !battery.totalPrice) {
-            const priceElements = document.querySelectorAll('.proPriceInfo');
+            const priceElements = column.cells.flatMap(cell => Array.from(cell.querySelectorAll('.proPriceInfo')));
             
             priceElements.forEach(element => {
               const text = element.textContent.trim();
@@ -525,34 +1312,30 @@ class SmartUrlScraper {
             });
           }
           
-          // Extract rebate
-          battery.rebate = extractTableData([
-            'Rebate on Return of old battery',
-            'Rebate',
-            'Exchange Value',
-            'Old Battery Value'
-          ]);
-          
-          // If rebate not found in table, look for it in text
+          // If rebate not found in table, look for it in this column's text
           if (!battery.rebate) {
-            const rebateMatch = priceText.match(/rebate[^₹]*₹[\d,]+/i);
+            const rebateMatch = columnText.match(/rebate[^₹]*₹[\d,]+/i);
             if (rebateMatch) {
               battery.rebate = extractPrice(rebateMatch[0]);
             }
           }
           
-          // Extract terminal layout image
-          const terminalImg = document.querySelector([
+          // Extract terminal layout image from this column
+          const terminalImageSelector = [
             'img[src*="terminal"]',
             'img[alt*="terminal"]', 
             'img[title*="terminal"]',
             'img[src*="layout"]',
             '.terminal-image img',
             '.battery-image img'
-          ].join(', '));
+          ].join(', ');
           
-          if (terminalImg) {
-            battery.terminalLayoutImageUrl = terminalImg.src;
+          for (const cell of column.cells) {
+            const terminalImg = cell.querySelector(terminalImageSelector);
+            if (terminalImg) {
+              battery.terminalLayoutImageUrl = terminalImg.src;
+              break;
+            }
           }
           
           // Generate battery model if not found
@@ -610,20 +1393,195 @@ class SmartUrlScraper {
         }
         
         return batteries;
-      }, combination);
+      }, combination, this.schema.getExtractionFields()));
       
       return batteryData;
       
     } catch (error) {
+      // Rethrown, so a failed extraction is not mistaken for a page without batteries
       utils.logProgress(`Failed to extract battery data: ${error.message}`, 'error');
-      return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Collect the price of every battery of a combination for each configured pincode
+   * Pincodes are skipped once every battery on the page already has a price row for them
+   * @param {Object} combination - Combination the page belongs to
+   * @param {string} url - Battery page URL of the combination
+   * @param {Array<Object>} batteries - Batteries extracted with the default location
+   */
+  async scrapePincodePrices(combination, url, batteries) {
+    const itemCodes = batteries.map(battery => battery.itemCode).filter(Boolean);
+    if (itemCodes.length === 0) {
+      utils.logProgress('        No item codes on this page; skipping pincode prices', 'warn');
+      return;
+    }
+    
+    // Workers wait for each other, since the location set on the pricing page applies to all of its lookups
+    const lookup = this.pricingQueue.then(() => this.lookUpPincodePrices(combination, url, itemCodes));
+    this.pricingQueue = lookup.catch(() => {});
+    await lookup;
+  }
+
+  /**
+   * Load a battery page on the pricing page and extract its prices for each pincode not yet priced
+   * @param {Object} combination - Combination the page belongs to
+   * @param {string} url - Battery page URL of the combination
+   * @param {Array<string>} itemCodes - Item codes of the batteries on the page
+   */
+  async lookUpPincodePrices(combination, url, itemCodes) {
+    const pincodes = this.options.pincodes.filter(pincode =>
+      !itemCodes.every(itemCode => this.seenPrices.has(this.getPriceKey(itemCode, pincode))));
+    if (pincodes.length === 0) {
+      return;
+    }
+    
+    let page;
+    try {
+      page = await this.getPricingPage();
+      await this.rateLimiter.acquire();
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: config.timeouts.navigation });
+    } catch (error) {
+      utils.logProgress(`        Pincode prices skipped, ${url} did not load on the pricing page: ${error.message}`, 'warn');
+      await this.errorLog.record(error, { phase: 'navigation', combination, url });
+      return;
+    }
+    
+    for (const pincode of pincodes) {
+      await this.rateLimiter.acquire();
+      if (!(await this.setDeliveryLocation(page, pincode))) {
+        continue;
+      }
+      
+      try {
+        const pricedBatteries = this.normalizer.normalizeAll(await this.extractBatteryData(combination, page));
+        const written = await this.savePriceRows(pricedBatteries, pincode);
+        utils.logProgress(`        💰 Pincode ${pincode}: ${written} price row(s)`);
+      } catch (error) {
+        utils.logProgress(`        Pincode ${pincode} prices failed: ${error.message}`, 'warn');
+        await this.errorLog.record(error, { phase: 'extraction', combination, page });
+      }
+    }
+  }
+
+  /**
+   * Page for pincode lookups, opened in its own browser context: the delivery location it sets
+   * is kept in that context's cookies and never reaches the pool pages that read default prices
+   * @returns {Promise<Page>} Pricing page
+   */
+  async getPricingPage() {
+    if (!this.pricingPage || this.pricingPage.isClosed()) {
+      if (!this.pricingContext) {
+        this.pricingContext = await this.browser.createBrowserContext();
+      }
+      this.pricingPage = await this.createPage(this.pricingContext);
+    }
+    return this.pricingPage;
+  }
+
+  /**
+   * Set the delivery location on a battery page and wait for the prices to refresh
+   * @param {Page} page - Battery page
+   * @param {string} pincode - Delivery pincode
+   * @returns {boolean} True if the pincode was submitted
+   */
+  async setDeliveryLocation(page, pincode) {
+    try {
+      await page.waitForSelector(config.selectors.pincodeInput, { timeout: config.timeouts.elementWait });
+      await page.$eval(config.selectors.pincodeInput, input => { input.value = ''; });
+      await page.type(config.selectors.pincodeInput, pincode);
+      
+      const submitButton = await page.$(config.selectors.pincodeSubmit);
+      if (submitButton) {
+        await submitButton.click();
+      } else {
+        await page.keyboard.press('Enter');
+      }
+      
+      // Prices refresh through AJAX or a reload depending on the page; wait for either to settle
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: config.timeouts.ajaxWait }).catch(() => {});
+      return true;
+    } catch (error) {
+      utils.logProgress(`Failed to set delivery pincode ${pincode}: ${error.message}`, 'warn');
+      return false;
+    }
+  }
+
+  /**
+   * Write one price row per battery for a pincode, skipping pairs that were already written
+   * @param {Array<Object>} batteries - Batteries extracted with the pincode applied
+   * @param {string} pincode - Delivery pincode
+   * @returns {number} Number of rows written
+   */
+  async savePriceRows(batteries, pincode) {
+    const rows = [];
+    
+    // Claim item code/pincode pairs synchronously so concurrent workers never write the same row
+    for (const battery of batteries) {
+      const key = battery.itemCode ? this.getPriceKey(battery.itemCode, pincode) : null;
+      if (!key || this.seenPrices.has(key)) {
+        continue;
+      }
+      this.seenPrices.add(key);
+      rows.push({
+        itemCode: battery.itemCode,
+        pincode,
+        batteryTitle: battery.batteryTitle,
+        basePrice: battery.basePrice,
+        specialDiscount: battery.specialDiscount,
+        promotionPeriod: battery.promotionPeriod,
+        totalPrice: battery.totalPrice,
+        rebate: battery.rebate,
+        currency: battery.currency
+      });
+    }
+    
+    for (const row of rows) {
+      await this.priceExporter.appendBatteryRecord(row);
+      if (this.databaseExporter) {
+        await this.databaseExporter.appendPriceRecord(row);
+      }
+      if (this.priceHistory) {
+        await this.priceHistory.appendPriceRecord(row);
+      }
+      this.priceCount++;
+    }
+    
+    return rows.length;
+  }
+
+  /**
+   * Key of a price row
+   * @param {string} itemCode - Battery item code
+   * @param {string} pincode - Delivery pincode
+   * @returns {string} Price key
+   */
+  getPriceKey(itemCode, pincode) {
+    return `${itemCode.toLowerCase()}|${pincode}`;
+  }
+
+  /**
+   * Count and log the values the normalizer could not parse
+   * @param {Array<Object>} batteries - Normalized batteries
+   */
+  countParseIssues(batteries) {
+    const parseIssues = batteries.flatMap(battery => battery.parseIssues || []);
+    if (parseIssues.length === 0) {
+      return;
     }
+    
+    this.parseIssueCount += parseIssues.length;
+    utils.logProgress(`        ⚠️  Unparseable values: ${parseIssues.map(issue => `${issue.field} "${issue.value}"`).join(', ')}`, 'warn');
   }
 
   /**
    * Remove duplicate batteries based on multiple criteria
+   * @param {Array<Object>} batteries - Batteries of one combination
+   * @param {Array<string>} claimed - Collects the identifiers of the batteries kept
+   * @returns {Array<Object>} Batteries not seen before
    */
-  deduplicateBatteries(batteries) {
+  deduplicateBatteries(batteries, claimed = []) {
     const uniqueBatteries = [];
     
     for (const battery of batteries) {
@@ -637,6 +1595,7 @@ class SmartUrlScraper {
       
       // Add to seen set and unique list
       this.seenBatteries.add(identifier);
+      claimed.push(identifier);
       uniqueBatteries.push(battery);
     }
     
@@ -671,6 +1630,7 @@ class SmartUrlScraper {
 
   /**
    * Process all valid combinations by testing their URLs
+   * Combinations are shared between a pool of pages, one worker per page
    */
   async processValidCombinations() {
     try {
@@ -681,52 +1641,38 @@ class SmartUrlScraper {
       }
       
       this.processedCombinations = 0;
+      this.retryQueue = [];
+      await this.initializePagePool();
       
-      for (const combination of this.validCombinations) {
-        this.processedCombinations++;
-        const progress = `${this.processedCombinations}/${this.validCombinations.length}`;
-        const percentage = ((this.processedCombinations / this.validCombinations.length) * 100).toFixed(1);
-        
-        utils.logProgress(`\n🔄 Processing ${progress} (${percentage}%): ${combination.vehicleType} → ${combination.brand} → ${combination.model} → ${combination.fuelType}`);
-        
-        // Generate the battery page URL
-        const batteryPageUrl = this.generateBatteryPageUrl(
-          combination.vehicleType,
-          combination.brand,
-          combination.model,
-          combination.fuelType
-        );
-        
-        // Test the URL and extract data if available
-        const batteryData = await this.testBatteryPageUrl(batteryPageUrl, combination);
-        
-        if (batteryData && batteryData.length > 0) {
-          this.successfulCombinations++;
-          
-          // Process and deduplicate battery data
-          const uniqueBatteries = this.deduplicateBatteries(batteryData);
+      // Combinations completed before a resume count as done from the start
+      const completed = this.checkpoint ? this.validCombinations.filter(combination => this.checkpoint.isProcessed(combination)).length : 0;
+      this.progress.start(this.validCombinations.length, {
+        completed,
+        successful: this.successfulCombinations,
+        batteries: this.scrapedCount
+      });
+      
+      let nextIndex = 0;
+      const worker = async (slot) => {
+        while (nextIndex < this.validCombinations.length && !this.recovery.aborted) {
+          const combination = this.validCombinations[nextIndex++];
+          this.processedCombinations++;
           
-          // Save unique battery data to CSV
-          for (const battery of uniqueBatteries) {
-            try {
-              await this.csvExporter.appendBatteryRecord(battery);
-              this.scrapedCount++;
-            } catch (error) {
-              utils.logProgress(`Failed to save battery data: ${error.message}`, 'warn');
-            }
+          // Skip combinations already completed in a previous run
+          if (this.checkpoint && this.checkpoint.isProcessed(combination)) {
+            continue;
           }
           
-          const duplicatesFound = batteryData.length - uniqueBatteries.length;
-          if (duplicatesFound > 0) {
-            this.duplicateCount += duplicatesFound;
-            utils.logProgress(`        ✅ Found ${batteryData.length} batteries, ${uniqueBatteries.length} unique (${duplicatesFound} duplicates) (Total: ${this.scrapedCount})`);
-          } else {
-            utils.logProgress(`        ✅ Found ${uniqueBatteries.length} unique batteries (Total: ${this.scrapedCount})`);
-          }
+          await this.processWithRecovery(combination, slot, this.processedCombinations);
         }
-        
-        // Add small delay between requests to be respectful
-        await utils.delay(500);
+      };
+      
+      await Promise.all(this.pagePool.map((page, slot) => worker(slot)));
+      await this.processRetryQueue();
+      this.progress.finish();
+      
+      if (this.checkpoint) {
+        await this.checkpoint.save();
       }
       
       utils.logProgress(`\n🎉 Processing completed! Processed ${this.processedCombinations} valid combinations, found ${this.scrapedCount} unique batteries from ${this.successfulCombinations} successful combinations`);
@@ -735,11 +1681,235 @@ class SmartUrlScraper {
         utils.logProgress(`🔄 Duplicate removal: ${this.duplicateCount} duplicate batteries were filtered out`);
       }
       
+      if (this.fitmentExporter) {
+        utils.logProgress(`🔗 Fitment table: ${this.fitmentCount} vehicle/battery pairs recorded`);
+      }
+      
     } catch (error) {
       throw new Error(`Processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Re-attempt the combinations skipped after transient failures, once, with the whole page pool
+   * Runs after the main pass, so the site has had time to recover from whatever made them fail
+   */
+  async processRetryQueue() {
+    const queue = this.retryQueue;
+    this.retryQueue = [];
+    if (queue.length === 0 || this.recovery.aborted) {
+      return;
+    }
+    
+    utils.logProgress(`\n🔁 Re-attempting ${queue.length} combination(s) that failed with transient errors...`);
+    this.progress.startRetry(queue.length);
+    
+    let nextIndex = 0;
+    const worker = async (slot) => {
+      while (nextIndex < queue.length && !this.recovery.aborted) {
+        const combination = queue[nextIndex++];
+        await this.processWithRecovery(combination, slot, this.validCombinations.indexOf(combination) + 1, { finalPass: true });
+      }
+    };
+    
+    await Promise.all(this.pagePool.map((page, slot) => worker(slot)));
+  }
+
+  /**
+   * Process a combination, retrying it on failure as decided by the recovery controller
+   * Pages are looked up by slot on every attempt, since recovery may replace them
+   * Combinations skipped after transient errors are queued for the end of the run
+   * @param {Object} combination - Combination to process
+   * @param {number} slot - Index of the worker's page in the pool
+   * @param {number} position - Position of the combination in the run
+   * @param {Object} options - { finalPass: true when re-attempting a queued combination }
+   */
+  async processWithRecovery(combination, slot, position, { finalPass = false } = {}) {
+    // Every line logged while processing the combination is tagged with it
+    return logger.withContext({ combination: RecoveryController.getLabel(combination) }, async () => {
+      this.progress.startCombination(combination, position);
+      for (;;) {
+        await this.recovery.ready();
+        const generation = this.recovery.generation;
+      
+        try {
+          const found = await this.processCombination(combination, this.pagePool[slot], position);
+          this.recovery.recordSuccess(combination);
+          if (finalPass) {
+            this.retryStats.recovered++;
+          }
+          this.progress.finishCombination(combination, found ? 'success' : 'no-data', { retried: finalPass });
+          return;
+        } catch (error) {
+          utils.logProgress(`❌ ${error.message}`, 'warn');
+          // Logged before recovery, which may replace the page the snapshots are taken from
+          await this.errorLog.record(error, {
+            phase: error.phase || 'navigation',
+            combination,
+            url: error.url,
+            page: this.pagePool[slot]
+          });
+          const action = await this.recovery.recordFailure(combination, error, { slot, generation });
+          this.progress.recordFailure(combination, error, action);
+          if (action === 'skip') {
+            if (!finalPass && config.retry.retryFailedCombinations && utils.isTransientError(error)) {
+              this.retryQueue.push(combination);
+              this.retryStats.queued++;
+            }
+            this.progress.finishCombination(combination, 'failed', { retried: finalPass });
+            return;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Process a single combination on the given page and save its batteries
+   * @param {Object} combination - Combination to process
+   * @param {Page} page - Page from the pool to use
+   * @param {number} position - Position of the combination in the run (for progress logging)
+   * @returns {Object|null} { found, unique, duplicates } battery counts, or null when the page had none
+   */
+  async processCombination(combination, page, position) {
+    const progress = `${position}/${this.validCombinations.length}`;
+    const percentage = ((position / this.validCombinations.length) * 100).toFixed(1);
+    
+    utils.logProgress(`\n🔄 Processing ${progress} (${percentage}%): ${combination.vehicleType} → ${combination.brand} → ${combination.model} → ${combination.fuelType}`);
+    
+    // Battery page URL from the discovered canonical URL or option values
+    const batteryPageUrl = this.urlBuilder.getBatteryPageUrl(combination);
+    
+    // Test the URL and extract data if available
+    const batteryData = await this.testBatteryPageUrl(batteryPageUrl, combination, page);
+    let found = null;
+    let claimedBatteries = [];
+    
+    if (batteryData && batteryData.length > 0) {
+      this.successfulCombinations++;
+      
+      // Parse units and prices once, so every exporter receives the same typed values
+      const batteries = this.normalizer.normalizeAll(batteryData);
+      this.countParseIssues(batteries);
+      if (this.qualityReport) {
+        this.qualityReport.recordBatteries(combination, batteries);
+      }
+      
+      const { uniqueBatteries, duplicatesFound, claimed } = await this.saveBatteries(batteries);
+      claimedBatteries = claimed;
+      
+      if (duplicatesFound > 0) {
+        utils.logProgress(`        ✅ Found ${batteries.length} batteries, ${uniqueBatteries.length} unique (${duplicatesFound} duplicates) (Total: ${this.scrapedCount})`);
+      } else {
+        utils.logProgress(`        ✅ Found ${uniqueBatteries.length} unique batteries (Total: ${this.scrapedCount})`);
+      }
+      found = { found: batteries.length, unique: uniqueBatteries.length, duplicates: duplicatesFound };
+      this.progress.recordBatteries(combination, found);
+      
+      if (this.options.pincodes.length > 0) {
+        await this.scrapePincodePrices(combination, batteryPageUrl, batteries);
+      }
+    }
+    
+    if (this.checkpoint) {
+      claimedBatteries.forEach(identifier => this.completedBatteries.add(identifier));
+      await this.checkpoint.markProcessed(combination, this.getCheckpointProgress());
+    }
+    
+    return found;
+  }
+
+  /**
+   * Save the batteries found for one combination according to the output mode
+   * @param {Array<Object>} batteries - Batteries extracted for a combination
+   * @returns {Object} Unique batteries written to the main file, number of duplicates and the identifiers claimed
+   */
+  async saveBatteries(batteries) {
+    const outputMode = this.options.outputMode;
+    
+    // Deduplication checks and updates seenBatteries synchronously, so it stays
+    // correct while other workers are waiting on their pages
+    const claimed = [];
+    const uniqueBatteries = outputMode === 'all' ? batteries : this.deduplicateBatteries(batteries, claimed);
+    const duplicatesFound = batteries.length - uniqueBatteries.length;
+    this.duplicateCount += duplicatesFound;
+    
+    // Save unique battery data to CSV (the exporter serializes concurrent writes)
+    for (const battery of uniqueBatteries) {
+      try {
+        await this.csvExporter.appendBatteryRecord(battery);
+        this.scrapedCount++;
+      } catch (error) {
+        utils.logProgress(`Failed to save battery data: ${error.message}`, 'warn');
+        await this.errorLog.record(error, { phase: 'export', combination: battery });
+      }
+    }
+    
+    if (this.databaseExporter) {
+      for (const battery of batteries) {
+        try {
+          await this.databaseExporter.appendBatteryRecord(battery);
+        } catch (error) {
+          utils.logProgress(`Failed to save battery data to database: ${error.message}`, 'warn');
+          await this.errorLog.record(error, { phase: 'export', combination: battery });
+        }
+      }
+    }
+    
+    if (this.snapshotExporter) {
+      for (const battery of batteries) {
+        try {
+          await this.snapshotExporter.appendBatteryRecord(battery);
+        } catch (error) {
+          utils.logProgress(`Failed to save battery data to snapshot: ${error.message}`, 'warn');
+          await this.errorLog.record(error, { phase: 'export', combination: battery });
+        }
+      }
+    }
+    
+    if (this.priceHistory) {
+      for (const battery of batteries) {
+        try {
+          await this.priceHistory.appendBatteryRecord(battery);
+        } catch (error) {
+          utils.logProgress(`Failed to save price history: ${error.message}`, 'warn');
+          await this.errorLog.record(error, { phase: 'export', combination: battery });
+        }
+      }
+    }
+    
+    // In fitment mode every vehicle -> battery pair is kept, including "duplicates"
+    if (outputMode === 'fitment') {
+      const fittedBatteries = new Set();
+      
+      for (const battery of batteries) {
+        const identifier = this.createBatteryIdentifier(battery);
+        if (fittedBatteries.has(identifier)) {
+          continue;
+        }
+        fittedBatteries.add(identifier);
+        
+        try {
+          await this.fitmentExporter.appendBatteryRecord(battery);
+          this.fitmentCount++;
+        } catch (error) {
+          utils.logProgress(`Failed to save fitment data: ${error.message}`, 'warn');
+          await this.errorLog.record(error, { phase: 'export', combination: battery });
+        }
+      }
+    }
+    
+    return { uniqueBatteries, duplicatesFound, claimed };
+  }
+
+  /**
+   * Get the operation and combination retry statistics for the run summary
+   * @returns {Object} { retriedOperations, queued, recovered, failed }
+   */
+  getRetrySummary() {
+    return { ...this.retryStats, failed: this.recovery.skippedCombinations.length };
+  }
+
   /**
    * Main scraping method
    */
@@ -759,37 +1929,116 @@ class SmartUrlScraper {
     try {
       utils.logProgress('Starting smart Amaron battery scraping...');
       
+      // Restore previous progress when resuming
+      const resumed = this.options.resume ? await this.restoreFromCheckpoint() : false;
+      
       // Initialize components
       await this.initializeBrowser();
-      await this.initializeCSVExporter();
+      // Retrying failed combinations adds to the output of the run they failed in
+      await this.initializeCSVExporter({ append: resumed || this.options.append });
+      this.errorLog.runId = this.runId;
+      this.progress.runId = this.runId;
+      logger.setRunId(this.runId);
       
-      // Phase 1: Discover valid combinations
-      await this.discoverValidCombinations();
+      // Phase 1: Discover valid combinations (skipped when resuming or using a cached list)
+      if (!resumed) {
+        this.snapshotScope = this.getSnapshotScope();
+        if (this.options.combinationsFile) {
+          await this.loadCombinationsFromFile(this.options.combinationsFile);
+        } else {
+          await this.discoverValidCombinations();
+        }
+        
+        if (this.checkpoint) {
+          await this.checkpoint.start(this.validCombinations, this.getPrimaryOutputFileName(), {
+            runId: this.runId,
+            snapshotFile: this.snapshotFileName,
+            snapshotScope: this.snapshotScope
+          });
+        }
+      }
       
       // Phase 2: Process only valid combinations
       await this.processValidCombinations();
       
-      // Finalize CSV
-      const csvSummary = await this.csvExporter.finalizeCSV();
+      // Finalize output files
+      const csvSummary = await this.csvExporter.finalize();
       summary.csvFilePath = csvSummary.filePath;
+      summary.outputFiles = csvSummary.files.map(file => file.filePath);
+      
+      if (this.priceExporter) {
+        const priceSummary = await this.priceExporter.finalize();
+        summary.outputFiles.push(...priceSummary.files.map(file => file.filePath));
+        summary.priceFilePath = priceSummary.filePath;
+        summary.totalPriceRows = this.priceCount;
+      }
+      
+      if (this.fitmentExporter) {
+        const fitmentSummary = await this.fitmentExporter.finalize();
+        summary.outputFiles.push(...fitmentSummary.files.map(file => file.filePath));
+        summary.fitmentFilePath = fitmentSummary.filePath;
+        summary.totalFitments = this.fitmentCount;
+      }
+      
+      if (this.databaseExporter) {
+        const databaseSummary = await this.databaseExporter.finalize();
+        summary.databaseFilePath = databaseSummary.filePath;
+        summary.outputFiles.push(databaseSummary.filePath);
+        summary.csvFilePath = summary.csvFilePath || databaseSummary.filePath;
+      }
+      
+      if (this.priceHistory) {
+        const historySummary = await this.priceHistory.finalize();
+        summary.priceHistoryFilePath = historySummary.filePath;
+      }
+      
+      if (this.snapshotExporter) {
+        await this.snapshotExporter.finalize();
+        summary.snapshotFilePath = await this.snapshotStore.complete(this.snapshotFileName, this.snapshotScope);
+      }
+
       summary.totalBatteriesFound = this.scrapedCount;
       summary.totalCombinations = this.processedCombinations;
       summary.successfulCombinations = this.successfulCombinations;
       summary.failedCombinations = this.processedCombinations - this.successfulCombinations;
+      summary.urlMismatches = this.urlMismatches;
+      summary.parseIssueCount = this.parseIssueCount;
+      summary.noDataCombinations = this.noDataCount;
+      summary.recovery = this.recovery.toJSON();
+      summary.retry = this.getRetrySummary();
+      summary.urlMismatchFilePath = await this.writeUrlMismatchReport();
+      summary.failedCombinationsFilePath = await this.writeFailedCombinationsReport();
+      summary.errorLogFilePath = this.errorLog.entryCount > 0 ? this.errorLog.filePath : null;
+      await this.writeQualityReport(summary);
       summary.success = true;
       
+      if (this.checkpoint && config.checkpoint.clearOnComplete) {
+        await this.checkpoint.clear();
+      }
+      
       const endTime = Date.now();
       summary.duration = Math.round((endTime - startTime) / 1000);
       
       utils.logProgress(`✅ Scraping completed successfully in ${summary.duration}s`);
       utils.logProgress(`📊 Results: ${summary.totalBatteriesFound} batteries found from ${summary.successfulCombinations}/${summary.totalCombinations} valid combinations`);
-      utils.logProgress(`📁 CSV file: ${summary.csvFilePath}`);
+      utils.logProgress(`📁 Output files: ${summary.outputFiles.join(', ')}`);
+      if (summary.fitmentFilePath) {
+        utils.logProgress(`📁 Fitment file: ${summary.fitmentFilePath} (${summary.totalFitments} vehicle/battery pairs)`);
+      }
+      if (summary.priceFilePath) {
+        utils.logProgress(`📁 Price file: ${summary.priceFilePath} (${summary.totalPriceRows} item code/pincode prices)`);
+      }
       
       return summary;
       
     } catch (error) {
       summary.errors.push(error.message);
+      summary.recovery = this.recovery.toJSON();
+      summary.retry = this.getRetrySummary();
+      summary.errorLogFilePath = this.errorLog.entryCount > 0 ? this.errorLog.filePath : null;
       utils.logProgress(`❌ Scraping failed: ${error.message}`, 'error');
+      // The partial summary (e.g. the recovery actions before an abort) travels with the error
+      error.summary = summary;
       throw error;
     } finally {
       await this.closeBrowser();
@@ -803,10 +2052,16 @@ class SmartUrlScraper {
    */
   async closeBrowser() {
     try {
-      if (this.page) {
-        await this.page.close();
-        this.page = null;
+      for (const page of this.pagePool) {
+        if (!page.isClosed()) {
+          await page.close();
+        }
       }
+      this.pagePool = [];
+      this.page = null;
+      // Closed with the browser; a restarted browser opens a new one when prices are looked up
+      this.pricingPage = null;
+      this.pricingContext = null;
       if (this.browser) {
         await this.browser.close();
         this.browser = null;
@@ -0,0 +1,193 @@
+/**
+ * Snapshot Store Module for Amaron Battery Scraper
+ * Keeps one NDJSON file of every vehicle/battery pair per run so runs can be compared later
+ * Runs limited by filters or a combinations file record their scope in a metadata file next to the
+ * snapshot; only snapshots of the same scope are compared, and snapshots without one are full runs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const utils = require('./utils');
+const NDJSONExporter = require('./ndjsonExporter');
+
+// Completed snapshots; runs still in progress carry the partial suffix
+const SNAPSHOT_PATTERN = /^run-.+\.ndjson$/;
+const PARTIAL_SUFFIX = '.partial';
+const METADATA_SUFFIX = '.meta.json';
+
+class SnapshotStore {
+  /**
+   * @param {string} directory - Snapshot directory (defaults to config.snapshots.directory in the output directory)
+   * @param {number} keep - Number of completed snapshots to keep (0 = keep all)
+   */
+  constructor(directory = null, keep = null) {
+    const configured = config.snapshots.directory;
+    this.directory = directory || (path.isAbsolute(configured) ? configured : path.join(config.output.outputDirectory, configured));
+    this.keep = keep === null ? config.snapshots.keep : keep;
+  }
+
+  /**
+   * Create the snapshot file name for a run
+   * @param {Date} startedAt - Run start time
+   * @returns {string} Snapshot file name (sorts chronologically)
+   */
+  createFileName(startedAt = new Date()) {
+    return `run-${startedAt.toISOString().replace(/[:.]/g, '-')}.ndjson`;
+  }
+
+  /**
+   * Create the exporter writing a run's snapshot
+   * The file keeps its partial suffix until complete() is called, so interrupted runs are never compared
+   * @param {string} fileName - Snapshot file name from createFileName()
+   * @returns {NDJSONExporter} Exporter writing into the snapshot directory
+   */
+  createExporter(fileName) {
+    const exporter = new NDJSONExporter(`${fileName}${PARTIAL_SUFFIX}`);
+    exporter.outputDirectory = this.directory;
+    return exporter;
+  }
+
+  /**
+   * Get the path of a snapshot's metadata file
+   * @param {string} filePath - Snapshot file path
+   * @returns {string} Metadata file path (run-<start time>.meta.json)
+   */
+  getMetadataPath(filePath) {
+    return filePath.replace(/\.ndjson$/, METADATA_SUFFIX);
+  }
+
+  /**
+   * Mark a run's snapshot as complete and drop the oldest snapshots beyond the keep limit
+   * @param {string} fileName - Snapshot file name
+   * @param {Object|null} scope - { filters, combinationsFile } of a limited run; null for a full run
+   * @returns {string} Path of the completed snapshot
+   */
+  async complete(fileName, scope = null) {
+    const filePath = path.join(this.directory, fileName);
+
+    try {
+      if (scope) {
+        await fs.writeFile(this.getMetadataPath(filePath), JSON.stringify({ scope }, null, 2), 'utf8');
+      }
+      await fs.rename(`${filePath}${PARTIAL_SUFFIX}`, filePath);
+    } catch (error) {
+      throw new Error(`Failed to complete snapshot ${filePath}: ${error.message}`);
+    }
+
+    await this.prune();
+    return filePath;
+  }
+
+  /**
+   * List completed snapshots, oldest first
+   * @returns {Array<string>} Snapshot file paths
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read snapshot directory ${this.directory}: ${error.message}`);
+    }
+
+    return entries
+      .filter(entry => SNAPSHOT_PATTERN.test(entry))
+      .sort()
+      .map(entry => path.join(this.directory, entry));
+  }
+
+  /**
+   * Read the scope a snapshot's run was limited to
+   * @param {string} filePath - Snapshot file path
+   * @returns {Object|null} { filters, combinationsFile }, null for a full run
+   */
+  async readScope(filePath) {
+    const metadataPath = this.getMetadataPath(filePath);
+    let content;
+    try {
+      content = await fs.readFile(metadataPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read snapshot metadata ${metadataPath}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(content).scope || null;
+    } catch (error) {
+      throw new Error(`Failed to parse snapshot metadata ${metadataPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Group completed snapshots by the scope of their runs
+   * @returns {Map<string, Array<string>>} Snapshot file paths (oldest first) by scope key
+   */
+  async listByScope() {
+    const groups = new Map();
+    for (const filePath of await this.list()) {
+      const key = JSON.stringify(await this.readScope(filePath));
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(filePath);
+    }
+    return groups;
+  }
+
+  /**
+   * Get the latest completed snapshot and the one before it of the same scope
+   * A run limited by filters or a combinations file is only compared with runs limited the same way
+   * @returns {Object} { previous, latest } file paths
+   */
+  async getLatestPair() {
+    const snapshots = await this.list();
+    const latest = snapshots[snapshots.length - 1];
+    const key = latest ? JSON.stringify(await this.readScope(latest)) : null;
+    const comparable = latest ? (await this.listByScope()).get(key) : [];
+
+    if (comparable.length < 2) {
+      const scope = key && key !== 'null' ? ` of the latest run's scope (${key})` : '';
+      throw new Error(`Need two completed snapshots${scope} in ${this.directory} to compare runs, found ${comparable.length}`);
+    }
+
+    return {
+      previous: comparable[comparable.length - 2],
+      latest
+    };
+  }
+
+  /**
+   * Delete the oldest completed snapshots beyond the keep limit, counted per scope
+   * so limited runs never push out the snapshots of full runs
+   * @returns {number} Number of snapshots deleted
+   */
+  async prune() {
+    if (!this.keep || this.keep <= 0) {
+      return 0;
+    }
+
+    const expired = [];
+    for (const snapshots of (await this.listByScope()).values()) {
+      expired.push(...snapshots.slice(0, Math.max(0, snapshots.length - this.keep)));
+    }
+
+    for (const filePath of expired) {
+      try {
+        await fs.unlink(filePath);
+        await fs.rm(this.getMetadataPath(filePath), { force: true });
+      } catch (error) {
+        utils.logProgress(`Failed to delete old snapshot ${filePath}: ${error.message}`, 'warn');
+      }
+    }
+
+    return expired.length;
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,354 @@
+/**
+ * SQLite Exporter Module for Amaron Battery Scraper
+ * Writes battery data into normalized tables (vehicle types, makes, models, fuel types,
+ * batteries, prices, pincode prices and fitments) and upserts on re-runs
+ */
+
+const Database = require('better-sqlite3');
+const config = require('./config');
+const utils = require('./utils');
+const BaseExporter = require('./baseExporter');
+
+class SQLiteExporter extends BaseExporter {
+  constructor(fileName = null) {
+    // The normalized layout always covers the full battery field set
+    super(fileName || config.output.sqliteFileName);
+    this.db = null;
+    this.statements = null;
+    this.skippedCount = 0;
+
+    // Vehicle fields live in the lookup tables, price fields in the prices tables
+    const columnsFor = (fields) => fields.map(field => ({
+      header: field.header,
+      key: field.id,
+      column: this.convertHeaderToId(field.header),
+      numeric: field.type === 'number'
+    }));
+
+    const fields = this.schema.getFields('battery');
+    this.batteryColumns = columnsFor(fields.filter(field => field.source !== 'vehicle' && field.group !== 'price'));
+    this.priceColumns = columnsFor(fields.filter(field => field.group === 'price'));
+  }
+
+  /**
+   * Open (or create) the database and prepare the schema and statements
+   * Existing data is always kept; records are upserted
+   */
+  async initialize() {
+    await this.ensureOutputDirectory();
+    this.filePath = this.resolveFilePath();
+
+    try {
+      this.db = new Database(this.filePath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this.createSchema();
+      this.addMissingColumns();
+      this.prepareStatements();
+    } catch (error) {
+      this.close();
+      throw new Error(`Failed to open SQLite database ${this.filePath}: ${error.message}`);
+    }
+
+    this.isInitialized = true;
+    this.recordCount = 0;
+    this.skippedCount = 0;
+    utils.logProgress(`SQLite database initialized successfully: ${this.filePath}`);
+    return true;
+  }
+
+  /**
+   * Create the normalized tables if they do not exist yet
+   */
+  createSchema() {
+    const columnDefinitions = (columns) => columns
+      .map(column => `${column.column} ${column.numeric ? 'REAL' : 'TEXT'}`)
+      .join(',\n        ');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS vehicle_types (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+      );
+
+      CREATE TABLE IF NOT EXISTS makes (
+        id INTEGER PRIMARY KEY,
+        vehicle_type_id INTEGER NOT NULL REFERENCES vehicle_types(id),
+        name TEXT NOT NULL,
+        UNIQUE (vehicle_type_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS models (
+        id INTEGER PRIMARY KEY,
+        make_id INTEGER NOT NULL REFERENCES makes(id),
+        name TEXT NOT NULL,
+        UNIQUE (make_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS fuel_types (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+      );
+
+      CREATE TABLE IF NOT EXISTS batteries (
+        battery_key TEXT PRIMARY KEY,
+        ${columnDefinitions(this.batteryColumns)},
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS prices (
+        battery_key TEXT PRIMARY KEY REFERENCES batteries(battery_key),
+        ${columnDefinitions(this.priceColumns)},
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS pincode_prices (
+        battery_key TEXT NOT NULL REFERENCES batteries(battery_key),
+        pincode TEXT NOT NULL,
+        ${columnDefinitions(this.priceColumns)},
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (battery_key, pincode)
+      );
+
+      CREATE TABLE IF NOT EXISTS fitments (
+        model_id INTEGER NOT NULL REFERENCES models(id),
+        fuel_type_id INTEGER NOT NULL REFERENCES fuel_types(id),
+        battery_key TEXT NOT NULL REFERENCES batteries(battery_key),
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (model_id, fuel_type_id, battery_key)
+      );
+    `);
+  }
+
+  /**
+   * Add columns introduced by newer headers to tables created by an earlier version
+   */
+  addMissingColumns() {
+    const tables = {
+      batteries: this.batteryColumns,
+      prices: this.priceColumns,
+      pincode_prices: this.priceColumns
+    };
+
+    for (const [table, columns] of Object.entries(tables)) {
+      const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+      for (const column of columns.filter(candidate => !existing.has(candidate.column))) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column.column} ${column.numeric ? 'REAL' : 'TEXT'}`);
+      }
+    }
+  }
+
+  /**
+   * Prepare the upsert and lookup statements
+   */
+  prepareStatements() {
+    const upsertSql = (table, columns) => {
+      const names = columns.map(column => column.column);
+      return `
+        INSERT INTO ${table} (battery_key, ${names.join(', ')}, updated_at)
+        VALUES (@battery_key, ${names.map(name => `@${name}`).join(', ')}, @updated_at)
+        ON CONFLICT (battery_key) DO UPDATE SET
+          ${names.map(name => `${name} = excluded.${name}`).join(',\n          ')},
+          updated_at = excluded.updated_at`;
+    };
+
+    this.statements = {
+      insertVehicleType: this.db.prepare('INSERT INTO vehicle_types (name) VALUES (?) ON CONFLICT (name) DO NOTHING'),
+      selectVehicleType: this.db.prepare('SELECT id FROM vehicle_types WHERE name = ?'),
+      insertMake: this.db.prepare('INSERT INTO makes (vehicle_type_id, name) VALUES (?, ?) ON CONFLICT (vehicle_type_id, name) DO NOTHING'),
+      selectMake: this.db.prepare('SELECT id FROM makes WHERE vehicle_type_id = ? AND name = ?'),
+      insertModel: this.db.prepare('INSERT INTO models (make_id, name) VALUES (?, ?) ON CONFLICT (make_id, name) DO NOTHING'),
+      selectModel: this.db.prepare('SELECT id FROM models WHERE make_id = ? AND name = ?'),
+      insertFuelType: this.db.prepare('INSERT INTO fuel_types (name) VALUES (?) ON CONFLICT (name) DO NOTHING'),
+      selectFuelType: this.db.prepare('SELECT id FROM fuel_types WHERE name = ?'),
+      upsertBattery: this.db.prepare(upsertSql('batteries', this.batteryColumns)),
+      upsertPrice: this.db.prepare(upsertSql('prices', this.priceColumns)),
+      upsertPincodePrice: this.db.prepare(`
+        INSERT INTO pincode_prices (battery_key, pincode, ${this.priceColumns.map(column => column.column).join(', ')}, updated_at)
+        VALUES (@battery_key, @pincode, ${this.priceColumns.map(column => `@${column.column}`).join(', ')}, @updated_at)
+        ON CONFLICT (battery_key, pincode) DO UPDATE SET
+          ${this.priceColumns.map(column => `${column.column} = excluded.${column.column}`).join(',\n          ')},
+          updated_at = excluded.updated_at`),
+      upsertFitment: this.db.prepare(`
+        INSERT INTO fitments (model_id, fuel_type_id, battery_key, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (model_id, fuel_type_id, battery_key) DO UPDATE SET updated_at = excluded.updated_at`)
+    };
+
+    this.writeRecord = this.db.transaction((rawData, batteryKey, updatedAt) => {
+      this.statements.upsertBattery.run(this.buildRow(this.batteryColumns, rawData, batteryKey, updatedAt));
+      this.statements.upsertPrice.run(this.buildRow(this.priceColumns, rawData, batteryKey, updatedAt));
+
+      if (rawData.vehicleType && rawData.brand && rawData.model && rawData.fuelType) {
+        const vehicleTypeId = this.lookupId('VehicleType', [rawData.vehicleType]);
+        const makeId = this.lookupId('Make', [vehicleTypeId, rawData.brand]);
+        const modelId = this.lookupId('Model', [makeId, rawData.model]);
+        const fuelTypeId = this.lookupId('FuelType', [rawData.fuelType]);
+        this.statements.upsertFitment.run(modelId, fuelTypeId, batteryKey, updatedAt);
+      }
+    });
+  }
+
+  /**
+   * Insert a lookup value if missing and return its id
+   * @param {string} name - Lookup name used in the statement names (e.g. 'Make')
+   * @param {Array} params - Statement parameters
+   * @returns {number} Row id
+   */
+  lookupId(name, params) {
+    this.statements[`insert${name}`].run(...params);
+    return this.statements[`select${name}`].get(...params).id;
+  }
+
+  /**
+   * Build named statement parameters for a table row
+   * @param {Array<Object>} columns - Column descriptors
+   * @param {Object} rawData - Raw battery data
+   * @param {string} batteryKey - Battery primary key
+   * @param {string} updatedAt - Timestamp of this write
+   * @returns {Object} Statement parameters
+   */
+  buildRow(columns, rawData, batteryKey, updatedAt) {
+    const row = { battery_key: batteryKey, updated_at: updatedAt };
+
+    for (const column of columns) {
+      const value = rawData[column.key];
+      if (column.numeric) {
+        row[column.column] = this.parseNumber(value);
+      } else if (Array.isArray(value)) {
+        row[column.column] = value.length > 0 ? JSON.stringify(value) : null;
+      } else {
+        row[column.column] = value === null || value === undefined || value.toString().trim() === ''
+          ? null
+          : value.toString().replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Primary key of a battery: item code, or battery title when no code was found
+   * @param {Object} rawData - Raw battery data
+   * @returns {string|null} Battery key or null if neither is available
+   */
+  getBatteryKey(rawData) {
+    const itemCode = (rawData.itemCode || '').toString().trim();
+    if (itemCode) {
+      return itemCode;
+    }
+
+    const title = (rawData.batteryTitle || '').toString().replace(/\s+/g, ' ').trim();
+    return title ? `title:${title}` : null;
+  }
+
+  /**
+   * Upsert a battery, its price and its fitment for the record's vehicle
+   * @param {Object} batteryData - Raw battery data object
+   */
+  async writeBatteryRecord(batteryData) {
+    if (!this.isInitialized) {
+      throw new Error('SQLite exporter not initialized. Call initialize() first.');
+    }
+
+    if (!batteryData || typeof batteryData !== 'object') {
+      throw new Error('Invalid battery data provided - must be an object');
+    }
+
+    const batteryKey = this.getBatteryKey(batteryData);
+    if (!batteryKey) {
+      this.skippedCount++;
+      utils.logProgress(`Skipping SQLite record without item code or title for ${batteryData.brand} ${batteryData.model}`, 'warn');
+      return false;
+    }
+
+    try {
+      this.writeRecord(batteryData, batteryKey, new Date().toISOString());
+    } catch (error) {
+      throw new Error(`SQLite write failed: ${error.message}`);
+    }
+
+    this.recordCount++;
+    return true;
+  }
+
+  /**
+   * Upsert the price of a battery at a delivery pincode
+   * Writes share the battery record queue so prices never land before their battery
+   * @param {Object} priceData - Item code, pincode and price fields
+   * @returns {Promise<boolean>} Resolves once the price has been written
+   */
+  appendPriceRecord(priceData) {
+    return this.enqueueWrite(() => this.writePriceRecord(priceData));
+  }
+
+  /**
+   * Write a pincode price row
+   * @param {Object} priceData - Item code, pincode and price fields
+   */
+  async writePriceRecord(priceData) {
+    if (!this.isInitialized) {
+      throw new Error('SQLite exporter not initialized. Call initialize() first.');
+    }
+
+    const batteryKey = this.getBatteryKey(priceData);
+    if (!batteryKey || !priceData.pincode) {
+      return false;
+    }
+
+    try {
+      const row = this.buildRow(this.priceColumns, priceData, batteryKey, new Date().toISOString());
+      this.statements.upsertPincodePrice.run({ ...row, pincode: priceData.pincode.toString() });
+    } catch (error) {
+      throw new Error(`SQLite price write failed: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Close the database and return table counts
+   * @returns {Object} Summary of SQLite export
+   */
+  async finalize() {
+    if (!this.isInitialized) {
+      throw new Error('SQLite exporter not initialized.');
+    }
+
+    await this.writeQueue;
+
+    const tables = {};
+    for (const table of ['vehicle_types', 'makes', 'models', 'fuel_types', 'batteries', 'prices', 'pincode_prices', 'fitments']) {
+      tables[table] = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+    }
+
+    this.close();
+    utils.logProgress(`SQLite export completed: ${this.recordCount} records upserted into ${this.filePath} (${tables.batteries} batteries, ${tables.fitments} fitments)`);
+    if (this.skippedCount > 0) {
+      utils.logProgress(`SQLite export skipped ${this.skippedCount} records without item code or title`, 'warn');
+    }
+
+    return {
+      filePath: this.filePath,
+      recordCount: this.recordCount,
+      skippedCount: this.skippedCount,
+      fileName: this.fileName,
+      format: 'sqlite',
+      tables,
+      completed: true
+    };
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.isInitialized = false;
+  }
+}
+
+module.exports = SQLiteExporter;
@@ -0,0 +1,133 @@
+/**
+ * URL Builder Module for Amaron Battery Scraper
+ * Builds the discovery and battery page URLs from the configured site origin, path template and slug rules
+ */
+
+const config = require('./config');
+
+// Placeholders available in the battery path template
+const PLACEHOLDERS = ['vehicleType', 'brand', 'model', 'fuelType'];
+
+class UrlBuilder {
+  /**
+   * @param {Object} siteOptions - Overrides for config.site (e.g. baseUrl of a local stand-in)
+   */
+  constructor(siteOptions = {}) {
+    this.site = {
+      ...config.site,
+      ...siteOptions,
+      slug: { ...config.site.slug, ...(siteOptions.slug || {}) }
+    };
+
+    this.baseUrl = UrlBuilder.normalizeBaseUrl(this.site.baseUrl);
+    this.slugReplacements = (this.site.slug.replacements || []).map(rule => ({
+      pattern: rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, 'g'),
+      replacement: rule.replacement || ''
+    }));
+
+    const unknown = (this.site.batteryPathTemplate.match(/\{(\w+)\}/g) || [])
+      .map(placeholder => placeholder.slice(1, -1))
+      .filter(name => !PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder(s) in battery path template: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate a base URL and strip its trailing slash
+   * @param {string} baseUrl - Site origin, optionally with a path prefix for mirrors
+   * @returns {string} Normalized base URL
+   */
+  static normalizeBaseUrl(baseUrl) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch (error) {
+      throw new Error(`Invalid base URL: ${baseUrl}`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Base URL must use http or https: ${baseUrl}`);
+    }
+
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+  }
+
+  /**
+   * Join a site path onto the base URL
+   * @param {string} sitePath - Path relative to the site root
+   * @returns {string} Absolute URL
+   */
+  resolve(sitePath) {
+    return `${this.baseUrl}/${sitePath.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * URL of the page holding the vehicle dropdowns used for discovery
+   * @returns {string} Discovery page URL
+   */
+  getDiscoveryUrl() {
+    return this.resolve(this.site.discoveryPath);
+  }
+
+  /**
+   * Convert option text to a URL slug using the configured rules
+   * @param {string} text - Dropdown option text
+   * @returns {string} URL slug
+   */
+  slugify(text) {
+    let slug = text.toString();
+    if (this.site.slug.lowercase) {
+      slug = slug.toLowerCase();
+    }
+
+    for (const rule of this.slugReplacements) {
+      slug = slug.replace(rule.pattern, rule.replacement);
+    }
+
+    return slug;
+  }
+
+  /**
+   * Resolve a link found on the site (e.g. a canonical URL attribute) to an absolute URL
+   * @param {string} href - Absolute or site-relative link
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(href) {
+    if (/^https?:\/\//i.test(href)) {
+      return href;
+    }
+    return this.resolve(href);
+  }
+
+  /**
+   * Build the battery page URL for a vehicle
+   * Option values are used as path segments as-is; display text is slugified when a value is missing
+   * @param {Object} parts - Display text for vehicleType, brand, model and fuelType
+   * @param {Object} values - Dropdown option values for the same levels
+   * @returns {string} Battery page URL
+   */
+  buildBatteryPageUrl(parts, values = {}) {
+    const sitePath = this.site.batteryPathTemplate.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = this.site.useOptionValues ? values[name] : null;
+      return encodeURIComponent(value || this.slugify(parts[name] || ''));
+    });
+
+    return this.resolve(sitePath);
+  }
+
+  /**
+   * Battery page URL of a combination: its canonical URL when discovery captured one,
+   * otherwise built from its option values
+   * @param {Object} combination - Combination with text fields, values and optional url
+   * @returns {string} Battery page URL
+   */
+  getBatteryPageUrl(combination) {
+    if (combination.url) {
+      return this.resolveUrl(combination.url);
+    }
+    return this.buildBatteryPageUrl(combination, combination.values || {});
+  }
+}
+
+module.exports = UrlBuilder;
@@ -3,6 +3,9 @@
  * Provides helper functions for element waiting, interaction, and data processing
  */
 
+const config = require('./config');
+const logger = require('./logger');
+
 /**
  * Waits for an element to be available on the page with enhanced error handling
  * @param {Page} page - Puppeteer page instance
@@ -341,7 +344,7 @@ async function extractAttribute(page, selector, attribute, defaultValue = '') {
     const value = await page.evaluate((el, attr) => el.getAttribute(attr), element, attribute);
     return value || defaultValue;
   } catch (error) {
-    console.warn(`Attribute extraction failed for ${selector}[${attribute}]: ${error.message}`);
+    logProgress(`Attribute extraction failed for ${selector}[${attribute}]: ${error.message}`, 'warn');
     return defaultValue;
   }
 }
@@ -385,24 +388,12 @@ function generateCombinations(dropdownOptions) {
 }
 
 /**
- * Logs progress with timestamp and formatting
+ * Logs progress through the shared logger (level filtering, JSON lines, log file, run/combination tags)
  * @param {string} message - Progress message to log
- * @param {string} level - Log level (info, warn, error)
+ * @param {string} level - Log level (error, warn, info, debug)
  */
 function logProgress(message, level = 'info') {
-  const timestamp = new Date().toISOString();
-  const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
-  
-  switch (level) {
-    case 'warn':
-      console.warn(`${prefix} ${message}`);
-      break;
-    case 'error':
-      console.error(`${prefix} ${message}`);
-      break;
-    default:
-      console.log(`${prefix} ${message}`);
-  }
+  logger.log(level, message);
 }
 
 /**
@@ -421,6 +412,18 @@ function logCombinationProgress(current, total, combination) {
   );
 }
 
+/**
+ * Builds a stable key identifying a vehicle combination
+ * @param {Object} combination - Combination with vehicleType, brand, model and fuelType
+ * @returns {string} - Combination key
+ */
+function getCombinationKey(combination) {
+  const { vehicleType, brand, model, fuelType } = combination;
+  return [vehicleType, brand, model, fuelType]
+    .map(part => (part || '').toString().trim().toLowerCase())
+    .join('|');
+}
+
 /**
  * Waits for page to be in a stable state (no pending network requests)
  * @param {Page} page - Puppeteer page instance
@@ -450,7 +453,7 @@ async function selectDropdownOption(page, selector, value) {
     await delay(500); // Allow time for any dynamic updates
     return true;
   } catch (error) {
-    console.warn(`Failed to select option "${value}" from dropdown ${selector}: ${error.message}`);
+    logProgress(`Failed to select option "${value}" from dropdown ${selector}: ${error.message}`, 'warn');
     return false;
   }
 }
@@ -479,7 +482,7 @@ async function getDropdownOptions(page, selector) {
     
     return options;
   } catch (error) {
-    console.warn(`Failed to get dropdown options for ${selector}: ${error.message}`);
+    logProgress(`Failed to get dropdown options for ${selector}: ${error.message}`, 'warn');
     return [];
   }
 }
@@ -504,38 +507,49 @@ async function validatePageElements(page, selectors) {
 
 /**
  * Executes a function with retry logic and comprehensive error handling
+ * Only transient errors are retried by default; thrown errors carry the number of attempts made
+ * The function always runs at least once, whatever maxRetries is set to
  * @param {Function} fn - Function to execute
- * @param {Object} options - Retry options
+ * @param {Object} options - Retry options (defaults from config.retry and config.timeouts.retryDelay)
  * @returns {Promise<any>} - Function result
  */
 async function executeWithRetry(fn, options = {}) {
   const {
-    maxRetries = 3,
-    retryDelay = 1000,
-    backoffMultiplier = 2,
-    retryCondition = () => true,
+    maxRetries = config.retry.maxRetries,
+    retryDelay = config.timeouts.retryDelay,
+    backoffMultiplier = config.retry.backoffMultiplier,
+    retryCondition = isTransientError,
     operationName = 'operation'
   } = options;
 
   let lastError = null;
+  const maxAttempts = Math.max(1, Math.floor(maxRetries) || 1);
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      logProgress(`Executing ${operationName} (attempt ${attempt}/${maxRetries})`);
+      if (attempt > 1) {
+        logProgress(`Executing ${operationName} (attempt ${attempt}/${maxAttempts})`, 'debug');
+      }
       const result = await fn();
-      logProgress(`${operationName} completed successfully`);
+      if (attempt > 1) {
+        logProgress(`${operationName} completed successfully on attempt ${attempt}`);
+      }
       return result;
     } catch (error) {
       lastError = error;
       logProgress(`${operationName} attempt ${attempt} failed: ${error.message}`, 'warn');
       
       // Check if error should be retried
-      if (!retryCondition(error) || attempt === maxRetries) {
-        if (attempt === maxRetries) {
-          throw new Error(`${operationName} failed after ${maxRetries} attempts. Last error: ${lastError.message}`);
-        } else {
-          throw error;
+      if (!retryCondition(error) || attempt === maxAttempts) {
+        if (attempt === maxAttempts && maxAttempts > 1) {
+          const finalError = new Error(`${operationName} failed after ${maxAttempts} attempts. Last error: ${lastError.message}`);
+          finalError.cause = lastError;
+          finalError.transient = lastError.transient;
+          finalError.attempts = attempt;
+          throw finalError;
         }
+        error.attempts = attempt;
+        throw error;
       }
       
       // Calculate delay with exponential backoff
@@ -552,26 +566,8 @@ async function executeWithRetry(fn, options = {}) {
  * @returns {boolean} - Whether the error should be retried
  */
 function isRetryableNetworkError(error) {
-  const retryableErrors = [
-    'ECONNRESET',
-    'ENOTFOUND',
-    'ECONNREFUSED',
-    'ETIMEDOUT',
-    'EPIPE',
-    'EHOSTUNREACH',
-    'EAI_AGAIN',
-    'net::ERR_NETWORK_CHANGED',
-    'net::ERR_CONNECTION_RESET',
-    'net::ERR_CONNECTION_REFUSED',
-    'net::ERR_NAME_NOT_RESOLVED',
-    'net::ERR_INTERNET_DISCONNECTED',
-    'Navigation timeout',
-    'Timeout',
-    'Protocol error'
-  ];
-
-  const errorMessage = error.message || '';
-  return retryableErrors.some(retryableError => 
+  const errorMessage = `${error.name}: ${error.message || ''}`;
+  return config.retry.retryableNetworkErrors.some(retryableError => 
     errorMessage.includes(retryableError)
   );
 }
@@ -582,21 +578,40 @@ function isRetryableNetworkError(error) {
  * @returns {boolean} - Whether the error should be retried
  */
 function isRetryableElementError(error) {
-  const retryableErrors = [
-    'Element not found',
-    'waiting for selector',
-    'Node is detached',
-    'Element is not clickable',
-    'Element not visible',
-    'Execution context was destroyed'
-  ];
-
-  const errorMessage = error.message || '';
-  return retryableErrors.some(retryableError => 
+  const errorMessage = `${error.name}: ${error.message || ''}`;
+  return config.retry.retryableElementErrors.some(retryableError => 
     errorMessage.includes(retryableError)
   );
 }
 
+/**
+ * Classifies an error for retry decisions and error reports
+ * @param {Error} error - The error to classify
+ * @returns {string} - 'network', 'element', 'transient' (marked by the scraper, e.g. a 503 response
+ *                     or a page that did not finish loading) or 'permanent'
+ */
+function classifyError(error) {
+  if (!error) {
+    return 'permanent';
+  }
+  if (isRetryableNetworkError(error)) {
+    return 'network';
+  }
+  if (isRetryableElementError(error)) {
+    return 'element';
+  }
+  return error.transient ? 'transient' : 'permanent';
+}
+
+/**
+ * Checks whether an error is worth retrying
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True for network, element and other transient errors
+ */
+function isTransientError(error) {
+  return classifyError(error) !== 'permanent';
+}
+
 /**
  * Creates a timeout wrapper for promises
  * @param {Promise} promise - Promise to wrap
@@ -676,6 +691,7 @@ module.exports = {
   generateCombinations,
   logProgress,
   logCombinationProgress,
+  getCombinationKey,
   waitForPageStable,
   selectDropdownOption,
   getDropdownOptions,
@@ -684,6 +700,8 @@ module.exports = {
   executeWithRetry,
   isRetryableNetworkError,
   isRetryableElementError,
+  classifyError,
+  isTransientError,
   withTimeout,
   validatePageState,
   logError
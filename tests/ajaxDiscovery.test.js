@@ -0,0 +1,147 @@
+/**
+ * AJAX discovery tests
+ * Replays the mock site's Drupal AJAX form posts the way discoverWithAjax does, without a browser
+ */
+
+const { JSDOM } = require('jsdom');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { startMockAmaronSite } = require('./helpers/mockAmaronSite');
+
+describe('replayAjaxRequest against the mock site', () => {
+  let site;
+  let scraper;
+  let template;
+
+  beforeAll(async () => {
+    site = await startMockAmaronSite();
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    // Page functions parse the responses with the browser's DOMParser
+    global.DOMParser = new JSDOM().window.DOMParser;
+  });
+
+  afterAll(async () => {
+    delete global.DOMParser;
+    await site.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    scraper = new SmartUrlScraper({ site: site.siteOptions });
+    scraper.page = { evaluate: async (pageFunction, ...args) => pageFunction(...args) };
+
+    // What captureAjaxRequest records after selecting the first vehicle type
+    template = {
+      url: `${site.baseUrl}system/ajax`,
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded; charset=UTF-8', 'x-requested-with': 'XMLHttpRequest' },
+      body: 'select-vehicle=two-wheeler&vehicle-make=&model=&fuel=&form_build_id=form-mock-1&form_id=amaron-battery-finder-form&_triggering_element_name=select-vehicle',
+      fieldNames: ['select-vehicle', 'vehicle-make', 'model', 'fuel'],
+      selectors: scraper.getDropdownLevels().map(level => level.selector),
+      buildId: null
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const option = (value, text) => ({ value, text });
+
+  test('reads each dropdown level from the Drupal insert commands', async () => {
+    const passengers = option('passengers', 'Passengers');
+    const maruti = option('maruti-suzuki', 'MARUTI SUZUKI');
+    const swift = option('swift', 'Swift');
+
+    const brands = await scraper.replayAjaxRequest(template, [passengers]);
+    const models = await scraper.replayAjaxRequest(template, [passengers, maruti]);
+    const fuels = await scraper.replayAjaxRequest(template, [passengers, maruti, swift]);
+
+    expect(brands.map(brand => brand.text)).toEqual(['MARUTI SUZUKI', 'ASHOK LEYLAND', 'MAHINDRA & MAHINDRA']);
+    expect(models).toEqual([{ value: 'swift', text: 'Swift', url: null }]);
+    expect(fuels).toEqual([
+      { value: 'diesel', text: 'Diesel', url: '/battery/passengers/maruti-suzuki/swift/diesel' },
+      { value: 'petrol', text: 'Petrol', url: '/battery/passengers/maruti-suzuki/swift/petrol' }
+    ]);
+  });
+
+  test('carries the latest form build id into the next request', async () => {
+    await scraper.replayAjaxRequest(template, [option('inverter', 'Inverter')]);
+
+    expect(template.buildId).toMatch(/^form-mock-\d+$/);
+  });
+
+  test('builds combinations with canonical URLs from the replayed options', async () => {
+    const selection = [option('passengers', 'Passengers'), option('mahindra-and-mahindra', 'MAHINDRA & MAHINDRA'), option('bolero-power-plus', 'Bolero Power+')];
+    const [diesel] = await scraper.replayAjaxRequest(template, selection);
+    const combination = scraper.buildCombination(...selection, diesel);
+
+    expect(combination).toEqual({
+      vehicleType: 'Passengers',
+      brand: 'MAHINDRA & MAHINDRA',
+      model: 'Bolero Power+',
+      fuelType: 'Diesel',
+      values: { vehicleType: 'passengers', brand: 'mahindra-and-mahindra', model: 'bolero-power-plus', fuelType: 'diesel' },
+      url: `${site.baseUrl}battery/passengers/mahindra-and-mahindra/bolero-power-plus/diesel`
+    });
+  });
+
+  test('fails when the response does not contain the next dropdown', async () => {
+    template.body = template.body.replace('form_id=amaron-battery-finder-form', 'form_id=other-form');
+
+    await expect(scraper.replayAjaxRequest(template, [option('passengers', 'Passengers')]))
+      .rejects.toThrow('AJAX replay for Passengers returned 400 without the next dropdown');
+  });
+});
+
+describe('discovery strategy selection', () => {
+  let scraper;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    scraper = new SmartUrlScraper();
+    jest.spyOn(scraper, 'discoverWithDom').mockResolvedValue([{ vehicleType: 'Passengers', fuelType: 'Diesel' }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.discovery.strategy = 'ajax';
+    config.discovery.fallbackToDom = true;
+  });
+
+  test('falls back to the DOM strategy when AJAX discovery fails', async () => {
+    jest.spyOn(scraper, 'discoverWithAjax').mockRejectedValue(new Error('No dropdown AJAX request captured'));
+
+    const combinations = await scraper.discoverValidCombinations();
+
+    expect(combinations).toHaveLength(1);
+    expect(scraper.discoverWithDom).toHaveBeenCalled();
+  });
+
+  test('surfaces AJAX failures when the fallback is disabled', async () => {
+    config.discovery.fallbackToDom = false;
+    jest.spyOn(scraper, 'discoverWithAjax').mockRejectedValue(new Error('No dropdown AJAX request captured'));
+
+    await expect(scraper.discoverValidCombinations()).rejects.toThrow('No dropdown AJAX request captured');
+    expect(scraper.discoverWithDom).not.toHaveBeenCalled();
+  });
+
+  test('uses the DOM strategy directly when configured', async () => {
+    config.discovery.strategy = 'dom';
+    jest.spyOn(scraper, 'discoverWithAjax');
+
+    await scraper.discoverValidCombinations();
+
+    expect(scraper.discoverWithAjax).not.toHaveBeenCalled();
+    expect(scraper.discoverWithDom).toHaveBeenCalled();
+  });
+
+  test('rejects unknown strategies', async () => {
+    config.discovery.strategy = 'sitemap';
+
+    await expect(scraper.discoverValidCombinations()).rejects.toThrow('Unknown discovery strategy "sitemap"');
+  });
+});
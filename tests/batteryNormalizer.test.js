@@ -0,0 +1,166 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Normalization tests
+ * Checks unit parsing of extracted values and that exporters keep the typed values and parse issues
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const BatteryNormalizer = require('../src/batteryNormalizer');
+const CSVExporter = require('../src/csvExporter');
+const SQLiteExporter = require('../src/sqliteExporter');
+const { FixturePage } = require('./helpers/fixturePage');
+
+describe('BatteryNormalizer', () => {
+  const normalizer = new BatteryNormalizer();
+
+  test('parses prices into an amount and a currency', () => {
+    expect(normalizer.parsePrice('₹4,599')).toEqual({ amount: 4599, currency: 'INR' });
+    expect(normalizer.parsePrice('- ₹750')).toEqual({ amount: 750, currency: 'INR' });
+    expect(normalizer.parsePrice('Rs. 1,23,456.50')).toEqual({ amount: 123456.5, currency: 'INR' });
+    expect(normalizer.parsePrice('4599/-')).toEqual({ amount: 4599, currency: 'INR' });
+    expect(normalizer.parsePrice('Call for price')).toBeNull();
+  });
+
+  test('parses capacity, voltage, CCA and warranty units', () => {
+    expect(normalizer.parseCapacity('35 AH')).toBe(35);
+    expect(normalizer.parseCapacity('2.5Ah')).toBe(2.5);
+    expect(normalizer.parseCapacity('2500 mAh')).toBe(2.5);
+    expect(normalizer.parseCapacity('12V 35AH')).toBeNull();
+    expect(normalizer.parseVoltage('12 V')).toBe(12);
+    expect(normalizer.parseCca('550 CCA')).toBe(550);
+    expect(normalizer.parseMonths('72')).toBe(72);
+    expect(normalizer.parseMonths('36 Months')).toBe(36);
+    expect(normalizer.parseMonths('6 Years')).toBe(72);
+    expect(normalizer.parseMonths('Lifetime')).toBeNull();
+  });
+
+  test('parses dimensions into millimetres', () => {
+    expect(normalizer.parseDimensions('238 x 129 x 227')).toEqual({ lengthMm: 238, widthMm: 129, heightMm: 227 });
+    expect(normalizer.parseDimensions('L 23.8 x W 12.9 x H 22.7 cm')).toEqual({ lengthMm: 238, widthMm: 129, heightMm: 227 });
+    expect(normalizer.parseDimensions('113×70×105mm')).toEqual({ lengthMm: 113, widthMm: 70, heightMm: 105 });
+    expect(normalizer.parseDimensions('238 x 129')).toBeNull();
+  });
+
+  test('flags unparseable values with their original text instead of dropping them', () => {
+    const battery = normalizer.normalize({
+      itemCode: 'AAM-1',
+      ampereHour: 'N/A',
+      totalWarranty: '',
+      dimensions: 'See chart',
+      basePrice: '₹4,599',
+      totalPrice: '$50'
+    });
+
+    expect(battery).toMatchObject({
+      itemCode: 'AAM-1',
+      ampereHour: null,
+      totalWarranty: null,
+      basePrice: 4599,
+      totalPrice: null,
+      currency: 'INR',
+      lengthMm: null
+    });
+    expect(battery.parseIssues).toEqual([
+      { field: 'ampereHour', value: 'N/A', expected: 'capacity in Ah' },
+      { field: 'totalPrice', value: '$50', expected: 'price' },
+      { field: 'dimensions', value: 'See chart', expected: 'length x width x height' }
+    ]);
+  });
+});
+
+describe('normalized export', () => {
+  const outputDirectory = config.output.outputDirectory;
+  let directory;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-normalized-'));
+    config.output.outputDirectory = directory;
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output.outputDirectory = outputDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('saved passenger car page normalizes without parse issues', async () => {
+    const scraper = new SmartUrlScraper();
+    const page = new FixturePage();
+    await page.goto('passenger-car');
+
+    const combination = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' };
+    const batteries = scraper.normalizer.normalizeAll(await scraper.extractBatteryData(combination, page));
+
+    expect(batteries[2]).toMatchObject({
+      ampereHour: 45,
+      lengthMm: 238,
+      widthMm: 129,
+      heightMm: 227,
+      totalWarranty: 55,
+      basePrice: 5349,
+      specialDiscount: 535,
+      totalPrice: 4814,
+      rebate: 800,
+      currency: 'INR',
+      parseIssues: []
+    });
+    expect(batteries.every(battery => battery.parseIssues.length === 0)).toBe(true);
+  });
+
+  test('CSV keeps numbers with units and lists parse issues', () => {
+    const exporter = new CSVExporter();
+    const formatted = exporter.formatBatteryData({
+      ampereHour: '35 AH',
+      basePrice: '₹4,599',
+      currency: 'INR',
+      parseIssues: [{ field: 'cca', value: 'N/A' }, { field: 'dimensions', value: 'See chart' }]
+    });
+
+    expect(formatted).toMatchObject({
+      ampere_hour: '35',
+      base_price: '4599',
+      currency: 'INR',
+      parse_issues: 'cca: N/A; dimensions: See chart'
+    });
+  });
+
+  test('SQLite adds columns missing from databases written before normalization', async () => {
+    const exporter = new SQLiteExporter();
+    await exporter.initialize();
+    exporter.db.exec('ALTER TABLE prices DROP COLUMN currency; ALTER TABLE batteries DROP COLUMN length_mm');
+    exporter.close();
+
+    const reopened = new SQLiteExporter();
+    await reopened.initialize();
+    await reopened.appendBatteryRecord(new BatteryNormalizer().normalize({
+      itemCode: 'AAM-1',
+      dimensions: '238 x 129 x 227',
+      basePrice: '₹4,599',
+      cca: 'N/A'
+    }));
+
+    const battery = reopened.db.prepare('SELECT length_mm, parse_issues FROM batteries').get();
+    const price = reopened.db.prepare('SELECT base_price, currency FROM prices').get();
+    await reopened.finalize();
+
+    expect(battery.length_mm).toBe(238);
+    expect(JSON.parse(battery.parse_issues)).toEqual([{ field: 'cca', value: 'N/A', expected: 'cold cranking amps' }]);
+    expect(price).toEqual({ base_price: 4599, currency: 'INR' });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Battery schema tests
+ * Checks the table columns derived from the schema and that schema files change extraction and every exporter
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const BatterySchema = require('../src/batterySchema');
+const CSVExporter = require('../src/csvExporter');
+const JSONExporter = require('../src/jsonExporter');
+const SQLiteExporter = require('../src/sqliteExporter');
+const { parseArguments } = require('../index');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const passengerCar = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' };
+
+// Adds the CCA row under a second column and drops the origin column
+const overrides = {
+  fields: [
+    { id: 'ccaRating', header: 'CCA Rating', type: 'number', labels: ['Cold Cranking Ability'], after: 'cca' },
+    { id: 'series', labels: ['Battery Series', 'Series'] }
+  ],
+  remove: ['countryOfOrigin']
+};
+
+describe('BatterySchema', () => {
+  const fields = config.schema.fields;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-schema-'));
+  });
+
+  afterEach(() => {
+    config.schema.fields = fields;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('derives the columns of every table from one field list', () => {
+    const schema = new BatterySchema();
+
+    expect(schema.getHeaders('battery')).toEqual(expect.arrayContaining(['Item Code', 'Battery Title', 'Length (mm)', 'Parse Issues']));
+    expect(schema.getHeaders('battery')).not.toContain('Pincode');
+    expect(schema.getHeaders('catalogue')[0]).toBe('Battery Brand');
+    expect(schema.getHeaders('fitment')).toEqual(['Vehicle Type', 'Brand', 'Model', 'Fuel Type', 'Item Code', 'Battery Title']);
+    expect(schema.getHeaders('price')).toEqual([
+      'Item Code', 'Pincode', 'Battery Title', 'Base Price', 'Special Discount', 'Total Price', 'Rebate', 'Currency'
+    ]);
+    expect(schema.getRequiredFields().map(field => field.id)).toEqual(['vehicleType', 'brand', 'model', 'fuelType']);
+    expect(schema.getNumericFields().map(field => field.id)).toContain('lengthMm');
+  });
+
+  test('schema files add, change and remove fields', () => {
+    const schemaFile = path.join(directory, 'schema.json');
+    fs.writeFileSync(schemaFile, JSON.stringify(overrides));
+
+    BatterySchema.useFile(schemaFile);
+    const headers = new BatterySchema().getHeaders('battery');
+
+    expect(headers.slice(headers.indexOf('CCA'), headers.indexOf('CCA') + 2)).toEqual(['CCA', 'CCA Rating']);
+    expect(headers).not.toContain('Country of Origin');
+    expect(new BatterySchema().getField('series').labels).toEqual(['Battery Series', 'Series']);
+    expect(parseArguments(['--schema', schemaFile]).schemaFile).toBe(schemaFile);
+  });
+
+  test('rejects invalid schema changes', () => {
+    expect(() => BatterySchema.applyOverrides({ remove: ['itemCode'] })).toThrow('cannot be removed');
+    expect(() => BatterySchema.applyOverrides({ remove: ['warrantyType'] })).toThrow('unknown field warrantyType');
+    expect(() => BatterySchema.applyOverrides({ fields: [{ id: 'warrantyType', type: 'text' }] })).toThrow('header is required');
+    expect(() => BatterySchema.applyOverrides({ fields: [{ id: 'cca', type: 'integer' }] })).toThrow('type must be one of');
+    expect(() => BatterySchema.applyOverrides({ fields: [{ id: 'grade', header: 'Voltage' }] })).toThrow('duplicate header');
+    expect(() => BatterySchema.loadFile(path.join(directory, 'schema.yaml'))).toThrow('expected .json or .js');
+  });
+});
+
+describe('schema-driven extraction and export', () => {
+  const fields = config.schema.fields;
+  const outputDirectory = config.output.outputDirectory;
+  let directory;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-schema-'));
+    config.output.outputDirectory = directory;
+    config.schema.fields = BatterySchema.applyOverrides(overrides);
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.schema.fields = fields;
+    config.output.outputDirectory = outputDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('added fields are extracted by their labels and written by every exporter', async () => {
+    const scraper = new SmartUrlScraper();
+    const page = new FixturePage();
+    await page.goto('passenger-car');
+
+    const [battery] = scraper.normalizer.normalizeAll(await scraper.extractBatteryData(passengerCar, page));
+    expect(battery).toMatchObject({ ccaRating: '550', cca: 550, series: 'FLO' });
+
+    const csv = new CSVExporter().formatBatteryData(battery);
+    expect(csv).toMatchObject({ cca: '550', cca_rating: '550', series: 'FLO' });
+    expect(csv).not.toHaveProperty('country_of_origin');
+
+    const json = new JSONExporter().formatTypedRecord(battery);
+    expect(json.ccaRating).toBe(550);
+    expect(json).not.toHaveProperty('countryOfOrigin');
+
+    const database = new SQLiteExporter();
+    await database.initialize();
+    await database.appendBatteryRecord(battery);
+    const row = database.db.prepare('SELECT cca_rating FROM batteries').get();
+    await database.finalize();
+    expect(row.cca_rating).toBe(550);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Checkpoint tests
+ * Saves and loads checkpoint files, and interrupts a run over fixture pages and resumes it from its checkpoint
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const CheckpointManager = require('../src/checkpointManager');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const activa = { vehicleType: 'Two Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol', fixture: 'two-wheeler' };
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+
+describe('CheckpointManager', () => {
+  const saveInterval = config.checkpoint.saveInterval;
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-checkpoint-'));
+    filePath = path.join(directory, 'state', 'checkpoint.json');
+    config.checkpoint.saveInterval = 2;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.checkpoint.saveInterval = saveInterval;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('saves processed combinations and progress every save interval and loads them back', async () => {
+    const checkpoint = new CheckpointManager(filePath);
+    await checkpoint.start([activa, swift], 'battery-data.csv', { runId: '2026-10-19T08:00:00.000Z' });
+
+    await checkpoint.markProcessed(activa, { stats: { scrapedCount: 2 }, seenBatteries: new Set(['AAM-FL-0BH90D23L']) });
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).processedKeys).toEqual([]);
+
+    await Promise.all([
+      checkpoint.markProcessed(swift, { stats: { scrapedCount: 5 }, seenBatteries: new Set(['AAM-FL-0BH90D23L', 'AAM-PR-00042B20L']), seenPrices: new Set(['AAM-PR-00042B20L|560001']) }),
+      checkpoint.save()
+    ]);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+
+    const restored = new CheckpointManager(filePath);
+    const state = await restored.load();
+    expect(state).toMatchObject({
+      version: 1,
+      outputFile: 'battery-data.csv',
+      runId: '2026-10-19T08:00:00.000Z',
+      combinations: [activa, swift],
+      seenBatteries: ['AAM-FL-0BH90D23L', 'AAM-PR-00042B20L'],
+      seenPrices: ['AAM-PR-00042B20L|560001'],
+      stats: { scrapedCount: 5, successfulCombinations: 0, duplicateCount: 0 }
+    });
+    expect(restored.isProcessed(swift)).toBe(true);
+    expect(restored.getProcessedCount()).toBe(2);
+
+    await restored.clear();
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(await new CheckpointManager(filePath).load()).toBeNull();
+  });
+
+  test('rejects checkpoint files it cannot resume from', async () => {
+    const checkpoint = new CheckpointManager(filePath);
+    await expect(checkpoint.markProcessed(activa, {})).rejects.toThrow('Checkpoint not started');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"version": 1, "combinations": [');
+    await expect(checkpoint.load()).rejects.toThrow('is not valid JSON');
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: 2, combinations: [] }));
+    await expect(checkpoint.load()).rejects.toThrow('Unsupported checkpoint version 2');
+  });
+});
+
+describe('resuming from a checkpoint', () => {
+  const checkpoint = config.checkpoint;
+  let directory;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-checkpoint-'));
+    config.checkpoint = { ...checkpoint, enabled: true, file: path.join(directory, 'checkpoint.json'), saveInterval: 1 };
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.checkpoint = checkpoint;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createScraper = (rows, options = {}) => {
+    const scraper = new SmartUrlScraper({ concurrency: 1, pincodes: [], ...options });
+    scraper.pagePool = [new FixturePage()];
+    scraper.csvExporter = { appendBatteryRecord: jest.fn(async battery => rows.push(battery)), flush: jest.fn().mockResolvedValue() };
+    scraper.qualityReport = null;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+    return scraper;
+  };
+
+  test('a combination interrupted while saving its batteries writes them again on resume', async () => {
+    const interruptedRows = [];
+    const interrupted = createScraper(interruptedRows);
+    interrupted.validCombinations = [activa, swift];
+    await interrupted.checkpoint.start(interrupted.validCombinations, 'battery-data.csv');
+
+    // The shutdown handler saves the checkpoint while Swift's first battery is being written
+    let savedState = null;
+    interrupted.csvExporter.appendBatteryRecord.mockImplementation(async battery => {
+      if (battery.model === 'Swift' && !savedState) {
+        await interrupted.saveCheckpoint();
+        savedState = fs.readFileSync(config.checkpoint.file, 'utf8');
+      }
+      interruptedRows.push(battery);
+    });
+    await interrupted.processValidCombinations();
+    fs.writeFileSync(config.checkpoint.file, savedState);
+
+    const resumedRows = [];
+    const resumed = createScraper(resumedRows, { resume: true });
+    expect(await resumed.restoreFromCheckpoint()).toBe(true);
+    await resumed.processValidCombinations();
+
+    // Activa was completed before the interruption; Swift is processed again and none of its batteries are dropped
+    expect(resumedRows.map(battery => battery.model)).toEqual(['Swift', 'Swift', 'Swift']);
+    expect(resumed.duplicateCount).toBe(0);
+  });
+
+  test('JSON records of checkpointed combinations are on disk before the checkpoint is saved', async () => {
+    const output = config.output;
+    const snapshots = config.snapshots;
+    const priceHistory = config.priceHistory;
+    config.output = { ...output, formats: ['json'], outputDirectory: directory, jsonFlushInterval: 50 };
+    config.snapshots = { ...snapshots, enabled: false };
+    config.priceHistory = { ...priceHistory, enabled: false };
+
+    try {
+      const scraper = createScraper([]);
+      scraper.validCombinations = [activa, swift];
+      await scraper.initializeCSVExporter();
+      await scraper.checkpoint.start(scraper.validCombinations, 'battery-data.csv');
+      await scraper.processValidCombinations();
+
+      // The run stops here without finalizing its exporters, as on SIGINT or a crash
+      const state = JSON.parse(fs.readFileSync(config.checkpoint.file, 'utf8'));
+      const records = JSON.parse(fs.readFileSync(path.join(directory, 'battery-data.json'), 'utf8'));
+      expect(state.processedKeys).toHaveLength(2);
+      expect(records.map(record => record.model)).toEqual(['Activa', 'Activa', 'Swift', 'Swift', 'Swift']);
+    } finally {
+      config.output = output;
+      config.snapshots = snapshots;
+      config.priceHistory = priceHistory;
+    }
+  });
+});
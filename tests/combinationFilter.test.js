@@ -0,0 +1,195 @@
+/**
+ * Combination filter tests
+ * Checks pattern matching, pruning of AJAX discovery against the mock site and filtering of cached combination lists
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const CombinationFilter = require('../src/combinationFilter');
+const CombinationStore = require('../src/combinationStore');
+const { parseArguments, applyConfigOverrides } = require('../index');
+const { startMockAmaronSite, listCombinations } = require('./helpers/mockAmaronSite');
+
+const noFilters = () => ({
+  vehicleType: { include: [], exclude: [] },
+  brand: { include: [], exclude: [] },
+  model: { include: [], exclude: [] },
+  fuelType: { include: [], exclude: [] }
+});
+
+describe('CombinationFilter', () => {
+  test('matches globs and regular expressions case-insensitively against option text and value', () => {
+    const filter = new CombinationFilter({
+      ...noFilters(),
+      vehicleType: { include: ['two*'], exclude: [] },
+      brand: { include: ['/^(hero|bajaj)$/', 'TVS?'], exclude: [] },
+      fuelType: { include: [], exclude: ['cng'] }
+    });
+
+    expect(filter.isActive()).toBe(true);
+    expect(filter.filterOptions('vehicleType', [
+      { value: 'two-wheeler', text: 'Two Wheeler' },
+      { value: 'passengers', text: 'Passengers' }
+    ])).toEqual([{ value: 'two-wheeler', text: 'Two Wheeler' }]);
+    expect(filter.matchesOption('brand', { value: 'bajaj', text: 'BAJAJ' })).toBe(true);
+    expect(filter.matchesOption('brand', { value: 'tvsm', text: 'TVSM' })).toBe(true);
+    expect(filter.matchesOption('brand', { value: 'bajaj-auto', text: 'BAJAJ AUTO' })).toBe(false);
+    expect(filter.matchesOption('model', { value: 'pulsar', text: 'Pulsar' })).toBe(true);
+    expect(filter.matchesOption('fuelType', { value: 'cng', text: 'CNG' })).toBe(false);
+    expect(filter.describe()).toBe('vehicle type: two*; make: /^(hero|bajaj)$/, TVS?; fuel: not cng');
+  });
+
+  test('keeps everything without patterns and rejects invalid ones', () => {
+    const filter = new CombinationFilter(noFilters());
+
+    expect(filter.isActive()).toBe(false);
+    expect(filter.matches(listCombinations()[0])).toBe(true);
+    expect(() => CombinationFilter.compilePattern('/(hero/')).toThrow('Invalid filter pattern /(hero/');
+    expect(() => CombinationFilter.compilePattern(' ')).toThrow('must not be empty');
+  });
+
+  test('matches the same options every time with global and sticky regular expressions', () => {
+    const filter = new CombinationFilter({ ...noFilters(), brand: { include: ['/tata|mahindra/gy'], exclude: [] } });
+    const tata = { value: 'tata', text: 'TATA' };
+
+    expect([1, 2, 3].map(() => filter.matchesOption('brand', tata))).toEqual([true, true, true]);
+    expect(filter.levels.brand.include[0].regex.flags).toBe('i');
+    expect(filter.describe()).toBe('make: /tata|mahindra/gy');
+  });
+});
+
+describe('filtered discovery against the mock site', () => {
+  let site;
+  let scraper;
+
+  beforeAll(async () => {
+    site = await startMockAmaronSite();
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    // Page functions parse the responses with the browser's DOMParser
+    global.DOMParser = new JSDOM().window.DOMParser;
+  });
+
+  afterAll(async () => {
+    delete global.DOMParser;
+    await site.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createScraper = filters => {
+    scraper = new SmartUrlScraper({ site: site.siteOptions, filters });
+    scraper.page = { evaluate: async (pageFunction, ...args) => pageFunction(...args) };
+
+    // What navigating to the finder page and capturing the first AJAX request yield
+    jest.spyOn(scraper, 'navigateToMainPage').mockResolvedValue();
+    jest.spyOn(scraper, 'getDropdownOptions').mockResolvedValue([
+      { value: 'two-wheeler', text: 'Two Wheeler' },
+      { value: 'passengers', text: 'Passengers' },
+      { value: 'inverter', text: 'Inverter' }
+    ]);
+    jest.spyOn(scraper, 'captureAjaxRequest').mockResolvedValue({
+      url: `${site.baseUrl}system/ajax`,
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded; charset=UTF-8', 'x-requested-with': 'XMLHttpRequest' },
+      body: 'select-vehicle=passengers&vehicle-make=&model=&fuel=&form_build_id=form-mock-1&form_id=amaron-battery-finder-form&_triggering_element_name=select-vehicle',
+      fieldNames: ['select-vehicle', 'vehicle-make', 'model', 'fuel'],
+      selectors: scraper.getDropdownLevels().map(level => level.selector),
+      buildId: null
+    });
+    jest.spyOn(scraper, 'replayAjaxRequest');
+    return scraper;
+  };
+
+  test('never loads the dropdowns of skipped branches', async () => {
+    createScraper({
+      ...noFilters(),
+      vehicleType: { include: ['passengers'], exclude: [] },
+      brand: { include: ['maruti*'], exclude: [] },
+      fuelType: { include: [], exclude: ['petrol'] }
+    });
+
+    const combinations = await scraper.discoverWithAjax();
+
+    expect(combinations.map(combination => `${combination.brand} ${combination.model} ${combination.fuelType}`))
+      .toEqual(['MARUTI SUZUKI Swift Diesel']);
+    // Brands of Passengers, models of Maruti Suzuki, fuels of Swift - nothing for the other vehicle types and makes
+    expect(scraper.replayAjaxRequest.mock.calls.map(([, selection]) => selection.map(option => option.text).join(' > '))).toEqual([
+      'Passengers',
+      'Passengers > MARUTI SUZUKI',
+      'Passengers > MARUTI SUZUKI > Swift'
+    ]);
+  });
+
+  test('excludes whole makes by regular expression', async () => {
+    createScraper({ ...noFilters(), brand: { include: [], exclude: ['/^(maruti|ashok)/'] } });
+
+    const combinations = await scraper.discoverWithAjax();
+
+    expect(combinations.map(combination => combination.brand)).toEqual(['BAJAJ', 'MAHINDRA & MAHINDRA', 'AMARON']);
+    expect(scraper.replayAjaxRequest).toHaveBeenCalledTimes(3 + 3 + 3);
+  });
+});
+
+describe('filters on cached combination lists', () => {
+  let directory;
+  let filePath;
+  const filters = config.filters;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-filter-'));
+    filePath = path.join(directory, 'combinations.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await new CombinationStore(filePath).save(listCombinations());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.filters = filters;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps only matching combinations from the file', async () => {
+    const scraper = new SmartUrlScraper({
+      filters: { ...noFilters(), vehicleType: { include: ['Passengers'], exclude: [] }, model: { include: [], exclude: ['bolero*'] } }
+    });
+
+    const combinations = await scraper.loadCombinationsFromFile(filePath);
+
+    expect(combinations.map(combination => `${combination.brand} ${combination.model} ${combination.fuelType}`)).toEqual([
+      'MARUTI SUZUKI Swift Diesel',
+      'MARUTI SUZUKI Swift Petrol',
+      'ASHOK LEYLAND Stile Diesel'
+    ]);
+  });
+
+  test('command line filters replace the configured patterns of their level', async () => {
+    config.filters = { ...noFilters(), brand: { include: ['TATA'], exclude: ['X*'] } };
+    const options = parseArguments(['--make', 'bajaj,amaron', '--exclude-fuel', '/^(diesel|cng)$/', '--fuel', 'petrol', '--fuel', 'na']);
+
+    expect(options.filters).toEqual({
+      brand: { include: ['bajaj', 'amaron'], exclude: [] },
+      fuelType: { include: ['petrol', 'na'], exclude: ['/^(diesel|cng)$/'] }
+    });
+    expect(() => parseArguments(['--model', '/(swift/'])).toThrow('--model: Invalid filter pattern');
+    expect(() => parseArguments(['--exclude-make'])).toThrow('--exclude-make requires a pattern argument');
+
+    applyConfigOverrides(options);
+    expect(config.filters.brand).toEqual({ include: ['bajaj', 'amaron'], exclude: ['X*'] });
+
+    const combinations = await new SmartUrlScraper().loadCombinationsFromFile(filePath);
+    expect(combinations.map(combination => combination.model)).toEqual(['Pulsar 150 (ES)', 'Current']);
+  });
+});
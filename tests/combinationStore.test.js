@@ -0,0 +1,125 @@
+/**
+ * Combination store tests
+ * Saves and loads combinations files and scrapes from one with --from-combinations instead of running discovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const CombinationStore = require('../src/combinationStore');
+const { parseArguments, getScraperOptions } = require('../index');
+
+const swift = {
+  vehicleType: 'Passengers',
+  brand: 'MARUTI SUZUKI',
+  model: 'Swift',
+  fuelType: 'Diesel',
+  values: { vehicleType: 'passengers', brand: '12', model: '345', fuelType: 'diesel' },
+  url: 'https://www.amaron.com/batteries/passengers/maruti-suzuki/swift/diesel'
+};
+const activa = { vehicleType: 'Two Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol' };
+
+describe('CombinationStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-combinations-'));
+    filePath = path.join(directory, 'cache', 'combinations.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('saves dropdown values, texts and URLs and loads them back in scraper format', async () => {
+    const store = new CombinationStore(filePath);
+    await store.save([swift, { ...activa, failure: { errorClass: 'network' } }], { source: 'https://www.amaron.com/' });
+
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(document).toMatchObject({ version: 1, source: 'https://www.amaron.com/', count: 2 });
+    expect(document.combinations[0].brand).toEqual({ value: '12', text: 'MARUTI SUZUKI' });
+    expect(document.combinations[1]).toMatchObject({ vehicleType: { value: '', text: 'Two Wheeler' }, failure: { errorClass: 'network' } });
+
+    const stored = await store.load();
+    expect(stored.source).toBe('https://www.amaron.com/');
+    expect(stored.combinations).toEqual([
+      swift,
+      { ...activa, values: { vehicleType: '', brand: '', model: '', fuelType: '' }, url: null }
+    ]);
+  });
+
+  test('rejects files it cannot load combinations from', async () => {
+    const store = new CombinationStore(filePath);
+    await expect(store.load()).rejects.toThrow('Failed to read combinations file');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"version": 1');
+    await expect(store.load()).rejects.toThrow('is not valid JSON');
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: 2, combinations: [] }));
+    await expect(store.load()).rejects.toThrow('Unsupported combinations file version 2');
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1 }));
+    await expect(store.load()).rejects.toThrow('has no combinations list');
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, combinations: [{ vehicleType: { text: 'Passengers' } }] }));
+    await expect(store.load()).rejects.toThrow(`Combination 1 in ${filePath} is missing brand`);
+  });
+});
+
+describe('--from-combinations', () => {
+  const output = config.output;
+  const checkpoint = config.checkpoint;
+  const priceHistory = config.priceHistory;
+  let directory;
+  let filePath;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-combinations-'));
+    filePath = path.join(directory, 'combinations.json');
+    config.output = { ...output, formats: ['csv'], outputDirectory: directory };
+    config.checkpoint = { ...checkpoint, enabled: false };
+    config.priceHistory = { ...priceHistory, enabled: false };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await new CombinationStore(filePath).save([swift, activa]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output = output;
+    config.checkpoint = checkpoint;
+    config.priceHistory = priceHistory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('scrapes the combinations from the file without running discovery', async () => {
+    const options = getScraperOptions(parseArguments(['scrape', '--from-combinations', filePath]));
+    expect(options).toEqual({ resume: false, combinationsFile: filePath });
+
+    const scraper = new SmartUrlScraper(options);
+    scraper.snapshotStore = null;
+    scraper.qualityReport = null;
+    jest.spyOn(scraper, 'initializeBrowser').mockResolvedValue();
+    jest.spyOn(scraper, 'discoverValidCombinations').mockRejectedValue(new Error('discovery should be skipped'));
+    jest.spyOn(scraper, 'processValidCombinations').mockResolvedValue();
+
+    const summary = await scraper.scrape();
+
+    expect(summary.success).toBe(true);
+    expect(scraper.discoverValidCombinations).not.toHaveBeenCalled();
+    expect(scraper.validCombinations.map(combination => combination.model)).toEqual(['Swift', 'Activa']);
+    expect(scraper.validCombinations[0].url).toBe(swift.url);
+  });
+
+  test('refuses a combinations file without combinations', async () => {
+    await new CombinationStore(filePath).save([]);
+    await expect(new SmartUrlScraper().loadCombinationsFromFile(filePath)).rejects.toThrow('contains no combinations');
+    expect(() => parseArguments(['--from-combinations'])).toThrow('--from-combinations requires a file argument');
+  });
+});
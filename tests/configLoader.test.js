@@ -0,0 +1,259 @@
+/**
+ * Configuration loader tests
+ * Config files and AMARON_* environment variables are layered over a copy of the defaults
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const ConfigLoader = require('../src/configLoader');
+const { parseArguments, applyConfigOverrides } = require('../index');
+
+describe('ConfigLoader', () => {
+  let directory;
+  let target;
+
+  const writeConfig = (fileName, content) => {
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-config-'));
+    target = structuredClone(config);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('deep-merges a config file over the defaults', () => {
+    const file = writeConfig('production.json', {
+      timeouts: { navigation: 60000 },
+      selectors: { findButton: '#find-battery' },
+      output: { formats: ['json', 'sqlite'], outputDirectory: '/data/amaron' },
+      quality: { thresholds: { minFillRate: { itemCode: 1 } } }
+    });
+
+    expect(ConfigLoader.load({ file, env: {} }, target)).toEqual({ file, variables: [] });
+    expect(target.timeouts).toEqual({ ...config.timeouts, navigation: 60000 });
+    expect(target.selectors.findButton).toBe('#find-battery');
+    expect(target.selectors.itemCode).toBe(config.selectors.itemCode);
+    expect(target.output.formats).toEqual(['json', 'sqlite']);
+    expect(target.output.csvFileName).toBe('battery-data.csv');
+    expect(target.quality.thresholds).toMatchObject({ minFillRate: { itemCode: 1 }, maxMissingRequiredFields: 0 });
+    expect(() => ConfigLoader.validate(target)).not.toThrow();
+  });
+
+  test('loads JS config files and rejects unknown settings', () => {
+    const file = writeConfig('staging.js', 'module.exports = { concurrency: { workers: 4 } };');
+    ConfigLoader.load({ file, env: {} }, target);
+    expect(target.concurrency).toEqual({ ...config.concurrency, workers: 4 });
+
+    const typo = writeConfig('typo.json', { timeouts: { navigaton: 1000 }, ouput: {} });
+    expect(() => ConfigLoader.load({ file: typo, env: {} }, target))
+      .toThrow(`Unknown setting(s) in config file ${typo}: timeouts.navigaton, ouput`);
+    expect(() => ConfigLoader.load({ file: writeConfig('broken.json', '{ "timeouts": '), env: {} }, target))
+      .toThrow('Failed to load config file');
+    expect(() => ConfigLoader.load({ file: writeConfig('list.json', []), env: {} }, target))
+      .toThrow('must contain an object of settings');
+    expect(() => ConfigLoader.loadFile('settings.yaml')).toThrow('expected .json or .js');
+  });
+
+  test('applies AMARON_* environment variables over the config file', () => {
+    const file = writeConfig('production.json', { timeouts: { navigation: 60000 }, site: { baseUrl: 'https://mirror.example.com' } });
+    const env = {
+      AMARON_CONFIG: file,
+      PATH: '/usr/bin',
+      AMARON_TIMEOUTS_NAVIGATION: '45000',
+      AMARON_BROWSER_LAUNCH_OPTIONS_HEADLESS: 'false',
+      AMARON_OUTPUT_FORMATS: 'csv, ndjson',
+      AMARON_OUTPUT_OUTPUT_DIRECTORY: '/data/amaron',
+      AMARON_SELECTORS_FIND_BUTTON: 'button.find',
+      AMARON_QUALITY_THRESHOLDS_MAX_EMPTY_PAGES: '25',
+      AMARON_SITE_BASE_URL: 'http://localhost:8080',
+      AMARON_BASE_URL: 'http://localhost:9090'
+    };
+
+    const loaded = ConfigLoader.load({ env }, target);
+
+    expect(loaded.file).toBe(file);
+    expect(loaded.variables[0]).toBe('AMARON_BASE_URL');
+    expect(loaded.variables).toHaveLength(8);
+    expect(target.timeouts.navigation).toBe(45000);
+    expect(target.browser.launchOptions.headless).toBe(false);
+    expect(target.output.formats).toEqual(['csv', 'ndjson']);
+    expect(target.output.outputDirectory).toBe('/data/amaron');
+    expect(target.selectors.findButton).toBe('button.find');
+    expect(target.quality.thresholds.maxEmptyPages).toBe(25);
+    // The full name wins over the short alias
+    expect(target.site.baseUrl).toBe('http://localhost:8080');
+  });
+
+  test('warns about unknown environment variables and rejects unparseable ones', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(ConfigLoader.applyEnvironment({ AMARON_TIMEOUT: '5000', AMARON_TIMEOUTS_NAVIGATION: '45000' }, target))
+      .toEqual(['AMARON_TIMEOUTS_NAVIGATION']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring unknown environment variable(s): AMARON_TIMEOUT ('));
+    expect(target.timeouts.navigation).toBe(45000);
+    warn.mockRestore();
+
+    expect(() => ConfigLoader.applyEnvironment({ AMARON_TIMEOUTS_NAVIGATION: '30s' }, target))
+      .toThrow('AMARON_TIMEOUTS_NAVIGATION must be a number (got "30s")');
+    expect(() => ConfigLoader.applyEnvironment({ AMARON_CHECKPOINT_ENABLED: 'maybe' }, target))
+      .toThrow('AMARON_CHECKPOINT_ENABLED must be true or false');
+    expect(() => ConfigLoader.applyEnvironment({ AMARON_SITE_SLUG_REPLACEMENTS: '[{' }, target))
+      .toThrow('AMARON_SITE_SLUG_REPLACEMENTS must be JSON');
+  });
+
+  test('requires the recovery thresholds to escalate from page refresh to browser restart to abort', () => {
+    expect(() => ConfigLoader.validate(target)).not.toThrow();
+
+    ConfigLoader.applyEnvironment({ AMARON_ERROR_HANDLING_MAX_CONSECUTIVE_ERRORS: '5' }, target);
+    expect(() => ConfigLoader.validate(target)).toThrow('errorHandling thresholds must escalate: pageRefreshThreshold < browserRestartThreshold < maxConsecutiveErrors '
+      + '(got recoveryStrategies.pageRefreshThreshold 3, recoveryStrategies.browserRestartThreshold 6, maxConsecutiveErrors 5)');
+
+    // Disabled strategies drop out of the order
+    target.errorHandling.recoveryStrategies.browserRestartThreshold = 0;
+    expect(() => ConfigLoader.validate(target)).not.toThrow();
+    target.errorHandling.maxConsecutiveErrors = 0;
+    target.errorHandling.recoveryStrategies.browserRestartThreshold = 2;
+    expect(() => ConfigLoader.validate(target)).toThrow('errorHandling thresholds must escalate');
+  });
+
+  test('requires at least one attempt per operation', () => {
+    ConfigLoader.applyEnvironment({ AMARON_RETRY_MAX_RETRIES: '0' }, target);
+    expect(() => ConfigLoader.validate(target)).toThrow('retry.maxRetries must be a whole number of attempts, 1 or more (got 0)');
+
+    target.retry.maxRetries = 2.5;
+    expect(() => ConfigLoader.validate(target)).toThrow('retry.maxRetries must be a whole number of attempts, 1 or more (got 2.5)');
+
+    target.retry.maxRetries = 1;
+    expect(() => ConfigLoader.validate(target)).not.toThrow();
+  });
+
+  test('moves output paths left at their defaults into the configured output directory', () => {
+    const file = writeConfig('production.json', { output: { outputDirectory: '/data/amaron' } });
+    ConfigLoader.load({ file, env: {} }, target);
+    expect(target.checkpoint.file).toBe(path.join('/data/amaron', 'checkpoint.json'));
+    expect(target.output.combinationsFile).toBe(path.join('/data/amaron', 'combinations.json'));
+    expect(target.output.failedCombinationsFile).toBe(path.join('/data/amaron', 'failed-combinations.json'));
+    expect(target.errorHandling.reporting.errorLogFile).toBe(path.join('/data/amaron', 'error-log.jsonl'));
+    expect(target.errorHandling.reporting.snapshotDirectory).toBe(path.join('/data/amaron', 'error-snapshots'));
+
+    // Paths set explicitly stay where they were put
+    const moved = structuredClone(config);
+    ConfigLoader.load({ env: { AMARON_OUTPUT_OUTPUT_DIRECTORY: '/data/amaron', AMARON_CHECKPOINT_FILE: '/var/run/amaron.json' } }, moved);
+    expect(moved.checkpoint.file).toBe('/var/run/amaron.json');
+    expect(moved.output.combinationsFile).toBe(path.join('/data/amaron', 'combinations.json'));
+
+    const unchanged = structuredClone(config);
+    expect(ConfigLoader.applyOutputDirectory(unchanged)).toEqual([]);
+    expect(unchanged.checkpoint.file).toBe('./output/checkpoint.json');
+    expect(unchanged.output.combinationsFile).toBe('./output/combinations.json');
+  });
+
+  test('lists every invalid setting', () => {
+    ConfigLoader.merge(target, {
+      site: { baseUrl: 'ftp://mirror.example.com' },
+      timeouts: { navigation: 'fast', elementWait: -1 },
+      output: { mode: 'everything', formats: ['csv', 'xml'] },
+      concurrency: { workers: 0 },
+      logging: { level: 'trace' },
+      quality: { thresholds: { minFillRate: { itemCode: 2 }, maxEmptyPages: 'few' } }
+    });
+
+    let message;
+    try {
+      ConfigLoader.validate(target);
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message.split('\n')).toEqual([
+      'Invalid configuration:',
+      '  - timeouts.navigation must be a number (got "fast")',
+      '  - timeouts.elementWait must be a number of 0 or more (got -1)',
+      '  - site Base URL must use http or https: ftp://mirror.example.com',
+      '  - output.mode must be one of dedupe, all, fitment (got "everything")',
+      '  - output.formats must list one or more of csv, json, ndjson, sqlite (got xml)',
+      '  - concurrency.workers must be a whole number of 1 or more',
+      '  - logging.level must be one of error, warn, info, debug (got "trace")',
+      '  - quality.thresholds.minFillRate must map fields to shares between 0 and 1 (invalid: itemCode)',
+      '  - quality.thresholds.maxEmptyPages must be null or a whole number of 0 or more'
+    ]);
+  });
+});
+
+describe('--config option', () => {
+  let directory;
+  let defaults;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-config-'));
+    defaults = structuredClone(config);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.keys(defaults).forEach(section => {
+      config[section] = defaults[section];
+    });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('command line options override the config file', () => {
+    const file = path.join(directory, 'production.json');
+    fs.writeFileSync(file, JSON.stringify({ timeouts: { navigation: 60000, elementWait: 20000 }, concurrency: { workers: 2 } }));
+
+    const options = parseArguments(['--config', file, '--timeout', '5000']);
+    expect(options.configFile).toBe(file);
+
+    applyConfigOverrides(options);
+    expect(config.timeouts.navigation).toBe(5000);
+    expect(config.timeouts.elementWait).toBe(20000);
+    expect(config.concurrency.workers).toBe(2);
+    expect(() => parseArguments(['--config'])).toThrow('--config requires a file argument');
+  });
+
+  test('the config file, then AMARON_* variables, then command line options decide headless mode', () => {
+    const file = path.join(directory, 'visible.json');
+    fs.writeFileSync(file, JSON.stringify({ browser: { launchOptions: { headless: false } } }));
+    const variable = 'AMARON_BROWSER_LAUNCH_OPTIONS_HEADLESS';
+    const previous = process.env[variable];
+
+    try {
+      delete process.env[variable];
+      applyConfigOverrides(parseArguments(['--config', file]));
+      expect(config.browser.launchOptions.headless).toBe(false);
+
+      config.browser = structuredClone(defaults.browser);
+      process.env[variable] = 'false';
+      applyConfigOverrides(parseArguments([]));
+      expect(config.browser.launchOptions.headless).toBe(false);
+
+      process.env[variable] = 'true';
+      applyConfigOverrides(parseArguments(['--config', file]));
+      expect(config.browser.launchOptions.headless).toBe(true);
+
+      applyConfigOverrides(parseArguments(['--config', file, '--headless', 'false']));
+      expect(config.browser.launchOptions.headless).toBe(false);
+    } finally {
+      if (previous === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = previous;
+      }
+    }
+  });
+
+  test('an invalid config file stops the run', () => {
+    const file = path.join(directory, 'invalid.json');
+    fs.writeFileSync(file, JSON.stringify({ output: { mode: 'everything' } }));
+
+    expect(() => applyConfigOverrides(parseArguments(['--config', file]))).toThrow('output.mode must be one of dedupe, all, fitment');
+  });
+});
@@ -6,7 +6,7 @@
  */
 
 const puppeteer = require('puppeteer');
-const config = require('../src/config');
+const UrlBuilder = require('../src/urlBuilder');
 
 async function debugDropdowns() {
   let browser = null;
@@ -25,7 +25,7 @@ async function debugDropdowns() {
     await page.setViewport({ width: 1366, height: 768 });
     
     console.log('📄 Navigating to Amaron page...');
-    await page.goto(config.baseUrl, { waitUntil: 'networkidle2' });
+    await page.goto(new UrlBuilder().getDiscoveryUrl(), { waitUntil: 'networkidle2' });
     
     // Wait a bit for page to fully load
     await new Promise(resolve => setTimeout(resolve, 3000));
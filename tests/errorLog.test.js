@@ -0,0 +1,177 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Error log tests
+ * Runs the processing loop over failing fixture pages and checks the JSON lines error log,
+ * the page snapshots and the failed combinations report read by the retry-failed command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const ErrorLog = require('../src/errorLog');
+const CombinationStore = require('../src/combinationStore');
+const { parseArguments, getScraperOptions } = require('../index');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', values: {}, fixture: 'passenger-car' };
+const nexon = {
+  vehicleType: 'Passengers',
+  brand: 'TATA',
+  model: 'Nexon',
+  fuelType: 'Petrol',
+  values: { vehicleType: 'passengers', brand: 'tata', model: 'nexon', fuelType: 'petrol' },
+  fixture: 'timeout'
+};
+const activa = { vehicleType: 'Two Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol', values: {}, fixture: 'blank' };
+
+// Page whose navigation to 'timeout' always fails and whose 'blank' URL renders an empty document
+class FailingPage extends FixturePage {
+  async goto(url) {
+    if (url === 'timeout') {
+      throw new Error('Navigation timeout of 10000 ms exceeded');
+    }
+    if (url === 'blank') {
+      this.currentUrl = url;
+      document.documentElement.innerHTML = '<head></head><body></body>';
+      return { ok: () => true, status: () => 200 };
+    }
+    return super.goto(url);
+  }
+}
+
+describe('error log', () => {
+  const reporting = config.errorHandling.reporting;
+  const recoveryStrategies = config.errorHandling.recoveryStrategies;
+  const failedCombinationsFile = config.output.failedCombinationsFile;
+  const retryDelay = config.timeouts.retryDelay;
+  let directory;
+  let scraper;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    config.timeouts.retryDelay = 0;
+  });
+
+  afterAll(() => {
+    config.timeouts.retryDelay = retryDelay;
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-errors-'));
+    config.errorHandling.reporting = {
+      ...reporting,
+      saveErrorLogs: true,
+      errorLogFile: path.join(directory, 'error-log.jsonl'),
+      captureHtml: true,
+      snapshotDirectory: path.join(directory, 'snapshots')
+    };
+    config.errorHandling.recoveryStrategies = { pageRefreshThreshold: 0, browserRestartThreshold: 0, skipCombinationThreshold: 1 };
+    config.output.failedCombinationsFile = path.join(directory, 'failed-combinations.json');
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.errorHandling.reporting = reporting;
+    config.errorHandling.recoveryStrategies = recoveryStrategies;
+    config.output.failedCombinationsFile = failedCombinationsFile;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const runCombinations = async (combinations) => {
+    scraper = new SmartUrlScraper({ concurrency: 1, pincodes: [] });
+    scraper.runId = '2026-10-19T08:00:00.000Z';
+    scraper.errorLog.runId = scraper.runId;
+    scraper.validCombinations = combinations;
+    scraper.pagePool = [new FailingPage()];
+    scraper.csvExporter = { appendBatteryRecord: jest.fn().mockResolvedValue() };
+    scraper.qualityReport = null;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+    await scraper.processValidCombinations();
+  };
+
+  test('writes one JSON line per failure with phase, error class, attempts and an HTML snapshot', async () => {
+    await runCombinations([swift, nexon, activa]);
+    const entries = await scraper.errorLog.read();
+
+    // Each failing combination is tried once in the main pass and once more at the end of the run
+    expect(entries.map(entry => [entry.combination.model, entry.phase, entry.errorClass, entry.attempts])).toEqual([
+      ['Nexon', 'navigation', 'network', 3],
+      ['Activa', 'extraction', 'transient', 1],
+      ['Nexon', 'navigation', 'network', 3],
+      ['Activa', 'extraction', 'transient', 1]
+    ]);
+    expect(entries[0]).toMatchObject({
+      runId: '2026-10-19T08:00:00.000Z',
+      url: 'timeout',
+      message: expect.stringContaining('navigation to timeout failed after 3 attempts'),
+      combination: { vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Petrol' }
+    });
+    expect(entries[0]).not.toHaveProperty('stack');
+    expect(entries[1].url).toBe('blank');
+    expect(fs.readFileSync(entries[1].htmlSnapshot, 'utf8')).toBe('<!DOCTYPE html><html lang="en"><head></head><body></body></html>');
+    expect(path.basename(entries[1].htmlSnapshot)).toBe('2026-10-19T08-00-00.000Z-extraction-2.html');
+  });
+
+  test('saves the combinations that still failed for the retry-failed command', async () => {
+    await runCombinations([swift, nexon, activa]);
+
+    const filePath = await scraper.writeFailedCombinationsReport();
+    const report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(report.runId).toBe('2026-10-19T08:00:00.000Z');
+    expect(report.combinations[0]).toEqual({
+      vehicleType: { value: 'passengers', text: 'Passengers' },
+      brand: { value: 'tata', text: 'TATA' },
+      model: { value: 'nexon', text: 'Nexon' },
+      fuelType: { value: 'petrol', text: 'Petrol' },
+      failure: {
+        phase: 'navigation',
+        errorClass: 'network',
+        attempts: 1,
+        error: 'Failed to test timeout: navigation to timeout failed after 3 attempts. Last error: Navigation timeout of 10000 ms exceeded'
+      }
+    });
+    expect(report.combinations[1].failure).toMatchObject({ phase: 'extraction', errorClass: 'transient' });
+
+    const { combinations } = await new CombinationStore(filePath).load();
+    expect(combinations.map(combination => combination.model)).toEqual(['Nexon', 'Activa']);
+
+    expect(getScraperOptions(parseArguments(['retry-failed']))).toEqual({ resume: false, combinationsFile: filePath, append: true });
+    expect(parseArguments(['retry-failed', 'old-failures.json']).fromCombinations).toBe('old-failures.json');
+  });
+
+  test('a run without failures removes the previous report and writes no log', async () => {
+    fs.writeFileSync(config.output.failedCombinationsFile, '{}');
+
+    await runCombinations([swift]);
+
+    expect(await scraper.writeFailedCombinationsReport()).toBeNull();
+    expect(fs.existsSync(config.output.failedCombinationsFile)).toBe(false);
+    expect(fs.existsSync(config.errorHandling.reporting.errorLogFile)).toBe(false);
+    expect(() => getScraperOptions(parseArguments(['retry-failed']))).toThrow('No failed combinations report at');
+  });
+
+  test('records nothing when error logs are off, and reports snapshot failures as warnings', async () => {
+    const disabled = new ErrorLog({ saveErrorLogs: false });
+    expect(await disabled.record(new Error('Protocol error'), { phase: 'discovery' })).toBeNull();
+
+    const errorLog = new ErrorLog({ captureHtml: false, captureScreenshot: true, includeStackTrace: true });
+    const page = { url: () => 'https://www.amaron.com/', screenshot: jest.fn().mockRejectedValue(new Error('Target closed')) };
+    const entry = await errorLog.record(new Error('waiting for selector `#edit-fuel` failed'), { phase: 'discovery', page });
+
+    expect(entry).toMatchObject({ phase: 'discovery', errorClass: 'element', attempts: 1, url: 'https://www.amaron.com/', combination: null });
+    expect(entry.stack).toContain('waiting for selector');
+    expect(entry).not.toHaveProperty('screenshot');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to save screenshot: Target closed'));
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Exporter tests
+ * Writes typed records through the JSON and NDJSON exporters, fresh and appending to an earlier run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const ExportManager = require('../src/exportManager');
+const JSONExporter = require('../src/jsonExporter');
+const NDJSONExporter = require('../src/ndjsonExporter');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' };
+const flo = {
+  itemCode: 'AAM-FL-0BH90D23L',
+  batteryTitle: 'AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)',
+  ampereHour: '60 AH',
+  totalWarranty: '72',
+  basePrice: '₹7,499',
+  totalPrice: '₹6,749'
+};
+const pro = {
+  itemCode: 'AAM-PR-00042B20L',
+  batteryTitle: 'AMARON PRO Automotive Battery - 42B20L (AAM-PR-00042B20L)',
+  ampereHour: '35 AH',
+  totalWarranty: '77',
+  basePrice: '₹5,299',
+  totalPrice: ''
+};
+
+const readLines = filePath => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('JSON and NDJSON exporters', () => {
+  const outputDirectory = config.output.outputDirectory;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-exporters-'));
+    config.output.outputDirectory = directory;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output.outputDirectory = outputDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('write typed records, with numbers parsed from units and prices and empty values as null', async () => {
+    const manager = new ExportManager('battery-data.csv', null, ['json', 'ndjson']);
+    await manager.initialize();
+    await manager.appendBatteryRecord({ ...swift, ...flo });
+    await manager.appendBatteryRecord({ ...swift, ...pro });
+    const summary = await manager.finalize();
+
+    expect(summary.files.map(file => path.basename(file.filePath))).toEqual(['battery-data.json', 'battery-data.ndjson']);
+
+    const records = JSON.parse(fs.readFileSync(path.join(directory, 'battery-data.json'), 'utf8'));
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({ model: 'Swift', itemCode: flo.itemCode, ampereHour: 60, totalWarranty: 72, basePrice: 7499, totalPrice: 6749 });
+    expect(records[1]).toMatchObject({ itemCode: pro.itemCode, totalPrice: null });
+    expect(readLines(path.join(directory, 'battery-data.ndjson'))).toEqual(records);
+  });
+
+  test('append to the records of an earlier run instead of replacing them', async () => {
+    for (const [Exporter, battery] of [[JSONExporter, flo], [NDJSONExporter, flo], [JSONExporter, pro], [NDJSONExporter, pro]]) {
+      const exporter = new Exporter();
+      await exporter.initialize({ append: battery === pro });
+      await exporter.appendBatteryRecord({ ...swift, ...battery });
+      await exporter.finalize();
+    }
+
+    const records = JSON.parse(fs.readFileSync(path.join(directory, 'battery-data.json'), 'utf8'));
+    expect(records.map(record => record.itemCode)).toEqual([flo.itemCode, pro.itemCode]);
+    expect(readLines(path.join(directory, 'battery-data.ndjson')).map(record => record.itemCode)).toEqual([flo.itemCode, pro.itemCode]);
+
+    // A fresh run starts the files over
+    const exporter = new JSONExporter();
+    await exporter.initialize();
+    await exporter.finalize();
+    expect(JSON.parse(fs.readFileSync(exporter.filePath, 'utf8'))).toEqual([]);
+  });
+
+  test('refuse to append to a JSON file that does not hold an array', async () => {
+    fs.writeFileSync(path.join(directory, 'battery-data.json'), '{"itemCode": "AAM-FL-0BH90D23L"}');
+
+    await expect(new JSONExporter().initialize({ append: true })).rejects.toThrow('file does not contain a JSON array');
+    await expect(new NDJSONExporter().appendBatteryRecord({ ...swift, ...flo })).rejects.toThrow('not initialized');
+    expect(() => new ExportManager(null, null, ['xml'])).toThrow('Unsupported output format: xml');
+  });
+});
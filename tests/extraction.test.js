@@ -0,0 +1,169 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Offline extraction tests
+ * Runs extractBatteryData against saved Amaron pages so selector changes can be checked without network access
+ */
+
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { FixturePage, fixturePath } = require('./helpers/fixturePage');
+
+const twoWheeler = {
+  vehicleType: 'Two Wheeler',
+  brand: 'BAJAJ',
+  model: 'Pulsar 150 (ES)',
+  fuelType: 'Petrol'
+};
+
+const passengerCar = {
+  vehicleType: 'Passengers',
+  brand: 'MARUTI SUZUKI',
+  model: 'Swift',
+  fuelType: 'Diesel'
+};
+
+const inverter = {
+  vehicleType: 'Inverter',
+  brand: 'AMARON',
+  model: 'Current',
+  fuelType: 'NA'
+};
+
+describe('extractBatteryData with saved pages', () => {
+  let scraper;
+  let page;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    scraper = new SmartUrlScraper();
+    page = new FixturePage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const extract = async (fixture, combination) => {
+    await page.goto(fixture);
+    return scraper.extractBatteryData(combination, page);
+  };
+
+  test('two-wheeler page yields one record per comparison column', async () => {
+    const batteries = await extract('two-wheeler', twoWheeler);
+
+    expect(batteries).toHaveLength(2);
+    expect(batteries.map(battery => battery.itemCode)).toEqual(['AAM-PR-APBTZ5L', 'AAM-ET-0ETZ5L']);
+    expect(batteries[0]).toMatchObject({
+      ...twoWheeler,
+      batteryBrand: 'Amaron',
+      series: 'Pro Bike Rider',
+      batteryTitle: 'AMARON PRO BIKE RIDER Automotive Battery - APBTZ5L (AAM-PR-APBTZ5L)',
+      batteryModel: '12V 5AH',
+      voltage: '12',
+      ampereHour: '5',
+      dimensions: '113 x 70 x 105',
+      totalWarranty: '48',
+      freeWarranty: '24',
+      proRataWarranty: '24',
+      countryOfOrigin: 'India',
+      terminalLayoutImageUrl: 'https://amaron-prod-images.s3.ap-south-1.amazonaws.com/terminal-layout/l-layout.png'
+    });
+    expect(batteries[1]).toMatchObject({
+      series: 'ETZ',
+      batteryTitle: 'AMARON ETZ Automotive Battery - ETZ5L (AAM-ET-0ETZ5L)',
+      ampereHour: '4',
+      totalWarranty: '36',
+      terminalLayoutImageUrl: 'https://amaron-prod-images.s3.ap-south-1.amazonaws.com/terminal-layout/r-layout.png'
+    });
+  });
+
+  test('two-wheeler prices fall back to the proPriceInfo elements of each column', async () => {
+    const batteries = await extract('two-wheeler', twoWheeler);
+
+    expect(batteries[0]).toMatchObject({ basePrice: '₹1,899', specialDiscount: '₹190', totalPrice: '₹1,709' });
+    expect(batteries[1]).toMatchObject({ basePrice: '₹1,649', specialDiscount: '₹165', totalPrice: '₹1,484' });
+    expect(batteries[0].rebate).toBe('');
+    expect(batteries[0].promotionPeriod).toBe('');
+  });
+
+  test('passenger car page keeps specs and prices aligned with their column', async () => {
+    const batteries = await extract('passenger-car', passengerCar);
+
+    expect(batteries).toHaveLength(3);
+    expect(batteries.map(battery => battery.itemCode)).toEqual([
+      'AAM-FL-0BH90D23L',
+      'AAM-PR-075D23L',
+      'AAM-HL-055B24LS'
+    ]);
+    expect(batteries.map(battery => battery.cca)).toEqual(['550', '520', '430']);
+    expect(batteries[2]).toMatchObject({
+      ...passengerCar,
+      series: 'Hi Life Pro',
+      batteryTitle: 'AMARON HI LIFE PRO Automotive Battery - 55B24LS (AAM-HL-055B24LS)',
+      ampereHour: '45',
+      dimensions: '238 x 129 x 227',
+      totalWarranty: '55',
+      freeWarranty: '30',
+      proRataWarranty: '25',
+      basePrice: '₹5,349',
+      specialDiscount: '₹535',
+      promotionPeriod: 'Till 18th Sep',
+      totalPrice: '₹4,814',
+      rebate: '₹800',
+      terminalLayoutImageUrl: 'https://amaron-prod-images.s3.ap-south-1.amazonaws.com/terminal-layout/l-layout.png'
+    });
+  });
+
+  test('inverter page without a comparison table is read as a single battery', async () => {
+    const batteries = await extract('inverter', inverter);
+
+    expect(batteries).toHaveLength(1);
+    expect(batteries[0]).toMatchObject({
+      ...inverter,
+      itemCode: 'AAM-CR-CRTT150',
+      series: 'Current',
+      batteryModel: '12V 150AH',
+      batteryTitle: 'AMARON CURRENT Automotive Battery - 12V 150AH (AAM-CR-CRTT150)',
+      voltage: '12',
+      ampereHour: '150',
+      cca: '',
+      dimensions: '502 x 190 x 410',
+      totalWarranty: '60',
+      basePrice: '₹16,999',
+      totalPrice: '₹15,299',
+      terminalLayoutImageUrl: 'https://amaron-prod-images.s3.ap-south-1.amazonaws.com/terminal-layout/tall-tubular-layout.png'
+    });
+  });
+
+  test('page without batteries yields no records', async () => {
+    const batteries = await extract('no-results', passengerCar);
+
+    expect(batteries).toEqual([]);
+  });
+
+  test('testBatteryPageUrl returns batteries for a fixture URL and null for no results', async () => {
+    const found = await scraper.testBatteryPageUrl(`file://${fixturePath('passenger-car')}`, passengerCar, page);
+    const empty = await scraper.testBatteryPageUrl(`file://${fixturePath('no-results')}`, passengerCar, page);
+    const missing = await scraper.testBatteryPageUrl(`file://${fixturePath('does-not-exist')}`, passengerCar, page);
+
+    expect(found).toHaveLength(3);
+    expect(empty).toBeNull();
+    expect(missing).toBeNull();
+    expect(scraper.urlMismatches).toEqual([
+      expect.objectContaining({ model: 'Swift', status: 404, url: `file://${fixturePath('does-not-exist')}` })
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Fixture Page Helper for offline extraction tests
+ * Minimal stand-in for a Puppeteer page that loads saved HTML into the jsdom test document
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Resolve a fixture name (e.g. 'two-wheeler') to its HTML file
+ * @param {string} name - Fixture name without extension
+ * @returns {string} Full fixture path
+ */
+function fixturePath(name) {
+  return path.join(FIXTURES_DIRECTORY, `${name}.html`);
+}
+
+class FixturePage {
+  constructor() {
+    this.currentUrl = null;
+    this.closed = false;
+  }
+
+  /**
+   * Load a fixture into the global jsdom document
+   * Accepts a fixture name or a file:// URL, anything else responds with 404
+   * @param {string} url - Fixture name or file:// URL
+   * @returns {Object} Puppeteer-like response with ok() and status()
+   */
+  async goto(url) {
+    const filePath = url.startsWith('file://') ? new URL(url).pathname : fixturePath(url);
+    this.currentUrl = url;
+
+    if (!fs.existsSync(filePath)) {
+      return { ok: () => false, status: () => 404 };
+    }
+
+    const html = fs.readFileSync(filePath, 'utf8');
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    document.replaceChild(document.importNode(parsed.documentElement, true), document.documentElement);
+
+    return { ok: () => true, status: () => 200 };
+  }
+
+  /**
+   * Run a page function against the loaded document
+   * @param {Function} pageFunction - Function that would run in the browser
+   * @param {...*} args - Serializable arguments
+   * @returns {Promise<*>} Function result, round-tripped through JSON like Puppeteer does
+   */
+  async evaluate(pageFunction, ...args) {
+    const result = await pageFunction(...args);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  /**
+   * Serialize the loaded document, like page.content()
+   * @returns {Promise<string>} HTML
+   */
+  async content() {
+    return `<!DOCTYPE html>${document.documentElement.outerHTML}`;
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  isClosed() {
+    return this.closed;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+module.exports = { FixturePage, fixturePath };
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * Mock Amaron Site for end-to-end runs without network access
+ * Serves a battery finder page whose cascading selects refill through Drupal-style AJAX
+ * form posts, and /battery/<type>/<make>/<model>/<fuel> result pages backed by the saved fixtures
+ *
+ * Usage: node tests/helpers/mockAmaronSite.js [port]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { fixturePath } = require('./fixturePage');
+
+// Vehicle type -> make -> model -> fuel -> fixture served on the result page
+// Combinations mapped to null render the finder page without recommendations
+const DEFAULT_CATALOGUE = {
+  'Two Wheeler': {
+    'BAJAJ': {
+      'Pulsar 150 (ES)': { 'Petrol': 'two-wheeler' }
+    }
+  },
+  'Passengers': {
+    'MARUTI SUZUKI': {
+      'Swift': { 'Diesel': 'passenger-car', 'Petrol': null }
+    },
+    'ASHOK LEYLAND': {
+      'Stile': { 'Diesel': 'passenger-car' }
+    },
+    'MAHINDRA & MAHINDRA': {
+      'Bolero Power+': { 'Diesel': 'passenger-car' }
+    }
+  },
+  'Inverter': {
+    'AMARON': {
+      'Current': { 'NA': 'inverter' }
+    }
+  }
+};
+
+// Option values that differ from the slugified text, like on the real site
+const OPTION_VALUES = {
+  'MAHINDRA & MAHINDRA': 'mahindra-and-mahindra',
+  'Bolero Power+': 'bolero-power-plus'
+};
+
+// Drupal form id posted with every AJAX request
+const FORM_ID = 'amaron-battery-finder-form';
+
+// Select id, form field name and option placeholder for each dropdown level
+const LEVELS = [
+  { id: 'edit-select-vehicle', name: 'select-vehicle', placeholder: 'Select Vehicle' },
+  { id: 'edit-vehicle-make', name: 'vehicle-make', placeholder: 'Select Make' },
+  { id: 'edit-model', name: 'model', placeholder: 'Select Model' },
+  { id: 'edit-fuel', name: 'fuel', placeholder: 'Select Fuel' }
+];
+
+/**
+ * Convert option text to the slug used in option values and result URLs
+ * @param {string} text - Option text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text.toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Option value of a catalogue entry
+ * @param {string} text - Option text
+ * @returns {string} Option value, also used as its result URL segment
+ */
+function optionValue(text) {
+  return OPTION_VALUES[text] || slugify(text);
+}
+
+/**
+ * Find the catalogue node below a list of selected option values
+ * @param {Object} catalogue - Vehicle catalogue
+ * @param {Array<string>} values - Selected option values from the top level down
+ * @returns {Object|string|null|undefined} Catalogue node, undefined if a value is unknown
+ */
+function findNode(catalogue, values) {
+  let node = catalogue;
+  for (const value of values) {
+    if (!node || typeof node !== 'object') {
+      return undefined;
+    }
+    const key = Object.keys(node).find(name => optionValue(name) === value);
+    if (key === undefined) {
+      return undefined;
+    }
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * List the options of a catalogue node as value/text pairs
+ * Fuel options also carry the canonical URL of their result page
+ * @param {Object} node - Catalogue node
+ * @param {Array<string>} values - Option values leading to the node
+ * @returns {Array<Object>} Options
+ */
+function listOptions(node, values = []) {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  return Object.keys(node).map(text => {
+    const option = { value: optionValue(text), text };
+    if (values.length === LEVELS.length - 1) {
+      option.url = `/battery/${[...values, option.value].join('/')}`;
+    }
+    return option;
+  });
+}
+
+/**
+ * Render one of the finder selects with its options
+ * @param {Object} level - Entry of LEVELS
+ * @param {Array<Object>} options - Options below the placeholder
+ * @returns {string} Select HTML
+ */
+function renderSelect(level, options = []) {
+  const optionHtml = options.map(option => {
+    const url = option.url ? ` data-url="${option.url}"` : '';
+    return `<option value="${option.value}"${url}>${escapeHtml(option.text)}</option>`;
+  }).join('');
+
+  return `<select id="${level.id}" name="${level.name}"><option value="">${level.placeholder}</option>${optionHtml}</select>`;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the battery finder page
+ * Each select change posts the form to /system/ajax and applies the returned Drupal AJAX
+ * commands, like the cascading selects on the real site
+ * @param {Object} catalogue - Vehicle catalogue
+ * @param {string} formBuildId - Current Drupal form build id
+ * @returns {string} HTML document
+ */
+function renderFinderPage(catalogue, formBuildId) {
+  const selects = LEVELS.map((level, index) => `
+      ${renderSelect(level, index === 0 ? listOptions(catalogue) : [])}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Find the right battery | Amaron</title>
+</head>
+<body>
+  <header class="site-header"><a href="/">Amaron</a></header>
+  <main>
+    <h1>Find the right battery for your vehicle</h1>
+    <form id="battery-finder" action="/battery" method="post">${selects}
+      <input type="hidden" name="form_build_id" value="${formBuildId}">
+      <input type="hidden" name="form_id" value="${FORM_ID}">
+      <button type="submit">Find Battery</button>
+    </form>
+  </main>
+  <script>
+    const form = document.getElementById('battery-finder');
+    form.addEventListener('change', async (event) => {
+      const body = new URLSearchParams(new FormData(form));
+      body.set('_triggering_element_name', event.target.name);
+      const response = await fetch('/system/ajax', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+          'X-Requested-With': 'XMLHttpRequest',
+          'Accept': 'application/json, text/javascript, */*; q=0.01'
+        },
+        body: body.toString()
+      });
+      const commands = await response.json();
+      commands.forEach(command => {
+        if (command.command === 'insert' && command.method === 'replaceWith') {
+          document.querySelector(command.selector).outerHTML = command.data;
+        } else if (command.command === 'update_build_id') {
+          form.querySelector('input[name="form_build_id"]').value = command.new;
+        }
+      });
+    });
+  </script>
+  <footer>Amaron batteries - Amara Raja Energy &amp; Mobility Limited</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Answer a Drupal AJAX form post
+ * Refills the select after the triggering one and empties the rest
+ * @param {Object} catalogue - Vehicle catalogue
+ * @param {URLSearchParams} form - Posted form fields
+ * @param {string} newBuildId - Build id handed out with this response
+ * @returns {Array<Object>|null} Drupal AJAX commands, or null for an invalid post
+ */
+function buildAjaxCommands(catalogue, form, newBuildId) {
+  const triggerIndex = LEVELS.findIndex(level => level.name === form.get('_triggering_element_name'));
+  if (triggerIndex === -1 || form.get('form_id') !== FORM_ID) {
+    return null;
+  }
+
+  const values = LEVELS.slice(0, triggerIndex + 1).map(level => form.get(level.name) || '');
+  const node = values.every(value => value) ? findNode(catalogue, values) : undefined;
+  const commands = [
+    { command: 'settings', settings: { ajaxPageState: { theme: 'amaron' } }, merge: true },
+    { command: 'update_build_id', old: form.get('form_build_id'), new: newBuildId }
+  ];
+
+  LEVELS.slice(triggerIndex + 1).forEach((level, offset) => {
+    const options = offset === 0 && node !== undefined ? listOptions(node, values) : [];
+    commands.push({
+      command: 'insert',
+      method: 'replaceWith',
+      selector: `#${level.id}`,
+      data: renderSelect(level, options)
+    });
+  });
+
+  return commands;
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Create the request handler for a catalogue
+ * @param {Object} catalogue - Vehicle catalogue
+ * @param {Object} stats - Request counters updated by the handler
+ * @returns {Function} Node HTTP request handler
+ */
+function createHandler(catalogue, stats) {
+  let buildCounter = 0;
+  const nextBuildId = () => `form-mock-${++buildCounter}`;
+
+  const send = (response, status, contentType, body) => {
+    response.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8` });
+    response.end(body);
+  };
+
+  return async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const segments = pathname.split('/').filter(segment => segment).map(decodeURIComponent);
+
+    if (segments.length === 0) {
+      stats.pageRequests++;
+      send(response, 200, 'text/html', renderFinderPage(catalogue, nextBuildId()));
+      return;
+    }
+
+    if (pathname === '/system/ajax' && request.method === 'POST') {
+      stats.ajaxRequests++;
+      const form = new URLSearchParams(await readBody(request));
+      const commands = buildAjaxCommands(catalogue, form, nextBuildId());
+      if (!commands) {
+        send(response, 400, 'application/json', '[]');
+        return;
+      }
+      send(response, 200, 'application/json', JSON.stringify(commands));
+      return;
+    }
+
+    if (segments[0] === 'battery' && segments.length === 5) {
+      stats.pageRequests++;
+      const fixture = findNode(catalogue, segments.slice(1));
+      if (fixture === undefined) {
+        send(response, 404, 'text/html', '<!DOCTYPE html><html><body><h1>Page not found</h1></body></html>');
+        return;
+      }
+      const html = fixture === null
+        ? fs.readFileSync(fixturePath('no-results'), 'utf8')
+        : fs.readFileSync(fixturePath(fixture), 'utf8');
+      send(response, 200, 'text/html', html);
+      return;
+    }
+
+    send(response, 404, 'text/html', '<!DOCTYPE html><html><body><h1>Page not found</h1></body></html>');
+  };
+}
+
+/**
+ * Start the mock site
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {Object} options.catalogue - Vehicle catalogue (defaults to DEFAULT_CATALOGUE)
+ * @returns {Promise<Object>} Running site with baseUrl, siteOptions for the scraper, request stats and close()
+ */
+function startMockAmaronSite(options = {}) {
+  const { port = 0, catalogue = DEFAULT_CATALOGUE } = options;
+  const stats = { pageRequests: 0, ajaxRequests: 0 };
+  const server = http.createServer(createHandler(catalogue, stats));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+      resolve({
+        server,
+        baseUrl,
+        stats,
+        batteryPageUrl: `${baseUrl}battery/`,
+        // The finder lives at the site root rather than on a battery page
+        siteOptions: { baseUrl, discoveryPath: '/' },
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+/**
+ * List every vehicle combination in a catalogue with the fixture it serves
+ * @param {Object} catalogue - Vehicle catalogue
+ * @returns {Array<Object>} Combinations in scraper format plus fixture name
+ */
+function listCombinations(catalogue = DEFAULT_CATALOGUE) {
+  const combinations = [];
+  for (const [vehicleType, makes] of Object.entries(catalogue)) {
+    for (const [brand, models] of Object.entries(makes)) {
+      for (const [model, fuels] of Object.entries(models)) {
+        for (const [fuelType, fixture] of Object.entries(fuels)) {
+          combinations.push({
+            vehicleType,
+            brand,
+            model,
+            fuelType,
+            values: {
+              vehicleType: optionValue(vehicleType),
+              brand: optionValue(brand),
+              model: optionValue(model),
+              fuelType: optionValue(fuelType)
+            },
+            fixture
+          });
+        }
+      }
+    }
+  }
+  return combinations;
+}
+
+module.exports = { startMockAmaronSite, listCombinations, DEFAULT_CATALOGUE };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8080;
+  startMockAmaronSite({ port }).then(site => {
+    console.log(`Mock Amaron site running at ${site.baseUrl}`);
+    console.log(`Battery pages under ${site.batteryPageUrl}`);
+    console.log(`Scrape it with: AMARON_DISCOVERY_PATH=/ node index.js --base-url ${site.baseUrl}`);
+  }).catch(error => {
+    console.error(`Failed to start mock site: ${error.message}`);
+    process.exit(1);
+  });
+}
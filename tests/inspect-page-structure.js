@@ -5,7 +5,7 @@
  */
 
 const puppeteer = require('puppeteer');
-const config = require('../src/config');
+const UrlBuilder = require('../src/urlBuilder');
 
 async function inspectPageStructure() {
   let browser = null;
@@ -23,7 +23,7 @@ async function inspectPageStructure() {
     await page.setViewport({ width: 1366, height: 768 });
     
     console.log('📄 Navigating to Amaron page...');
-    await page.goto(config.baseUrl, { waitUntil: 'networkidle2' });
+    await page.goto(new UrlBuilder().getDiscoveryUrl(), { waitUntil: 'networkidle2' });
     await new Promise(resolve => setTimeout(resolve, 3000));
     
     // Select the known working combination
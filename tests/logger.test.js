@@ -0,0 +1,96 @@
+/**
+ * Logger tests
+ * Checks level filtering, text and JSON lines, run id and combination tags, and log file rotation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const logger = require('../src/logger');
+const { Logger } = require('../src/logger');
+const { parseArguments, applyConfigOverrides } = require('../index');
+
+describe('Logger', () => {
+  const logging = config.logging;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-logger-'));
+    config.logging = { ...logging };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.logging = logging;
+    logger.setRunId(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('utils.logProgress drops lines below the configured level', () => {
+    utils.logProgress('Testing URL: https://www.amaron.com/battery/...', 'debug');
+    utils.logProgress('Found 3 batteries');
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(console.log.mock.calls[0][0]).toMatch(/^\[\d{4}-\d\d-\d\dT[\d:.]+Z\] \[INFO\] Found 3 batteries$/);
+
+    config.logging.level = 'warn';
+    utils.logProgress('Found 3 batteries');
+    utils.logProgress('URL returned 503', 'warn');
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('[WARN] URL returned 503'));
+
+    applyConfigOverrides(parseArguments(['--verbose']));
+    utils.logProgress('Selecting brand: tata', 'debug');
+    expect(console.log).toHaveBeenLastCalledWith(expect.stringContaining('[DEBUG] Selecting brand: tata'));
+  });
+
+  test('tags JSON lines with the run id and the combination of each concurrent worker', async () => {
+    const jsonLogger = new Logger({ format: 'json', timestamp: false });
+    jsonLogger.setRunId('2026-10-19T08:00:00.000Z');
+
+    const work = (combination, wait) => jsonLogger.withContext({ combination }, async () => {
+      await new Promise(resolve => setTimeout(resolve, wait));
+      jsonLogger.warn('Navigation timeout', { attempt: 2 });
+    });
+    await Promise.all([work('Passengers → TATA → Nexon → Petrol', 10), work('Two Wheeler → HONDA → Activa → Petrol', 0)]);
+    jsonLogger.info('Processing completed');
+
+    expect(console.warn.mock.calls.map(([line]) => JSON.parse(line))).toEqual([
+      { level: 'warn', runId: '2026-10-19T08:00:00.000Z', combination: 'Two Wheeler → HONDA → Activa → Petrol', attempt: 2, message: 'Navigation timeout' },
+      { level: 'warn', runId: '2026-10-19T08:00:00.000Z', combination: 'Passengers → TATA → Nexon → Petrol', attempt: 2, message: 'Navigation timeout' }
+    ]);
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual({ level: 'info', runId: '2026-10-19T08:00:00.000Z', message: 'Processing completed' });
+  });
+
+  test('appends to the log file and rotates it by size', () => {
+    const logFile = path.join(directory, 'logs', 'scraper.log');
+    const fileLogger = new Logger({ logFile, maxFileSize: 100, maxFiles: 2, timestamp: false });
+    fileLogger.setRunId('run-1');
+
+    fileLogger.withContext({ combination: 'Passengers → TATA → Nexon → Petrol' }, () => {
+      fileLogger.info('Testing URL');
+    });
+    expect(console.log).toHaveBeenCalledWith('[INFO] [Passengers → TATA → Nexon → Petrol] Testing URL');
+    expect(fs.readFileSync(logFile, 'utf8')).toBe('[INFO] [run run-1] [Passengers → TATA → Nexon → Petrol] Testing URL\n');
+
+    for (let line = 1; line <= 6; line++) {
+      fileLogger.info(`Line ${line} ${'x'.repeat(30)}`);
+    }
+
+    expect(fs.readdirSync(path.dirname(logFile)).sort()).toEqual(['scraper.log', 'scraper.log.1', 'scraper.log.2']);
+    expect(fs.readFileSync(logFile, 'utf8')).toBe(`[INFO] [run run-1] Line 6 ${'x'.repeat(30)}\n`);
+    // Lines are about 60 bytes, so each file holds one; older files than .2 are dropped
+    expect(fs.readFileSync(`${logFile}.1`, 'utf8')).toBe(`[INFO] [run run-1] Line 5 ${'x'.repeat(30)}\n`);
+    expect(fs.readFileSync(`${logFile}.2`, 'utf8')).toBe(`[INFO] [run run-1] Line 4 ${'x'.repeat(30)}\n`);
+  });
+
+  test('rejects unknown levels and formats', () => {
+    expect(() => parseArguments(['--log-level', 'verbose'])).toThrow('--log-level requires one of: error, warn, info, debug');
+    expect(() => parseArguments(['--log-format', 'xml'])).toThrow('--log-format requires one of: text, json');
+    expect(parseArguments(['--log-format', 'json', '--log-file', 'run.log'])).toMatchObject({ logFormat: 'json', logFile: 'run.log' });
+  });
+});
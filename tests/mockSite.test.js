@@ -0,0 +1,149 @@
+/**
+ * Mock site tests
+ * Checks the local Amaron stand-in and runs the full scrape() flow against it when a browser is installed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { startMockAmaronSite, listCombinations } = require('./helpers/mockAmaronSite');
+
+const browserAvailable = (() => {
+  try {
+    return fs.existsSync(puppeteer.executablePath());
+  } catch (error) {
+    return false;
+  }
+})();
+
+describe('mock Amaron site', () => {
+  let site;
+
+  beforeAll(async () => {
+    site = await startMockAmaronSite();
+  });
+
+  afterAll(async () => {
+    await site.close();
+  });
+
+  test('finder page has the cascading vehicle selects', async () => {
+    const response = await fetch(site.baseUrl);
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    for (const id of ['edit-select-vehicle', 'edit-vehicle-make', 'edit-model', 'edit-fuel']) {
+      expect(html).toContain(`id="${id}"`);
+    }
+    expect(html).toContain('<option value="two-wheeler">Two Wheeler</option>');
+  });
+
+  test('AJAX form posts refill the next dropdown level', async () => {
+    const post = (fields) => fetch(`${site.baseUrl}system/ajax`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ form_id: 'amaron-battery-finder-form', form_build_id: 'form-test', ...fields }).toString()
+    });
+
+    const commands = await (await post({ 'select-vehicle': 'passengers', '_triggering_element_name': 'select-vehicle' })).json();
+    const inserts = commands.filter(command => command.command === 'insert');
+
+    expect(commands.find(command => command.command === 'update_build_id')).toMatchObject({ old: 'form-test' });
+    expect(inserts.map(command => command.selector)).toEqual(['#edit-vehicle-make', '#edit-model', '#edit-fuel']);
+    expect(inserts[0].data).toContain('<option value="mahindra-and-mahindra">MAHINDRA &amp; MAHINDRA</option>');
+    expect(inserts[1].data).not.toContain('<option value="swift"');
+
+    const fuels = await (await post({
+      'select-vehicle': 'passengers',
+      'vehicle-make': 'maruti-suzuki',
+      'model': 'swift',
+      '_triggering_element_name': 'model'
+    })).json();
+    expect(fuels[2].data).toContain('<option value="diesel" data-url="/battery/passengers/maruti-suzuki/swift/diesel">Diesel</option>');
+
+    expect((await post({ '_triggering_element_name': 'unknown' })).status).toBe(400);
+    expect(site.stats.ajaxRequests).toBe(3);
+  });
+
+  test('battery URLs built from option values resolve on the mock site', async () => {
+    const scraper = new SmartUrlScraper({ site: site.siteOptions });
+
+    for (const combination of listCombinations()) {
+      const url = scraper.urlBuilder.getBatteryPageUrl(combination);
+
+      expect(url.startsWith(site.batteryPageUrl)).toBe(true);
+      expect((await fetch(url)).status).toBe(200);
+    }
+
+    expect((await fetch(`${site.batteryPageUrl}passengers/maruti-suzuki/alto/petrol`)).status).toBe(404);
+  });
+
+  test('slugified display text misses options whose value differs', async () => {
+    const scraper = new SmartUrlScraper({ site: site.siteOptions });
+    const url = scraper.generateBatteryPageUrl('Passengers', 'MAHINDRA & MAHINDRA', 'Bolero Power+', 'Diesel');
+
+    expect(url).toBe(`${site.batteryPageUrl}passengers/mahindra-mahindra/bolero-power/diesel`);
+    expect((await fetch(url)).status).toBe(404);
+  });
+
+  test('battery URLs default to the configured Amaron prefix', () => {
+    const scraper = new SmartUrlScraper();
+
+    expect(scraper.generateBatteryPageUrl('Passengers', 'ASHOK LEYLAND', 'Stile', 'Diesel'))
+      .toBe('https://www.amaron.com/battery/passengers/ashok-leyland/stile/diesel');
+  });
+});
+
+(browserAvailable ? describe : describe.skip)('scrape() against the mock site', () => {
+  const realDelay = utils.delay;
+  let site;
+  let outputDirectory;
+
+  beforeAll(async () => {
+    site = await startMockAmaronSite();
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-e2e-'));
+
+    config.output.outputDirectory = outputDirectory;
+    config.output.combinationsFile = path.join(outputDirectory, 'combinations.json');
+    config.checkpoint.enabled = false;
+    config.concurrency.minRequestInterval = 0;
+  });
+
+  beforeEach(() => {
+    // Keep the fixed page waits short; the mock site answers immediately
+    jest.spyOn(utils, 'delay').mockImplementation(() => realDelay(200));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await site.close();
+    fs.rmSync(outputDirectory, { recursive: true, force: true });
+  });
+
+  test('discovers every combination and exports the batteries', async () => {
+    const scraper = new SmartUrlScraper({ site: site.siteOptions });
+    const summary = await scraper.scrape();
+
+    expect(summary.success).toBe(true);
+    expect(summary.totalCombinations).toBe(listCombinations().length);
+    expect(summary.successfulCombinations).toBe(listCombinations().filter(combination => combination.fixture).length);
+    // The two passenger pages recommend the same batteries, which are deduplicated
+    expect(summary.totalBatteriesFound).toBe(6);
+
+    const csv = fs.readFileSync(summary.csvFilePath, 'utf8');
+    expect(csv).toContain('AAM-PR-APBTZ5L');
+    expect(csv).toContain('AAM-HL-055B24LS');
+    expect(csv).toContain('AAM-CR-CRTT150');
+    expect(summary.urlMismatches).toEqual([]);
+    // Discovery replays the dropdown AJAX request instead of reloading the finder for every brand
+    expect(site.stats.ajaxRequests).toBeGreaterThan(0);
+  }, 120000);
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Output mode tests
+ * Scrapes fixture pages of vehicles sharing batteries in each output mode and reads back the CSV files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+const dzire = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Dzire', fuelType: 'Diesel', fixture: 'passenger-car' };
+const activa = { vehicleType: 'Two Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol', fixture: 'two-wheeler' };
+
+// Rows of a CSV file without quoted commas, as arrays of cells
+const readRows = filePath => fs.readFileSync(filePath, 'utf8').trim().split('\n')
+  .map(line => line.split(',').map(cell => cell.replace(/^"|"$/g, '')));
+
+describe('output modes', () => {
+  const output = config.output;
+  const priceHistory = config.priceHistory;
+  const snapshots = config.snapshots;
+  let directory;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-modes-'));
+    config.output = { ...output, formats: ['csv'], outputDirectory: directory };
+    config.priceHistory = { ...priceHistory, enabled: false };
+    config.snapshots = { ...snapshots, enabled: false };
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output = output;
+    config.priceHistory = priceHistory;
+    config.snapshots = snapshots;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const scrape = async (outputMode, combinations = [swift, dzire, activa], append = false) => {
+    const scraper = new SmartUrlScraper({ concurrency: 1, pincodes: [], outputMode, append });
+    scraper.pagePool = [new FixturePage()];
+    scraper.qualityReport = null;
+    scraper.validCombinations = combinations;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+
+    await scraper.initializeCSVExporter({ append });
+    await scraper.processValidCombinations();
+    await scraper.csvExporter.finalize();
+    if (scraper.fitmentExporter) {
+      await scraper.fitmentExporter.finalize();
+    }
+    return scraper;
+  };
+
+  test('dedupe mode writes each battery once, for the first vehicle it was found for', async () => {
+    const scraper = await scrape('dedupe');
+    const [headers, ...rows] = readRows(path.join(directory, config.output.csvFileName));
+
+    expect(rows.map(row => row[headers.indexOf('Model')])).toEqual(['Swift', 'Swift', 'Swift', 'Activa', 'Activa']);
+    expect(scraper.duplicateCount).toBe(3);
+  });
+
+  test('all mode writes every vehicle/battery pair', async () => {
+    const scraper = await scrape('all');
+    const [headers, ...rows] = readRows(path.join(directory, config.output.csvFileName));
+
+    expect(rows.map(row => row[headers.indexOf('Model')])).toEqual(['Swift', 'Swift', 'Swift', 'Dzire', 'Dzire', 'Dzire', 'Activa', 'Activa']);
+    expect(scraper.duplicateCount).toBe(0);
+  });
+
+  test('fitment mode writes a unique battery catalogue and every vehicle/battery pair to the fitment table', async () => {
+    const scraper = await scrape('fitment');
+    const [catalogueHeaders, ...catalogue] = readRows(path.join(directory, config.output.catalogueFileName));
+    const [fitmentHeaders, ...fitments] = readRows(path.join(directory, config.output.fitmentFileName));
+
+    // The catalogue describes batteries only; vehicles are in the fitment table
+    expect(catalogueHeaders).toContain('Item Code');
+    expect(catalogueHeaders).not.toContain('Model');
+    expect(catalogue).toHaveLength(5);
+    expect(new Set(catalogue.map(row => row[catalogueHeaders.indexOf('Item Code')])).size).toBe(5);
+
+    expect(fitmentHeaders).toEqual(['Vehicle Type', 'Brand', 'Model', 'Fuel Type', 'Item Code', 'Battery Title']);
+    expect(fitments.map(row => row[2])).toEqual(['Swift', 'Swift', 'Swift', 'Dzire', 'Dzire', 'Dzire', 'Activa', 'Activa']);
+    expect(fitments.filter(row => row[2] === 'Dzire').map(row => row[4]))
+      .toEqual(fitments.filter(row => row[2] === 'Swift').map(row => row[4]));
+    expect(fitments[3].slice(0, 4)).toEqual(['Passengers', 'MARUTI SUZUKI', 'Dzire', 'Diesel']);
+    expect(scraper.fitmentCount).toBe(8);
+  });
+
+  test('retrying failed combinations does not write batteries the earlier run already wrote', async () => {
+    await scrape('dedupe', [swift, activa]);
+    const retry = await scrape('dedupe', [dzire], true);
+    const [headers, ...rows] = readRows(path.join(directory, config.output.csvFileName));
+
+    expect(rows.map(row => row[headers.indexOf('Model')])).toEqual(['Swift', 'Swift', 'Swift', 'Activa', 'Activa']);
+    expect(retry.duplicateCount).toBe(3);
+
+    // In fitment mode the catalogue keeps one row per battery while the fitment table gains the vehicle
+    await scrape('fitment', [swift]);
+    await scrape('fitment', [dzire], true);
+    const [, ...catalogue] = readRows(path.join(directory, config.output.catalogueFileName));
+    const [, ...fitments] = readRows(path.join(directory, config.output.fitmentFileName));
+
+    expect(catalogue).toHaveLength(3);
+    expect(fitments.map(row => row[2])).toEqual(['Swift', 'Swift', 'Swift', 'Dzire', 'Dzire', 'Dzire']);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Page pool tests
+ * Checks the spacing of the shared rate limiter and runs several workers over fixture pages at once
+ */
+
+const config = require('../src/config');
+const utils = require('../src/utils');
+const RateLimiter = require('../src/rateLimiter');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+const dzire = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Dzire', fuelType: 'Diesel', fixture: 'passenger-car' };
+const activa = { vehicleType: 'Two Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol', fixture: 'two-wheeler' };
+const ertiga = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Ertiga', fuelType: 'CNG', fixture: 'no-results' };
+
+// Fixture page keeping its own document, so workers sharing the jsdom test document do not read each other's pages
+class PoolPage extends FixturePage {
+  constructor(navigations) {
+    super();
+    this.navigations = navigations;
+    this.html = null;
+  }
+
+  async goto(url) {
+    this.navigations.active++;
+    this.navigations.peak = Math.max(this.navigations.peak, this.navigations.active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    this.navigations.active--;
+
+    const response = await super.goto(url);
+    this.html = document.documentElement.outerHTML;
+    return response;
+  }
+
+  // Page functions run synchronously, so no other worker can load its page in between
+  evaluate(pageFunction, ...args) {
+    document.documentElement.innerHTML = this.html;
+    return super.evaluate(pageFunction, ...args);
+  }
+
+  content() {
+    document.documentElement.innerHTML = this.html;
+    return super.content();
+  }
+}
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('grants concurrent requests in order, at least the minimum interval apart', async () => {
+    jest.useFakeTimers({ now: 10000 });
+    const limiter = new RateLimiter(500);
+    const granted = [];
+
+    const requests = [1, 2, 3].map(request => limiter.acquire().then(() => granted.push([request, Date.now()])));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(granted).toEqual([[1, 10000]]);
+
+    await jest.advanceTimersByTimeAsync(499);
+    expect(granted).toHaveLength(1);
+    await jest.advanceTimersByTimeAsync(501);
+    await Promise.all(requests);
+    expect(granted).toEqual([[1, 10000], [2, 10500], [3, 11000]]);
+
+    // A request after a quiet period is not held back
+    await jest.advanceTimersByTimeAsync(2000);
+    await limiter.acquire();
+    expect(Date.now()).toBe(13000);
+  });
+});
+
+describe('page pool', () => {
+  const retryDelay = config.timeouts.retryDelay;
+  let navigations;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    config.timeouts.retryDelay = 0;
+  });
+
+  afterAll(() => {
+    config.timeouts.retryDelay = retryDelay;
+  });
+
+  beforeEach(() => {
+    navigations = { active: 0, peak: 0 };
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createScraper = (rows, options = {}) => {
+    const scraper = new SmartUrlScraper({ pincodes: [], ...options });
+    scraper.pagePool = Array.from({ length: scraper.options.concurrency }, () => new PoolPage(navigations));
+    scraper.csvExporter = { appendBatteryRecord: jest.fn(async battery => rows.push(battery)) };
+    scraper.qualityReport = null;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+    return scraper;
+  };
+
+  test('workers share the combinations and the rate limiter, and write each battery once', async () => {
+    const rows = [];
+    const scraper = createScraper(rows, { concurrency: 3 });
+    scraper.validCombinations = [swift, dzire, activa, ertiga];
+    jest.spyOn(scraper.rateLimiter, 'acquire');
+
+    await scraper.processValidCombinations();
+
+    expect(navigations.peak).toBe(3);
+    expect(scraper.rateLimiter.acquire).toHaveBeenCalledTimes(4);
+    expect(scraper.processedCombinations).toBe(4);
+    expect(scraper.successfulCombinations).toBe(3);
+    expect(scraper.noDataCount).toBe(1);
+
+    // Swift and Dzire were on different pages at the same time and show the same three batteries
+    expect(rows.map(battery => battery.itemCode)).toHaveLength(new Set(rows.map(battery => battery.itemCode)).size);
+    expect(rows.filter(battery => battery.vehicleType === 'Passengers')).toHaveLength(3);
+    expect(scraper.scrapedCount).toBe(rows.length);
+    expect(scraper.duplicateCount).toBe(3);
+  });
+
+  test('a single worker processes the combinations in order', async () => {
+    const rows = [];
+    const scraper = createScraper(rows, { concurrency: 1 });
+    scraper.validCombinations = [activa, swift, dzire];
+
+    await scraper.processValidCombinations();
+
+    expect(navigations.peak).toBe(1);
+    expect(rows.map(battery => battery.model)).toEqual(['Activa', 'Activa', 'Swift', 'Swift', 'Swift']);
+    expect(scraper.duplicateCount).toBe(3);
+  });
+});
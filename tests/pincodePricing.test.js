@@ -0,0 +1,147 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Pincode pricing tests
+ * Checks the item code/pincode price table fed from saved battery pages, looked up on a pricing
+ * page of its own so the pool pages keep reading default prices
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const SQLiteExporter = require('../src/sqliteExporter');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+const stile = { vehicleType: 'Passengers', brand: 'ASHOK LEYLAND', model: 'Stile', fuelType: 'Diesel', fixture: 'passenger-car' };
+
+describe('pincode prices', () => {
+  let scraper;
+  let page;
+  let priceRows;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    scraper = new SmartUrlScraper({ pincodes: ['560001', '110001'] });
+    jest.spyOn(scraper, 'setDeliveryLocation').mockResolvedValue(true);
+    priceRows = [];
+    scraper.priceExporter = { appendBatteryRecord: jest.fn(async row => priceRows.push(row)) };
+    page = new FixturePage();
+    scraper.pricingPage = new FixturePage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes one price row per item code and pincode', async () => {
+    await page.goto('passenger-car');
+    const batteries = await scraper.extractBatteryData(swift, page);
+
+    await scraper.scrapePincodePrices(swift, 'passenger-car', batteries);
+
+    expect(scraper.setDeliveryLocation).toHaveBeenCalledTimes(2);
+    expect(priceRows).toHaveLength(6);
+    expect(priceRows[0]).toEqual({
+      itemCode: 'AAM-FL-0BH90D23L',
+      pincode: '560001',
+      batteryTitle: 'AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)',
+      basePrice: 7499,
+      specialDiscount: 750,
+      promotionPeriod: 'Till 18th Sep',
+      totalPrice: 6749,
+      rebate: 1000,
+      currency: 'INR'
+    });
+    expect(priceRows.filter(row => row.pincode === '110001').map(row => row.itemCode))
+      .toEqual(['AAM-FL-0BH90D23L', 'AAM-PR-075D23L', 'AAM-HL-055B24LS']);
+    expect(scraper.priceCount).toBe(6);
+  });
+
+  test('skips pincodes already priced for every battery on the page', async () => {
+    await page.goto('passenger-car');
+    const batteries = await scraper.extractBatteryData(swift, page);
+
+    await scraper.scrapePincodePrices(swift, 'passenger-car', batteries);
+    await scraper.scrapePincodePrices(stile, 'passenger-car', batteries);
+
+    expect(scraper.setDeliveryLocation).toHaveBeenCalledTimes(2);
+    expect(priceRows).toHaveLength(6);
+  });
+
+  test('skips pincodes whose location could not be set', async () => {
+    scraper.setDeliveryLocation.mockImplementation(async (currentPage, pincode) => pincode !== '110001');
+    await page.goto('two-wheeler');
+    const batteries = await scraper.extractBatteryData(swift, page);
+
+    await scraper.scrapePincodePrices(swift, 'two-wheeler', batteries);
+
+    expect(priceRows.map(row => row.pincode)).toEqual(['560001', '560001']);
+  });
+
+  test('sets the location on the pricing page only, so later combinations keep default prices', async () => {
+    const defaultRows = [];
+    scraper.pagePool = [page];
+    scraper.validCombinations = [swift, stile];
+    scraper.csvExporter = { appendBatteryRecord: jest.fn(async battery => defaultRows.push(battery)) };
+    scraper.qualityReport = null;
+    scraper.options.outputMode = 'all';
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+
+    await scraper.processValidCombinations();
+
+    expect(scraper.setDeliveryLocation.mock.calls.map(([locatedPage]) => locatedPage === scraper.pricingPage)).toEqual([true, true]);
+    // Both combinations on the pool page report the catalogue prices
+    expect(defaultRows.filter(battery => battery.itemCode === 'AAM-FL-0BH90D23L').map(battery => battery.totalPrice)).toEqual([6749, 6749]);
+    expect(priceRows).toHaveLength(6);
+  });
+});
+
+describe('SQLite pincode prices', () => {
+  const outputDirectory = config.output.outputDirectory;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-prices-'));
+    config.output.outputDirectory = directory;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output.outputDirectory = outputDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('upserts prices keyed by item code and pincode', async () => {
+    const exporter = new SQLiteExporter();
+    await exporter.initialize();
+
+    await exporter.appendBatteryRecord({ ...swift, itemCode: 'AAM-PR-075D23L', batteryTitle: 'AMARON PRO' });
+    await exporter.appendPriceRecord({ itemCode: 'AAM-PR-075D23L', pincode: '560001', basePrice: '₹6,899', totalPrice: '₹6,209' });
+    await exporter.appendPriceRecord({ itemCode: 'AAM-PR-075D23L', pincode: '560001', basePrice: '₹6,999', totalPrice: '₹6,299' });
+    await exporter.appendPriceRecord({ itemCode: 'AAM-PR-075D23L', pincode: '110001', basePrice: '₹7,099', totalPrice: '₹6,399' });
+
+    const rows = exporter.db.prepare('SELECT pincode, base_price, total_price FROM pincode_prices ORDER BY pincode').all();
+    const summary = await exporter.finalize();
+
+    expect(rows).toEqual([
+      { pincode: '110001', base_price: 7099, total_price: 6399 },
+      { pincode: '560001', base_price: 6999, total_price: 6299 }
+    ]);
+    expect(summary.tables.pincode_prices).toBe(2);
+  });
+});
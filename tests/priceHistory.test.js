@@ -0,0 +1,148 @@
+/**
+ * Price history tests
+ * Checks that runs append price observations and that timelines and promotion dates are rebuilt from them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const PriceHistoryStore = require('../src/priceHistoryStore');
+const { parseArguments } = require('../index');
+
+const flo = {
+  vehicleType: 'Passengers',
+  brand: 'MARUTI SUZUKI',
+  model: 'Swift',
+  fuelType: 'Diesel',
+  itemCode: 'AAM-FL-0BH90D23L',
+  batteryTitle: 'AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)',
+  basePrice: '₹7,499',
+  specialDiscount: '',
+  promotionPeriod: '',
+  totalPrice: '₹7,499',
+  rebate: '₹1,000'
+};
+
+describe('PriceHistoryStore', () => {
+  const outputDirectory = config.output.outputDirectory;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-history-'));
+    config.output.outputDirectory = directory;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output.outputDirectory = outputDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Record one run; observations are timestamped with the run's day
+  const recordRun = async (day, batteries, priceRows = []) => {
+    jest.useFakeTimers({ now: new Date(`2025-09-${day}T06:00:00.000Z`), doNotFake: ['setImmediate', 'nextTick'] });
+    const history = new PriceHistoryStore(null, new Date().toISOString());
+    await history.initialize();
+    for (const battery of batteries) {
+      await history.appendBatteryRecord(battery);
+    }
+    for (const row of priceRows) {
+      await history.appendPriceRecord(row);
+    }
+    jest.useRealTimers();
+    return history.finalize();
+  };
+
+  const readTimeline = (itemCode, pincode = null) => {
+    const history = new PriceHistoryStore();
+    return history.initialize({ readOnly: true }).then(() => {
+      try {
+        return history.getTimeline(itemCode, pincode);
+      } finally {
+        history.close();
+      }
+    });
+  };
+
+  test('appends one observation per run, item code and location', async () => {
+    const first = await recordRun('01', [flo, flo, { ...flo, itemCode: '', batteryTitle: 'No code' }], [
+      { itemCode: flo.itemCode, pincode: '560001', basePrice: '₹7,599', totalPrice: '₹7,599' }
+    ]);
+    const second = await recordRun('02', [flo]);
+
+    expect(first.recordCount).toBe(2);
+    expect(second).toMatchObject({ recordCount: 1, totalObservations: 3 });
+
+    const timeline = await readTimeline('aam-fl-0bh90d23l');
+    expect(timeline.batteryTitle).toBe(flo.batteryTitle);
+    expect(timeline.locations.map(location => [location.pincode, location.observations.length])).toEqual([['', 2], ['560001', 1]]);
+    expect((await readTimeline(flo.itemCode, '560001')).locations[0].observations[0]).toMatchObject({ basePrice: 7599, totalPrice: 7599 });
+  });
+
+  test('merges unchanged prices into periods and dates each promotion', async () => {
+    const promotion = { ...flo, specialDiscount: '₹750', promotionPeriod: 'Till 18th Sep', totalPrice: '₹6,749' };
+
+    await recordRun('01', [flo]);
+    await recordRun('05', [promotion]);
+    await recordRun('10', [promotion]);
+    await recordRun('19', [flo]);
+    await recordRun('25', [{ ...promotion, specialDiscount: '₹500', promotionPeriod: 'Till 30th Sep', totalPrice: '₹6,999' }]);
+
+    const [location] = (await readTimeline(flo.itemCode)).locations;
+
+    expect(location.periods.map(period => [period.from.slice(0, 10), period.to.slice(0, 10), period.totalPrice])).toEqual([
+      ['2025-09-01', '2025-09-01', 7499],
+      ['2025-09-05', '2025-09-10', 6749],
+      ['2025-09-19', '2025-09-19', 7499],
+      ['2025-09-25', '2025-09-25', 6999]
+    ]);
+    expect(location.promotions).toEqual([
+      {
+        specialDiscount: 750,
+        promotionPeriod: 'Till 18th Sep',
+        startedAt: '2025-09-05T06:00:00.000Z',
+        lastSeenAt: '2025-09-10T06:00:00.000Z',
+        endedAt: '2025-09-19T06:00:00.000Z'
+      },
+      {
+        specialDiscount: 500,
+        promotionPeriod: 'Till 30th Sep',
+        startedAt: '2025-09-25T06:00:00.000Z',
+        lastSeenAt: '2025-09-25T06:00:00.000Z',
+        endedAt: null
+      }
+    ]);
+  });
+
+  test('exports timelines as JSON or as CSV observations', async () => {
+    await recordRun('01', [flo]);
+    const timeline = await readTimeline(flo.itemCode);
+    const history = new PriceHistoryStore();
+
+    await history.exportTimeline(timeline, path.join(directory, 'flo.json'));
+    await history.exportTimeline(timeline, path.join(directory, 'flo.csv'));
+
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'flo.json'), 'utf8')).itemCode).toBe(flo.itemCode);
+    expect(fs.readFileSync(path.join(directory, 'flo.csv'), 'utf8')).toBe(
+      'Item Code,Pincode,Observed At,Base Price,Special Discount,Promotion Period,Total Price,Rebate\n' +
+      'AAM-FL-0BH90D23L,,2025-09-01T06:00:00.000Z,7499,,,7499,1000\n'
+    );
+    await expect(history.exportTimeline(timeline, path.join(directory, 'flo.xml'))).rejects.toThrow('expected .json or .csv');
+  });
+
+  test('queries fail clearly when no history exists', async () => {
+    await expect(new PriceHistoryStore().initialize({ readOnly: true })).rejects.toThrow('Failed to open price history');
+  });
+
+  test('price-history command takes an item code, pincode and export file', () => {
+    expect(parseArguments(['price-history', 'AAM-FL-0BH90D23L', '--pincode', '560001', '--export', 'flo.csv'])).toMatchObject({
+      command: 'price-history',
+      itemCode: 'AAM-FL-0BH90D23L',
+      pincode: '560001',
+      exportFile: 'flo.csv'
+    });
+    expect(() => parseArguments(['price-history'])).toThrow('requires an item code');
+  });
+});
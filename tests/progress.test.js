@@ -0,0 +1,242 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Progress reporting tests
+ * Runs the processing loop over fixture pages and checks the progress events and counts,
+ * the terminal progress bar, the periodic report and the JSON lines progress file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const logger = require('../src/logger');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const ProgressTracker = require('../src/progressTracker');
+const { ProgressBar, ProgressReport, ProgressFile, formatDuration } = require('../src/progressRenderers');
+const { parseArguments, applyConfigOverrides, attachProgressRenderers } = require('../index');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+const nexon = { vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Petrol', fixture: 'flaky' };
+const activa = { vehicleType: 'Two Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol', fixture: 'no-results' };
+
+// Page whose 'flaky' URL times out a given number of times before serving the passenger car
+class FlakyPage extends FixturePage {
+  constructor(failures) {
+    super();
+    this.failures = failures;
+  }
+
+  async goto(url) {
+    if (url === 'flaky' && this.failures-- > 0) {
+      throw new Error('Navigation timeout of 10000 ms exceeded');
+    }
+    return super.goto(url === 'flaky' ? 'passenger-car' : url);
+  }
+}
+
+// Terminal stand-in recording what is written to it
+const createStream = () => ({ isTTY: true, output: '', write(text) { this.output += text; } });
+
+describe('progress events', () => {
+  const errorHandling = config.errorHandling;
+  const retryDelay = config.timeouts.retryDelay;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    config.timeouts.retryDelay = 0;
+  });
+
+  afterAll(() => {
+    config.timeouts.retryDelay = retryDelay;
+  });
+
+  beforeEach(() => {
+    config.errorHandling = {
+      ...errorHandling,
+      recoveryStrategies: { pageRefreshThreshold: 0, browserRestartThreshold: 0, skipCombinationThreshold: 1 }
+    };
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.errorHandling = errorHandling;
+  });
+
+  test('counts combinations, batteries and failures, including ones recovered at the end of the run', async () => {
+    const scraper = new SmartUrlScraper({ concurrency: 1, pincodes: [] });
+    scraper.validCombinations = [nexon, swift, activa];
+    scraper.pagePool = [new FlakyPage(3)];
+    scraper.csvExporter = { appendBatteryRecord: jest.fn().mockResolvedValue() };
+    scraper.qualityReport = null;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+
+    const events = [];
+    scraper.progress.on('progress', ({ event, combination, status }) => events.push([event, combination && combination.split(' → ')[2], status].filter(Boolean)));
+
+    await scraper.processValidCombinations();
+
+    expect(events).toEqual([
+      ['start'],
+      ['combination-start', 'Nexon'],
+      ['failure', 'Nexon'],
+      ['combination-finish', 'Nexon', 'failed'],
+      ['combination-start', 'Swift'],
+      ['batteries', 'Swift'],
+      ['combination-finish', 'Swift', 'success'],
+      ['combination-start', 'Activa'],
+      ['combination-finish', 'Activa', 'no-data'],
+      ['retry'],
+      ['combination-start', 'Nexon'],
+      ['batteries', 'Nexon'],
+      ['combination-finish', 'Nexon', 'success'],
+      ['finish']
+    ]);
+    // Nexon shows the same batteries as Swift, so they count as duplicates
+    expect(scraper.progress.getStats()).toMatchObject({
+      phase: 'done',
+      currentCombination: 3,
+      totalCombinations: 3,
+      successfulCombinations: 2,
+      noDataCombinations: 1,
+      failedCombinations: 0,
+      totalBatteriesFound: 3,
+      duplicates: 3,
+      errors: 1,
+      activeCombinations: []
+    });
+  });
+
+  test('bases the estimate on the combinations completed in this run', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const tracker = new ProgressTracker();
+    tracker.start(10, { completed: 4, successful: 4, batteries: 12 });
+
+    Date.now.mockReturnValue(31000);
+    tracker.finishCombination(swift, 'success');
+    tracker.finishCombination(activa, 'no-data');
+
+    // Two combinations in 30 seconds leave 60 seconds for the remaining four
+    expect(tracker.getStats()).toMatchObject({ currentCombination: 6, successfulCombinations: 5, elapsedTime: 30, estimatedTimeRemaining: 60 });
+    expect(() => tracker.finishCombination(swift, 'skipped')).toThrow('Unknown combination status "skipped"');
+  });
+});
+
+describe('progress renderers', () => {
+  const progress = config.progress;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-progress-'));
+    config.progress = { ...progress };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    config.progress = progress;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('draws the bar on one terminal line and keeps it below logged lines', () => {
+    const stream = createStream();
+    const tracker = new ProgressTracker();
+    const bar = new ProgressBar(tracker, { stream, width: 10 });
+    bar.attach();
+
+    tracker.discoveryProgress('fuelType', 'Nexon', 2, 14);
+    expect(stream.output).toBe('\r\x1b[K🔍 Discovering... 14 combinations found');
+
+    tracker.start(4);
+    tracker.finishCombination(swift, 'success');
+    tracker.recordBatteries(nexon, { found: 3, unique: 3, duplicates: 0 });
+    stream.output = '';
+    utils.logProgress('Found 3 batteries');
+
+    expect(stream.output).toMatch(/^\r\x1b\[K\[███░░░░░░░\] 1\/4 25\.0% \| ✓ 1 ∅ 0 ✗ 0 \| 🔋 3 \| ETA (\d+s|--)$/);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Found 3 batteries'));
+
+    bar.detach();
+    stream.output = '';
+    utils.logProgress('Processing completed');
+    expect(stream.output).toBe('');
+    expect(logger.statusLine).toBeNull();
+  });
+
+  test('prints the report every interval while combinations are processed', () => {
+    jest.useFakeTimers();
+    const tracker = new ProgressTracker();
+    const display = jest.fn();
+    const report = new ProgressReport(tracker, { display, interval: 30 });
+    report.attach();
+
+    jest.advanceTimersByTime(60000);
+    expect(display).not.toHaveBeenCalled();
+
+    tracker.start(120);
+    jest.advanceTimersByTime(61000);
+    expect(display).toHaveBeenCalledTimes(2);
+    expect(display).toHaveBeenLastCalledWith(expect.objectContaining({ currentCombination: 0, totalCombinations: 120 }));
+
+    tracker.finish();
+    jest.advanceTimersByTime(60000);
+    expect(display).toHaveBeenCalledTimes(2);
+    report.detach();
+  });
+
+  test('appends every event with the counts after it to the progress file', () => {
+    const filePath = path.join(directory, 'monitoring', 'progress.jsonl');
+    const tracker = new ProgressTracker();
+    tracker.runId = '2026-10-19T08:00:00.000Z';
+    const file = new ProgressFile(tracker, { filePath });
+    file.attach();
+
+    tracker.start(2);
+    tracker.startCombination(nexon, 1);
+    tracker.recordFailure(nexon, new Error('Navigation timeout of 10000 ms exceeded'), 'skip');
+    tracker.finishCombination(nexon, 'failed');
+    file.detach();
+    tracker.finish();
+
+    const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.map(entry => entry.event)).toEqual(['start', 'combination-start', 'failure', 'combination-finish']);
+    expect(entries[2]).toMatchObject({
+      runId: '2026-10-19T08:00:00.000Z',
+      combination: 'Passengers → TATA → Nexon → Petrol',
+      errorClass: 'network',
+      action: 'skip',
+      progress: { phase: 'processing', currentCombination: 0, errors: 1 }
+    });
+    expect(entries[1].progress.activeCombinations).toEqual(['Passengers → TATA → Nexon → Petrol']);
+    expect(entries[3].progress).toMatchObject({ currentCombination: 1, failedCombinations: 1, activeCombinations: [] });
+  });
+
+  test('attaches the renderers chosen by the progress settings', () => {
+    const tracker = new ProgressTracker();
+
+    applyConfigOverrides(parseArguments(['--progress-bar', 'auto', '--progress-interval', '0', '--progress-file', path.join(directory, 'progress.jsonl')]));
+    const renderers = attachProgressRenderers(tracker, { isTTY: false });
+    expect(renderers.map(renderer => renderer.constructor.name)).toEqual(['ProgressFile']);
+    renderers.forEach(renderer => renderer.detach());
+
+    config.progress = { ...progress, bar: 'always' };
+    const defaults = attachProgressRenderers(tracker, createStream());
+    expect(defaults.map(renderer => renderer.constructor.name)).toEqual(['ProgressBar', 'ProgressReport']);
+    defaults.forEach(renderer => renderer.detach());
+
+    expect(() => parseArguments(['--progress-bar', 'yes'])).toThrow('--progress-bar requires one of: auto, always, never');
+    expect(() => parseArguments(['--progress-interval', '-5'])).toThrow('--progress-interval requires a number of seconds');
+    expect([formatDuration(45), formatDuration(192), formatDuration(3900), formatDuration(null)]).toEqual(['45s', '3m 12s', '1h 05m', '--']);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Quality report tests
+ * Checks fill rates, issue lists and thresholds of the end-of-run report and that the scraper records empty pages
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const BatteryNormalizer = require('../src/batteryNormalizer');
+const QualityReport = require('../src/qualityReport');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' };
+const activa = { vehicleType: '2 Wheeler', brand: 'HONDA', model: 'Activa', fuelType: 'Petrol' };
+
+const normalizer = new BatteryNormalizer();
+const flo = normalizer.normalize({
+  ...swift,
+  itemCode: 'AAM-FL-0BH90D23L',
+  batteryTitle: 'AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)',
+  ampereHour: '60 AH',
+  basePrice: '₹7,499',
+  totalPrice: '₹7,499'
+});
+const untitled = normalizer.normalize({
+  ...swift,
+  itemCode: '',
+  batteryTitle: 'AMARON PRO Automotive Battery',
+  ampereHour: 'N/A',
+  basePrice: '₹5,299',
+  totalPrice: ''
+});
+
+describe('QualityReport', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-quality-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reports fill rates, unparseable values, missing item codes and empty pages', () => {
+    const quality = new QualityReport({ thresholds: {} });
+    quality.recordBatteries(swift, [flo, untitled]);
+    quality.recordEmptyPage(activa, 'https://www.amaron.com/battery/activa');
+
+    const report = quality.build();
+    const rate = field => report.fields.find(entry => entry.field === field);
+
+    expect(report.passed).toBe(true);
+    expect(report.checks).toEqual([]);
+    expect(report.totals).toEqual({
+      records: 2,
+      combinationsWithBatteries: 1,
+      parseIssues: 1,
+      missingItemCodes: 1,
+      missingRequiredFields: 0,
+      emptyPages: 1
+    });
+    expect(rate('itemCode')).toEqual({ field: 'itemCode', filled: 1, fillRate: 0.5 });
+    expect(rate('basePrice').fillRate).toBe(1);
+    expect(rate('cca').fillRate).toBe(0);
+    expect(report.fields.map(entry => entry.field)).not.toContain('parseIssues');
+    expect(report.parseIssues).toEqual([
+      { vehicle: swift, itemCode: null, field: 'ampereHour', value: 'N/A', expected: 'capacity in Ah' }
+    ]);
+    expect(report.missingItemCodes).toEqual([{ vehicle: swift, batteryTitle: 'AMARON PRO Automotive Battery' }]);
+    expect(report.emptyPages).toEqual([{ vehicle: activa, url: 'https://www.amaron.com/battery/activa' }]);
+
+    const summary = quality.formatSummary(report);
+    expect(summary).toContain('Records checked: 2 from 1 combinations');
+    expect(summary).toContain('itemCode: 50.0% (1/2)');
+    expect(summary).toContain('Pages without batteries (1):\n  • 2 Wheeler → HONDA → Activa → Petrol: https://www.amaron.com/battery/activa');
+  });
+
+  test('fails configured thresholds and enforces required and numeric fields', () => {
+    const quality = new QualityReport({
+      thresholds: { minFillRate: { itemCode: 1, basePrice: 0.9 }, maxParseIssues: 0, maxMissingRequiredFields: 0, maxEmptyPages: null }
+    });
+    quality.recordBatteries(swift, [flo, untitled, { ...flo, fuelType: '', voltage: 'twelve' }]);
+
+    const report = quality.build();
+
+    expect(report.passed).toBe(false);
+    expect(report.checks).toEqual([
+      { name: 'minFillRate.itemCode', actual: 0.6667, limit: 1, passed: false },
+      { name: 'minFillRate.basePrice', actual: 1, limit: 0.9, passed: true },
+      { name: 'maxParseIssues', actual: 2, limit: 0, passed: false },
+      { name: 'maxMissingRequiredFields', actual: 1, limit: 0, passed: false }
+    ]);
+    expect(report.parseIssues[1]).toMatchObject({ itemCode: flo.itemCode, field: 'voltage', value: 'twelve', expected: 'number' });
+    expect(report.missingRequiredFields).toEqual([{ vehicle: swift, itemCode: flo.itemCode, fields: ['fuelType'] }]);
+    expect(quality.formatSummary(report)).toContain('✗ minFillRate.itemCode: 66.7% is below the limit of 100.0%');
+  });
+
+  test('restores checkpointed statistics and writes JSON and HTML reports', async () => {
+    const first = new QualityReport({ outputDirectory: directory });
+    first.recordBatteries(swift, [{ ...untitled, batteryTitle: '<b>Untitled</b>' }]);
+
+    const resumed = new QualityReport({ outputDirectory: directory });
+    resumed.restore(JSON.parse(JSON.stringify(first.toJSON())));
+    resumed.recordBatteries(activa, [flo]);
+
+    const report = resumed.build();
+    const { reportFilePath, htmlFilePath } = await resumed.save(report);
+
+    expect(report.totals.records).toBe(2);
+    expect(JSON.parse(fs.readFileSync(reportFilePath, 'utf8')).totals).toEqual(report.totals);
+    const html = fs.readFileSync(htmlFilePath, 'utf8');
+    expect(html).toContain('<h2>Records without an item code (1)</h2>');
+    expect(html).toContain('&lt;b&gt;Untitled&lt;/b&gt;');
+  });
+});
+
+describe('scraper quality tracking', () => {
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records pages that load without batteries but not pages that fail', async () => {
+    const scraper = new SmartUrlScraper();
+    const page = new FixturePage();
+
+    expect(await scraper.testBatteryPageUrl('no-results', activa, page)).toBeNull();
+    expect(await scraper.testBatteryPageUrl('missing-page', activa, page)).toBeNull();
+    expect(await scraper.testBatteryPageUrl('passenger-car', swift, page)).not.toBeNull();
+
+    expect(scraper.qualityReport.emptyPages).toEqual([{ vehicle: activa, url: 'no-results' }]);
+    expect(scraper.getCheckpointProgress().stats.quality.emptyPages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Error recovery tests
+ * Drives the processing loop over fixture pages that fail on purpose and checks the recovery actions taken
+ */
+
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const RecoveryController = require('../src/recoveryController');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+const broken = { vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Petrol', fixture: 'timeout' };
+const stile = { vehicleType: 'Passengers', brand: 'ASHOK LEYLAND', model: 'Stile', fuelType: 'Diesel', fixture: 'passenger-car' };
+
+// Page whose navigation to the 'timeout' fixture always fails
+class FailingPage extends FixturePage {
+  async goto(url) {
+    if (url === 'timeout') {
+      throw new Error('Navigation timeout of 10000 ms exceeded');
+    }
+    return super.goto(url);
+  }
+}
+
+describe('RecoveryController', () => {
+  let handlers;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    handlers = { refreshPage: jest.fn().mockResolvedValue(), restartBrowser: jest.fn().mockResolvedValue() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('escalates from retries to page refreshes, skips, browser restarts and abort', async () => {
+    const recovery = new RecoveryController(handlers, {
+      pageRefreshThreshold: 2,
+      browserRestartThreshold: 4,
+      skipCombinationThreshold: 3,
+      maxConsecutiveErrors: 6,
+      continueOnError: true
+    });
+    const error = new Error('Navigation timeout');
+
+    const actions = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      actions.push(await recovery.recordFailure(attempt < 3 ? broken : swift, error, { slot: 1 }));
+    }
+
+    expect(actions).toEqual(['retry', 'retry', 'skip', 'retry', 'retry']);
+    expect(handlers.refreshPage).toHaveBeenCalledWith(1);
+    expect(handlers.restartBrowser).toHaveBeenCalledTimes(1);
+    expect(recovery.generation).toBe(1);
+    expect(recovery.toJSON().counts).toEqual({ 'restart-browser': 1, 'refresh-page': 1, 'skip-combination': 1, abort: 0 });
+    expect(recovery.skippedCombinations).toEqual([{
+      vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Petrol', attempts: 3, error: 'Navigation timeout', errorClass: 'network'
+    }]);
+
+    await expect(recovery.recordFailure(stile, error)).rejects.toThrow('Aborting after 6 consecutive errors');
+    expect(recovery.toJSON().actions.map(action => action.action))
+      .toEqual(['refresh-page', 'skip-combination', 'restart-browser', 'abort']);
+  });
+
+  test('with the default thresholds the browser is restarted before the run aborts', async () => {
+    const recovery = new RecoveryController(handlers);
+    const error = new Error('Navigation timeout');
+    let failing = 0;
+
+    // Every combination fails each of its attempts until it is skipped
+    await expect((async () => {
+      for (;;) {
+        const combination = { ...broken, model: `Nexon ${failing++}` };
+        let action;
+        do {
+          action = await recovery.recordFailure(combination, error);
+        } while (action === 'retry');
+      }
+    })()).rejects.toThrow(`Aborting after ${config.errorHandling.maxConsecutiveErrors} consecutive errors`);
+
+    const actions = recovery.toJSON().actions.map(action => action.action).filter(action => action !== 'skip-combination');
+    expect(actions).toEqual(['refresh-page', 'restart-browser', 'refresh-page', 'abort']);
+    expect(handlers.restartBrowser).toHaveBeenCalledTimes(1);
+  });
+
+  test('a success resets the consecutive error count, failures from before a restart are not counted', async () => {
+    const recovery = new RecoveryController(handlers, { pageRefreshThreshold: 2, browserRestartThreshold: 0, skipCombinationThreshold: 0 });
+    const error = new Error('Protocol error');
+
+    await recovery.recordFailure(broken, error);
+    recovery.recordSuccess(swift);
+    await recovery.recordFailure(broken, error);
+    expect(handlers.refreshPage).not.toHaveBeenCalled();
+
+    await recovery.recordFailure(broken, error, { generation: -1 });
+    expect(recovery.consecutiveErrors).toBe(1);
+  });
+
+  test('stops the run when a combination is skipped and continueOnError is off', async () => {
+    const recovery = new RecoveryController(handlers, { skipCombinationThreshold: 1, continueOnError: false });
+
+    await expect(recovery.recordFailure(broken, new Error('Node is detached')))
+      .rejects.toThrow('Combination Passengers → TATA → Nexon → Petrol failed 1 times and continueOnError is off');
+    expect(recovery.aborted).toBeTruthy();
+  });
+});
+
+describe('processing loop recovery', () => {
+  const errorHandling = config.errorHandling;
+  const retryDelay = config.timeouts.retryDelay;
+  let scraper;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    config.timeouts.retryDelay = 0;
+  });
+
+  afterAll(() => {
+    config.timeouts.retryDelay = retryDelay;
+  });
+
+  beforeEach(() => {
+    config.errorHandling = {
+      ...errorHandling,
+      maxConsecutiveErrors: 20,
+      recoveryStrategies: { pageRefreshThreshold: 2, browserRestartThreshold: 0, skipCombinationThreshold: 3 }
+    };
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.errorHandling = errorHandling;
+  });
+
+  const createScraper = (freshPage) => {
+    scraper = new SmartUrlScraper({ concurrency: 1, pincodes: [] });
+    scraper.validCombinations = [swift, broken, stile];
+    scraper.pagePool = [new FailingPage()];
+    scraper.csvExporter = { appendBatteryRecord: jest.fn().mockResolvedValue() };
+    scraper.qualityReport = null;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+    jest.spyOn(scraper, 'createPage').mockImplementation(async () => freshPage());
+    return scraper;
+  };
+
+  test('a page refresh lets the failing combination through', async () => {
+    createScraper(() => new FixturePage());
+    const failingPage = scraper.pagePool[0];
+
+    await scraper.processValidCombinations();
+
+    expect(failingPage.isClosed()).toBe(true);
+    expect(scraper.pagePool[0]).not.toBe(failingPage);
+    expect(scraper.recovery.toJSON().counts['refresh-page']).toBe(1);
+    expect(scraper.recovery.skippedCombinations).toEqual([]);
+    expect(scraper.successfulCombinations).toBe(2);
+  });
+
+  test('a combination that keeps failing is skipped and the run goes on', async () => {
+    createScraper(() => new FailingPage());
+
+    await scraper.processValidCombinations();
+
+    expect(scraper.recovery.skippedCombinations.map(skipped => skipped.model)).toEqual(['Nexon']);
+    expect(scraper.recovery.skippedCombinations[0].error)
+      .toContain('Failed to test timeout: navigation to timeout failed after 3 attempts. Last error: Navigation timeout');
+    expect(scraper.successfulCombinations).toBe(2);
+    // Skipped once in the main pass and once more when re-attempted at the end of the run
+    expect(scraper.getCheckpointProgress().stats.recovery.counts).toMatchObject({ 'refresh-page': 2, 'skip-combination': 2 });
+    expect(scraper.getRetrySummary()).toEqual({ retriedOperations: 6, queued: 1, recovered: 0, failed: 1 });
+  });
+
+  test('the run aborts at maxConsecutiveErrors', async () => {
+    config.errorHandling.maxConsecutiveErrors = 2;
+    createScraper(() => new FailingPage());
+
+    await expect(scraper.processValidCombinations()).rejects.toThrow('Processing failed: Aborting after 2 consecutive errors');
+    expect(scraper.successfulCombinations).toBe(1);
+    expect(scraper.recovery.toJSON().counts.abort).toBe(1);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Retry layer tests
+ * Checks error classification, backoff, transient failures versus pages without batteries
+ * and the end-of-run retry queue
+ */
+
+const config = require('../src/config');
+const utils = require('../src/utils');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { FixturePage } = require('./helpers/fixturePage');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel', fixture: 'passenger-car' };
+const nexon = { vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Petrol', fixture: 'flaky' };
+const bolero = { vehicleType: 'Passengers', brand: 'MAHINDRA & MAHINDRA', model: 'Bolero', fuelType: 'Diesel', fixture: 'broken' };
+
+// Page scripted per URL: 'flaky' times out a given number of times before serving the passenger car,
+// 'overloaded' answers 503 once, 'blank' renders an empty document, 'same-document' serves the passenger car
+// without a response (as goto does for same-document navigations) and 'broken' fails permanently
+class ScriptedPage extends FixturePage {
+  constructor(failures = {}) {
+    super();
+    this.failures = { flaky: 0, overloaded: 0, ...failures };
+  }
+
+  async goto(url) {
+    if (url === 'flaky' && this.failures.flaky-- > 0) {
+      throw new Error('Navigation timeout of 10000 ms exceeded');
+    }
+    if (url === 'overloaded' && this.failures.overloaded-- > 0) {
+      return { ok: () => false, status: () => 503 };
+    }
+    if (url === 'blank') {
+      document.documentElement.innerHTML = '<head></head><body></body>';
+      return { ok: () => true, status: () => 200 };
+    }
+    if (url === 'same-document') {
+      await super.goto('passenger-car');
+      return null;
+    }
+    if (url === 'broken') {
+      throw new Error('Cannot read properties of undefined');
+    }
+    return super.goto(['flaky', 'overloaded'].includes(url) ? 'passenger-car' : url);
+  }
+}
+
+describe('error classification', () => {
+  test('uses the configured network and element error patterns', () => {
+    const timeout = new Error('Waiting failed: 30000ms exceeded');
+    timeout.name = 'TimeoutError';
+    const overloaded = new Error('battery page returned 503');
+    overloaded.transient = true;
+
+    expect(utils.classifyError(new Error('net::ERR_CONNECTION_RESET at https://www.amaron.com/'))).toBe('network');
+    expect(utils.classifyError(timeout)).toBe('network');
+    expect(utils.classifyError(new Error('waiting for selector `#edit-fuel` failed'))).toBe('element');
+    expect(utils.classifyError(overloaded)).toBe('transient');
+    expect(utils.classifyError(new TypeError('Cannot read properties of null'))).toBe('permanent');
+    expect(utils.isTransientError(new Error('Execution context was destroyed'))).toBe(true);
+  });
+});
+
+describe('executeWithRetry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('backs off by the multiplier and reports the attempts made', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('Protocol error (Page.navigate): Target closed'));
+
+    const error = await utils.executeWithRetry(fn, { maxRetries: 3, retryDelay: 1, backoffMultiplier: 3, operationName: 'navigation' })
+      .catch(failure => failure);
+
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(error.message).toBe('navigation failed after 3 attempts. Last error: Protocol error (Page.navigate): Target closed');
+    expect(error.attempts).toBe(3);
+    const waits = console.warn.mock.calls.map(([message]) => message).filter(message => message.includes('Retrying'));
+    expect(waits.map(message => message.match(/in (\d+)ms/)[1])).toEqual(['1', '3']);
+  });
+
+  test('gives up on permanent errors straight away', async () => {
+    const fn = jest.fn().mockRejectedValue(new TypeError('selector is not a function'));
+
+    await expect(utils.executeWithRetry(fn, { retryDelay: 0 })).rejects.toMatchObject({ message: 'selector is not a function', attempts: 1 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('always makes at least one attempt', async () => {
+    const fn = jest.fn().mockResolvedValue('loaded');
+    await expect(utils.executeWithRetry(fn, { maxRetries: 0 })).resolves.toBe('loaded');
+    await expect(utils.executeWithRetry(fn, { maxRetries: -2 })).resolves.toBe('loaded');
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    const failing = jest.fn().mockRejectedValue(new Error('Navigation timeout of 10000 ms exceeded'));
+    await expect(utils.executeWithRetry(failing, { maxRetries: 0, retryDelay: 0 })).rejects.toMatchObject({ attempts: 1 });
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('scraper retries', () => {
+  const errorHandling = config.errorHandling;
+  const retryDelay = config.timeouts.retryDelay;
+  let scraper;
+
+  beforeAll(() => {
+    config.concurrency.minRequestInterval = 0;
+    config.checkpoint.enabled = false;
+    config.timeouts.retryDelay = 0;
+  });
+
+  afterAll(() => {
+    config.timeouts.retryDelay = retryDelay;
+  });
+
+  beforeEach(() => {
+    config.errorHandling = {
+      ...errorHandling,
+      recoveryStrategies: { pageRefreshThreshold: 0, browserRestartThreshold: 0, skipCombinationThreshold: 1 }
+    };
+    jest.spyOn(utils, 'delay').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.errorHandling = errorHandling;
+  });
+
+  const createScraper = (page) => {
+    scraper = new SmartUrlScraper({ concurrency: 1, pincodes: [] });
+    scraper.pagePool = [page];
+    scraper.csvExporter = { appendBatteryRecord: jest.fn().mockResolvedValue() };
+    scraper.qualityReport = null;
+    jest.spyOn(scraper.urlBuilder, 'getBatteryPageUrl').mockImplementation(combination => combination.fixture);
+    return scraper;
+  };
+
+  test('tells a page without batteries apart from one that did not load', async () => {
+    const page = new ScriptedPage({ overloaded: 1 });
+    createScraper(page);
+
+    expect(await scraper.testBatteryPageUrl('no-results', swift, page)).toBeNull();
+    expect(scraper.noDataCount).toBe(1);
+
+    await expect(scraper.testBatteryPageUrl('blank', swift, page)).rejects.toMatchObject({
+      message: expect.stringContaining('Incomplete page at blank'),
+      transient: true
+    });
+    expect(scraper.noDataCount).toBe(1);
+
+    // A 503 is retried instead of being reported as a missing page
+    expect(await scraper.testBatteryPageUrl('overloaded', swift, page)).toHaveLength(3);
+    // A navigation without a response is judged by what the page shows
+    expect(await scraper.testBatteryPageUrl('same-document', swift, page)).toHaveLength(3);
+    expect(scraper.urlMismatches).toEqual([]);
+    expect(scraper.getRetrySummary().retriedOperations).toBe(1);
+  });
+
+  test('re-attempts combinations that failed with transient errors at the end of the run', async () => {
+    // Three navigation attempts fail while the combination is first processed, the fourth succeeds
+    createScraper(new ScriptedPage({ flaky: 3 }));
+    scraper.validCombinations = [nexon, bolero, swift];
+
+    await scraper.processValidCombinations();
+
+    expect(scraper.successfulCombinations).toBe(2);
+    expect(scraper.processedCombinations).toBe(3);
+    // The permanent failure is neither retried nor queued
+    expect(scraper.recovery.skippedCombinations).toEqual([expect.objectContaining({ model: 'Bolero', attempts: 1, errorClass: 'permanent' })]);
+    expect(scraper.getRetrySummary()).toEqual({ retriedOperations: 1, queued: 1, recovered: 1, failed: 1 });
+  });
+
+  test('the retry queue can be switched off', async () => {
+    config.retry.retryFailedCombinations = false;
+    try {
+      createScraper(new ScriptedPage({ flaky: 3 }));
+      scraper.validCombinations = [nexon, swift];
+
+      await scraper.processValidCombinations();
+
+      expect(scraper.successfulCombinations).toBe(1);
+      expect(scraper.recovery.skippedCombinations.map(skipped => [skipped.model, skipped.errorClass])).toEqual([['Nexon', 'network']]);
+    } finally {
+      config.retry.retryFailedCombinations = true;
+    }
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Run diff tests
+ * Compares run outputs written by the exporters and checks the snapshot store and diff command arguments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const JSONExporter = require('../src/jsonExporter');
+const NDJSONExporter = require('../src/ndjsonExporter');
+const RunDiff = require('../src/runDiff');
+const SnapshotStore = require('../src/snapshotStore');
+const SmartUrlScraper = require('../src/smartUrlScraper');
+const { parseArguments } = require('../index');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' };
+const stile = { vehicleType: 'Passengers', brand: 'ASHOK LEYLAND', model: 'Stile', fuelType: 'Diesel' };
+const nexon = { vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Petrol' };
+
+const flo = {
+  itemCode: 'AAM-FL-0BH90D23L',
+  batteryTitle: 'AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)',
+  totalWarranty: '72',
+  freeWarranty: '36',
+  proRataWarranty: '36',
+  basePrice: '₹7,499',
+  totalPrice: '₹6,749'
+};
+const pro = {
+  itemCode: 'AAM-PR-00042B20L',
+  batteryTitle: 'AMARON PRO Automotive Battery - 42B20L (AAM-PR-00042B20L)',
+  totalWarranty: '77',
+  basePrice: '₹5,299',
+  totalPrice: '₹4,999'
+};
+const hilife = {
+  itemCode: 'AAM-HL-055B24LS',
+  batteryTitle: 'AMARON HI LIFE Automotive Battery - 55B24LS (AAM-HL-055B24LS)',
+  totalWarranty: '60',
+  basePrice: '₹6,199',
+  totalPrice: '₹5,899'
+};
+
+describe('RunDiff', () => {
+  let outputDirectory;
+  const originalOutputDirectory = config.output.outputDirectory;
+
+  beforeEach(() => {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-diff-'));
+    config.output.outputDirectory = outputDirectory;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output.outputDirectory = originalOutputDirectory;
+    fs.rmSync(outputDirectory, { recursive: true, force: true });
+  });
+
+  const writeRun = async (exporter, records) => {
+    await exporter.initialize();
+    for (const record of records) {
+      await exporter.appendBatteryRecord(record);
+    }
+    return (await exporter.finalize()).filePath;
+  };
+
+  test('reports vehicle, battery, fitment, price and warranty changes between a JSON and an NDJSON run', async () => {
+    const oldFile = await writeRun(new JSONExporter('old.json'), [
+      { ...swift, ...flo },
+      { ...swift, ...pro },
+      { ...stile, ...flo },
+      { ...stile, ...pro }
+    ]);
+    const newFile = await writeRun(new NDJSONExporter('new.ndjson'), [
+      { ...swift, ...flo, totalPrice: '₹6,999' },
+      { ...swift, ...hilife },
+      { ...nexon, ...flo, totalPrice: '₹6,999' }
+    ]);
+
+    const runDiff = new RunDiff();
+    const changeset = await runDiff.compareFiles(oldFile, newFile);
+
+    expect(changeset.old).toEqual({ source: oldFile, recordCount: 4 });
+    expect(changeset.new).toEqual({ source: newFile, recordCount: 3 });
+    expect(changeset.summary).toEqual({
+      vehiclesAdded: 1,
+      vehiclesRemoved: 1,
+      batteriesAdded: 1,
+      batteriesRemoved: 1,
+      fitmentsChanged: 1,
+      priceChanges: 1,
+      warrantyChanges: 0
+    });
+    expect(changeset.vehicles.added).toEqual([nexon]);
+    expect(changeset.vehicles.removed).toEqual([stile]);
+    expect(changeset.batteries.added.map(battery => battery.itemCode)).toEqual(['AAM-HL-055B24LS']);
+    expect(changeset.batteries.removed.map(battery => battery.itemCode)).toEqual(['AAM-PR-00042B20L']);
+    expect(changeset.fitments).toEqual([
+      { vehicle: swift, added: ['AAM-HL-055B24LS'], removed: ['AAM-PR-00042B20L'] }
+    ]);
+    expect(changeset.priceChanges).toEqual([{
+      batteryKey: 'AAM-FL-0BH90D23L',
+      itemCode: 'AAM-FL-0BH90D23L',
+      batteryTitle: flo.batteryTitle,
+      changes: { totalPrice: { old: 6749, new: 6999 } }
+    }]);
+
+    const report = runDiff.formatReport(changeset);
+    expect(report).toContain('Vehicles added (1):\n  + Passengers → TATA → Nexon → Petrol');
+    expect(report).toContain('~ Passengers → MARUTI SUZUKI → Swift → Diesel: +AAM-HL-055B24LS -AAM-PR-00042B20L');
+    expect(report).toContain(`~ AAM-FL-0BH90D23L (${flo.batteryTitle}): Total Price 6749 → 6999`);
+  });
+
+  test('detects warranty changes and reports identical runs as unchanged', async () => {
+    const runDiff = new RunDiff();
+    const before = [{ ...swift, ...flo }];
+
+    const unchanged = runDiff.compare(before, [{ ...swift, ...flo, basePrice: 7499, totalPrice: 6749 }]);
+    expect(Object.values(unchanged.summary).every(count => count === 0)).toBe(true);
+
+    const changed = runDiff.compare(before, [{ ...swift, ...flo, totalWarranty: '84', proRataWarranty: '48' }]);
+    expect(changed.warrantyChanges[0].changes).toEqual({
+      totalWarranty: { old: 72, new: 84 },
+      proRataWarranty: { old: 36, new: 48 }
+    });
+  });
+
+  test('parses quoted CSV fields and writes the report and change set', async () => {
+    const csvFile = path.join(outputDirectory, 'quoted.csv');
+    fs.writeFileSync(csvFile, 'Brand,Model,Item Code,Total Price\r\n"TATA","Nexon, ""EV""",AAM-1,"₹1,000"\r\n');
+
+    const runDiff = new RunDiff();
+    const records = await runDiff.loadRecords(csvFile);
+    expect(records).toEqual([{ brand: 'TATA', model: 'Nexon, "EV"', itemCode: 'AAM-1', totalPrice: '₹1,000' }]);
+    await expect(runDiff.loadRecords(path.join(outputDirectory, 'run.xml'))).rejects.toThrow('Failed to read run output');
+
+    const changeset = await runDiff.compareFiles(csvFile, csvFile);
+    const { reportFilePath, changesetFilePath } = await runDiff.save(changeset);
+
+    expect(fs.readFileSync(reportFilePath, 'utf8')).toContain('No changes.');
+    expect(JSON.parse(fs.readFileSync(changesetFilePath, 'utf8')).summary.priceChanges).toBe(0);
+  });
+});
+
+describe('SnapshotStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-snapshots-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('completes snapshots, lists them oldest first and keeps only the newest', async () => {
+    const store = new SnapshotStore(directory, 2);
+    const names = ['2024-01-01', '2024-02-01', '2024-03-01'].map(date => store.createFileName(new Date(date)));
+
+    for (const name of names) {
+      const exporter = store.createExporter(name);
+      await exporter.initialize();
+      await exporter.appendBatteryRecord({ ...swift, ...flo });
+      await exporter.finalize();
+
+      expect(await store.list()).not.toContain(path.join(directory, name));
+      await store.complete(name);
+    }
+
+    expect(names[0]).toBe('run-2024-01-01T00-00-00-000Z.ndjson');
+    expect(await store.list()).toEqual([path.join(directory, names[1]), path.join(directory, names[2])]);
+    expect(await store.getLatestPair()).toEqual({
+      previous: path.join(directory, names[1]),
+      latest: path.join(directory, names[2])
+    });
+    await expect(new SnapshotStore(path.join(directory, 'missing')).getLatestPair()).rejects.toThrow('found 0');
+  });
+
+  test('compares and prunes snapshots of runs limited by filters or a combinations file by their scope', async () => {
+    const store = new SnapshotStore(directory, 2);
+    const tata = { filters: { brand: { include: ['TATA'], exclude: [] } } };
+    const runs = [
+      ['2024-01-01', null],
+      ['2024-02-01', tata],
+      ['2024-03-01', null],
+      ['2024-04-01', null],
+      ['2024-05-01', tata]
+    ];
+
+    for (const [date, scope] of runs) {
+      const name = store.createFileName(new Date(date));
+      const exporter = store.createExporter(name);
+      await exporter.initialize();
+      await exporter.appendBatteryRecord({ ...swift, ...flo });
+      await exporter.finalize();
+      await store.complete(name, scope);
+    }
+
+    const snapshot = date => path.join(directory, store.createFileName(new Date(date)));
+    expect(await store.list()).toEqual([snapshot('2024-02-01'), snapshot('2024-03-01'), snapshot('2024-04-01'), snapshot('2024-05-01')]);
+    expect(await store.readScope(snapshot('2024-05-01'))).toEqual(tata);
+    expect(await store.readScope(snapshot('2024-04-01'))).toBeNull();
+    expect(await store.getLatestPair()).toEqual({ previous: snapshot('2024-02-01'), latest: snapshot('2024-05-01') });
+
+    // Only the oldest full run is pruned; the limited runs keep their metadata
+    expect(fs.readdirSync(directory).filter(entry => entry.endsWith('.meta.json'))).toHaveLength(2);
+
+    const scraper = new SmartUrlScraper({ combinationsFile: 'output/combinations.json', filters: { brand: { include: ['TATA'] } } });
+    expect(scraper.getSnapshotScope()).toEqual({ combinationsFile: path.resolve('output/combinations.json'), ...tata });
+    expect(new SmartUrlScraper({ filters: {} }).getSnapshotScope()).toBeNull();
+  });
+
+  test('retry-failed runs write no snapshot to be compared with full runs', async () => {
+    const store = new SnapshotStore(directory);
+    const formats = config.output.formats;
+    const outputDirectory = config.output.outputDirectory;
+    const priceHistory = config.priceHistory.enabled;
+    config.output.formats = ['csv'];
+    config.output.outputDirectory = directory;
+    config.priceHistory.enabled = false;
+
+    try {
+      const retry = new SmartUrlScraper({ append: true });
+      retry.snapshotStore = store;
+      await retry.initializeCSVExporter({ append: true });
+      expect(retry.snapshotExporter).toBeNull();
+
+      const full = new SmartUrlScraper();
+      full.snapshotStore = store;
+      await full.initializeCSVExporter();
+      expect(full.snapshotExporter.fileName).toBe(`${full.snapshotFileName}.partial`);
+    } finally {
+      config.output.formats = formats;
+      config.output.outputDirectory = outputDirectory;
+      config.priceHistory.enabled = priceHistory;
+    }
+  });
+
+  test('diff command takes two files or none', () => {
+    expect(parseArguments(['diff']).diffFiles).toEqual([]);
+    expect(parseArguments(['diff', 'old.csv', 'new.json'])).toMatchObject({ command: 'diff', diffFiles: ['old.csv', 'new.json'] });
+    expect(() => parseArguments(['diff', 'old.csv'])).toThrow('diff requires two run outputs');
+    expect(() => parseArguments(['scrape', 'old.csv'])).toThrow('Unknown command');
+  });
+});
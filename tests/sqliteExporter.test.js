@@ -0,0 +1,100 @@
+/**
+ * SQLite exporter tests
+ * Writes batteries, fitments and pincode prices to a temporary database and upserts them on a second run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../src/config');
+const SQLiteExporter = require('../src/sqliteExporter');
+
+const swift = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' };
+const dzire = { vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Dzire', fuelType: 'Diesel' };
+const flo = {
+  itemCode: 'AAM-FL-0BH90D23L',
+  batteryTitle: 'AMARON FLO Automotive Battery - BH90D23L (AAM-FL-0BH90D23L)',
+  ampereHour: '60 AH',
+  totalWarranty: '72',
+  basePrice: '₹7,499',
+  totalPrice: '₹6,749'
+};
+
+describe('SQLiteExporter', () => {
+  const outputDirectory = config.output.outputDirectory;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'amaron-sqlite-'));
+    config.output.outputDirectory = directory;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.output.outputDirectory = outputDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const exportRun = async (records, prices = []) => {
+    const exporter = new SQLiteExporter();
+    await exporter.initialize();
+    for (const record of records) {
+      await exporter.appendBatteryRecord(record);
+    }
+    for (const price of prices) {
+      await exporter.appendPriceRecord(price);
+    }
+    return exporter.finalize();
+  };
+
+  test('writes normalized lookup, battery, price and fitment tables', async () => {
+    const summary = await exportRun(
+      [{ ...swift, ...flo }, { ...dzire, ...flo }, { ...swift, itemCode: '', batteryTitle: '' }],
+      [{ itemCode: flo.itemCode, pincode: 560001, totalPrice: '₹6,499' }]
+    );
+
+    expect(summary).toMatchObject({ recordCount: 2, skippedCount: 1 });
+    expect(summary.tables).toEqual({
+      vehicle_types: 1,
+      makes: 1,
+      models: 2,
+      fuel_types: 1,
+      batteries: 1,
+      prices: 1,
+      pincode_prices: 1,
+      fitments: 2
+    });
+
+    const db = new Database(summary.filePath, { readonly: true });
+    try {
+      expect(db.prepare('SELECT battery_key, ampere_hour, total_warranty FROM batteries').get())
+        .toEqual({ battery_key: flo.itemCode, ampere_hour: 60, total_warranty: 72 });
+      expect(db.prepare('SELECT base_price, total_price FROM prices').get()).toEqual({ base_price: 7499, total_price: 6749 });
+      expect(db.prepare('SELECT pincode, total_price FROM pincode_prices').get()).toEqual({ pincode: '560001', total_price: 6499 });
+      expect(db.prepare(`
+        SELECT models.name AS model FROM fitments
+        JOIN models ON models.id = fitments.model_id
+        ORDER BY models.name`).all().map(row => row.model)).toEqual(['Dzire', 'Swift']);
+    } finally {
+      db.close();
+    }
+  });
+
+  test('upserts batteries, prices and fitments on a second run instead of adding rows', async () => {
+    await exportRun([{ ...swift, ...flo }, { ...dzire, ...flo }]);
+    const summary = await exportRun([{ ...swift, ...flo, totalPrice: '₹6,599', totalWarranty: '84' }]);
+
+    expect(summary.tables).toMatchObject({ models: 2, batteries: 1, prices: 1, fitments: 2 });
+
+    const db = new Database(summary.filePath, { readonly: true });
+    try {
+      expect(db.prepare('SELECT total_warranty FROM batteries').get().total_warranty).toBe(84);
+      expect(db.prepare('SELECT total_price FROM prices').get().total_price).toBe(6599);
+    } finally {
+      db.close();
+    }
+  });
+});
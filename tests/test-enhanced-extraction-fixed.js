@@ -79,7 +79,7 @@ class FixedExtractionTester extends SmartUrlScraper {
           await this.csvExporter.appendBatteryRecord(battery);
         }
         
-        const csvSummary = await this.csvExporter.finalizeCSV();
+        const csvSummary = await this.csvExporter.finalize();
         
         console.log(`\n📁 CSV Results:`);
         console.log(`   File: ${csvSummary.filePath}`);
@@ -0,0 +1,63 @@
+/**
+ * URL builder tests
+ */
+
+const UrlBuilder = require('../src/urlBuilder');
+
+describe('UrlBuilder', () => {
+  test('defaults to the Amaron site', () => {
+    const builder = new UrlBuilder();
+
+    expect(builder.getDiscoveryUrl()).toBe('https://www.amaron.com/battery/passengers/ashok-leyland/stile/diesel');
+    expect(builder.buildBatteryPageUrl({
+      vehicleType: 'Two Wheeler',
+      brand: 'BAJAJ',
+      model: 'Pulsar 150 (ES)',
+      fuelType: 'Petrol'
+    })).toBe('https://www.amaron.com/battery/two-wheeler/bajaj/pulsar-150-es/petrol');
+  });
+
+  test('keeps a base URL path prefix in front of both paths', () => {
+    const builder = new UrlBuilder({ baseUrl: 'http://localhost:8080/mirror/', discoveryPath: '/' });
+
+    expect(builder.getDiscoveryUrl()).toBe('http://localhost:8080/mirror/');
+    expect(builder.buildBatteryPageUrl({ vehicleType: 'Passengers', brand: 'TATA', model: 'Nexon', fuelType: 'Diesel' }))
+      .toBe('http://localhost:8080/mirror/battery/passengers/tata/nexon/diesel');
+  });
+
+  test('applies a custom path template and slug rules', () => {
+    const builder = new UrlBuilder({
+      batteryPathTemplate: '/in/{brand}/{model}?fuel={fuelType}',
+      slug: { lowercase: false, replacements: [{ pattern: '\\s+', replacement: '_' }] }
+    });
+
+    expect(builder.buildBatteryPageUrl({ vehicleType: 'Passengers', brand: 'MARUTI SUZUKI', model: 'Swift', fuelType: 'Diesel' }))
+      .toBe('https://www.amaron.com/in/MARUTI_SUZUKI/Swift?fuel=Diesel');
+  });
+
+  test('prefers canonical URLs, then option values, then slugified text', () => {
+    const builder = new UrlBuilder();
+    const combination = {
+      vehicleType: 'Passengers',
+      brand: 'MAHINDRA & MAHINDRA',
+      model: '4S Champion (KS)',
+      fuelType: 'Diesel',
+      values: { vehicleType: 'passengers', brand: 'mahindra-and-mahindra', model: '4s-champion-ks', fuelType: 'diesel' }
+    };
+
+    expect(builder.getBatteryPageUrl({ ...combination, url: '/battery/canonical/path' }))
+      .toBe('https://www.amaron.com/battery/canonical/path');
+    expect(builder.getBatteryPageUrl(combination))
+      .toBe('https://www.amaron.com/battery/passengers/mahindra-and-mahindra/4s-champion-ks/diesel');
+    expect(builder.getBatteryPageUrl({ ...combination, values: { vehicleType: 'passengers', brand: '', model: '', fuelType: '' } }))
+      .toBe('https://www.amaron.com/battery/passengers/mahindra-mahindra/4s-champion-ks/diesel');
+    expect(new UrlBuilder({ useOptionValues: false }).getBatteryPageUrl(combination))
+      .toBe('https://www.amaron.com/battery/passengers/mahindra-mahindra/4s-champion-ks/diesel');
+  });
+
+  test('rejects invalid base URLs and unknown placeholders', () => {
+    expect(() => new UrlBuilder({ baseUrl: 'not a url' })).toThrow('Invalid base URL');
+    expect(() => new UrlBuilder({ baseUrl: 'ftp://example.com' })).toThrow('must use http or https');
+    expect(() => new UrlBuilder({ batteryPathTemplate: '/battery/{variant}' })).toThrow('Unknown placeholder(s) in battery path template: variant');
+  });
+});